@@ -3,7 +3,10 @@ export { AddObjectCommand } from './AddObjectCommand.js';
 export { MoveObjectCommand } from './MoveObjectCommand.js';
 export { MultiCmdsCommand } from './MultiCmdsCommand.js';
 export { RemoveObjectCommand } from './RemoveObjectCommand.js';
+export { SetLibraryMaterialCommand } from './SetLibraryMaterialCommand.js';
 export { SetPositionCommand } from './SetPositionCommand.js';
+export { SetPrefabCommand } from './SetPrefabCommand.js';
+export { SetProceduralTextureCommand } from './SetProceduralTextureCommand.js';
 export { SetPropertyValueCommand } from './SetPropertyValueCommand.js';
 export { SetRotationCommand } from './SetRotationCommand.js';
 export { SetScaleCommand } from './SetScaleCommand.js';
@@ -0,0 +1,63 @@
+import { Command } from '../core/Command.js';
+
+/**
+ * SetLibraryMaterialCommand - Adds, changes or removes a custom library material.
+ * Consecutive changes to the same material are merged, so dragging a value
+ * is one step in the history.
+ */
+export class SetLibraryMaterialCommand extends Command {
+  /**
+   * @param {Editor} editor
+   * @param {string} materialId
+   * @param {Object|null} newDefinition - Null removes the material
+   */
+  constructor(editor, materialId = '', newDefinition = null) {
+    super(editor);
+    this.type = 'SetLibraryMaterialCommand';
+    this.name = 'Set Library Material';
+    this.updatable = true;
+
+    this.attributeName = materialId;
+    this.materialId = materialId;
+    this.oldDefinition = editor.libraryMaterials.has(materialId)
+      ? editor.libraryMaterials.get(materialId)
+      : null;
+    this.newDefinition = newDefinition;
+  }
+
+  execute() {
+    this.apply(this.newDefinition);
+  }
+
+  undo() {
+    this.apply(this.oldDefinition);
+  }
+
+  update(command) {
+    this.newDefinition = command.newDefinition;
+  }
+
+  apply(definition) {
+    if (definition === null) {
+      this.editor.libraryMaterials.remove(this.materialId);
+    } else {
+      this.editor.libraryMaterials.set(definition);
+    }
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.materialId = this.materialId;
+    json.oldDefinition = this.oldDefinition;
+    json.newDefinition = this.newDefinition;
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.materialId = json.materialId;
+    this.attributeName = json.materialId;
+    this.oldDefinition = json.oldDefinition;
+    this.newDefinition = json.newDefinition;
+  }
+}
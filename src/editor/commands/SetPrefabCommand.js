@@ -0,0 +1,55 @@
+import { Command } from '../core/Command.js';
+
+/**
+ * SetPrefabCommand - Adds, replaces or removes a prefab. Instances keep their
+ * overrides, and get them back as they were on undo.
+ */
+export class SetPrefabCommand extends Command {
+  /**
+   * @param {Editor} editor
+   * @param {string} prefabId
+   * @param {Object|null} newPrefab - Null removes the prefab
+   */
+  constructor(editor, prefabId = '', newPrefab = null) {
+    super(editor);
+    this.type = 'SetPrefabCommand';
+    this.name = 'Set Prefab';
+
+    this.prefabId = prefabId;
+    this.oldPrefab = prefabId !== '' ? editor.prefabs.library.get(prefabId) : null;
+    this.newPrefab = newPrefab;
+    this.overrides = new Map();
+  }
+
+  execute() {
+    this.overrides = this.editor.prefabs.getAllOverrides(this.prefabId);
+    this.apply(this.newPrefab);
+  }
+
+  undo() {
+    this.apply(this.oldPrefab, this.overrides);
+  }
+
+  apply(prefab, overrides = null) {
+    if (prefab === null) {
+      this.editor.prefabs.remove(this.prefabId);
+    } else {
+      this.editor.prefabs.set(prefab, overrides);
+    }
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.prefabId = this.prefabId;
+    json.oldPrefab = this.oldPrefab;
+    json.newPrefab = this.newPrefab;
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.prefabId = json.prefabId;
+    this.oldPrefab = json.oldPrefab;
+    this.newPrefab = json.newPrefab;
+  }
+}
@@ -0,0 +1,61 @@
+import { Command } from '../core/Command.js';
+
+/**
+ * SetProceduralTextureCommand - Adds, changes or removes a procedural texture.
+ * Consecutive changes to the same texture are merged, so dragging a parameter
+ * is one step in the history.
+ */
+export class SetProceduralTextureCommand extends Command {
+  /**
+   * @param {Editor} editor
+   * @param {string} textureId
+   * @param {Object|null} newDefinition - Null removes the texture
+   */
+  constructor(editor, textureId = '', newDefinition = null) {
+    super(editor);
+    this.type = 'SetProceduralTextureCommand';
+    this.name = 'Set Procedural Texture';
+    this.updatable = true;
+
+    this.attributeName = textureId;
+    this.textureId = textureId;
+    this.oldDefinition = textureId !== '' ? editor.proceduralTextures.get(textureId) : null;
+    this.newDefinition = newDefinition;
+  }
+
+  execute() {
+    this.apply(this.newDefinition);
+  }
+
+  undo() {
+    this.apply(this.oldDefinition);
+  }
+
+  update(command) {
+    this.newDefinition = command.newDefinition;
+  }
+
+  apply(definition) {
+    if (definition === null) {
+      this.editor.proceduralTextures.remove(this.textureId);
+    } else {
+      this.editor.proceduralTextures.set(definition);
+    }
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.textureId = this.textureId;
+    json.oldDefinition = this.oldDefinition;
+    json.newDefinition = this.newDefinition;
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.textureId = json.textureId;
+    this.attributeName = json.textureId;
+    this.oldDefinition = json.oldDefinition;
+    this.newDefinition = json.newDefinition;
+  }
+}
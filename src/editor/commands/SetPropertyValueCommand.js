@@ -14,12 +14,25 @@ export class SetPropertyValueCommand extends Command {
   }
 
   execute() {
-    this.editor.propertyUpdater.update(this.object, this.property, this.newValue);
-    this.editor.signals.objectChanged.dispatch(this.object);
+    this.apply(this.newValue);
   }
 
   undo() {
-    this.editor.propertyUpdater.update(this.object, this.property, this.oldValue);
+    this.apply(this.oldValue);
+  }
+
+  apply(value) {
+    const material = this.object.material;
+
+    this.editor.propertyUpdater.update(this.object, this.property, value);
+
+    // A new materialType swaps in a clone of the library material
+    if (this.object.material !== material) {
+      this.editor.removeMaterial(material);
+      this.editor.addMaterial(this.object.material);
+      this.editor.signals.materialChanged.dispatch(this.object, -1);
+    }
+
     this.editor.signals.objectChanged.dispatch(this.object);
   }
 
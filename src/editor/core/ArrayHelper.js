@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+/**
+ * Viewport overlay previewing the copies of a parametric array as translucent
+ * ghosts of the original's meshes.
+ */
+class ArrayHelper extends THREE.Group {
+  constructor() {
+    super();
+
+    this.type = 'ArrayHelper';
+
+    this.material = new THREE.MeshBasicMaterial({
+      color: 0x0088ff,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+    });
+  }
+
+  /**
+   * Rebuild the ghosts.
+   * @param {THREE.Object3D|null} object - Original, or null to clear the preview
+   * @param {THREE.Matrix4[]} [matrices] - World matrices of the copies
+   */
+  update(object, matrices = []) {
+    this.clear();
+
+    if (object === null) return;
+
+    object.updateWorldMatrix(true, true);
+
+    const inverse = object.matrixWorld.clone().invert();
+    const meshes = [];
+
+    object.traverse(function (child) {
+      if (child.isMesh !== true) return;
+
+      meshes.push({
+        geometry: child.geometry,
+        matrix: inverse.clone().multiply(child.matrixWorld),
+      });
+    });
+
+    for (const matrix of matrices) {
+      for (const { geometry, matrix: local } of meshes) {
+        const ghost = new THREE.Mesh(geometry, this.material);
+
+        ghost.matrixAutoUpdate = false;
+        ghost.matrix.multiplyMatrices(matrix, local);
+
+        this.add(ghost);
+      }
+    }
+  }
+
+  dispose() {
+    this.clear();
+    this.material.dispose();
+  }
+}
+
+export { ArrayHelper };
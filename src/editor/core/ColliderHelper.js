@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/addons/geometries/ConvexGeometry.js';
+
+import { ColliderBuilder } from '../../game/ColliderBuilder.js';
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+
+/**
+ * Viewport overlay for the "collision" shading mode: the outlines of the
+ * exported collision shapes of every factory object, colored by collider kind.
+ */
+class ColliderHelper extends THREE.Object3D {
+  constructor() {
+    super();
+
+    this.type = 'ColliderHelper';
+
+    this.materials = {};
+
+    for (const [shape, color] of Object.entries(ColliderBuilder.COLORS)) {
+      this.materials[shape] = new THREE.LineBasicMaterial({ color, depthTest: false });
+    }
+  }
+
+  /**
+   * Rebuild the outlines from the objects under a root object.
+   * @param {THREE.Object3D} root
+   */
+  update(root) {
+    this.clear();
+
+    root.updateMatrixWorld(true);
+    root.traverseVisible((child) => {
+      if (!child.isMesh || !ObjectFactory.isSolid(child.userData.type)) return;
+
+      const body = ColliderBuilder.serializeBody(child, child.uuid);
+      if (body === null) return;
+
+      const geometry = createOutline(body.shapes);
+      const lines = new THREE.LineSegments(geometry, this.materials[body.collider]);
+
+      lines.position.fromArray(body.position);
+      lines.quaternion.fromArray(body.quaternion);
+
+      this.add(lines);
+    });
+  }
+
+  clear() {
+    for (const child of this.children) {
+      child.geometry.dispose();
+    }
+
+    return super.clear();
+  }
+
+  dispose() {
+    this.clear();
+
+    for (const material of Object.values(this.materials)) {
+      material.dispose();
+    }
+  }
+}
+
+function createOutline(shapes) {
+  const positions = [];
+
+  for (const shape of shapes) {
+    let geometry;
+
+    switch (shape.type) {
+      case 'box': {
+        const [x, y, z] = shape.halfExtents;
+        geometry = new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+        geometry.translate(...shape.center);
+        break;
+      }
+
+      case 'cylinder':
+        geometry = new THREE.CylinderGeometry(shape.radius, shape.radius, shape.halfHeight * 2, 16);
+        geometry.translate(...shape.center);
+        break;
+
+      case 'hull':
+        geometry = new ConvexGeometry(shape.points.map((point) => new THREE.Vector3(...point)));
+        break;
+    }
+
+    const edges = new THREE.EdgesGeometry(geometry);
+    positions.push(...edges.getAttribute('position').array);
+
+    edges.dispose();
+    geometry.dispose();
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+  return geometry;
+}
+
+export { ColliderHelper };
@@ -11,6 +11,13 @@ export class Config {
       'editor/grid/size': 100,
       'editor/grid/snap': true,
       'editor/gizmo/size': 0.8,
+      'editor/symmetry/live': false,
+      'editor/symmetry/swapTeams': true,
+      'editor/sockets/snap': true,
+      'editor/walls/height': 3,
+      'editor/walls/thickness': 0.3,
+      'editor/walls/joint': 'pillar',
+      'editor/walls/closed': false,
       'editor/theme': 'dark',
       'editor/shortcuts/translate': 'g',
       'editor/shortcuts/rotate': 'r',
@@ -2,13 +2,23 @@ import * as THREE from 'three';
 import Signal from 'signals';
 
 import { Config } from './Config.js';
+import { LayerManager } from './LayerManager.js';
+import { LibraryMaterialManager } from './LibraryMaterialManager.js';
 import { Loader } from './Loader.js';
 import { History as _History } from './History.js';
 import { Strings } from './Strings.js';
 import { Storage as _Storage } from './Storage.js';
+import { PrefabManager } from './PrefabManager.js';
+import { ProceduralTextureManager } from './ProceduralTextureManager.js';
+import { ScriptManager } from './ScriptManager.js';
+import { Selection } from './Selection.js';
 import { Selector } from './Selector.js';
+import { SpawnPointHelper } from './SpawnPointHelper.js';
+import { SymmetryManager } from './SymmetryManager.js';
 // import { EditorControls } from './EditorControls.js';
 
+import { ReachabilityAnalyzer } from '../../game/ReachabilityAnalyzer.js';
+
 var _DEFAULT_CAMERA = new THREE.PerspectiveCamera(50, 1, 0.001, 1e10);
 _DEFAULT_CAMERA.name = 'Camera';
 _DEFAULT_CAMERA.position.set(0, 5, 10);
@@ -19,6 +29,7 @@ function Editor() {
     // script
 
     editScript: new Signal(),
+    scriptError: new Signal(),
 
     // player
 
@@ -58,6 +69,7 @@ function Editor() {
     geometryChanged: new Signal(),
 
     objectSelected: new Signal(),
+    selectionChanged: new Signal(),
     objectFocused: new Signal(),
 
     objectAdded: new Signal(),
@@ -94,11 +106,33 @@ function Editor() {
     morphTargetsUpdated: new Signal(),
 
     toolChanged: new Signal(),
+    finishWalls: new Signal(),
+
+    navMeshChanged: new Signal(),
+
+    sightlinesChanged: new Signal(),
+
+    movementChanged: new Signal(),
+
+    reachabilityChanged: new Signal(),
+
+    prefabsChanged: new Signal(),
+
+    proceduralTexturesChanged: new Signal(),
+
+    libraryMaterialsChanged: new Signal(),
+
+    layersChanged: new Signal(),
+
+    arrayPreviewChanged: new Signal(),
+
+    levelValidated: new Signal(),
   };
 
   this.config = new Config();
   this.history = new _History(this);
   this.selector = new Selector(this);
+  this.selection = new Selection(this);
   this.storage = new _Storage();
   this.strings = new Strings(this.config);
 
@@ -121,6 +155,12 @@ function Editor() {
   this.materials = {};
   this.textures = {};
   this.scripts = {};
+  this.scriptManager = new ScriptManager(this);
+  this.symmetry = new SymmetryManager(this);
+  this.prefabs = new PrefabManager(this);
+  this.layers = new LayerManager(this);
+  this.proceduralTextures = new ProceduralTextureManager(this);
+  this.libraryMaterials = new LibraryMaterialManager(this);
 
   this.materialsRefCounter = new Map(); // tracks how often is a material used by a 3D object
 
@@ -135,6 +175,13 @@ function Editor() {
   this.viewportShading = 'default';
   this.viewportColor = new THREE.Color();
 
+  this.navMesh = null;
+  this.sightlines = null;
+
+  // Player movement stats of the project, see ReachabilityAnalyzer.DEFAULTS
+  this.movement = { ...ReachabilityAnalyzer.DEFAULTS };
+  this.reachability = null;
+
   this.addCamera(this.camera);
 }
 
@@ -189,6 +236,25 @@ Editor.prototype = {
     this.signals.sceneGraphChanged.dispatch();
   },
 
+  /**
+   * Copy of an object to add to the scene, without the bookkeeping that
+   * belongs to the original: array settings, mirror links and generator marks.
+   * Prefab instances are rebuilt, see PrefabManager.clone.
+   * @param {THREE.Object3D} object
+   * @returns {THREE.Object3D}
+   */
+  cloneObject: function (object) {
+    var copy = this.prefabs.clone(object);
+
+    copy.traverse(function (child) {
+      delete child.userData.array;
+      delete child.userData.mirror;
+      delete child.userData.generated;
+    });
+
+    return copy;
+  },
+
   nameObject: function (object, name) {
     object.name = name;
     this.signals.sceneGraphChanged.dispatch();
@@ -358,6 +424,8 @@ Editor.prototype = {
           helper = new THREE.SkeletonHelper(object.skeleton.bones[0]);
         } else if (object.isBone === true && object.parent && object.parent.isBone !== true) {
           helper = new THREE.SkeletonHelper(object);
+        } else if (object.userData.type === 'spawn_point') {
+          helper = new SpawnPointHelper(object);
         } else {
           // no helper for this object type
           return;
@@ -440,6 +508,33 @@ Editor.prototype = {
     this.signals.viewportShadingChanged.dispatch();
   },
 
+  setNavMesh: function (navMesh) {
+    this.navMesh = navMesh;
+    this.signals.navMeshChanged.dispatch(navMesh);
+  },
+
+  setSightlines: function (sightlines) {
+    this.sightlines = sightlines;
+    this.signals.sightlinesChanged.dispatch(sightlines);
+  },
+
+  setMovement: function (movement) {
+    this.movement = movement;
+    this.signals.movementChanged.dispatch(movement);
+  },
+
+  setReachability: function (reachability) {
+    this.reachability = reachability;
+    this.signals.reachabilityChanged.dispatch(reachability);
+  },
+
+  validateLevel: function () {
+    const issues = this.levelValidator.validate(this.scene);
+    this.signals.levelValidated.dispatch(issues);
+
+    return issues;
+  },
+
   //
 
   select: function (object) {
@@ -469,6 +564,10 @@ Editor.prototype = {
     this.selector.deselect();
   },
 
+  toggleObjectSelection: function (object) {
+    this.selection.toggle(object);
+  },
+
   focus: function (object) {
     if (object !== undefined) {
       this.signals.objectFocused.dispatch(object);
@@ -507,6 +606,11 @@ Editor.prototype = {
     this.textures = {};
     this.scripts = {};
 
+    this.prefabs.clear();
+    this.layers.clear();
+    this.libraryMaterials.clear();
+    this.proceduralTextures.clear();
+
     this.materialsRefCounter.clear();
 
     this.animations = {};
@@ -517,6 +621,11 @@ Editor.prototype = {
     this.backgroundType = 'Default';
     this.environmentType = 'Default';
 
+    this.setNavMesh(null);
+    this.setSightlines(null);
+    this.setMovement({ ...ReachabilityAnalyzer.DEFAULTS });
+    this.setReachability(null);
+
     this.signals.editorCleared.dispatch();
   },
 
@@ -545,15 +654,29 @@ Editor.prototype = {
     this.history.fromJSON(json.history);
     this.scripts = json.scripts;
 
+    this.prefabs.fromJSON(json.prefabs || []);
+    this.layers.fromJSON(json.layers || []);
+    this.proceduralTextures.fromJSON(json.proceduralTextures);
+    this.libraryMaterials.fromJSON(json.libraryMaterials || []);
+
+    this.proceduralTextures.addPlaceholders(json.scene);
+
     const scene = await loader.parseAsync(json.scene);
+    this.prefabs.restore(scene);
+    this.proceduralTextures.restore(scene);
 
     this.backgroundType = json.backgroundType || 'Default';
     this.environmentType = json.environmentType || 'Default';
 
     this.setScene(scene);
+
+    this.setNavMesh(json.navMesh || null);
+    this.setMovement({ ...ReachabilityAnalyzer.DEFAULTS, ...json.movement });
   },
 
-  toJSON: function () {
+  // Projects leave out the images of procedural textures; players, which
+  // can't regenerate them, need `{ textureImages: true }`
+  toJSON: function ({ textureImages = false } = {}) {
     // scripts clean up
 
     var scene = this.scene;
@@ -578,11 +701,19 @@ Editor.prototype = {
       },
       camera: this.viewportCamera.toJSON(),
       controls: this.controls.toJSON(),
-      scene: this.scene.toJSON(),
+      scene: textureImages
+        ? this.prefabs.toSceneJSON()
+        : this.proceduralTextures.removeImages(this.prefabs.toSceneJSON()),
       scripts: this.scripts,
       history: this.history.toJSON(),
       backgroundType: this.backgroundType,
       environmentType: this.environmentType,
+      navMesh: this.navMesh,
+      prefabs: this.prefabs.toJSON(),
+      layers: this.layers.toJSON(),
+      proceduralTextures: this.proceduralTextures.toJSON(),
+      libraryMaterials: this.libraryMaterials.toJSON(),
+      movement: this.movement,
     };
   },
 
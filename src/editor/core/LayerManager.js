@@ -0,0 +1,250 @@
+/**
+ * LayerManager - Named layers that sort the objects of a project, such as
+ * structure, cover, decoration, gameplay markers and lighting.
+ *
+ * An object belongs to the layer in its `userData.layer`, or else to the layer
+ * of its closest ancestor that has one, or else to the default layer. Objects
+ * whose layer was removed belong to the default layer. Layers can
+ * be hidden, locked against selection in the viewport and soloed, and each one
+ * chooses the export targets it is included in. Layer state is project data,
+ * saved with the project but not recorded in the history.
+ */
+export class LayerManager {
+  static DEFAULT = 'default';
+
+  /**
+   * Exports a layer can be left out of: the level JSON, glTF/GLB files and
+   * the other model formats (PLY, STL, USDZ).
+   */
+  static EXPORT_TARGETS = ['level', 'gltf', 'model'];
+
+  constructor(editor) {
+    this.editor = editor;
+    this.layers = [];
+
+    this.clear();
+  }
+
+  /**
+   * Layers in display order, the default layer first.
+   * @returns {Object[]} `{ id, name, visible, locked, solo, exports }`
+   */
+  getLayers() {
+    return this.layers;
+  }
+
+  get(id) {
+    return this.layers.find((layer) => layer.id === id);
+  }
+
+  /**
+   * Add a layer.
+   * @param {string} name
+   * @returns {Object} The new layer
+   */
+  add(name) {
+    const layer = createLayer(this.generateId(), name);
+
+    this.layers.push(layer);
+    this.changed();
+
+    return layer;
+  }
+
+  /**
+   * Generate unique layer ID. Ids are never reused, so objects left on a
+   * removed layer don't join a new one.
+   * @returns {string}
+   */
+  generateId() {
+    return 'layer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Remove a layer; its objects fall back to the default layer.
+   * @param {string} id
+   */
+  remove(id) {
+    if (id === LayerManager.DEFAULT) return;
+
+    this.layers = this.layers.filter((layer) => layer.id !== id);
+    this.changed();
+  }
+
+  /**
+   * Change the name, visibility, lock, solo or exports of a layer.
+   * @param {string} id
+   * @param {Object} values - e.g. `{ locked: true }` or `{ exports: { gltf: false } }`
+   */
+  set(id, values) {
+    const layer = this.get(id);
+
+    if (layer === undefined) return;
+
+    const { exports, ...rest } = values;
+
+    Object.assign(layer, rest);
+    if (exports !== undefined) Object.assign(layer.exports, exports);
+
+    this.changed();
+  }
+
+  /**
+   * Layer an object belongs to.
+   * @param {THREE.Object3D} object
+   * @returns {Object}
+   */
+  getLayer(object) {
+    for (let current = object; current !== null; current = current.parent) {
+      if (current.userData.layer !== undefined) {
+        return this.get(current.userData.layer) ?? this.get(LayerManager.DEFAULT);
+      }
+    }
+
+    return this.get(LayerManager.DEFAULT);
+  }
+
+  /**
+   * Whether the objects of a layer are shown, taking solo layers into account.
+   * @param {Object} layer
+   * @returns {boolean}
+   */
+  isLayerVisible(layer) {
+    const solo = this.layers.some((other) => other.solo);
+
+    return layer.visible && (solo === false || layer.solo);
+  }
+
+  isVisible(object) {
+    return this.isLayerVisible(this.getLayer(object));
+  }
+
+  /**
+   * Whether an object can be picked in the viewport.
+   * @param {THREE.Object3D} object
+   * @returns {boolean}
+   */
+  isSelectable(object) {
+    const layer = this.getLayer(object);
+
+    return layer.locked === false && this.isLayerVisible(layer);
+  }
+
+  /**
+   * Whether an object is included in an export.
+   * @param {THREE.Object3D} object
+   * @param {string} target - One of EXPORT_TARGETS
+   * @returns {boolean}
+   */
+  isExported(object, target) {
+    return this.getLayer(object).exports[target] !== false;
+  }
+
+  /**
+   * Hide the objects of hidden layers, and their helpers, until `restore` is
+   * called with the result. The objects stay visible as far as the scene,
+   * its JSON and the exports are concerned.
+   * @returns {THREE.Object3D[]} The objects that were hidden
+   */
+  hide() {
+    const hidden = [];
+
+    if (this.layers.every((layer) => this.isLayerVisible(layer))) return hidden;
+
+    const helpers = this.editor.helpers;
+
+    const scene = this.editor.scene;
+
+    scene.traverseVisible((object) => {
+      if (object === scene || this.isVisible(object)) return;
+
+      // Hiding the topmost object of a hidden layer hides its children too
+      if (object.parent !== scene && this.isVisible(object.parent) === false) return;
+
+      hidden.push(object);
+
+      object.traverse((child) => {
+        const helper = helpers[child.id];
+        if (helper !== undefined && helper.visible) hidden.push(helper);
+      });
+    });
+
+    for (const object of hidden) object.visible = false;
+
+    return hidden;
+  }
+
+  restore(hidden) {
+    for (const object of hidden) object.visible = true;
+  }
+
+  /**
+   * Copy of a scene without the objects of layers left out of an export.
+   * @param {THREE.Object3D} root
+   * @param {string} target - One of EXPORT_TARGETS
+   * @param {Function} clone - Clones an object, e.g. SkeletonUtils.clone
+   * @returns {THREE.Object3D}
+   */
+  filterForExport(root, target, clone) {
+    const excluded = [];
+
+    root.traverse((object) => {
+      if (object === root || this.isExported(object, target)) return;
+      if (object.parent !== root && this.isExported(object.parent, target) === false) return;
+
+      excluded.push([object, object.parent, object.parent.children.indexOf(object)]);
+    });
+
+    if (excluded.length === 0) return root;
+
+    // Leave the excluded objects out while cloning, then put them back
+    for (const [object] of excluded) object.removeFromParent();
+
+    try {
+      return clone(root);
+    } finally {
+      for (const [object, parent, index] of excluded) {
+        parent.children.splice(index, 0, object);
+        object.parent = parent;
+      }
+    }
+  }
+
+  /**
+   * Remove all layers but an empty default layer.
+   */
+  clear() {
+    this.layers = [createLayer(LayerManager.DEFAULT, 'Default')];
+    this.changed();
+  }
+
+  changed() {
+    this.editor.signals.layersChanged.dispatch();
+  }
+
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.layers));
+  }
+
+  fromJSON(json) {
+    this.layers = json.map((layer) => ({
+      ...createLayer(layer.id, layer.name),
+      ...layer,
+      exports: { ...createLayer(layer.id, layer.name).exports, ...layer.exports },
+    }));
+
+    if (this.get(LayerManager.DEFAULT) === undefined) {
+      this.layers.unshift(createLayer(LayerManager.DEFAULT, 'Default'));
+    }
+
+    this.changed();
+  }
+}
+
+function createLayer(id, name) {
+  const exports = {};
+
+  for (const target of LayerManager.EXPORT_TARGETS) exports[target] = true;
+
+  return { id, name, visible: true, locked: false, solo: false, exports };
+}
@@ -0,0 +1,151 @@
+import { MaterialsLibrary } from '../../game/MaterialsLibrary.js';
+
+/**
+ * LibraryMaterialManager - The custom materials of a project, kept in the
+ * materials library next to the built-in ones (see MaterialsLibrary).
+ *
+ * Objects use a library material through `userData.materialType` and hold a
+ * clone of it. When a custom material changes, the changed values are copied
+ * onto every clone, so their other values and baked maps are kept.
+ */
+export class LibraryMaterialManager {
+  constructor(editor) {
+    this.editor = editor;
+  }
+
+  get library() {
+    return this.editor.objectFactory.materials;
+  }
+
+  /**
+   * Definitions of all custom materials.
+   * @returns {Object[]} `{ id, name, ...values }`
+   */
+  getAll() {
+    return this.library.getMaterialDefinitions();
+  }
+
+  /**
+   * Definition of a custom or built-in material.
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.library.getMaterialDefinition(id);
+  }
+
+  has(id) {
+    return this.library.has(id);
+  }
+
+  isBuiltIn(id) {
+    return this.library.isBuiltIn(id);
+  }
+
+  /**
+   * Built-in and custom material ids with the names they are shown with.
+   * @returns {Object} `{ [id]: label }`
+   */
+  getOptions() {
+    const options = {};
+
+    for (const id of this.library.getNames()) options[id] = this.library.getLabel(id);
+
+    return options;
+  }
+
+  /**
+   * Add a custom material, or replace the one with the same id.
+   * @param {Object} definition
+   */
+  set(definition) {
+    const previous = this.has(definition.id) ? this.get(definition.id) : null;
+
+    this.library.setMaterial(definition);
+
+    if (previous !== null) this.refresh(definition.id, previous);
+
+    this.editor.signals.libraryMaterialsChanged.dispatch();
+  }
+
+  /**
+   * Remove a custom material. Objects that use it keep their copy.
+   * @param {string} id
+   */
+  remove(id) {
+    this.library.removeMaterial(id);
+    this.editor.signals.libraryMaterialsChanged.dispatch();
+  }
+
+  /**
+   * Objects that use a library material.
+   * @param {string} id
+   * @returns {THREE.Object3D[]}
+   */
+  getUsers(id) {
+    const users = [];
+
+    this.editor.scene.traverse(function (object) {
+      if (object.material !== undefined && object.userData.materialType === id) {
+        users.push(object);
+      }
+    });
+
+    return users;
+  }
+
+  /**
+   * Generate unique custom material ID.
+   * @returns {string}
+   */
+  generateId() {
+    return 'material_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Copy the values of a library material that differ from its previous
+   * definition onto the materials of the objects that use it.
+   * @param {string} id
+   * @param {Object} previous - Definition before the change
+   */
+  refresh(id, previous) {
+    const definition = this.get(id);
+    const values = {};
+
+    for (const key of [...Object.keys(MaterialsLibrary.PROPERTIES), ...MaterialsLibrary.MAPS]) {
+      if (definition[key] !== previous[key]) values[key] = definition[key];
+    }
+
+    if (Object.keys(values).length === 0) return;
+
+    for (const object of this.getUsers(id)) {
+      this.library.applyValues(object.material, values);
+
+      this.editor.signals.materialChanged.dispatch(object, -1);
+    }
+  }
+
+  /**
+   * Remove all custom materials.
+   */
+  clear() {
+    this.library.resetMaterials();
+    this.editor.signals.libraryMaterialsChanged.dispatch();
+  }
+
+  toJSON() {
+    return this.getAll();
+  }
+
+  /**
+   * Load the custom materials of a project.
+   * @param {Object[]} json
+   */
+  fromJSON(json) {
+    this.library.resetMaterials();
+
+    for (const definition of json) this.library.setMaterial(definition);
+
+    this.editor.signals.libraryMaterialsChanged.dispatch();
+  }
+}
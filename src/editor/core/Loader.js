@@ -3,12 +3,17 @@ import * as THREE from 'three';
 import { TGALoader } from 'three/addons/loaders/TGALoader.js';
 
 import { AddObjectCommand } from '../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../commands/MultiCmdsCommand.js';
+import { SetPrefabCommand } from '../commands/SetPrefabCommand.js';
 import { SetSceneCommand } from '../commands/SetSceneCommand.js';
 
 import { LoaderUtils } from './LoaderUtils.js';
 
 import { GLTFImportDialog } from './GLTFImportDialog.js';
 
+import { LevelSchema } from '../../game/LevelSchema.js';
+import { LightmapBaker } from '../../game/LightmapBaker.js';
+
 import { unzipSync, strFromU8 } from 'three/addons/libs/fflate.module.js';
 
 function Loader(editor) {
@@ -704,6 +709,14 @@ function Loader(editor) {
   };
 
   function handleJSON(data) {
+    if (data.metadata === undefined && Array.isArray(data.objects)) {
+      // unversioned level export
+
+      handleLevel(data);
+
+      return;
+    }
+
     if (data.metadata === undefined) {
       // 2.0
 
@@ -752,6 +765,80 @@ function Loader(editor) {
         editor.fromJSON(data);
 
         break;
+
+      case 'level':
+        handleLevel(data);
+
+        break;
+    }
+  }
+
+  function handleLevel(data) {
+    const serializer = editor.sceneSerializer;
+    const { level, migrated, errors } = serializer.parseLevel(data);
+
+    if (errors.length > 0) {
+      console.error('Loader: Invalid level.', errors);
+      alert(
+        editor.strings.getKey('prompt/file/invalidLevel') +
+          '\n\n' +
+          LevelSchema.formatErrors(errors)
+      );
+
+      return;
+    }
+
+    if (migrated.length > 0) {
+      console.log('Loader: Level upgraded to version ' + migrated[migrated.length - 1] + '.');
+    }
+
+    const lightmaps = new Map((level.lightmaps || []).map((entry) => [entry.id, entry]));
+
+    const commands = serializer.deserializeObjects(level, editor.objectFactory).map(function (obj) {
+      obj.mesh.userData = obj.data;
+      obj.mesh.uuid = obj.id;
+      obj.mesh.name = `Object_${obj.id}`;
+
+      if (lightmaps.has(obj.id) && LightmapBaker.apply(obj.mesh, lightmaps.get(obj.id)) === false) {
+        console.warn('Loader: Lightmap of ' + obj.id + ' does not fit its geometry.');
+      }
+
+      return new AddObjectCommand(editor, obj.mesh);
+    });
+
+    // Prefabs replace those with the same id, then their instances are placed
+    const prefabs = new Map((level.prefabs || []).map((prefab) => [prefab.id, prefab]));
+
+    for (const prefab of prefabs.values()) {
+      const definition = { ...prefab };
+      delete definition.bodies; // collision shapes are rebuilt on export
+
+      prefabs.set(prefab.id, definition);
+      commands.push(new SetPrefabCommand(editor, prefab.id, definition));
+    }
+
+    for (const entry of level.instances || []) {
+      const prefab = prefabs.get(entry.prefab) ?? editor.prefabs.library.get(entry.prefab);
+
+      if (prefab === null) {
+        console.warn('Loader: Unknown prefab ' + entry.prefab + '.');
+        continue;
+      }
+
+      const instance = editor.prefabs.instantiate(prefab, entry.overrides, entry.id);
+      instance.position.fromArray(entry.position);
+      instance.rotation.fromArray(entry.rotation);
+      instance.scale.fromArray(entry.scale);
+
+      commands.push(new AddObjectCommand(editor, instance));
+    }
+
+    if (commands.length > 0) {
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Import Level');
+    }
+
+    if (level.navmesh !== undefined) {
+      editor.setNavMesh(level.navmesh);
     }
   }
 
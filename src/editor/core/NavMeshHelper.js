@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+/**
+ * Viewport overlay for a baked navmesh: translucent polygons with their
+ * outlines, lifted slightly above the walkable surfaces to avoid z-fighting.
+ */
+class NavMeshHelper extends THREE.Object3D {
+  constructor() {
+    super();
+
+    this.type = 'NavMeshHelper';
+
+    this.surface = new THREE.Mesh(
+      new THREE.BufferGeometry(),
+      new THREE.MeshBasicMaterial({
+        color: 0x00ffff,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      })
+    );
+    this.add(this.surface);
+
+    this.outline = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.6 })
+    );
+    this.add(this.outline);
+
+    this.position.y = 0.02;
+    this.update(null);
+  }
+
+  /**
+   * Rebuild the overlay from navmesh data.
+   * @param {Object|null} navMesh
+   */
+  update(navMesh) {
+    const positions = [];
+    const indices = [];
+    const edges = [];
+
+    if (navMesh !== null) {
+      navMesh.vertices.forEach((vertex) => positions.push(...vertex));
+
+      for (const polygon of navMesh.polygons) {
+        for (let i = 1; i < polygon.length - 1; i++) {
+          indices.push(polygon[0], polygon[i], polygon[i + 1]);
+        }
+
+        polygon.forEach((index, i) => edges.push(index, polygon[(i + 1) % polygon.length]));
+      }
+    }
+
+    const position = new THREE.Float32BufferAttribute(positions, 3);
+
+    this.surface.geometry.dispose();
+    this.surface.geometry = new THREE.BufferGeometry();
+    this.surface.geometry.setAttribute('position', position);
+    this.surface.geometry.setIndex(indices);
+
+    this.outline.geometry.dispose();
+    this.outline.geometry = new THREE.BufferGeometry();
+    this.outline.geometry.setAttribute('position', position);
+    this.outline.geometry.setIndex(edges);
+
+    this.surface.visible = this.outline.visible = navMesh !== null;
+  }
+
+  dispose() {
+    this.surface.geometry.dispose();
+    this.surface.material.dispose();
+    this.outline.geometry.dispose();
+    this.outline.material.dispose();
+  }
+}
+
+export { NavMeshHelper };
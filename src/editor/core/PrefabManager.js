@@ -0,0 +1,542 @@
+import * as THREE from 'three';
+import { clone } from 'three/addons/utils/SkeletonUtils.js';
+
+import { PrefabLibrary } from '../../game/PrefabLibrary.js';
+
+// Editor-only object data that prefabs don't hold
+const EDITOR_KEYS = ['mirror', 'array', 'layer', 'generated'];
+
+/**
+ * PrefabManager - Keeps the prefabs of a project and their linked instances.
+ *
+ * An instance is a group with `userData.prefab = { id, overrides }` whose
+ * children are built from the prefab; each child's uuid is
+ * `<instance uuid>-<prefab object id>`. Editing the contents of any instance
+ * edits the prefab once the edit is committed to the history, and the change
+ * is copied to the other instances, except for
+ * the material and custom data of an object, which are kept per instance as
+ * overrides. Like live symmetry, copying is not recorded in the history.
+ */
+export class PrefabManager {
+  constructor(editor) {
+    this.editor = editor;
+    this.library = new PrefabLibrary();
+
+    this.syncing = false;
+    this.playing = false;
+
+    // Instances edited since the last command, synced once the edit is
+    // committed rather than on every frame of a drag
+    this.edited = new Set();
+
+    const signals = editor.signals;
+
+    signals.objectChanged.add((object) => {
+      if (this.syncing || this.playing) return;
+      if (object !== null && this.isInstance(object.parent)) this.edited.add(object.parent);
+    });
+
+    signals.historyChanged.add(() => {
+      const instances = [...this.edited];
+
+      this.edited.clear();
+
+      for (const instance of instances) {
+        if (this.isInstance(instance) && isInScene(instance, editor.scene)) this.sync(instance);
+      }
+    });
+
+    // Objects added to or removed from an instance change the prefab too
+    signals.sceneGraphChanged.add(() => {
+      for (const instance of this.getInstances()) {
+        if (!this.matchesPrefab(instance)) this.sync(instance);
+      }
+    });
+
+    signals.startPlayer.add(() => (this.playing = true));
+    signals.stopPlayer.add(() => (this.playing = false));
+  }
+
+  /**
+   * Check if an object is an instance of a known prefab.
+   * @param {THREE.Object3D|null} object
+   * @returns {boolean}
+   */
+  isInstance(object) {
+    return (
+      object !== null &&
+      object !== undefined &&
+      object.userData.prefab !== undefined &&
+      this.library.has(object.userData.prefab.id)
+    );
+  }
+
+  /**
+   * Instance an object is, or belongs to.
+   * @param {THREE.Object3D|null} object
+   * @returns {THREE.Object3D|null}
+   */
+  getInstance(object) {
+    if (this.isInstance(object)) return object;
+    if (object !== null && this.isInstance(object.parent)) return object.parent;
+
+    return null;
+  }
+
+  /**
+   * Instances in the scene, of one prefab or of all of them.
+   * @param {string} [id] - Prefab id
+   * @param {THREE.Object3D} [root]
+   * @returns {THREE.Object3D[]}
+   */
+  getInstances(id, root = this.editor.scene) {
+    const instances = [];
+
+    root.traverse((child) => {
+      if (this.isInstance(child) && (id === undefined || child.userData.prefab.id === id)) {
+        instances.push(child);
+      }
+    });
+
+    return instances;
+  }
+
+  /**
+   * Id of the prefab object an instance child was built from. Objects added to
+   * the instance since are known by their own uuid.
+   * @param {THREE.Object3D} instance
+   * @param {THREE.Object3D} child
+   * @returns {string}
+   */
+  getObjectId(instance, child) {
+    const prefix = instance.uuid + '-';
+
+    return child.uuid.startsWith(prefix) ? child.uuid.slice(prefix.length) : child.uuid;
+  }
+
+  /**
+   * Overridden fields of an instance, by prefab object id.
+   * @param {THREE.Object3D} instance
+   * @param {Object} [prefab] - Defaults to the instance's prefab
+   * @returns {Object}
+   */
+  getOverrides(instance, prefab = this.library.get(instance.userData.prefab.id)) {
+    const overrides = {};
+
+    for (const child of getPrefabObjects(instance)) {
+      const id = this.getObjectId(instance, child);
+      const object = prefab.objects.find((entry) => entry.id === id);
+
+      if (object === undefined) continue;
+
+      const fields = PrefabLibrary.getOverrides(object, child.userData);
+      if (fields !== null) overrides[id] = fields;
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Create a prefab from factory objects, placed relative to a pivot. Spawn
+   * points are left out, and so are trigger links to objects outside the prefab.
+   * The prefab is not added to the library.
+   * @param {string} name
+   * @param {THREE.Object3D[]} objects - Factory objects
+   * @param {THREE.Vector3} pivot - World position of the prefab origin
+   * @returns {Object}
+   */
+  createPrefab(name, objects, pivot) {
+    const serializer = this.editor.sceneSerializer;
+
+    const origin = new THREE.Object3D();
+    origin.position.copy(pivot);
+
+    const members = objects.filter((object) => PrefabLibrary.isPrefabObject(object.userData));
+    const ids = new Map(members.map((object, index) => [object.uuid, String(index)]));
+
+    return {
+      id: this.library.generateId(),
+      name,
+      objects: members.map((object) => {
+        const entry = serializer.serializeObject(
+          { id: ids.get(object.uuid), mesh: object, data: object.userData },
+          origin
+        );
+
+        delete entry.generated;
+
+        return mapTriggerTargets(entry, (target) => ids.get(target));
+      }),
+    };
+  }
+
+  /**
+   * Create an instance of a prefab, at the origin.
+   * @param {Object} prefab
+   * @param {Object} [overrides] - Overridden fields by prefab object id
+   * @param {string} [uuid] - Uuid of the instance, e.g. its id in a level
+   * @returns {THREE.Group}
+   */
+  instantiate(prefab, overrides = {}, uuid = null) {
+    const instance = new THREE.Group();
+
+    if (uuid !== null) instance.uuid = uuid;
+
+    instance.name = prefab.name;
+    instance.userData = { prefab: { id: prefab.id, overrides } };
+
+    this.build(instance, prefab, overrides);
+
+    return instance;
+  }
+
+  /**
+   * Clone an object. The instances in it are built anew from their prefabs,
+   * with the overrides of the originals, so that their children get the uuids
+   * of the copies rather than random ones.
+   * @param {THREE.Object3D} object
+   * @returns {THREE.Object3D}
+   */
+  clone(object) {
+    const copy = clone(object);
+    const copies = this.getInstances(undefined, copy);
+
+    this.getInstances(undefined, object).forEach((source, index) => {
+      const prefab = this.library.get(source.userData.prefab.id);
+
+      this.build(copies[index], prefab, this.getOverrides(source, prefab));
+    });
+
+    return copy;
+  }
+
+  /**
+   * Add or replace a prefab and update its instances. Instances keep their
+   * overrides, or take the given ones.
+   * @param {Object} prefab
+   * @param {Map<string, Object>} [overrides] - Overrides by instance uuid
+   * @param {THREE.Object3D} [source] - Instance the change comes from, left as it is
+   */
+  set(prefab, overrides = null, source = null) {
+    const previous = this.library.get(prefab.id);
+    const instances = this.getInstances(prefab.id).filter((instance) => instance !== source);
+
+    if (overrides === null) {
+      overrides = new Map(
+        instances.map((instance) => [
+          instance.uuid,
+          previous !== null ? this.getOverrides(instance, previous) : {},
+        ])
+      );
+    }
+
+    this.library.add(prefab);
+
+    const signals = this.editor.signals;
+    const syncing = this.syncing;
+
+    this.syncing = true;
+    signals.sceneGraphChanged.active = false;
+
+    for (const instance of instances) {
+      this.build(instance, prefab, overrides.get(instance.uuid) ?? {});
+    }
+
+    signals.sceneGraphChanged.active = true;
+    this.syncing = syncing;
+
+    if (instances.length > 0) signals.sceneGraphChanged.dispatch();
+    signals.prefabsChanged.dispatch();
+  }
+
+  /**
+   * Remove a prefab. Its instances become plain groups.
+   * @param {string} id
+   */
+  remove(id) {
+    this.library.remove(id);
+    this.editor.signals.prefabsChanged.dispatch();
+  }
+
+  /**
+   * Overrides of every instance of a prefab, by instance uuid.
+   * @param {string} id
+   * @returns {Map<string, Object>}
+   */
+  getAllOverrides(id) {
+    return new Map(
+      this.getInstances(id).map((instance) => [instance.uuid, this.getOverrides(instance)])
+    );
+  }
+
+  /**
+   * Make an instance's children match a prefab. Children built from the same
+   * prefab object are updated in place, so commands that refer to them stay
+   * valid and their materials keep per-object changes such as baked lightmaps.
+   * @param {THREE.Object3D} instance
+   * @param {Object} prefab
+   * @param {Object} overrides - Overridden fields by prefab object id
+   */
+  build(instance, prefab, overrides) {
+    const editor = this.editor;
+    const inScene = isInScene(instance, editor.scene);
+
+    const children = new Map(
+      getPrefabObjects(instance).map((child) => [this.getObjectId(instance, child), child])
+    );
+
+    for (const object of prefab.objects) {
+      const entry = mapTriggerTargets(
+        PrefabLibrary.applyOverrides(object, overrides[object.id]),
+        (target) => instance.uuid + '-' + target
+      );
+
+      const child = children.get(object.id);
+
+      children.delete(object.id);
+
+      if (child !== undefined && child.userData.type === entry.type) {
+        updateChild(editor, child, entry, inScene);
+
+        if (inScene) editor.signals.objectChanged.dispatch(child);
+
+        continue;
+      }
+
+      if (child !== undefined) removeChild(editor, child, inScene);
+
+      const { mesh, data } = editor.sceneSerializer.deserializeObject(entry, editor.objectFactory);
+
+      mesh.uuid = instance.uuid + '-' + object.id;
+      mesh.name = `Object_${mesh.uuid}`;
+      mesh.userData = data;
+
+      if (inScene) {
+        editor.addObject(mesh, instance, instance.children.length);
+      } else {
+        instance.add(mesh);
+      }
+    }
+
+    for (const child of children.values()) removeChild(editor, child, inScene);
+
+    instance.userData.prefab.overrides = overrides;
+  }
+
+  /**
+   * Check if an instance has a child for each object of its prefab, and no other.
+   * @param {THREE.Object3D} instance
+   * @returns {boolean}
+   */
+  matchesPrefab(instance) {
+    const prefab = this.library.get(instance.userData.prefab.id);
+    const ids = getPrefabObjects(instance).map((child) => this.getObjectId(instance, child));
+
+    return (
+      ids.length === prefab.objects.length &&
+      prefab.objects.every((object) => ids.includes(object.id))
+    );
+  }
+
+  /**
+   * Copy an edited instance into its prefab and update the other instances.
+   * Overridable fields of existing objects are kept as they are in the prefab.
+   * @param {THREE.Object3D} instance
+   */
+  sync(instance) {
+    if (this.syncing || this.playing) return;
+
+    const serializer = this.editor.sceneSerializer;
+    const prefab = this.library.get(instance.userData.prefab.id);
+
+    const children = getPrefabObjects(instance);
+    const ids = new Map(children.map((child) => [child.uuid, this.getObjectId(instance, child)]));
+
+    const objects = children.map((child) => {
+      const id = ids.get(child.uuid);
+      const entry = serializer.serializeObject({ id, mesh: child, data: child.userData }, instance);
+      const previous = prefab.objects.find((object) => object.id === id);
+
+      if (previous !== undefined) {
+        for (const key of PrefabLibrary.OVERRIDES) {
+          if (previous[key] === undefined) {
+            delete entry[key];
+          } else {
+            entry[key] = previous[key];
+          }
+        }
+      }
+
+      delete entry.generated;
+
+      return mapTriggerTargets(entry, (target) => ids.get(target));
+    });
+
+    if (JSON.stringify(objects) === JSON.stringify(prefab.objects)) return;
+
+    this.set({ ...prefab, objects }, null, instance);
+  }
+
+  /**
+   * Store the current overrides of every instance in its `userData.prefab`.
+   */
+  updateOverrides() {
+    for (const instance of this.getInstances()) {
+      instance.userData.prefab.overrides = this.getOverrides(instance);
+    }
+  }
+
+  /**
+   * Serialize the scene with the contents of instances left out, since they
+   * are rebuilt from their prefab when the project is loaded.
+   * @returns {Object}
+   */
+  toSceneJSON() {
+    this.updateOverrides();
+
+    const detached = this.getInstances().map((instance) => {
+      const children = getPrefabObjects(instance);
+
+      instance.children = instance.children.filter((child) => !children.includes(child));
+
+      return [instance, children];
+    });
+
+    try {
+      return this.editor.scene.toJSON();
+    } finally {
+      for (const [instance, children] of detached) instance.children.push(...children);
+    }
+  }
+
+  /**
+   * Build the contents of the instances in a loaded scene.
+   * @param {THREE.Object3D} scene
+   */
+  restore(scene) {
+    for (const instance of this.getInstances(undefined, scene)) {
+      const prefab = this.library.get(instance.userData.prefab.id);
+
+      this.build(instance, prefab, instance.userData.prefab.overrides || {});
+    }
+  }
+
+  /**
+   * Level sections for the instances in the scene and the prefabs they use.
+   * @param {Function} [filter] - Keeps the instances it returns true for
+   * @returns {{ prefabs?: Object[], instances?: Object[] }}
+   */
+  toLevel(filter = () => true) {
+    const editor = this.editor;
+    const serializer = editor.sceneSerializer;
+
+    this.updateOverrides();
+
+    const instances = serializer
+      .collectInstances(editor.scene)
+      .filter((instance) => this.library.has(instance.data.id) && filter(instance.mesh));
+
+    if (instances.length === 0) return {};
+
+    const ids = new Set(instances.map((instance) => instance.data.id));
+
+    return {
+      prefabs: [...ids].map((id) =>
+        serializer.serializePrefab(this.library.get(id), editor.objectFactory)
+      ),
+      instances: instances.map((instance) => serializer.serializeInstance(instance)),
+    };
+  }
+
+  /**
+   * Remove all prefabs.
+   */
+  clear() {
+    this.library.clear();
+    this.editor.signals.prefabsChanged.dispatch();
+  }
+
+  toJSON() {
+    return this.library.toJSON();
+  }
+
+  fromJSON(json) {
+    this.library.fromJSON(json);
+    this.editor.signals.prefabsChanged.dispatch();
+  }
+}
+
+/**
+ * Children of an instance that belong to its prefab.
+ */
+function getPrefabObjects(instance) {
+  return instance.children.filter((child) => PrefabLibrary.isPrefabObject(child.userData));
+}
+
+/**
+ * Copy of an object entry with its trigger link targets mapped, dropping the
+ * links the mapping returns undefined for.
+ */
+function mapTriggerTargets(entry, map) {
+  if (entry.trigger === undefined) return entry;
+
+  const links = entry.trigger.links
+    .map((link) => ({ ...link, target: map(link.target) }))
+    .filter((link) => link.target !== undefined);
+
+  return { ...entry, trigger: { ...entry.trigger, links } };
+}
+
+/**
+ * Update an instance child from a prefab object entry. Its material is only
+ * replaced when the entry names another one.
+ */
+function updateChild(editor, child, entry, inScene) {
+  const { position, rotation, scale, ...data } = entry;
+  const materials = editor.objectFactory.materials;
+
+  child.position.fromArray(position);
+  child.rotation.fromArray(rotation);
+  child.scale.fromArray(scale);
+
+  const userData = {};
+
+  for (const key of EDITOR_KEYS) {
+    if (child.userData[key] !== undefined) userData[key] = child.userData[key];
+  }
+
+  delete data.id;
+
+  Object.assign(userData, JSON.parse(JSON.stringify(data)), {
+    position: { x: position[0], y: position[1], z: position[2] },
+    rotation: { x: rotation[0], y: rotation[1], z: rotation[2] },
+    scale: { x: scale[0], y: scale[1], z: scale[2] },
+  });
+
+  if (
+    userData.materialType !== child.userData.materialType &&
+    materials.has(userData.materialType)
+  ) {
+    const material = materials.get(userData.materialType);
+
+    if (inScene) editor.removeMaterial(child.material);
+    child.material = material;
+    if (inScene) editor.addMaterial(material);
+  }
+
+  child.userData = userData;
+}
+
+function isInScene(object, scene) {
+  while (object.parent !== null) object = object.parent;
+
+  return object === scene;
+}
+
+function removeChild(editor, child, inScene) {
+  if (inScene) {
+    editor.removeObject(child);
+  } else {
+    child.removeFromParent();
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * ProceduralTextureManager - The procedural textures of a project, kept in
+ * the materials library (see MaterialsLibrary).
+ *
+ * Their textures carry `userData.procedural = id`. When a procedural texture
+ * changes, its new texture replaces the old one in every material of the scene.
+ * Projects save the definitions only and regenerate the images on load.
+ */
+export class ProceduralTextureManager {
+  constructor(editor) {
+    this.editor = editor;
+  }
+
+  get library() {
+    return this.editor.objectFactory.materials;
+  }
+
+  /**
+   * Definitions of all procedural textures.
+   * @returns {Object[]} `{ id, name, type, params }`
+   */
+  getAll() {
+    return this.library.getTextureDefinitions();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.library.getTextureDefinition(id);
+  }
+
+  /**
+   * Generated texture of a procedural texture.
+   * @param {string} id
+   * @returns {THREE.Texture|null}
+   */
+  getTexture(id) {
+    return this.library.getTexture(id);
+  }
+
+  has(id) {
+    return this.library.hasTexture(id);
+  }
+
+  /**
+   * Add a procedural texture, or replace the one with the same id.
+   * @param {Object} definition
+   */
+  set(definition) {
+    this.replace(this.library.setTexture(definition), this.library.getTexture(definition.id));
+    this.editor.signals.proceduralTexturesChanged.dispatch();
+  }
+
+  /**
+   * Remove a procedural texture; materials that used it lose the map.
+   * @param {string} id
+   */
+  remove(id) {
+    this.replace(this.library.removeTexture(id), null);
+    this.editor.signals.proceduralTexturesChanged.dispatch();
+  }
+
+  /**
+   * Objects whose materials use a procedural texture.
+   * @param {string} id
+   * @returns {THREE.Object3D[]}
+   */
+  getUsers(id) {
+    const texture = this.getTexture(id);
+    const users = [];
+
+    this.editor.scene.traverse(function (object) {
+      if (getMaterials(object).some((material) => getMapNames(material, texture).length > 0)) {
+        users.push(object);
+      }
+    });
+
+    return users;
+  }
+
+  /**
+   * Whether objects or library materials use a procedural texture.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isUsed(id) {
+    const texture = this.getTexture(id);
+    const materials = Object.values(this.library.materials);
+
+    return (
+      materials.some((material) => getMapNames(material, texture).length > 0) ||
+      this.getUsers(id).length > 0
+    );
+  }
+
+  /**
+   * Generate unique procedural texture ID.
+   * @returns {string}
+   */
+  generateId() {
+    return 'texture_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Swap a texture in the materials of the scene.
+   * @param {THREE.Texture|null} previous
+   * @param {THREE.Texture|null} texture
+   */
+  replace(previous, texture) {
+    if (previous === null) return;
+
+    const signals = this.editor.signals;
+
+    this.editor.scene.traverse(function (object) {
+      getMaterials(object).forEach((material, slot) => {
+        const mapNames = getMapNames(material, previous);
+
+        if (mapNames.length === 0) return;
+
+        for (const mapName of mapNames) material[mapName] = texture;
+        material.needsUpdate = true;
+
+        signals.materialChanged.dispatch(object, Array.isArray(object.material) ? slot : -1);
+      });
+    });
+  }
+
+  /**
+   * Go back to the built-in procedural textures.
+   */
+  clear() {
+    this.library.resetTextures();
+    this.editor.signals.proceduralTexturesChanged.dispatch();
+  }
+
+  toJSON() {
+    return this.getAll();
+  }
+
+  /**
+   * Load the procedural textures of a project, regenerating their images.
+   * @param {Object[]} [json] - Projects without any keep the built-in ones
+   */
+  fromJSON(json) {
+    if (json === undefined) return;
+
+    for (const definition of this.getAll()) {
+      if (!json.some((entry) => entry.id === definition.id))
+        this.library.removeTexture(definition.id);
+    }
+
+    for (const definition of json) this.library.setTexture(definition);
+
+    this.editor.signals.proceduralTexturesChanged.dispatch();
+  }
+
+  /**
+   * Leave the images of procedural textures out of a scene's JSON.
+   * @param {Object} json - Output of Object3D.toJSON
+   * @returns {Object} The same JSON
+   */
+  removeImages(json) {
+    const textures = json.textures || [];
+    const procedural = new Set();
+    const kept = new Set();
+
+    for (const texture of textures) {
+      (texture.userData?.procedural !== undefined ? procedural : kept).add(texture.image);
+    }
+
+    if (json.images !== undefined) {
+      json.images = json.images.filter(
+        (image) => !procedural.has(image.uuid) || kept.has(image.uuid)
+      );
+    }
+
+    return json;
+  }
+
+  /**
+   * Stand in blank images for the ones `removeImages` left out, so the scene
+   * can be parsed before `restore` puts the procedural textures back.
+   * @param {Object} json - Scene JSON
+   */
+  addPlaceholders(json) {
+    const images = json.images || [];
+    const uuids = new Set(images.map((image) => image.uuid));
+
+    for (const texture of json.textures || []) {
+      if (texture.userData?.procedural === undefined || uuids.has(texture.image)) continue;
+
+      images.push({
+        uuid: texture.image,
+        url: { data: [0, 0, 0, 255], width: 1, height: 1, type: 'Uint8Array' },
+      });
+      uuids.add(texture.image);
+    }
+
+    json.images = images;
+  }
+
+  /**
+   * Give the materials of a loaded scene the generated textures of the
+   * procedural textures they use.
+   * @param {THREE.Object3D} scene
+   */
+  restore(scene) {
+    scene.traverse((object) => {
+      for (const material of getMaterials(object)) {
+        for (const property in material) {
+          const id = material[property]?.userData?.procedural;
+
+          if (id === undefined || !material[property].isTexture) continue;
+
+          material[property] = this.getTexture(id);
+          material.needsUpdate = true;
+        }
+      }
+    });
+  }
+}
+
+function getMaterials(object) {
+  if (object.material === undefined) return [];
+
+  return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+// Properties of a material that hold a texture
+function getMapNames(material, texture) {
+  if (texture === null) return [];
+
+  return Object.keys(material).filter((property) => material[property] === texture);
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+const TWO_WAY_COLOR = new THREE.Color(0x00ff88);
+const ONE_WAY_COLOR = new THREE.Color(0xffaa00);
+
+// Segments per arc
+const ARC_DIVISIONS = 12;
+
+// Arcs peak this far above their higher end
+const ARC_HEIGHT = 0.5;
+
+/**
+ * Viewport overlay for a reachability analysis: an arc for every jump or
+ * drop between surfaces, green when it can be made both ways and orange when
+ * only one way, and a red box around every orphan surface. Walking between
+ * touching surfaces is not drawn.
+ */
+class ReachabilityHelper extends THREE.Object3D {
+  constructor() {
+    super();
+
+    this.type = 'ReachabilityHelper';
+
+    this.arcs = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true })
+    );
+    this.add(this.arcs);
+
+    this.orphans = new THREE.Group();
+    this.add(this.orphans);
+
+    this.update(null);
+  }
+
+  /**
+   * Rebuild the overlay from analysis results.
+   * @param {Object|null} reachability - See ReachabilityAnalyzer.analyze
+   */
+  update(reachability) {
+    const positions = [];
+    const colors = [];
+
+    for (const helper of this.orphans.children) helper.dispose();
+    this.orphans.clear();
+
+    if (reachability !== null) {
+      const { surfaces, links, orphans } = reachability;
+
+      const pairs = new Set(links.map((link) => link.from + ':' + link.to));
+
+      for (const link of links) {
+        if (link.type === 'walk') continue;
+
+        const twoWay = pairs.has(link.to + ':' + link.from);
+
+        // Links made both ways are drawn once
+        if (twoWay && link.from > link.to) continue;
+
+        const color = twoWay ? TWO_WAY_COLOR : ONE_WAY_COLOR;
+        const points = getArc(link.start, link.end);
+
+        for (let i = 0; i < points.length - 1; i++) {
+          positions.push(...points[i].toArray(), ...points[i + 1].toArray());
+          colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        }
+      }
+
+      for (const index of orphans) {
+        const helper = new THREE.Box3Helper(surfaces[index].box.clone(), 0xff0000);
+        helper.material.depthTest = false;
+        helper.material.transparent = true;
+
+        this.orphans.add(helper);
+      }
+    }
+
+    this.arcs.geometry.dispose();
+    this.arcs.geometry = new THREE.BufferGeometry();
+    this.arcs.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.arcs.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+    this.arcs.visible = reachability !== null;
+  }
+
+  dispose() {
+    this.arcs.geometry.dispose();
+    this.arcs.material.dispose();
+
+    for (const helper of this.orphans.children) helper.dispose();
+  }
+}
+
+function getArc(start, end) {
+  const from = new THREE.Vector3().fromArray(start);
+  const to = new THREE.Vector3().fromArray(end);
+
+  // The control point lies twice as high as the peak of the curve
+  const peak = Math.max(from.y, to.y) + ARC_HEIGHT;
+  const control = from.clone().lerp(to, 0.5);
+  control.y = 2 * peak - (from.y + to.y) / 2;
+
+  return new THREE.QuadraticBezierCurve3(from, control, to).getPoints(ARC_DIVISIONS);
+}
+
+export { ReachabilityHelper };
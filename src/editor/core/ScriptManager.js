@@ -1,65 +1,218 @@
+// Lines `new Function` puts before the body: "function anonymous(<params>" and ") {"
+const FUNCTION_HEADER_LINES = 2;
+
 /**
- * ScriptManager - Manages JavaScript behaviors attached to scene objects.
- * Similar to the Three.js Editor's scripting system.
+ * ScriptManager - Runs the JavaScript behaviors attached to scene objects.
+ * Scripts are stored in `editor.scripts` (object uuid → `{ name, source }[]`);
+ * this class compiles and runs them while play testing, like the Three.js
+ * Editor's app player.
  */
 export class ScriptManager {
+  /**
+   * Functions a script can declare. `update` receives `{ time, delta }` in
+   * seconds; the pointer and keyboard functions receive the DOM event.
+   */
+  static EVENTS = [
+    'init',
+    'start',
+    'stop',
+    'update',
+    'keydown',
+    'keyup',
+    'pointerdown',
+    'pointerup',
+    'pointermove',
+  ];
+
   constructor(editor) {
     this.editor = editor;
-    this.scripts = new Map(); // Map<objectUuid, Array<Script>>
     this.running = false;
+
+    this.handlers = {};
+    this.time = 0;
+    this.dom = null;
+
+    this.onKeyDown = (event) => this.dispatch('keydown', event);
+    this.onKeyUp = (event) => this.dispatch('keyup', event);
+    this.onPointerDown = (event) => this.dispatch('pointerdown', event);
+    this.onPointerUp = (event) => this.dispatch('pointerup', event);
+    this.onPointerMove = (event) => this.dispatch('pointermove', event);
   }
 
   /**
-   * Attach a script to an object.
+   * Compile the scripts of every object in the scene and run `init` then `start`.
+   * @param {{ scene: THREE.Scene, camera: THREE.Camera, player?: Object }} context -
+   *   Passed to scripts as the variables `scene`, `camera` and `player`
+   * @param {HTMLElement} dom - Receives the pointer events
    */
-  add(object, script) {
-    if (!this.scripts.has(object.id)) {
-      this.scripts.set(object.id, []);
+  start(context, dom) {
+    if (this.running) this.stop();
+
+    this.handlers = {};
+    for (const name of ScriptManager.EVENTS) this.handlers[name] = [];
+
+    const scripts = this.editor.scripts;
+
+    for (const uuid in scripts) {
+      const object = context.scene.getObjectByProperty('uuid', uuid);
+
+      if (object === undefined) continue;
+
+      for (const script of scripts[uuid]) {
+        this.compile(object, script, context);
+      }
     }
-    this.scripts.get(object.id).push(script);
-    this.editor.events.emit('scriptAdded', { object, script });
+
+    this.running = true;
+    this.time = 0;
+    this.dom = dom;
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    dom.addEventListener('pointerdown', this.onPointerDown);
+    dom.addEventListener('pointerup', this.onPointerUp);
+    dom.addEventListener('pointermove', this.onPointerMove);
+
+    this.dispatch('init');
+    this.dispatch('start');
   }
 
   /**
-   * Remove a script from an object.
+   * Run `stop` and detach the scripts.
    */
-  remove(object, script) {
-    if (this.scripts.has(object.id)) {
-      const arr = this.scripts.get(object.id);
-      const idx = arr.indexOf(script);
-      if (idx > -1) {
-        arr.splice(idx, 1);
-        this.editor.events.emit('scriptRemoved', { object, script });
-      }
-    }
+  stop() {
+    if (!this.running) return;
+
+    this.dispatch('stop');
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    this.dom.removeEventListener('pointerdown', this.onPointerDown);
+    this.dom.removeEventListener('pointerup', this.onPointerUp);
+    this.dom.removeEventListener('pointermove', this.onPointerMove);
+
+    this.running = false;
+    this.handlers = {};
+    this.dom = null;
   }
 
   /**
-   * Run all scripts (Game Mode).
+   * Advance the scripts by a frame.
+   * @param {number} delta - Seconds since the last update
    */
-  start() {
-    this.running = true;
-    // Compile and initialize scripts here
+  update(delta) {
+    if (!this.running) return;
+
+    this.time += delta;
+    this.dispatch('update', { time: this.time, delta });
   }
 
-  stop() {
-    this.running = false;
+  /**
+   * Call an event function on every script that declares it. A script that
+   * throws is reported and stops receiving events.
+   * @param {string} name - One of ScriptManager.EVENTS
+   * @param {*} [event]
+   */
+  dispatch(name, event) {
+    const handlers = this.handlers[name];
+
+    if (handlers === undefined) return;
+
+    for (const handler of handlers.slice()) {
+      try {
+        handler.fn.call(handler.object, event);
+      } catch (error) {
+        this.report(handler.object, handler.script, name, error, findRuntimeLine(error, handler));
+        this.detach(handler.script);
+      }
+    }
   }
 
-  update() {
-    if (!this.running) return;
-    // Logic to execute script update functions
+  compile(object, script, context) {
+    const events = ScriptManager.EVENTS;
+    const url = `script-${object.uuid}-${this.editor.scripts[object.uuid].indexOf(script)}`;
+
+    // Unassigned event names stay undefined; declared functions shadow them
+    const params = ['scene', 'camera', 'player', ...events].join(',');
+    const body = `${script.source}\nreturn { ${events.join(', ')} };\n//# sourceURL=${url}`;
+
+    let functions;
+
+    try {
+      functions = new Function(params, body).call(
+        object,
+        context.scene,
+        context.camera,
+        context.player
+      );
+    } catch (error) {
+      const line =
+        error instanceof SyntaxError
+          ? findSyntaxLine(error, script.source, params)
+          : findRuntimeLine(error, { url });
+
+      this.report(object, script, 'compile', error, line);
+      return;
+    }
+
+    for (const name of events) {
+      if (typeof functions[name] === 'function') {
+        this.handlers[name].push({ object, script, url, fn: functions[name] });
+      }
+    }
+  }
+
+  detach(script) {
+    for (const name in this.handlers) {
+      this.handlers[name] = this.handlers[name].filter((handler) => handler.script !== script);
+    }
   }
 
-  toJSON() {
-    const json = {};
-    this.scripts.forEach((scripts, uuid) => {
-      json[uuid] = scripts;
+  report(object, script, event, error, line) {
+    const name = script.name || object.name || 'script';
+    const location = line !== null ? `${name}:${line}` : name;
+
+    console.error(`ScriptManager: ${location} (${event})`, error);
+
+    this.editor.signals.scriptError.dispatch({
+      object,
+      script,
+      event,
+      line,
+      message: `${location}: ${error instanceof Error ? error.message : String(error)}`,
     });
-    return json;
   }
+}
 
-  fromJSON(json) {
-    this.scripts = new Map(Object.entries(json));
+/**
+ * Source line of a runtime error, from a stack frame of the script's sourceURL.
+ */
+function findRuntimeLine(error, handler) {
+  const match =
+    typeof error?.stack === 'string'
+      ? error.stack.match(new RegExp(`${handler.url}:(\\d+)`))
+      : null;
+
+  return match !== null ? Number(match[1]) - FUNCTION_HEADER_LINES : null;
+}
+
+/**
+ * Source line of a syntax error. Engines that don't report it (V8) get the first
+ * prefix of the source that fails with the same message, so an unclosed block
+ * is reported where it opens.
+ */
+function findSyntaxLine(error, source, params) {
+  if (typeof error.lineNumber === 'number') return error.lineNumber - FUNCTION_HEADER_LINES;
+
+  const lines = source.split('\n');
+
+  for (let i = 1; i <= lines.length; i++) {
+    try {
+      new Function(params, lines.slice(0, i).join('\n'));
+    } catch (prefixError) {
+      if (prefixError.message === error.message) return i;
+    }
   }
+
+  return lines.length;
 }
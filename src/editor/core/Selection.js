@@ -0,0 +1,117 @@
+/**
+ * The objects selected together, in the order they were selected. The last one
+ * is the primary selection, `editor.selected`, which the sidebar shows and the
+ * single object gizmo follows.
+ *
+ * Dispatches `objectSelected` when the primary selection changes and
+ * `selectionChanged` with all selected objects whenever the set changes.
+ */
+class Selection {
+  constructor(editor) {
+    this.editor = editor;
+    this.objects = [];
+
+    // Removed objects can not stay selected
+    editor.signals.objectRemoved.add((object) => {
+      const removed = [];
+
+      object.traverse((child) => removed.push(child));
+
+      if (this.objects.some((selected) => removed.includes(selected))) {
+        this.set(this.objects.filter((selected) => removed.includes(selected) === false));
+      }
+    });
+  }
+
+  /**
+   * @returns {THREE.Object3D[]} The selected objects, the primary one last
+   */
+  getSelected() {
+    return this.objects.slice();
+  }
+
+  /**
+   * Selected objects that are not inside another selected object. Removing,
+   * cloning or moving these covers every selected object exactly once.
+   * @returns {THREE.Object3D[]}
+   */
+  getRoots() {
+    return this.objects.filter((object) => {
+      if (object.parent === null) return false; // the camera or scene
+
+      for (let parent = object.parent; parent !== null; parent = parent.parent) {
+        if (this.objects.includes(parent)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  has(object) {
+    return this.objects.includes(object);
+  }
+
+  /**
+   * Replace the selection.
+   * @param {THREE.Object3D[]} objects - The primary selection last
+   */
+  set(objects) {
+    const selected = [];
+
+    for (const object of objects) {
+      if (object !== null && object !== undefined && selected.includes(object) === false) {
+        selected.push(object);
+      }
+    }
+
+    const changed =
+      selected.length !== this.objects.length ||
+      selected.some((object, index) => object !== this.objects[index]);
+
+    if (changed === false) return;
+
+    this.objects = selected;
+
+    const editor = this.editor;
+    const primary = selected.length > 0 ? selected[selected.length - 1] : null;
+
+    if (editor.selected !== primary) {
+      editor.selected = primary;
+      editor.config.setKey('selected', primary !== null ? primary.uuid : null);
+
+      editor.signals.objectSelected.dispatch(primary);
+    }
+
+    editor.signals.selectionChanged.dispatch(this.getSelected());
+  }
+
+  /**
+   * Add objects to the selection; the last one becomes the primary selection.
+   * @param {...THREE.Object3D} objects
+   */
+  add(...objects) {
+    this.set([...this.objects.filter((object) => objects.includes(object) === false), ...objects]);
+  }
+
+  remove(object) {
+    this.set(this.objects.filter((selected) => selected !== object));
+  }
+
+  /**
+   * Add an object to the selection, or remove it when it is already selected.
+   * @param {THREE.Object3D} object
+   */
+  toggle(object) {
+    if (this.has(object)) {
+      this.remove(object);
+    } else {
+      this.add(object);
+    }
+  }
+
+  clear() {
+    this.set([]);
+  }
+}
+
+export { Selection };
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+
 const mouse = new THREE.Vector2();
 const raycaster = new THREE.Raycaster();
 
@@ -12,7 +14,7 @@ class Selector {
 
     // signals
 
-    signals.intersectionsDetected.add((intersects) => {
+    signals.intersectionsDetected.add((intersects, toggle = false) => {
       if (intersects.length > 0) {
         // Resolve helpers to their actual objects
 
@@ -30,6 +32,13 @@ class Selector {
           }
         }
 
+        // Shift or Ctrl clicks add the nearest object to the selection or remove it
+
+        if (toggle) {
+          editor.selection.toggle(objects[0]);
+          return;
+        }
+
         // Cycle through objects if the first one is already selected
 
         const index = objects.indexOf(editor.selected);
@@ -39,24 +48,64 @@ class Selector {
         } else {
           this.select(objects[0]);
         }
-      } else {
+      } else if (toggle === false) {
         this.select(null);
       }
     });
   }
 
-  getIntersects(raycaster) {
+  /**
+   * @param {THREE.Raycaster} raycaster
+   * @param {THREE.Object3D[]} [objects] - What to cast against, the pickable objects by default
+   * @returns {Object[]} Hits sorted by distance
+   */
+  getIntersects(raycaster, objects = this.getPickable()) {
+    return raycaster.intersectObjects(objects, false);
+  }
+
+  /**
+   * Visible objects and helper pickers that can be clicked in the viewport.
+   * @returns {THREE.Object3D[]}
+   */
+  getPickable() {
+    const layers = this.editor.layers;
     const objects = [];
 
+    // Objects of hidden and locked layers can not be picked
+
     this.editor.scene.traverseVisible(function (child) {
-      objects.push(child);
+      if (layers.isSelectable(child)) objects.push(child);
     });
 
     this.editor.sceneHelpers.traverseVisible(function (child) {
-      if (child.name === 'picker') objects.push(child);
+      if (child.name === 'picker' && layers.isSelectable(child.userData.object)) {
+        objects.push(child);
+      }
     });
 
-    return raycaster.intersectObjects(objects, false);
+    return objects;
+  }
+
+  /**
+   * Visible meshes of the level geometry, which players stand on and which
+   * block their sight. Gameplay markers and triggers are left out.
+   * @returns {THREE.Mesh[]}
+   */
+  getObstacles() {
+    const layers = this.editor.layers;
+    const objects = [];
+
+    this.editor.scene.updateMatrixWorld(true);
+    this.editor.scene.traverseVisible(function (child) {
+      if (child.isMesh !== true || layers.isVisible(child) === false) return;
+
+      const type = child.userData.type;
+      if (type in ObjectFactory.OBJECT_TYPES && ObjectFactory.isSolid(type) === false) return;
+
+      objects.push(child);
+    });
+
+    return objects;
   }
 
   getPointerIntersects(point, camera) {
@@ -68,18 +117,7 @@ class Selector {
   }
 
   select(object) {
-    if (this.editor.selected === object) return;
-
-    let uuid = null;
-
-    if (object !== null) {
-      uuid = object.uuid;
-    }
-
-    this.editor.selected = object;
-    this.editor.config.setKey('selected', uuid);
-
-    this.signals.objectSelected.dispatch(object);
+    this.editor.selection.set(object !== null ? [object] : []);
   }
 
   deselect() {
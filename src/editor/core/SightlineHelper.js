@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// Floor samples nobody can see
+const HIDDEN_COLOR = new THREE.Color(0x3355aa);
+
+/**
+ * Viewport overlay for a sightline analysis: a heatmap tile over every floor
+ * sample, from green where one source sees it to red where all of them do,
+ * and a dot at the eye of each source.
+ */
+class SightlineHelper extends THREE.Object3D {
+  constructor() {
+    super();
+
+    this.type = 'SightlineHelper';
+
+    this.tiles = new THREE.Mesh(
+      new THREE.BufferGeometry(),
+      new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.5,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+      })
+    );
+    this.add(this.tiles);
+
+    this.eyes = new THREE.Points(
+      new THREE.BufferGeometry(),
+      new THREE.PointsMaterial({ color: 0xffffff, size: 8, sizeAttenuation: false })
+    );
+    this.add(this.eyes);
+
+    this.position.y = 0.03;
+    this.update(null);
+  }
+
+  /**
+   * Rebuild the overlay from analysis results.
+   * @param {Object|null} sightlines - See SightlineAnalyzer.analyze
+   */
+  update(sightlines) {
+    const positions = [];
+    const colors = [];
+    const indices = [];
+    const eyes = [];
+
+    if (sightlines !== null) {
+      const half = sightlines.spacing * 0.45;
+      const sources = Math.max(1, sightlines.sources.length);
+      const color = new THREE.Color();
+
+      for (const { position, count } of sightlines.samples) {
+        const [x, y, z] = position;
+        const start = positions.length / 3;
+
+        if (count === 0) {
+          color.copy(HIDDEN_COLOR);
+        } else {
+          color.setHSL((1 - (count - 1) / Math.max(1, sources - 1)) / 3, 1, 0.5);
+        }
+
+        positions.push(x - half, y, z - half, x + half, y, z - half);
+        positions.push(x + half, y, z + half, x - half, y, z + half);
+
+        for (let i = 0; i < 4; i++) colors.push(color.r, color.g, color.b);
+
+        indices.push(start, start + 2, start + 1, start, start + 3, start + 2);
+      }
+
+      for (const source of sightlines.sources) eyes.push(...source.eye);
+    }
+
+    this.tiles.geometry.dispose();
+    this.tiles.geometry = new THREE.BufferGeometry();
+    this.tiles.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.tiles.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    this.tiles.geometry.setIndex(indices);
+
+    this.eyes.geometry.dispose();
+    this.eyes.geometry = new THREE.BufferGeometry();
+    this.eyes.geometry.setAttribute('position', new THREE.Float32BufferAttribute(eyes, 3));
+
+    this.tiles.visible = this.eyes.visible = sightlines !== null;
+  }
+
+  dispose() {
+    this.tiles.geometry.dispose();
+    this.tiles.material.dispose();
+    this.eyes.geometry.dispose();
+    this.eyes.material.dispose();
+  }
+}
+
+export { SightlineHelper };
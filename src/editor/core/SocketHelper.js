@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+const MARKER_SIZE = 0.25;
+const CONNECTION_HEIGHT = 1;
+
+const COLORS = {
+  socket: new THREE.Color(0xffcc00),
+  connection: new THREE.Color(0x00ff88),
+};
+
+/**
+ * Viewport overlay previewing socket snapping: a marker with an outward tick
+ * for every socket in reach, and the connection the piece snaps to.
+ */
+class SocketHelper extends THREE.LineSegments {
+  constructor() {
+    super(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false })
+    );
+
+    this.type = 'SocketHelper';
+    this.renderOrder = 1;
+  }
+
+  /**
+   * Rebuild the markers.
+   * @param {Object[]} sockets - World sockets in reach (see Sockets.getSockets)
+   * @param {Object|null} snap - Current snap (see Sockets.findSnap)
+   */
+  update(sockets, snap = null) {
+    const positions = [];
+    const colors = [];
+
+    function addLine(from, to, color) {
+      positions.push(...from.toArray(), ...to.toArray());
+      colors.push(...color.toArray(), ...color.toArray());
+    }
+
+    function addMarker(socket, color, size) {
+      const { position, direction } = socket;
+      const side = new THREE.Vector3(0, 1, 0).cross(direction).setLength(size);
+
+      if (side.lengthSq() === 0) side.set(size, 0, 0);
+
+      addLine(position.clone().sub(side), position.clone().add(side), color);
+      addLine(
+        position.clone().setY(position.y - size),
+        position.clone().setY(position.y + size),
+        color
+      );
+      addLine(position, position.clone().addScaledVector(direction, size * 2), color);
+    }
+
+    for (const socket of sockets) {
+      if (snap !== null && socket.position.equals(snap.targetSocket.position)) continue;
+
+      addMarker(socket, COLORS.socket, MARKER_SIZE);
+    }
+
+    if (snap !== null) {
+      const position = snap.targetSocket.position;
+
+      addMarker(snap.targetSocket, COLORS.connection, MARKER_SIZE * 2);
+      addLine(position, position.clone().setY(position.y + CONNECTION_HEIGHT), COLORS.connection);
+    }
+
+    this.geometry.dispose();
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  }
+
+  /**
+   * Remove all markers.
+   */
+  clear() {
+    this.update([]);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+export { SocketHelper };
@@ -0,0 +1,60 @@
+import * as THREE from 'three';
+
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+
+/**
+ * Viewport helper for spawn points: a player-sized capsule and an arrow along
+ * the spawn's facing direction (local +Z), tinted with the team color.
+ */
+class SpawnPointHelper extends THREE.Object3D {
+  constructor(object) {
+    super();
+
+    this.object = object;
+    this.type = 'SpawnPointHelper';
+
+    this.matrix = object.matrixWorld;
+    this.matrixAutoUpdate = false;
+
+    const { radius, height } = ObjectFactory.PLAYER_SIZE;
+
+    const capsuleGeometry = new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12);
+    capsuleGeometry.translate(0, height / 2, 0);
+
+    this.capsule = new THREE.LineSegments(
+      new THREE.WireframeGeometry(capsuleGeometry),
+      new THREE.LineBasicMaterial({ transparent: true, opacity: 0.5, depthTest: false })
+    );
+    this.add(this.capsule);
+
+    capsuleGeometry.dispose();
+
+    this.arrow = new THREE.ArrowHelper(
+      new THREE.Vector3(0, 0, 1),
+      new THREE.Vector3(0, height * 0.75, 0),
+      radius * 3,
+      0xffffff,
+      0.3,
+      0.2
+    );
+    this.add(this.arrow);
+
+    this.update();
+  }
+
+  update() {
+    const spawn = this.object.userData.spawn || {};
+    const color = ObjectFactory.SPAWN_TEAMS[spawn.team] ?? ObjectFactory.SPAWN_TEAMS.neutral;
+
+    this.capsule.material.color.setHex(color);
+    this.arrow.setColor(color);
+  }
+
+  dispose() {
+    this.capsule.geometry.dispose();
+    this.capsule.material.dispose();
+    this.arrow.dispose();
+  }
+}
+
+export { SpawnPointHelper };
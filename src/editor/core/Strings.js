@@ -5,8 +5,11 @@ function Strings(config) {
     fa: {
       'prompt/file/open': 'تمام داده های ذخیره نشده پاک خواهند شد آیا مطمئنید؟',
       'prompt/file/failedToOpenProject': 'خطایی در باز کردن پروژه پیش آمده',
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': 'هیچ Mesh ای انتخاب نکردید',
       'prompt/file/export/noObjectSelected': 'هیچ آبجکتی انتخاب نکردید!',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': 'آیا اطمینان دارید؟',
       'prompt/history/clear': 'هیستوری قبل و بعد (undo / redo) پاک خواهند شد آیا مطمئنید؟',
       'prompt/history/preserve':
@@ -14,6 +17,14 @@ function Strings(config) {
       'prompt/history/forbid': 'Undo/Redo disabled while scene is playing.',
       'prompt/rendering/realistic/unsupportedMaterial':
         'REALISTIC Shading: Only MeshStandardMaterial and MeshPhysicalMaterial are supported',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': 'افزودن آبجکت',
       'command/AddScript': 'افزودن اسکریپت',
@@ -58,10 +69,35 @@ function Strings(config) {
       'menubar/edit/center': 'وسط',
       'menubar/edit/clone': 'شبیه سازی',
       'menubar/edit/delete': 'حذف',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': 'افزودن',
       'menubar/add/group': 'گروه',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': 'مش',
       'menubar/add/mesh/plane': 'صفحه',
       'menubar/add/mesh/box': 'باکس',
@@ -99,6 +135,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': 'کمک کننده دوربین',
       'menubar/view/lightHelpers': 'کمک کننده نور',
       'menubar/view/skeletonHelpers': 'کمک کننده اسکلتون',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': 'رندر',
       'menubar/render/image': 'عکس',
@@ -117,6 +157,99 @@ function Strings(config) {
       'sidebar/animations/stop': 'توقف',
       'sidebar/animations/timescale': 'مقیاس زمانی',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': 'صحنه',
       'sidebar/scene/background': 'پس زمینه',
       'sidebar/scene/environment': 'محیط',
@@ -280,6 +413,7 @@ function Strings(config) {
       'sidebar/material/copy': 'کپی',
       'sidebar/material/paste': 'پیست',
       'sidebar/material/slot': 'شکاف',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': 'نوع',
       'sidebar/material/uuid': 'UUID',
       'sidebar/material/name': 'نام',
@@ -360,6 +494,56 @@ function Strings(config) {
       'sidebar/project/geometries': 'هندسه ها',
       'sidebar/project/materials': 'متریال ها',
       'sidebar/project/textures': 'تکستچرها',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': 'اختصاص',
 
       'sidebar/project/app': 'اپ',
@@ -369,6 +553,76 @@ function Strings(config) {
       'sidebar/project/app/editable': 'قابل ویرایش',
       'sidebar/project/app/publish': 'انتشار',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': 'عکس',
       'sidebar/project/image/samples': 'نمونه ها',
       'sidebar/project/video': 'ویدیو',
@@ -392,6 +646,27 @@ function Strings(config) {
       'sidebar/history/clear': 'پاک کردن',
       'sidebar/history/persistent': 'ماندگار',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': 'ترجمه',
       'toolbar/rotate': 'چرخش (دوران)',
       'toolbar/scale': 'مقیاس',
@@ -410,6 +685,9 @@ function Strings(config) {
       'viewport/info/samples': 'نمونه ها',
       'viewport/info/rendertime': 'زمان رندر',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': 'شیدر راس',
       'script/title/fragmentShader': 'شیدر فرگمنت',
       'script/title/programInfo': 'خواص برنامه',
@@ -422,8 +700,11 @@ function Strings(config) {
     en: {
       'prompt/file/open': 'Any unsaved data will be lost. Are you sure?',
       'prompt/file/failedToOpenProject': 'Failed to open project!',
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': 'No Mesh selected!',
       'prompt/file/export/noObjectSelected': 'No Object selected!',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': 'Are you sure?',
       'prompt/history/clear': 'The Undo/Redo History will be cleared. Are you sure?',
       'prompt/history/preserve':
@@ -431,6 +712,14 @@ function Strings(config) {
       'prompt/history/forbid': 'Undo/Redo disabled while scene is playing.',
       'prompt/rendering/realistic/unsupportedMaterial':
         'REALISTIC Shading: Only MeshStandardMaterial and MeshPhysicalMaterial are supported',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': 'Add Object',
       'command/AddScript': 'Add Script',
@@ -475,10 +764,35 @@ function Strings(config) {
       'menubar/edit/center': 'Center',
       'menubar/edit/clone': 'Clone',
       'menubar/edit/delete': 'Delete',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': 'Add',
       'menubar/add/group': 'Group',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': 'Mesh',
       'menubar/add/mesh/plane': 'Plane',
       'menubar/add/mesh/box': 'Box',
@@ -516,6 +830,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': 'Camera Helpers',
       'menubar/view/lightHelpers': 'Light Helpers',
       'menubar/view/skeletonHelpers': 'Skeleton Helpers',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': 'Render',
       'menubar/render/image': 'Image',
@@ -534,6 +852,99 @@ function Strings(config) {
       'sidebar/animations/stop': 'Stop',
       'sidebar/animations/timescale': 'Time Scale',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': 'Scene',
       'sidebar/scene/background': 'Background',
       'sidebar/scene/environment': 'Environment',
@@ -697,6 +1108,7 @@ function Strings(config) {
       'sidebar/material/copy': 'Copy',
       'sidebar/material/paste': 'Paste',
       'sidebar/material/slot': 'Slot',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': 'Type',
       'sidebar/material/uuid': 'UUID',
       'sidebar/material/name': 'Name',
@@ -777,6 +1189,56 @@ function Strings(config) {
       'sidebar/project/geometries': 'Geometries',
       'sidebar/project/materials': 'Materials',
       'sidebar/project/textures': 'Textures',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': 'Assign',
 
       'sidebar/project/app': 'App',
@@ -786,6 +1248,76 @@ function Strings(config) {
       'sidebar/project/app/editable': 'Editable',
       'sidebar/project/app/publish': 'Publish',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': 'Image',
       'sidebar/project/image/samples': 'Samples',
       'sidebar/project/video': 'Video',
@@ -809,6 +1341,27 @@ function Strings(config) {
       'sidebar/history/clear': 'Clear',
       'sidebar/history/persistent': 'Persistent',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': 'Translate',
       'toolbar/rotate': 'Rotate',
       'toolbar/scale': 'Scale',
@@ -827,6 +1380,9 @@ function Strings(config) {
       'viewport/info/samples': 'Samples',
       'viewport/info/rendertime': 'Render time',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': 'Vertex Shader',
       'script/title/fragmentShader': 'Fragment Shader',
       'script/title/programInfo': 'Program Properties',
@@ -840,8 +1396,11 @@ function Strings(config) {
     fr: {
       'prompt/file/open': 'Toutes les données non enregistrées seront perdues Êtes-vous sûr ?',
       'prompt/file/failedToOpenProject': "Échec de l'ouverture du projet !",
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': 'Aucun maillage sélectionné !',
       'prompt/file/export/noObjectSelected': 'Aucun objet sélectionné !',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': 'Es-tu sûr?',
       'prompt/history/clear':
         "L'historique d'annulation/rétablissement sera effacé Êtes-vous sûr ?",
@@ -851,6 +1410,14 @@ function Strings(config) {
         'Les fonctions Annuler/Rétablir sont désactivées pendant la lecture de la scène.',
       'prompt/rendering/realistic/unsupportedMaterial':
         'Ombrage REALISTIC : seuls MeshStandardMaterial et MeshPhysicalMaterial sont pris en charge',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': 'Ajouter un objet',
       'command/AddScript': 'Ajouter un script',
@@ -895,10 +1462,35 @@ function Strings(config) {
       'menubar/edit/center': 'Center',
       'menubar/edit/clone': 'Cloner',
       'menubar/edit/delete': 'Supprimer',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': 'Ajouter',
       'menubar/add/group': 'Groupe',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': 'Maille',
       'menubar/add/mesh/plane': 'Plan',
       'menubar/add/mesh/box': 'Cube',
@@ -936,6 +1528,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': 'Aides à la caméra',
       'menubar/view/lightHelpers': 'Aides Lumière',
       'menubar/view/skeletonHelpers': 'Aides squelettes',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': 'Rendu',
       'menubar/render/image': 'Image',
@@ -954,6 +1550,99 @@ function Strings(config) {
       'sidebar/animations/stop': 'Stop',
       'sidebar/animations/timescale': 'Time Scale',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': 'Scène',
       'sidebar/scene/background': 'Arrière Plan',
       'sidebar/scene/environment': 'Environment',
@@ -1117,6 +1806,7 @@ function Strings(config) {
       'sidebar/material/copy': 'Copier',
       'sidebar/material/paste': 'Coller',
       'sidebar/material/slot': 'Slot',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': 'Type',
       'sidebar/material/uuid': 'UUID',
       'sidebar/material/name': 'Nom',
@@ -1197,6 +1887,56 @@ function Strings(config) {
       'sidebar/project/geometries': 'Géométries',
       'sidebar/project/materials': 'Matériaux',
       'sidebar/project/textures': 'Textures',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': 'Attribuer',
 
       'sidebar/project/app': 'App',
@@ -1206,6 +1946,76 @@ function Strings(config) {
       'sidebar/project/app/editable': 'Modifiable',
       'sidebar/project/app/publish': 'Publier',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': 'Image',
       'sidebar/project/image/samples': "d'échantillons",
       'sidebar/project/video': 'Video',
@@ -1229,6 +2039,27 @@ function Strings(config) {
       'sidebar/history/clear': 'Supprimer',
       'sidebar/history/persistent': 'Permanent',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': 'Position',
       'toolbar/rotate': 'Rotation',
       'toolbar/scale': 'Échelle',
@@ -1247,6 +2078,9 @@ function Strings(config) {
       'viewport/info/samples': 'Échantillons',
       'viewport/info/rendertime': 'Temps de rendu',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': 'Vertex Shader',
       'script/title/fragmentShader': 'Fragment Shader',
       'script/title/programInfo': 'Propriétés du programme',
@@ -1260,14 +2094,25 @@ function Strings(config) {
     zh: {
       'prompt/file/open': '您确定吗？未保存的数据将会丢失。',
       'prompt/file/failedToOpenProject': '无法打开项目！',
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': '未选择网格！',
       'prompt/file/export/noObjectSelected': '未选择对象！',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': '你确定吗？',
       'prompt/history/clear': '撤销/重做历史记录将被清除。您确定吗？',
       'prompt/history/preserve': '历史将在会话之间保留。\n这可能会影响在处理纹理时的性能。',
       'prompt/history/forbid': '在播放场景时，撤消/重做被禁用。',
       'prompt/rendering/realistic/unsupportedMaterial':
         'REALISTIC着色：仅支持 MeshStandardMaterial 和 MeshPhysicalMaterial',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': '添加对象',
       'command/AddScript': '添加脚本',
@@ -1312,10 +2157,35 @@ function Strings(config) {
       'menubar/edit/center': '居中',
       'menubar/edit/clone': '拷贝',
       'menubar/edit/delete': '删除',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': '添加',
       'menubar/add/group': '组',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': '网格',
       'menubar/add/mesh/plane': '平面',
       'menubar/add/mesh/box': '正方体',
@@ -1353,6 +2223,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': '相机助手',
       'menubar/view/lightHelpers': '光助手',
       'menubar/view/skeletonHelpers': '骷髅助手',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': '渲染',
       'menubar/render/image': '图片',
@@ -1371,6 +2245,99 @@ function Strings(config) {
       'sidebar/animations/stop': '暂停',
       'sidebar/animations/timescale': '时间缩放',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': '场景',
       'sidebar/scene/background': '背景',
       'sidebar/scene/environment': '环境',
@@ -1534,6 +2501,7 @@ function Strings(config) {
       'sidebar/material/copy': '复制',
       'sidebar/material/paste': '粘贴',
       'sidebar/material/slot': '插槽',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': '类型',
       'sidebar/material/uuid': '识别码',
       'sidebar/material/name': '名称',
@@ -1614,6 +2582,56 @@ function Strings(config) {
       'sidebar/project/geometries': '几何体',
       'sidebar/project/materials': '材质',
       'sidebar/project/textures': '纹理',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': '应用',
 
       'sidebar/project/app': 'App',
@@ -1623,6 +2641,76 @@ function Strings(config) {
       'sidebar/project/app/editable': '编辑性',
       'sidebar/project/app/publish': '发布',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': '图片',
       'sidebar/project/image/samples': '样本',
       'sidebar/project/video': '视频',
@@ -1646,6 +2734,27 @@ function Strings(config) {
       'sidebar/history/clear': '清空',
       'sidebar/history/persistent': '本地存储',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': '移动',
       'toolbar/rotate': '旋转',
       'toolbar/scale': '缩放',
@@ -1664,6 +2773,9 @@ function Strings(config) {
       'viewport/info/samples': '样本',
       'viewport/info/rendertime': '渲染时间',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': '顶点着色器',
       'script/title/fragmentShader': '片段着色器',
       'script/title/programInfo': '程序属性',
@@ -1677,8 +2789,11 @@ function Strings(config) {
     ja: {
       'prompt/file/open': '保存されていないデータは失われます。 本気ですか？',
       'prompt/file/failedToOpenProject': 'プロジェクトを開くことができませんでした!',
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': 'メッシュが選択されていません!',
       'prompt/file/export/noObjectSelected': 'オブジェクトが選択されていません!',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': '本気ですか？',
       'prompt/history/clear': '元に戻す/やり直しの履歴が消去されます。 本気ですか？',
       'prompt/history/preserve':
@@ -1686,6 +2801,14 @@ function Strings(config) {
       'prompt/history/forbid': 'シーンの再生中は元に戻す/やり直しは無効になります。',
       'prompt/rendering/realistic/unsupportedMaterial':
         'REALISTIC シェーディング: MeshStandardmaterial と MeshPhysicalmaterial のみがサポートされています',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': 'オブジェクトを追加',
       'command/AddScript': 'スクリプトを追加',
@@ -1730,10 +2853,35 @@ function Strings(config) {
       'menubar/edit/center': '中央揃え',
       'menubar/edit/clone': '複製',
       'menubar/edit/delete': '削除',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': '追加',
       'menubar/add/group': 'グループ',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': 'メッシュ',
       'menubar/add/mesh/plane': '平面',
       'menubar/add/mesh/box': '直方体',
@@ -1771,6 +2919,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': 'カメラヘルパー',
       'menubar/view/lightHelpers': 'ライトヘルパー',
       'menubar/view/skeletonHelpers': 'スケルトンヘルパー',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': 'レンダー',
       'menubar/render/image': '画像',
@@ -1789,6 +2941,99 @@ function Strings(config) {
       'sidebar/animations/stop': '停止',
       'sidebar/animations/timescale': 'タイムスケール',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': 'シーン',
       'sidebar/scene/background': '背景',
       'sidebar/scene/environment': '環境',
@@ -1952,6 +3197,7 @@ function Strings(config) {
       'sidebar/material/copy': 'コピー',
       'sidebar/material/paste': '貼り付け',
       'sidebar/material/slot': 'スロット',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': 'タイプ',
       'sidebar/material/uuid': 'UUID',
       'sidebar/material/name': '名前',
@@ -2032,6 +3278,56 @@ function Strings(config) {
       'sidebar/project/geometries': 'ジオメトリ',
       'sidebar/project/materials': 'マテリアル',
       'sidebar/project/textures': 'テクスチャ',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': '割り当て',
 
       'sidebar/project/app': 'アプリ',
@@ -2041,6 +3337,76 @@ function Strings(config) {
       'sidebar/project/app/editable': '編集可能',
       'sidebar/project/app/publish': 'アプリファイルとして保存',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': '画像',
       'sidebar/project/image/samples': 'サンプル',
       'sidebar/project/video': '動画',
@@ -2064,6 +3430,27 @@ function Strings(config) {
       'sidebar/history/clear': 'クリア',
       'sidebar/history/persistent': '永続的',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': '移動',
       'toolbar/rotate': '回転',
       'toolbar/scale': 'スケール',
@@ -2082,6 +3469,9 @@ function Strings(config) {
       'viewport/info/samples': 'サンプル',
       'viewport/info/rendertime': 'レンダリング時間',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': '頂点シェーダー',
       'script/title/fragmentShader': 'フラグメントシェーダ',
       'script/title/programInfo': 'プログラムのプロパティ',
@@ -2095,8 +3485,11 @@ function Strings(config) {
     ko: {
       'prompt/file/open': '저장되지 않은 데이터는 손실됩니다. 진행하시겠습니까?',
       'prompt/file/failedToOpenProject': '프로젝트를 여는 데 실패했습니다!',
+      'prompt/file/invalidLevel': 'The level file is invalid:',
       'prompt/file/export/noMeshSelected': '메시가 선택되지 않았습니다!',
       'prompt/file/export/noObjectSelected': '객체가 선택되지 않았습니다!',
+      'prompt/file/export/levelHasErrors':
+        'The level has validation errors, listed in the Validation tab. Export anyway?',
       'prompt/script/remove': '삭제하시겠습니까?',
       'prompt/history/clear': '되돌리기/다시하기 기록이 지워집니다. 진행하시겠습니까?',
       'prompt/history/preserve':
@@ -2104,6 +3497,14 @@ function Strings(config) {
       'prompt/history/forbid': '씬을 재생하는 동안 되돌리기/다시하기는 비활성화됩니다.',
       'prompt/rendering/realistic/unsupportedMaterial':
         'REALISTIC 셰이딩: MeshStandardmaterial 및 MeshPhysicalmaterial만 지원됩니다',
+      'prompt/navigation/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to bake a navigation mesh from.',
+      'prompt/sightlines/noSources':
+        'No sources to analyze from. Add a spawn point or select objects.',
+      'prompt/sightlines/noFloor': 'No floor to analyze.',
+      'prompt/movement/noWalkable':
+        'There are no walkable platforms, ramps, stairs or wedges to analyze.',
+      'prompt/lightmaps/nothingToBake': 'There is no static geometry to bake.',
 
       'command/AddObject': '객체 추가',
       'command/AddScript': '스크립트 추가',
@@ -2148,10 +3549,35 @@ function Strings(config) {
       'menubar/edit/center': '중앙으로 옮기기',
       'menubar/edit/clone': '복제',
       'menubar/edit/delete': '삭제',
+      'menubar/edit/mirror/x': 'Mirror Across X',
+      'menubar/edit/mirror/z': 'Mirror Across Z',
+      'menubar/edit/mirror/point': 'Mirror Through Center',
+      'menubar/edit/mirror/swapTeams': 'Swap Team Colors',
+      'menubar/edit/mirror/live': 'Live Symmetry',
+      'menubar/edit/grid': 'Snap to Grid',
+      'menubar/edit/sockets': 'Snap to Sockets',
 
       'menubar/add': '추가',
       'menubar/add/group': '그룹',
 
+      'menubar/add/arena': 'Arena',
+      'menubar/add/arena/box': 'Box',
+      'menubar/add/arena/cylinder': 'Cylinder',
+      'menubar/add/arena/cone': 'Cone',
+      'menubar/add/arena/ring': 'Ring',
+      'menubar/add/arena/platform': 'Platform',
+      'menubar/add/arena/wall': 'Wall',
+      'menubar/add/arena/corner': 'Corner',
+      'menubar/add/arena/pillar': 'Pillar',
+      'menubar/add/arena/arch': 'Arch',
+      'menubar/add/arena/ramp': 'Ramp',
+      'menubar/add/arena/wedge': 'Wedge',
+      'menubar/add/arena/stairs': 'Stairs',
+      'menubar/add/arena/emissive_strip': 'Neon Strip',
+      'menubar/add/arena/spawn_point': 'Spawn Point',
+      'menubar/add/arena/trigger_box': 'Trigger Box',
+      'menubar/add/arena/trigger_sphere': 'Trigger Sphere',
+
       'menubar/add/mesh': '메시',
       'menubar/add/mesh/plane': '평면',
       'menubar/add/mesh/box': '직육면체',
@@ -2189,6 +3615,10 @@ function Strings(config) {
       'menubar/view/cameraHelpers': '카메라 도우미',
       'menubar/view/lightHelpers': '조명 도우미',
       'menubar/view/skeletonHelpers': '골격 도우미',
+      'menubar/view/navMesh': 'Navigation Mesh',
+      'menubar/view/sightlines': 'Sightlines',
+      'menubar/view/reachability': 'Reachability',
+      'menubar/view/triggerLinks': 'Trigger Links',
 
       'menubar/render': '렌더',
       'menubar/render/image': '이미지',
@@ -2207,6 +3637,99 @@ function Strings(config) {
       'sidebar/animations/stop': '정지',
       'sidebar/animations/timescale': '시간 스케일',
 
+      'sidebar/object/spawn': 'Spawn Point',
+      'sidebar/object/spawn/team': 'Team',
+      'sidebar/object/spawn/team/neutral': 'Neutral',
+      'sidebar/object/spawn/team/cyan': 'Cyan',
+      'sidebar/object/spawn/team/orange': 'Orange',
+      'sidebar/object/spawn/playerIndex': 'Player',
+      'sidebar/object/spawn/facing': 'Facing',
+      'sidebar/object/spawn/enabled': 'Enabled',
+
+      'sidebar/object/collider': 'Collision',
+      'sidebar/object/collider/shape': 'Collider',
+      'sidebar/object/collider/auto': 'Auto',
+      'sidebar/object/collider/box': 'Box',
+      'sidebar/object/collider/cylinder': 'Cylinder',
+      'sidebar/object/collider/hull': 'Convex Hull',
+      'sidebar/object/collider/compound': 'Compound',
+      'sidebar/object/collider/none': 'None',
+
+      'sidebar/object/trigger': 'Trigger',
+      'sidebar/object/trigger/once': 'Fire Once',
+      'sidebar/object/trigger/links': 'Links',
+      'sidebar/object/trigger/addLink': 'Add Link',
+      'sidebar/object/trigger/event/enter': 'On Enter',
+      'sidebar/object/trigger/event/exit': 'On Exit',
+      'sidebar/object/trigger/action/toggleVisibility': 'Toggle Visibility',
+      'sidebar/object/trigger/action/show': 'Show',
+      'sidebar/object/trigger/action/hide': 'Hide',
+      'sidebar/object/trigger/action/move': 'Move',
+      'sidebar/object/trigger/action/startMotion': 'Start Motion',
+      'sidebar/object/trigger/action/enableSpawn': 'Enable Spawn',
+      'sidebar/object/trigger/action/disableSpawn': 'Disable Spawn',
+      'sidebar/object/trigger/offset': 'Offset',
+      'sidebar/object/trigger/duration': 'Duration',
+
+      'sidebar/object/motion': 'Motion',
+      'sidebar/object/motion/add': 'Add Motion',
+      'sidebar/object/motion/remove': 'Remove',
+      'sidebar/object/motion/start': 'Start',
+      'sidebar/object/motion/start/auto': 'Automatically',
+      'sidebar/object/motion/start/trigger': 'By Trigger',
+      'sidebar/object/motion/loop': 'Loop',
+      'sidebar/object/motion/loop/once': 'Once',
+      'sidebar/object/motion/loop/loop': 'Repeat',
+      'sidebar/object/motion/loop/pingPong': 'Ping Pong',
+      'sidebar/object/motion/addKey': 'Add Key',
+      'sidebar/object/motion/removeKey': 'Remove Key',
+      'sidebar/object/motion/preview': 'Preview',
+      'sidebar/object/motion/stop': 'Stop',
+      'sidebar/object/motion/time': 'Time',
+      'sidebar/object/motion/position': 'Position',
+      'sidebar/object/motion/rotation': 'Rotation',
+      'sidebar/object/motion/easing': 'Easing',
+      'sidebar/object/motion/easing/linear': 'Linear',
+      'sidebar/object/motion/easing/easeIn': 'Ease In',
+      'sidebar/object/motion/easing/easeOut': 'Ease Out',
+      'sidebar/object/motion/easing/easeInOut': 'Ease In Out',
+      'sidebar/object/motion/easing/step': 'Step',
+
+      'sidebar/object/prefab': 'Prefab',
+      'sidebar/object/prefab/name': 'Name',
+      'sidebar/object/prefab/overrides': 'Overrides',
+      'sidebar/object/prefab/apply': 'Apply Overrides',
+      'sidebar/object/prefab/revert': 'Revert',
+      'sidebar/object/prefab/unlink': 'Unlink',
+      'sidebar/object/array': 'Array',
+      'sidebar/object/array/mode': 'Mode',
+      'sidebar/object/array/mode/linear': 'Linear',
+      'sidebar/object/array/mode/grid': 'Grid',
+      'sidebar/object/array/mode/radial': 'Radial',
+      'sidebar/object/array/count': 'Count',
+      'sidebar/object/array/offset': 'Offset',
+      'sidebar/object/array/counts': 'Counts',
+      'sidebar/object/array/spacing': 'Spacing',
+      'sidebar/object/array/angle': 'Angle',
+      'sidebar/object/array/pivot': 'Pivot',
+      'sidebar/object/array/rotationStep': 'Rotation Step',
+      'sidebar/object/array/scaleStep': 'Scale Step',
+      'sidebar/object/array/apply': 'Create Array',
+      'sidebar/object/array/update': 'Update Array',
+      'sidebar/object/array/remove': 'Remove Array',
+      'sidebar/object/array/copies': 'copies',
+      'sidebar/object/align': 'Align',
+      'sidebar/object/align/axis': 'Align',
+      'sidebar/object/align/min': 'Min',
+      'sidebar/object/align/center': 'Center',
+      'sidebar/object/align/max': 'Max',
+      'sidebar/object/align/distribute': 'Distribute',
+      'sidebar/object/align/spacing/centers': 'Even Spacing',
+      'sidebar/object/align/spacing/gaps': 'Even Gaps',
+      'sidebar/object/align/match': 'Match Active',
+      'sidebar/object/align/size': 'Size',
+      'sidebar/object/align/rotation': 'Rotation',
+
       'sidebar/scene': '장면',
       'sidebar/scene/background': '배경',
       'sidebar/scene/environment': '환경',
@@ -2370,6 +3893,7 @@ function Strings(config) {
       'sidebar/material/copy': '복사',
       'sidebar/material/paste': '붙여넣기',
       'sidebar/material/slot': '슬롯',
+      'sidebar/material/library': 'Library',
       'sidebar/material/type': '타입',
       'sidebar/material/uuid': 'UUID',
       'sidebar/material/name': '이름',
@@ -2450,6 +3974,56 @@ function Strings(config) {
       'sidebar/project/geometries': '지오메트리',
       'sidebar/project/materials': '머티리얼',
       'sidebar/project/textures': '텍스처',
+      'sidebar/project/prefabs': 'Prefabs',
+      'sidebar/project/prefabs/create': 'Create From Selection',
+      'sidebar/project/prefabs/place': 'Place',
+      'sidebar/project/prefabs/delete': 'Delete',
+      'sidebar/project/prefabs/instances': 'instances',
+
+      'sidebar/project/procedural': 'Procedural',
+      'sidebar/project/procedural/new': 'New',
+      'sidebar/project/procedural/delete': 'Delete',
+      'sidebar/project/procedural/name': 'Name',
+      'sidebar/project/procedural/type': 'Generator',
+      'sidebar/project/procedural/grid': 'Grid',
+      'sidebar/project/procedural/noise': 'Noise',
+      'sidebar/project/procedural/hazard': 'Hazard Stripes',
+      'sidebar/project/procedural/normal': 'Normal Map',
+      'sidebar/project/procedural/width': 'Width',
+      'sidebar/project/procedural/height': 'Height',
+      'sidebar/project/procedural/size': 'Size',
+      'sidebar/project/procedural/color': 'Color',
+      'sidebar/project/procedural/bgColor': 'Background',
+      'sidebar/project/procedural/thickness': 'Thickness',
+      'sidebar/project/procedural/divisions': 'Divisions',
+      'sidebar/project/procedural/scale': 'Scale',
+      'sidebar/project/procedural/octaves': 'Octaves',
+      'sidebar/project/procedural/intensity': 'Intensity',
+      'sidebar/project/procedural/stripeWidth': 'Stripe Width',
+      'sidebar/project/procedural/grunge': 'Grunge',
+      'sidebar/project/procedural/strength': 'Strength',
+      'sidebar/project/procedural/seed': 'Seed',
+
+      'sidebar/project/library': 'Library',
+      'sidebar/project/library/new': 'New',
+      'sidebar/project/library/duplicate': 'Duplicate',
+      'sidebar/project/library/delete': 'Delete',
+      'sidebar/project/library/users': 'objects',
+      'sidebar/project/library/material': 'Material',
+      'sidebar/project/library/copy': 'Copy',
+      'sidebar/project/library/name': 'Name',
+      'sidebar/project/library/color': 'Color',
+      'sidebar/project/library/emissive': 'Emissive',
+      'sidebar/project/library/emissiveIntensity': 'Emissive Intensity',
+      'sidebar/project/library/roughness': 'Roughness',
+      'sidebar/project/library/metalness': 'Metalness',
+      'sidebar/project/library/opacity': 'Opacity',
+      'sidebar/project/library/map': 'Map',
+      'sidebar/project/library/roughnessMap': 'Roughness Map',
+      'sidebar/project/library/metalnessMap': 'Metalness Map',
+      'sidebar/project/library/bumpMap': 'Bump Map',
+      'sidebar/project/library/normalMap': 'Normal Map',
+      'sidebar/project/library/emissiveMap': 'Emissive Map',
       'sidebar/project/Assign': '할당',
 
       'sidebar/project/app': '앱',
@@ -2459,6 +4033,76 @@ function Strings(config) {
       'sidebar/project/app/editable': '편집 가능',
       'sidebar/project/app/publish': '앱 파일로 저장',
 
+      'sidebar/project/navigation': 'Navigation',
+      'sidebar/project/navigation/cellSize': 'Cell Size',
+      'sidebar/project/navigation/agentRadius': 'Agent Radius',
+      'sidebar/project/navigation/agentHeight': 'Agent Height',
+      'sidebar/project/navigation/maxSlope': 'Max Slope',
+      'sidebar/project/navigation/stepHeight': 'Step Height',
+      'sidebar/project/navigation/bake': 'Bake',
+      'sidebar/project/navigation/clear': 'Clear',
+      'sidebar/project/navigation/notBaked': 'Not baked',
+      'sidebar/project/navigation/polygons': 'polygons',
+
+      'sidebar/project/sightlines': 'Sightlines',
+      'sidebar/project/sightlines/sources': 'Sources',
+      'sidebar/project/sightlines/sources/spawns': 'All Spawns',
+      'sidebar/project/sightlines/sources/selection': 'Selected Objects',
+      'sidebar/project/sightlines/source': 'Source',
+      'sidebar/project/sightlines/spacing': 'Spacing',
+      'sidebar/project/sightlines/eyeHeight': 'Eye Height',
+      'sidebar/project/sightlines/analyze': 'Analyze',
+      'sidebar/project/sightlines/clear': 'Clear',
+      'sidebar/project/sightlines/notAnalyzed': 'Not analyzed',
+      'sidebar/project/sightlines/exposed': 'of the floor exposed',
+
+      'sidebar/project/movement': 'Movement',
+      'sidebar/project/movement/runSpeed': 'Run Speed',
+      'sidebar/project/movement/jumpHeight': 'Jump Height',
+      'sidebar/project/movement/gravity': 'Gravity',
+      'sidebar/project/movement/stepHeight': 'Step Height',
+      'sidebar/project/movement/analyze': 'Reachability',
+      'sidebar/project/movement/clear': 'Clear',
+      'sidebar/project/movement/notAnalyzed': 'Reachability not analyzed',
+      'sidebar/project/movement/orphans': 'orphan surfaces',
+
+      'sidebar/project/lightmaps': 'Lightmaps',
+      'sidebar/project/lightmaps/texelsPerUnit': 'Texels per Unit',
+      'sidebar/project/lightmaps/maxSize': 'Max Size',
+      'sidebar/project/lightmaps/aoSamples': 'AO Samples',
+      'sidebar/project/lightmaps/aoDistance': 'AO Distance',
+      'sidebar/project/lightmaps/bake': 'Bake',
+      'sidebar/project/lightmaps/clear': 'Clear',
+      'sidebar/project/lightmaps/baking': 'Baking',
+      'sidebar/project/lightmaps/baked': 'objects baked',
+
+      'sidebar/project/generator': 'Generator',
+      'sidebar/project/generator/seed': 'Seed',
+      'sidebar/project/generator/random': 'Random',
+      'sidebar/project/generator/width': 'Width',
+      'sidebar/project/generator/depth': 'Depth',
+      'sidebar/project/generator/density': 'Density',
+      'sidebar/project/generator/coverRatio': 'Cover Ratio',
+      'sidebar/project/generator/heightTiers': 'Height Tiers',
+      'sidebar/project/generator/symmetry': 'Symmetry',
+      'sidebar/project/generator/symmetry/none': 'None',
+      'sidebar/project/generator/symmetry/x': 'Mirror Across X',
+      'sidebar/project/generator/symmetry/z': 'Mirror Across Z',
+      'sidebar/project/generator/symmetry/point': 'Through Center',
+      'sidebar/project/generator/generate': 'Generate',
+      'sidebar/project/generator/objects': 'objects',
+      'sidebar/project/generator/kept': 'edited objects kept',
+      'sidebar/project/walls': 'Walls',
+      'sidebar/project/walls/height': 'Height',
+      'sidebar/project/walls/thickness': 'Thickness',
+      'sidebar/project/walls/joint': 'Joints',
+      'sidebar/project/walls/joint/pillar': 'Pillars',
+      'sidebar/project/walls/joint/corner': 'Corners',
+      'sidebar/project/walls/closed': 'Close Loop',
+      'sidebar/project/walls/draw': 'Draw Walls',
+      'sidebar/project/walls/info':
+        'Click to add points. Double click or Enter to finish, Esc to cancel.',
+
       'sidebar/project/image': '이미지',
       'sidebar/project/image/samples': '샘플',
       'sidebar/project/video': '비디오',
@@ -2482,6 +4126,27 @@ function Strings(config) {
       'sidebar/history/clear': '지우기',
       'sidebar/history/persistent': '영구적',
 
+      'sidebar/validation': 'Validation',
+      'sidebar/validation/validate': 'Validate',
+      'sidebar/validation/notRun': 'Press Validate to check the level.',
+      'sidebar/validation/noIssues': 'No issues found.',
+      'sidebar/validation/errors': 'errors',
+      'sidebar/validation/warnings': 'warnings',
+      'sidebar/validation/info': 'info',
+
+      'sidebar/layers': 'Layers',
+      'sidebar/layers/add': 'Add',
+      'sidebar/layers/newLayer': 'Layer',
+      'sidebar/layers/visible': 'Visible',
+      'sidebar/layers/lock': 'Lock',
+      'sidebar/layers/solo': 'Solo',
+      'sidebar/layers/assign': 'Move',
+      'sidebar/layers/assign/title': 'Move the selected objects to this layer',
+      'sidebar/layers/export': 'Export:',
+      'sidebar/layers/export/level': 'Level',
+      'sidebar/layers/export/gltf': 'glTF',
+      'sidebar/layers/export/model': 'Model',
+
       'toolbar/translate': '이동',
       'toolbar/rotate': '회전',
       'toolbar/scale': '스케일',
@@ -2500,6 +4165,9 @@ function Strings(config) {
       'viewport/info/samples': '샘플',
       'viewport/info/rendertime': '렌더링 시간',
 
+      'viewport/playtest/hint':
+        'Click to look around · WASD to move · Space to jump · Esc to release the mouse',
+
       'script/title/vertexShader': '버텍스 셰이더',
       'script/title/fragmentShader': '프래그먼트 셰이더',
       'script/title/programInfo': '프로그램 속성',
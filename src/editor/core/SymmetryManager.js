@@ -0,0 +1,225 @@
+import * as THREE from 'three';
+
+import { AddObjectCommand } from '../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../commands/MultiCmdsCommand.js';
+import { SetValueCommand } from '../commands/SetValueCommand.js';
+
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+import { Symmetry } from '../../game/Symmetry.js';
+
+// Editor-only object data that belongs to each twin rather than the pair
+const OWN_KEYS = ['layer', 'generated', 'array'];
+
+/**
+ * SymmetryManager - Creates mirrored twins of factory objects and, in live
+ * mode, keeps each pair in sync while either side is edited.
+ *
+ * Twins point at each other through `userData.mirror`:
+ * `{ twin: <uuid>, mode, swapTeams }`. Syncing is not recorded in the history;
+ * undoing an edit changes the edited object back, which syncs its twin again.
+ */
+export class SymmetryManager {
+  constructor(editor) {
+    this.editor = editor;
+
+    this.live = editor.config.getKey('editor/symmetry/live') === true;
+    this.swapTeams = editor.config.getKey('editor/symmetry/swapTeams') !== false;
+
+    this.syncing = false;
+    this.playing = false;
+
+    const signals = editor.signals;
+
+    signals.objectChanged.add((object) => this.sync(object));
+    signals.startPlayer.add(() => (this.playing = true));
+    signals.stopPlayer.add(() => (this.playing = false));
+  }
+
+  /**
+   * Turn live symmetry on or off.
+   * @param {boolean} live
+   */
+  setLive(live) {
+    this.live = live;
+    this.editor.config.setKey('editor/symmetry/live', live);
+  }
+
+  /**
+   * Choose whether new twins swap team materials and spawn teams.
+   * @param {boolean} swapTeams
+   */
+  setSwapTeams(swapTeams) {
+    this.swapTeams = swapTeams;
+    this.editor.config.setKey('editor/symmetry/swapTeams', swapTeams);
+  }
+
+  /**
+   * Factory objects to mirror for an object: the object itself, or the factory
+   * objects inside it when it is a group.
+   * @param {THREE.Object3D|null} object
+   * @returns {THREE.Object3D[]}
+   */
+  getMirrorable(object) {
+    const objects = [];
+
+    if (object === null || object.parent === null) return objects;
+
+    object.traverse(function (child) {
+      if (ObjectFactory.OBJECT_TYPES[child.userData.type] !== undefined) objects.push(child);
+    });
+
+    return objects;
+  }
+
+  /**
+   * Add a linked mirror image of each object, as one undoable step. Objects
+   * that are their own mirror image, e.g. a box at the center, are skipped.
+   * @param {THREE.Object3D[]} objects - Factory objects
+   * @param {string} mode - A key of Symmetry.MODES
+   * @returns {THREE.Object3D[]} The new twins
+   */
+  mirror(objects, mode) {
+    const editor = this.editor;
+    const twins = new Map();
+
+    for (const object of objects) {
+      object.updateWorldMatrix(true, false);
+
+      const matrix = Symmetry.mirrorMatrix(object.matrixWorld, object.userData.type, mode);
+
+      if (isSameMatrix(matrix, object.matrixWorld)) continue;
+
+      const result = editor.objectFactory.create(object.userData.type, new THREE.Vector3());
+      const twin = result.mesh;
+
+      twin.name = `Object_${result.id}`;
+      twin.userData = result.data;
+
+      // New twins start on the layer of their object
+      if (object.userData.layer !== undefined) twin.userData.layer = object.userData.layer;
+      matrix.decompose(twin.position, twin.quaternion, twin.scale);
+
+      twins.set(object, twin);
+    }
+
+    if (twins.size === 0) return [];
+
+    const commands = [];
+
+    for (const [object, twin] of twins) {
+      const link = { mode, swapTeams: this.swapTeams };
+
+      this.apply(object, twin, link, twins);
+      twin.userData.mirror = { twin: object.uuid, ...link };
+
+      const userData = JSON.parse(JSON.stringify(object.userData));
+      userData.mirror = { twin: twin.uuid, ...link };
+
+      commands.push(new AddObjectCommand(editor, twin));
+      commands.push(new SetValueCommand(editor, object, 'userData', userData));
+    }
+
+    this.syncing = true;
+    editor.execute(new MultiCmdsCommand(editor, commands), 'Mirror Objects');
+    this.syncing = false;
+
+    return [...twins.values()];
+  }
+
+  /**
+   * Linked twin of an object, if both still point at each other.
+   * @param {THREE.Object3D} object
+   * @returns {THREE.Object3D|null}
+   */
+  getTwin(object) {
+    const link = object.userData.mirror;
+
+    if (link === undefined) return null;
+
+    const twin = this.editor.objectByUuid(link.twin);
+
+    if (twin === undefined || twin.userData.mirror?.twin !== object.uuid) return null;
+
+    return twin;
+  }
+
+  /**
+   * Mirror an edited object onto its twin, when live symmetry is on.
+   * @param {THREE.Object3D} object
+   */
+  sync(object) {
+    if (!this.live || this.syncing || this.playing) return;
+
+    const twin = this.getTwin(object);
+
+    if (twin === null) return;
+
+    this.syncing = true;
+
+    const link = twin.userData.mirror;
+
+    object.updateWorldMatrix(true, false);
+    twin.parent.updateWorldMatrix(true, false);
+
+    Symmetry.mirrorMatrix(object.matrixWorld, object.userData.type, link.mode)
+      .premultiply(new THREE.Matrix4().copy(twin.parent.matrixWorld).invert())
+      .decompose(twin.position, twin.quaternion, twin.scale);
+
+    this.apply(object, twin, link);
+    twin.userData.mirror = link;
+
+    this.editor.signals.objectChanged.dispatch(twin);
+
+    this.syncing = false;
+  }
+
+  /**
+   * Give a twin the mirrored data and material of an object. Trigger links
+   * are pointed at the twins of their targets where there are any. The twin
+   * keeps its own editor-only data, and its material unless the mirrored
+   * material type differs.
+   * @param {THREE.Object3D} object
+   * @param {THREE.Object3D} twin
+   * @param {{ mode: string, swapTeams: boolean }} link
+   * @param {Map<THREE.Object3D, THREE.Object3D>} [twins] - Twins being created
+   */
+  apply(object, twin, link, twins = new Map()) {
+    const data = Symmetry.mirrorData(object.userData, link.mode, link.swapTeams);
+
+    for (const trigger of data.trigger?.links || []) {
+      const target = this.editor.objectByUuid(trigger.target);
+
+      if (target === undefined) continue;
+
+      const targetTwin = twins.get(target) ?? this.getTwin(target);
+      if (targetTwin !== null) trigger.target = targetTwin.uuid;
+    }
+
+    data.position = { x: twin.position.x, y: twin.position.y, z: twin.position.z };
+    data.rotation = { x: twin.rotation.x, y: twin.rotation.y, z: twin.rotation.z };
+    data.scale = { x: twin.scale.x, y: twin.scale.y, z: twin.scale.z };
+
+    for (const key of OWN_KEYS) {
+      delete data[key];
+      if (twin.userData[key] !== undefined) data[key] = twin.userData[key];
+    }
+
+    const materials = this.editor.objectFactory.materials;
+
+    if (data.materialType !== twin.userData.materialType && materials.has(data.materialType)) {
+      const material = materials.get(data.materialType);
+
+      // Twins being created are registered when they are added
+      if (twin.parent !== null) this.editor.removeMaterial(twin.material);
+      twin.material = material;
+      if (twin.parent !== null) this.editor.addMaterial(material);
+    }
+
+    twin.userData = data;
+    twin.visible = object.visible;
+  }
+}
+
+function isSameMatrix(a, b) {
+  return a.elements.every((value, index) => Math.abs(value - b.elements[index]) < 1e-6);
+}
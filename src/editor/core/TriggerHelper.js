@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+
+const COLORS = {
+  enter: new THREE.Color(0x00ff88),
+  exit: new THREE.Color(0xff4466),
+};
+
+/**
+ * Viewport overlay drawing a line from every trigger volume to each object it
+ * targets, colored by the event firing the link.
+ */
+class TriggerHelper extends THREE.LineSegments {
+  constructor() {
+    super(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false })
+    );
+
+    this.type = 'TriggerHelper';
+    this.renderOrder = 1;
+
+    // Triggers and link targets drawn by the last update
+    this.linked = new Set();
+  }
+
+  /**
+   * Check if a change to an object can move the lines: it is a trigger, or it
+   * holds a trigger or a link target.
+   * @param {THREE.Object3D} object
+   * @returns {boolean}
+   */
+  isAffectedBy(object) {
+    let affected = false;
+
+    object.traverse((child) => {
+      if (this.linked.has(child) || ObjectFactory.isTrigger(child.userData.type)) affected = true;
+    });
+
+    return affected;
+  }
+
+  /**
+   * Rebuild the lines from the triggers under a root object.
+   * @param {THREE.Object3D} root
+   */
+  update(root) {
+    const positions = [];
+    const colors = [];
+
+    const from = new THREE.Vector3();
+    const to = new THREE.Vector3();
+
+    const objects = new Map();
+    const triggers = [];
+
+    root.traverse((child) => {
+      objects.set(child.uuid, child);
+      if (ObjectFactory.isTrigger(child.userData.type)) triggers.push(child);
+    });
+
+    this.linked.clear();
+
+    root.updateMatrixWorld(true);
+
+    for (const trigger of triggers) {
+      trigger.getWorldPosition(from);
+      this.linked.add(trigger);
+
+      for (const link of trigger.userData.trigger?.links || []) {
+        const target = objects.get(link.target);
+        const color = COLORS[link.event];
+
+        if (target === undefined || color === undefined) continue;
+
+        target.getWorldPosition(to);
+        this.linked.add(target);
+
+        positions.push(...from.toArray(), ...to.toArray());
+        colors.push(...color.toArray(), ...color.toArray());
+      }
+    }
+
+    this.geometry.dispose();
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+export { TriggerHelper };
@@ -1,9 +1,11 @@
 import { UITabbedPanel, UISpan } from './libs/ui.js';
 
 import { SidebarScene } from './sidebar/Sidebar.Scene.js';
+import { SidebarLayers } from './sidebar/Sidebar.Layers.js';
 import { SidebarProperties } from './sidebar/Sidebar.Properties.js';
 import { SidebarProject } from './sidebar/Sidebar.Project.js';
 import { SidebarSettings } from './sidebar/Sidebar.Settings.js';
+import { SidebarValidation } from './sidebar/Sidebar.Validation.js';
 
 function Sidebar(editor) {
   const container = new UITabbedPanel();
@@ -11,13 +13,19 @@ function Sidebar(editor) {
 
   const sidebarProperties = new SidebarProperties(editor);
 
-  const scene = new UISpan().add(new SidebarScene(editor), sidebarProperties);
+  const scene = new UISpan().add(
+    new SidebarScene(editor),
+    new SidebarLayers(editor),
+    sidebarProperties
+  );
   const project = new SidebarProject(editor);
   const settings = new SidebarSettings(editor);
+  const validation = new SidebarValidation(editor);
 
   container.addTab('scene', 'SCENE', scene);
   container.addTab('project', 'PROJECT', project);
   container.addTab('settings', 'SETTINGS', settings);
+  container.addTab('validation', 'VALIDATION', validation);
   container.select('scene');
 
   const sidebarPropertiesResizeObserver = new ResizeObserver(function () {
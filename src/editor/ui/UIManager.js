@@ -249,8 +249,8 @@ export class UIManager {
     document.getElementById('duplicate-object')?.addEventListener('click', () => {
       const object = this.editor.selected;
       if (object) {
-        // Clone Mesh
-        const newMesh = object.clone();
+        // Clone Mesh, without the original's bookkeeping
+        const newMesh = this.editor.cloneObject(object);
         // Ensure pure userData clone
         newMesh.userData = JSON.parse(JSON.stringify(object.userData));
 
@@ -33,6 +33,7 @@ function ViewportControls (editor) {
     solid: 'solid',
     normals: 'normals',
     wireframe: 'wireframe',
+    collision: 'collision',
   });
   shadingSelect.setValue('solid');
   shadingSelect.onChange(function () {
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+
+import { UIPanel, UIText } from './libs/ui.js';
+
+import { MotionPlayer } from '../../game/MotionPlayer.js';
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+import { PlayerController } from '../../game/PlayerController.js';
+import { TriggerSystem } from '../../game/TriggerSystem.js';
+
+// Radians of view rotation per pixel of mouse movement
+const LOOK_SPEED = 0.002;
+
+const KEYS = {
+  KeyW: 'forward',
+  KeyS: 'backward',
+  KeyA: 'left',
+  KeyD: 'right',
+  Space: 'jump',
+};
+
+/**
+ * First-person play-test inside the viewport. Runs between the startPlayer and
+ * stopPlayer signals, walking a capsule controller from a spawn point with the
+ * scene's scripts running, and restoring the scene, editor camera and selection
+ * afterwards.
+ */
+class PlayTest {
+  constructor(editor, container) {
+    this.editor = editor;
+    this.container = container;
+
+    this.controller = new PlayerController();
+    this.triggers = new TriggerSystem();
+    this.motions = new MotionPlayer();
+
+    this.triggers.onStartMotion = (object) => this.motions.start(object);
+
+    // Spawn points enabled by triggers become checkpoints
+    this.triggers.onSpawnEnabled = (spawn) => {
+      const pose = this.getSpawnPose(spawn);
+
+      this.controller.spawnPosition.copy(pose.position);
+      this.controller.spawnYaw = pose.yaw;
+    };
+    this.camera = new THREE.PerspectiveCamera(75, 1, 0.05, 1000);
+    this.camera.name = 'Play Test';
+
+    this.input = { forward: false, backward: false, left: false, right: false, jump: false };
+    this.isPlaying = false;
+
+    this.previousCamera = null;
+    this.previousSelection = [];
+    this.snapshot = [];
+
+    // Hint
+
+    this.hint = new UIPanel();
+    this.hint.setId('playTestHint');
+    this.hint.setPosition('absolute');
+    this.hint.setLeft('50%');
+    this.hint.setBottom('20px');
+    this.hint.setColor('#fff');
+    this.hint.setFontSize('12px');
+    this.hint.dom.style.transform = 'translateX(-50%)';
+    this.hint.setDisplay('none');
+    this.hint.add(new UIText(editor.strings.getKey('viewport/playtest/hint')));
+    container.add(this.hint);
+
+    this.error = new UIText().setColor('#f66').setDisplay('block').setMarginTop('4px');
+    this.hint.add(this.error);
+
+    // Events
+
+    this.onKeyDown = (event) => this.setKey(event, true);
+    this.onKeyUp = (event) => this.setKey(event, false);
+
+    this.onMouseMove = (event) => {
+      if (document.pointerLockElement !== container.dom) return;
+
+      this.controller.look(-event.movementX * LOOK_SPEED, -event.movementY * LOOK_SPEED);
+    };
+
+    this.onClick = () => {
+      if (document.pointerLockElement !== container.dom) container.dom.requestPointerLock();
+    };
+
+    editor.signals.startPlayer.add(() => this.start());
+    editor.signals.stopPlayer.add(() => this.stop());
+    editor.signals.windowResize.add(() => this.updateAspectRatio());
+
+    editor.signals.scriptError.add((error) => {
+      if (this.isPlaying) this.error.setValue(error.message);
+    });
+  }
+
+  start() {
+    const editor = this.editor;
+
+    this.previousCamera = editor.viewportCamera;
+    this.previousSelection = editor.selection.getSelected();
+
+    editor.select(null);
+
+    // Scripts may move or hide objects; they are put back on stop
+    this.snapshot = [];
+    editor.scene.traverse((object) => {
+      this.snapshot.push({
+        object,
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+        scale: object.scale.clone(),
+        visible: object.visible,
+      });
+    });
+
+    this.triggers.setup(editor.scene);
+    this.motions.setup(editor.scene);
+
+    editor.scene.traverse((object) => {
+      if (ObjectFactory.isTrigger(object.userData.type)) object.visible = false;
+    });
+
+    const spawn = this.getSpawn();
+
+    const dynamic = new Set([...this.triggers.getTargets(), ...this.motions.getTargets()]);
+
+    this.controller.settings = { ...PlayerController.DEFAULTS, ...editor.movement };
+    this.controller.setWorld(editor.scene, dynamic);
+    this.controller.spawn(spawn.position, spawn.yaw);
+    this.controller.applyToCamera(this.camera);
+
+    this.updateAspectRatio();
+
+    editor.viewportCamera = this.camera;
+    editor.signals.viewportCameraChanged.dispatch();
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    document.addEventListener('mousemove', this.onMouseMove);
+    this.container.dom.addEventListener('click', this.onClick);
+
+    this.container.dom.requestPointerLock();
+    this.error.setValue('');
+    this.hint.setDisplay('');
+
+    this.isPlaying = true;
+
+    editor.scriptManager.start(
+      { scene: editor.scene, camera: this.camera, player: this.controller },
+      this.container.dom
+    );
+  }
+
+  stop() {
+    if (this.isPlaying === false) return;
+
+    const editor = this.editor;
+
+    this.isPlaying = false;
+
+    editor.scriptManager.stop();
+
+    for (const state of this.snapshot) {
+      state.object.position.copy(state.position);
+      state.object.quaternion.copy(state.quaternion);
+      state.object.scale.copy(state.scale);
+      state.object.visible = state.visible;
+    }
+
+    this.snapshot = [];
+
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    this.container.dom.removeEventListener('click', this.onClick);
+
+    if (document.pointerLockElement === this.container.dom) document.exitPointerLock();
+    this.hint.setDisplay('none');
+
+    for (const key in this.input) this.input[key] = false;
+
+    editor.viewportCamera = this.previousCamera;
+    editor.signals.viewportCameraChanged.dispatch();
+
+    // Objects may have been removed while playing, e.g. by a script
+    editor.selection.set(this.previousSelection.filter((object) => object.parent !== null));
+
+    this.previousCamera = null;
+    this.previousSelection = [];
+  }
+
+  /**
+   * Advance the controller; called from the viewport's animation loop.
+   * @param {number} delta - Seconds
+   * @returns {boolean} Whether the viewport needs to render
+   */
+  update(delta) {
+    if (this.isPlaying === false) return false;
+
+    const capsule = this.controller.capsule;
+
+    this.editor.scriptManager.update(delta);
+    this.triggers.update(delta, [capsule.start, capsule.end]);
+    this.motions.update(delta);
+    this.controller.update(delta, this.input);
+    this.controller.applyToCamera(this.camera);
+
+    return true;
+  }
+
+  /**
+   * Where to drop the player: the selected spawn point, otherwise the first
+   * enabled one by team and player index, otherwise the editor camera's orbit center.
+   * @returns {{ position: THREE.Vector3, yaw: number }}
+   */
+  getSpawn() {
+    const editor = this.editor;
+    const selected = this.previousSelection;
+    const selection = selected.length > 0 ? selected[selected.length - 1] : null;
+
+    let spawn = selection !== null && selection.userData.type === 'spawn_point' ? selection : null;
+
+    if (spawn === null) {
+      const spawns = [];
+
+      editor.scene.traverseVisible((child) => {
+        if (child.userData.type === 'spawn_point' && child.userData.spawn?.enabled !== false) {
+          spawns.push(child);
+        }
+      });
+
+      spawns.sort((a, b) => {
+        const spawnA = a.userData.spawn || {};
+        const spawnB = b.userData.spawn || {};
+
+        return (
+          (spawnA.team || '').localeCompare(spawnB.team || '') ||
+          (spawnA.playerIndex || 0) - (spawnB.playerIndex || 0)
+        );
+      });
+
+      spawn = spawns[0] || null;
+    }
+
+    if (spawn === null) {
+      return { position: editor.controls.center.clone(), yaw: this.getYaw(editor.camera) };
+    }
+
+    return this.getSpawnPose(spawn);
+  }
+
+  getSpawnPose(spawn) {
+    // Spawn points face their local +Z
+    const facing = new THREE.Vector3(0, 0, 1).transformDirection(spawn.matrixWorld);
+
+    return {
+      position: spawn.getWorldPosition(new THREE.Vector3()),
+      yaw: Math.atan2(-facing.x, -facing.z),
+    };
+  }
+
+  getYaw(camera) {
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+
+    return Math.atan2(-direction.x, -direction.z);
+  }
+
+  setKey(event, pressed) {
+    const name = KEYS[event.code];
+    if (name === undefined) return;
+
+    event.preventDefault();
+    this.input[name] = pressed;
+  }
+
+  updateAspectRatio() {
+    const dom = this.container.dom;
+    if (dom.offsetHeight === 0) return;
+
+    this.camera.aspect = dom.offsetWidth / dom.offsetHeight;
+    this.camera.updateProjectionMatrix();
+  }
+}
+
+export { PlayTest };
@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+
+import { UIDiv } from './libs/ui.js';
+
+import { SetPositionCommand } from '../commands/SetPositionCommand.js';
+import { SetRotationCommand } from '../commands/SetRotationCommand.js';
+import { SetScaleCommand } from '../commands/SetScaleCommand.js';
+
+// Marquees smaller than this, in pixels, are clicks
+const MARQUEE_THRESHOLD = 4;
+
+const _box = new THREE.Box3();
+const _center = new THREE.Vector3();
+const _delta = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+
+/**
+ * Multi-selection tools of the viewport. Shift dragging draws a marquee that
+ * adds the objects inside it to the selection. While several objects are
+ * selected the gizmo is attached to a shared pivot at the center of their
+ * bounds, and moving, turning or scaling the pivot does the same to all of them.
+ */
+class SelectionTool {
+  constructor(editor, container) {
+    this.editor = editor;
+    this.container = container;
+
+    // Objects the pivot transforms, empty unless several are selected
+    this.objects = [];
+    this.transforms = null;
+
+    this.pivot = new THREE.Object3D();
+    this.pivot.name = 'Selection Pivot';
+
+    // Bounds of the selected objects other than the primary one
+    this.boxes = new THREE.Group();
+    this.boxes.name = 'Selection Boxes';
+
+    this.marquee = new UIDiv();
+    this.marquee.setClass('Marquee');
+    this.marquee.setDisplay('none');
+    this.marqueeStart = null;
+    this.marqueeEnd = new THREE.Vector2();
+
+    container.add(this.marquee);
+
+    editor.sceneHelpers.add(this.pivot);
+    editor.sceneHelpers.add(this.boxes);
+  }
+
+  get isMultiple() {
+    return this.objects.length > 1;
+  }
+
+  /**
+   * Follow the selection: rebuild the bounds and move the pivot to their center.
+   */
+  update() {
+    const selection = this.editor.selection;
+    const selected = selection.getSelected();
+
+    this.objects = selected.length > 1 ? selection.getRoots() : [];
+
+    for (const helper of this.boxes.children) helper.dispose();
+    this.boxes.clear();
+
+    for (const object of selected.slice(0, -1)) {
+      const helper = new THREE.Box3Helper(new THREE.Box3());
+
+      helper.material.depthTest = false;
+      helper.material.transparent = true;
+      helper.userData.object = object;
+
+      this.boxes.add(helper);
+    }
+
+    this.updateBoxes();
+    this.resetPivot();
+  }
+
+  updateBoxes() {
+    for (const helper of this.boxes.children) {
+      helper.box.setFromObject(helper.userData.object, true);
+      helper.visible = helper.box.isEmpty() === false;
+    }
+  }
+
+  resetPivot() {
+    const pivot = this.pivot;
+
+    _box.makeEmpty();
+
+    for (const object of this.objects) {
+      _box.union(new THREE.Box3().setFromObject(object, true));
+    }
+
+    if (_box.isEmpty()) {
+      pivot.position.set(0, 0, 0);
+    } else {
+      _box.getCenter(pivot.position);
+    }
+
+    pivot.quaternion.identity();
+    pivot.scale.set(1, 1, 1);
+    pivot.updateMatrixWorld(true);
+  }
+
+  // Group transforms
+
+  /**
+   * Remember where everything is as the gizmo starts to drag.
+   */
+  begin() {
+    this.pivot.updateMatrixWorld(true);
+
+    this.transforms = {
+      inverse: this.pivot.matrixWorld.clone().invert(),
+      objects: this.objects.map((object) => {
+        object.updateWorldMatrix(true, false);
+
+        return {
+          object,
+          matrixWorld: object.matrixWorld.clone(),
+          position: object.position.clone(),
+          rotation: object.rotation.clone(),
+          scale: object.scale.clone(),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Apply the change of the pivot since the drag started to every object.
+   * @returns {THREE.Object3D[]} The objects that moved
+   */
+  transform() {
+    if (this.transforms === null) return [];
+
+    this.pivot.updateMatrixWorld(true);
+
+    _delta.multiplyMatrices(this.pivot.matrixWorld, this.transforms.inverse);
+
+    for (const { object, matrixWorld } of this.transforms.objects) {
+      _matrix.multiplyMatrices(_delta, matrixWorld);
+      _matrix.premultiply(object.parent.matrixWorld.clone().invert());
+      _matrix.decompose(object.position, object.quaternion, object.scale);
+
+      object.updateMatrixWorld(true);
+    }
+
+    this.updateBoxes();
+
+    return this.objects;
+  }
+
+  /**
+   * Finish the drag.
+   * @returns {Command[]} Commands recording the changes, for one undoable step
+   */
+  end() {
+    const editor = this.editor;
+    const commands = [];
+
+    if (this.transforms === null) return commands;
+
+    for (const { object, position, rotation, scale } of this.transforms.objects) {
+      if (position.equals(object.position) === false) {
+        commands.push(new SetPositionCommand(editor, object, object.position, position));
+      }
+
+      if (rotation.equals(object.rotation) === false) {
+        commands.push(new SetRotationCommand(editor, object, object.rotation, rotation));
+      }
+
+      if (scale.equals(object.scale) === false) {
+        commands.push(new SetScaleCommand(editor, object, object.scale, scale));
+      }
+    }
+
+    this.transforms = null;
+
+    return commands;
+  }
+
+  // Marquee
+
+  /**
+   * @param {THREE.Vector2} point - Pointer position in the viewport, from 0 to 1
+   */
+  startMarquee(point) {
+    this.marqueeStart = point.clone();
+    this.marqueeEnd.copy(point);
+  }
+
+  moveMarquee(point) {
+    if (this.marqueeStart === null) return;
+
+    this.marqueeEnd.copy(point);
+
+    const dom = this.container.dom;
+    const width = dom.clientWidth;
+    const height = dom.clientHeight;
+
+    const min = this.marqueeStart.clone().min(point);
+    const max = this.marqueeStart.clone().max(point);
+
+    this.marquee.setLeft(min.x * width + 'px');
+    this.marquee.setTop(min.y * height + 'px');
+    this.marquee.setWidth((max.x - min.x) * width + 'px');
+    this.marquee.setHeight((max.y - min.y) * height + 'px');
+    this.marquee.setDisplay(this.isMarquee() ? '' : 'none');
+  }
+
+  isMarquee() {
+    if (this.marqueeStart === null) return false;
+
+    const dom = this.container.dom;
+    const size = this.marqueeEnd.clone().sub(this.marqueeStart);
+
+    size.x *= dom.clientWidth;
+    size.y *= dom.clientHeight;
+
+    return Math.abs(size.x) >= MARQUEE_THRESHOLD || Math.abs(size.y) >= MARQUEE_THRESHOLD;
+  }
+
+  /**
+   * Stop drawing the marquee.
+   * @param {THREE.Camera} camera
+   * @returns {THREE.Object3D[]|null} Objects whose bounds are centered inside
+   * the marquee, or null when it was too small to be more than a click
+   */
+  endMarquee(camera) {
+    if (this.marqueeStart === null) return null;
+
+    const objects = this.isMarquee() ? this.getObjectsInside(camera) : null;
+
+    this.marqueeStart = null;
+    this.marquee.setDisplay('none');
+
+    return objects;
+  }
+
+  getObjectsInside(camera) {
+    const min = this.marqueeStart.clone().min(this.marqueeEnd);
+    const max = this.marqueeStart.clone().max(this.marqueeEnd);
+
+    const layers = this.editor.layers;
+
+    return this.editor.scene.children.filter(function (object) {
+      if (object.visible === false || layers.isSelectable(object) === false) return false;
+
+      _box.setFromObject(object, true);
+
+      if (_box.isEmpty()) return false;
+
+      _box.getCenter(_center).project(camera);
+
+      if (_center.z < -1 || _center.z > 1) return false; // behind the camera
+
+      const x = (_center.x + 1) / 2;
+      const y = (1 - _center.y) / 2;
+
+      return x >= min.x && x <= max.x && y >= min.y && y <= max.y;
+    });
+  }
+}
+
+export { SelectionTool };
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+import { AddObjectCommand } from '../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../commands/MultiCmdsCommand.js';
+
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+import { WallBuilder } from '../../game/WallBuilder.js';
+
+// Clicking this close to the first point closes the loop
+const CLOSE_DISTANCE = 0.5;
+
+/**
+ * Wall drawing tool of the viewport. Runs while the `walls` tool is active:
+ * each click adds a point of a polyline, previewed as ghost walls and joints
+ * up to the pointer. Clicking the first point again, double clicking or
+ * pressing Enter (see the finishWalls signal) adds the walls as one undoable step.
+ */
+class WallTool {
+  constructor(editor) {
+    this.editor = editor;
+
+    this.points = [];
+    this.pointer = null;
+
+    this.preview = new THREE.Group();
+    this.preview.name = 'Wall Preview';
+
+    this.material = new THREE.MeshBasicMaterial({
+      color: 0x0088ff,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+    });
+    this.geometries = new Map();
+
+    editor.sceneHelpers.add(this.preview);
+  }
+
+  start() {
+    this.points = [];
+    this.pointer = null;
+  }
+
+  stop() {
+    this.points = [];
+    this.pointer = null;
+    this.preview.clear();
+  }
+
+  /**
+   * Settings of the walls to draw (see WallBuilder.DEFAULTS), from the config.
+   * @returns {Object}
+   */
+  getSettings() {
+    const config = this.editor.config;
+
+    return {
+      height: config.getKey('editor/walls/height'),
+      thickness: config.getKey('editor/walls/thickness'),
+      joint: config.getKey('editor/walls/joint'),
+      closed: config.getKey('editor/walls/closed'),
+    };
+  }
+
+  /**
+   * Add a point, or finish when it is on the first point.
+   * @param {THREE.Vector3} point
+   */
+  addPoint(point) {
+    if (this.points.length > 2 && point.distanceTo(this.points[0]) < CLOSE_DISTANCE) {
+      this.finish(true);
+      return;
+    }
+
+    this.points.push(point.clone());
+    this.updatePreview();
+  }
+
+  /**
+   * Preview the walls up to a point under the pointer.
+   * @param {THREE.Vector3|null} point
+   */
+  setPointer(point) {
+    this.pointer = point === null ? null : point.clone();
+    this.updatePreview();
+  }
+
+  updatePreview() {
+    this.preview.clear();
+
+    const points = this.pointer === null ? this.points : [...this.points, this.pointer];
+
+    for (const entry of this.build(points, this.getSettings())) {
+      const mesh = new THREE.Mesh(this.getGeometry(entry.type), this.material);
+
+      mesh.position.fromArray(entry.position);
+      mesh.rotation.fromArray(entry.rotation);
+      mesh.scale.fromArray(entry.scale);
+
+      this.preview.add(mesh);
+    }
+  }
+
+  build(points, settings) {
+    return new WallBuilder(settings).build(points.map((point) => point.toArray()));
+  }
+
+  getGeometry(type) {
+    if (!this.geometries.has(type)) {
+      this.geometries.set(type, ObjectFactory.OBJECT_TYPES[type].createGeometry());
+    }
+
+    return this.geometries.get(type);
+  }
+
+  /**
+   * Add the walls drawn so far and leave the tool.
+   * @param {boolean} [close] - Close the loop, whatever the settings say
+   */
+  finish(close = false) {
+    const editor = this.editor;
+    const signals = editor.signals;
+
+    const settings = this.getSettings();
+    if (close) settings.closed = true;
+
+    const layout = this.build(this.points, settings);
+
+    if (layout.length > 0) {
+      const commands = layout.map(
+        (entry) => new AddObjectCommand(editor, editor.objectFactory.createFromLayout(entry))
+      );
+
+      // One scene graph update instead of one per object
+      signals.sceneGraphChanged.active = false;
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Draw Walls');
+      signals.sceneGraphChanged.active = true;
+      signals.sceneGraphChanged.dispatch();
+
+      editor.deselect();
+    }
+
+    signals.toolChanged.dispatch('select');
+  }
+}
+
+export { WallTool };
@@ -5,15 +5,26 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { UIPanel } from './libs/ui.js';
 
 import { Timer } from 'three/addons/misc/Timer.js';
+import { ArrayHelper } from '../core/ArrayHelper.js';
+import { ColliderHelper } from '../core/ColliderHelper.js';
 import { EditorControls } from '../core/EditorControls.js';
+import { NavMeshHelper } from '../core/NavMeshHelper.js';
+import { ReachabilityHelper } from '../core/ReachabilityHelper.js';
+import { SightlineHelper } from '../core/SightlineHelper.js';
+import { SocketHelper } from '../core/SocketHelper.js';
+import { TriggerHelper } from '../core/TriggerHelper.js';
 
 import { ViewportControls } from './Viewport.Controls.js';
 import { ViewportInfo } from './Viewport.Info.js';
+import { PlayTest } from './Viewport.PlayTest.js';
+import { SelectionTool } from './Viewport.Selection.js';
+import { WallTool } from './Viewport.WallTool.js';
 
 import { ViewHelper } from './Viewport.ViewHelper.js';
 // import { XR } from './Viewport.XR.js';
 
 import { AddObjectCommand } from '../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../commands/MultiCmdsCommand.js';
 import { SetPositionCommand } from '../commands/SetPositionCommand.js';
 import { SetRotationCommand } from '../commands/SetRotationCommand.js';
 import { SetScaleCommand } from '../commands/SetScaleCommand.js';
@@ -22,6 +33,11 @@ import { SetScaleCommand } from '../commands/SetScaleCommand.js';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 // import { ViewportPathtracer } from './Viewport.Pathtracer.js';
 
+import { ObjectFactory } from '../../game/ObjectFactory.js';
+import { Sockets } from '../../game/Sockets.js';
+
+const GRID_SNAP = 1; // meters, the size of the minor grid cells
+
 function Viewport (editor) {
   const selector = editor.selector;
   const signals = editor.signals;
@@ -61,6 +77,9 @@ function Viewport (editor) {
   grid.add(grid2);
 
   const viewHelper = new ViewHelper(camera, container);
+  const playTest = new PlayTest(editor, container);
+  const wallTool = new WallTool(editor);
+  const selectionTool = new SelectionTool(editor, container);
 
   //
 
@@ -72,17 +91,52 @@ function Viewport (editor) {
   selectionBox.visible = false;
   sceneHelpers.add(selectionBox);
 
+  const navMeshHelper = new NavMeshHelper();
+  sceneHelpers.add(navMeshHelper);
+
+  const sightlineHelper = new SightlineHelper();
+  sceneHelpers.add(sightlineHelper);
+
+  const reachabilityHelper = new ReachabilityHelper();
+  sceneHelpers.add(reachabilityHelper);
+
+  const colliderHelper = new ColliderHelper();
+  colliderHelper.visible = false;
+  sceneHelpers.add(colliderHelper);
+
+  const triggerHelper = new TriggerHelper();
+  sceneHelpers.add(triggerHelper);
+
+  const socketHelper = new SocketHelper();
+  sceneHelpers.add(socketHelper);
+
+  const arrayHelper = new ArrayHelper();
+  sceneHelpers.add(arrayHelper);
+
   let objectPositionOnDown = null;
   let objectRotationOnDown = null;
   let objectScaleOnDown = null;
 
+  let gridSnap = editor.config.getKey('editor/grid/snap') === true ? GRID_SNAP : null;
+
   const transformControls = new TransformControls(camera);
   editor.transformControls = transformControls;
   transformControls.addEventListener('axis-changed', function () {
     if (editor.viewportShading !== 'realistic') render();
   });
   transformControls.addEventListener('objectChange', function () {
-    signals.objectChanged.dispatch(transformControls.object);
+    const object = transformControls.object;
+
+    if (object === selectionTool.pivot) {
+      for (const child of selectionTool.transform()) signals.objectChanged.dispatch(child);
+
+      render();
+      return;
+    }
+
+    if (transformControls.getMode() === 'translate') snapObject(object);
+
+    signals.objectChanged.dispatch(object);
   });
   transformControls.addEventListener('mouseDown', function () {
     const object = transformControls.object;
@@ -91,20 +145,41 @@ function Viewport (editor) {
     objectRotationOnDown = object.rotation.clone();
     objectScaleOnDown = object.scale.clone();
 
+    if (object === selectionTool.pivot) selectionTool.begin();
+
     controls.enabled = false;
   });
   transformControls.addEventListener('mouseUp', function () {
     const object = transformControls.object;
 
-    if (object !== undefined) {
+    if (object === selectionTool.pivot) {
+      // All the selected objects as one undoable step
+      const commands = selectionTool.end();
+
+      if (commands.length > 0) {
+        editor.execute(new MultiCmdsCommand(editor, commands), 'Transform Objects');
+      }
+
+      selectionTool.resetPivot();
+    } else if (object !== undefined) {
       switch (transformControls.getMode()) {
         case 'translate':
-          if (!objectPositionOnDown.equals(object.position)) {
+          if (!objectRotationOnDown.equals(object.rotation)) {
+            // Snapping to a socket turned the object
+            const commands = [
+              new SetPositionCommand(editor, object, object.position, objectPositionOnDown),
+              new SetRotationCommand(editor, object, object.rotation, objectRotationOnDown),
+            ];
+
+            editor.execute(new MultiCmdsCommand(editor, commands), 'Snap To Socket');
+          } else if (!objectPositionOnDown.equals(object.position)) {
             editor.execute(
               new SetPositionCommand(editor, object, object.position, objectPositionOnDown)
             );
           }
 
+          socketHelper.clear();
+
           break;
 
         case 'rotate':
@@ -128,8 +203,236 @@ function Viewport (editor) {
     controls.enabled = true;
   });
 
+  transformControls.setTranslationSnap(gridSnap);
   sceneHelpers.add(transformControls.getHelper());
 
+  // sockets
+
+  const SOCKET_RANGE = 8; // meters around a piece in which sockets are shown
+
+  function getSocketTargets (exclude) {
+    const excluded = new Set();
+    const targets = [];
+
+    if (exclude !== null) exclude.traverse((child) => excluded.add(child));
+
+    scene.updateMatrixWorld();
+    scene.traverse(function (child) {
+      if (excluded.has(child) || child.visible === false) return;
+      if (Sockets.hasSockets(child.userData.type)) targets.push(child);
+    });
+
+    return targets;
+  }
+
+  /**
+   * Find the socket snap of a piece and preview it.
+   * @param {string} type - Object type of the piece
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the piece before snapping
+   * @param {THREE.Object3D|null} exclude - The piece itself, if it is in the scene
+   * @returns {Object|null} See Sockets.findSnap
+   */
+  function snapToSockets (type, matrixWorld, exclude) {
+    if (editor.config.getKey('editor/sockets/snap') !== true || !Sockets.hasSockets(type)) {
+      socketHelper.clear();
+      return null;
+    }
+
+    const targets = getSocketTargets(exclude);
+    const snap = Sockets.findSnap(type, matrixWorld, targets);
+
+    const kinds = new Set(Sockets.getSockets(type, matrixWorld).map((socket) => socket.kind));
+    const origin = new THREE.Vector3().setFromMatrixPosition(matrixWorld);
+    const sockets = [];
+
+    for (const target of targets) {
+      for (const socket of Sockets.getSockets(target.userData.type, target.matrixWorld)) {
+        if (kinds.has(socket.kind) && socket.position.distanceTo(origin) <= SOCKET_RANGE) {
+          sockets.push(socket);
+        }
+      }
+    }
+
+    socketHelper.update(sockets, snap);
+
+    return snap;
+  }
+
+  function snapObject (object) {
+    // Snapping may turn the object, so every drag step starts from its rotation on down
+    object.rotation.copy(objectRotationOnDown);
+    object.updateMatrixWorld(true);
+
+    const snap = snapToSockets(object.userData.type, object.matrixWorld, object);
+
+    if (snap === null) return;
+
+    const matrix = snap.matrix;
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+
+    if (object.parent !== null) matrix.premultiply(object.parent.matrixWorld.clone().invert());
+
+    matrix.decompose(position, quaternion, new THREE.Vector3());
+
+    object.position.copy(position);
+    if (quaternion.angleTo(object.quaternion) > 1e-6) object.quaternion.copy(quaternion);
+  }
+
+  // add mode
+
+  const addPreviewMaterial = new THREE.MeshBasicMaterial({
+    color: 0x0088ff,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+  });
+
+  let addPreview = null; // ghost of the piece to add
+  const addPreviewRotation = new THREE.Euler();
+  const previewBox = new THREE.Box3();
+
+  const raycaster = new THREE.Raycaster();
+  const mouse = new THREE.Vector2();
+
+  function snapToGrid (value) {
+    return Math.round(value / gridSnap) * gridSnap;
+  }
+
+  function setAddPreview (type) {
+    if (addPreview !== null) {
+      sceneHelpers.remove(addPreview);
+      addPreview.geometry.dispose();
+      addPreview = null;
+    }
+
+    socketHelper.clear();
+
+    if (type === null) return;
+
+    addPreview = editor.objectFactory.create(type, new THREE.Vector3()).mesh;
+    addPreview.material = addPreviewMaterial;
+    addPreview.castShadow = false;
+    addPreview.receiveShadow = false;
+    addPreview.userData.type = type;
+    addPreview.visible = false;
+    addPreviewRotation.copy(addPreview.rotation);
+
+    sceneHelpers.add(addPreview);
+  }
+
+  /**
+   * Find the surface under the pointer: the first solid object hit, or else the
+   * ground plane.
+   * @param {THREE.Vector2} point - Pointer position
+   * @returns {Object|null} `{ point, normal }` in world space, or null
+   */
+  function getSurface (point) {
+    raycaster.setFromCamera(mouse.set(point.x * 2 - 1, -(point.y * 2) + 1), camera);
+
+    for (const intersect of selector.getPointerIntersects(point, camera)) {
+      const object = intersect.object;
+
+      if (object.isMesh !== true || object.userData.object !== undefined) continue;
+      if (ObjectFactory.isTrigger(object.userData.type)) continue;
+
+      const normal = intersect.face.normal
+        .clone()
+        .applyMatrix3(new THREE.Matrix3().getNormalMatrix(object.matrixWorld))
+        .normalize();
+
+      // Back faces of double sided materials
+      if (normal.dot(raycaster.ray.direction) > 0) normal.negate();
+
+      return { point: intersect.point, normal };
+    }
+
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    const target = new THREE.Vector3();
+
+    if (raycaster.ray.intersectPlane(plane, target) === null) return null;
+
+    return { point: target, normal: plane.normal };
+  }
+
+  /**
+   * Point on the surface under the pointer, snapped to the grid.
+   * @param {THREE.Vector2} point - Pointer position
+   * @returns {THREE.Vector3|null}
+   */
+  function getPlacementPoint (point) {
+    const surface = getSurface(point);
+
+    if (surface === null) return null;
+
+    const target = surface.point.clone();
+
+    if (gridSnap !== null) {
+      target.x = snapToGrid(target.x);
+      target.z = snapToGrid(target.z);
+    }
+
+    return target;
+  }
+
+  function updateAddPreview (point) {
+    const type = addPreview.userData.type;
+    const surface = getSurface(point);
+
+    if (surface === null) {
+      addPreview.visible = false;
+      socketHelper.clear();
+      return;
+    }
+
+    const { normal } = surface;
+
+    // Rest the bounds of the piece on the surface, at the point hit
+    addPreview.position.set(0, 0, 0);
+    addPreview.rotation.copy(addPreviewRotation);
+    addPreview.updateMatrixWorld(true);
+
+    previewBox.setFromObject(addPreview);
+
+    const depth =
+      (normal.x > 0 ? previewBox.min.x : previewBox.max.x) * normal.x +
+      (normal.y > 0 ? previewBox.min.y : previewBox.max.y) * normal.y +
+      (normal.z > 0 ? previewBox.min.z : previewBox.max.z) * normal.z;
+
+    addPreview.position.copy(surface.point).addScaledVector(normal, -depth);
+
+    // Snap along the surface only, so the piece keeps resting on it
+    if (gridSnap !== null) {
+      if (Math.abs(normal.x) < 0.5) addPreview.position.x = snapToGrid(addPreview.position.x);
+      if (Math.abs(normal.z) < 0.5) addPreview.position.z = snapToGrid(addPreview.position.z);
+    }
+
+    addPreview.updateMatrixWorld(true);
+
+    const snap = snapToSockets(type, addPreview.matrixWorld, null);
+
+    if (snap !== null) {
+      snap.matrix.decompose(addPreview.position, addPreview.quaternion, addPreview.scale);
+    }
+
+    addPreview.visible = true;
+  }
+
+  function addFromPreview () {
+    const type = addPreview.userData.type;
+    const result = editor.objectFactory.create(type, addPreview.position);
+
+    const mesh = result.mesh;
+    const data = result.data;
+
+    mesh.name = `Object_${result.id}`;
+    mesh.rotation.copy(addPreview.rotation);
+    data.rotation = { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z };
+    mesh.userData = data;
+
+    editor.execute(new AddObjectCommand(editor, mesh), `Add ${type}`);
+  }
+
   //
 
   // const xr = new XR( editor, transformControls ); // eslint-disable-line no-unused-vars
@@ -165,37 +468,33 @@ function Viewport (editor) {
     return [ (x - rect.left) / rect.width, (y - rect.top) / rect.height ];
   }
 
-  function handleClick () {
+  function handleClick (toggle = false) {
     if (onDownPosition.distanceTo(onUpPosition) === 0) {
       // Handle Add Mode
       if (editor.currentTool === 'add') {
-        const raycaster = new THREE.Raycaster();
-        const mouse = new THREE.Vector2();
-        mouse.set(onUpPosition.x * 2 - 1, -(onUpPosition.y * 2) + 1);
-        raycaster.setFromCamera(mouse, camera);
+        updateAddPreview(onUpPosition);
 
-        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const target = new THREE.Vector3();
+        if (addPreview.visible === true) {
+          addFromPreview();
 
-        if (raycaster.ray.intersectPlane(plane, target)) {
-          // Snap Logic
-          // Assuming basic snap for now if needed, or rely on future Editor state
-          // LevelEditor used editor.grid.snapToGrid
+          editor.signals.toolChanged.dispatch('select');
+        }
 
-          // Get Object Type
-          const type = editor.currentObjectType || 'box';
+        return;
+      }
 
-          // Execute Command
-          editor.execute(new AddObjectCommand(editor, type, target));
+      // Handle Wall Drawing
+      if (editor.currentTool === 'walls') {
+        const target = getPlacementPoint(onUpPosition);
 
-          // Switch back to select?
-          editor.signals.toolChanged.dispatch('select');
-        }
+        if (target !== null) wallTool.addPoint(target);
+
+        render();
         return;
       }
 
       const intersects = selector.getPointerIntersects(onUpPosition, camera);
-      signals.intersectionsDetected.dispatch(intersects);
+      signals.intersectionsDetected.dispatch(intersects, toggle);
 
       render();
     }
@@ -205,10 +504,20 @@ function Viewport (editor) {
     // event.preventDefault();
 
     if (event.target !== renderer.domElement) return;
+    if (playTest.isPlaying === true) return;
 
     const array = getMousePosition(container.dom, event.clientX, event.clientY);
     onDownPosition.fromArray(array);
 
+    // Shift dragging draws a marquee instead of orbiting
+
+    const marquee = event.shiftKey && event.button === 0 && editor.currentTool === 'select';
+
+    if (marquee && transformControls.dragging === false) {
+      selectionTool.startMarquee(onDownPosition);
+      controls.enabled = false;
+    }
+
     document.addEventListener('mouseup', onMouseUp);
   }
 
@@ -216,12 +525,27 @@ function Viewport (editor) {
     const array = getMousePosition(container.dom, event.clientX, event.clientY);
     onUpPosition.fromArray(array);
 
-    handleClick();
+    if (selectionTool.marqueeStart !== null) {
+      selectionTool.moveMarquee(onUpPosition);
+
+      const objects = selectionTool.endMarquee(camera);
+
+      controls.enabled = true;
+
+      if (objects !== null) {
+        editor.selection.add(...objects);
+        render();
+      }
+    }
+
+    handleClick(event.shiftKey || event.ctrlKey || event.metaKey);
 
     document.removeEventListener('mouseup', onMouseUp);
   }
 
   function onTouchStart (event) {
+    if (playTest.isPlaying === true) return;
+
     const touch = event.changedTouches[ 0 ];
 
     const array = getMousePosition(container.dom, touch.clientX, touch.clientY);
@@ -241,7 +565,38 @@ function Viewport (editor) {
     document.removeEventListener('touchend', onTouchEnd);
   }
 
+  const onMovePosition = new THREE.Vector2();
+
+  function onPointerMove (event) {
+    const drawing = selectionTool.marqueeStart !== null;
+
+    if (drawing === false && editor.currentTool !== 'add' && editor.currentTool !== 'walls') return;
+
+    const array = getMousePosition(container.dom, event.clientX, event.clientY);
+    onMovePosition.fromArray(array);
+
+    if (drawing) {
+      selectionTool.moveMarquee(onMovePosition);
+      return;
+    }
+
+    if (editor.currentTool === 'walls') {
+      wallTool.setPointer(getPlacementPoint(onMovePosition));
+    } else if (addPreview !== null) {
+      updateAddPreview(onMovePosition);
+    }
+
+    render();
+  }
+
   function onDoubleClick (event) {
+    if (playTest.isPlaying === true) return;
+
+    if (editor.currentTool === 'walls') {
+      wallTool.finish();
+      return;
+    }
+
     const array = getMousePosition(container.dom, event.clientX, event.clientY);
     onDoubleClickPosition.fromArray(array);
 
@@ -257,6 +612,7 @@ function Viewport (editor) {
   container.dom.addEventListener('mousedown', onMouseDown);
   container.dom.addEventListener('touchstart', onTouchStart, { passive: false });
   container.dom.addEventListener('dblclick', onDoubleClick);
+  container.dom.addEventListener('pointermove', onPointerMove);
 
   // controls need to be added *after* main logic,
   // otherwise controls.enabled doesn't work.
@@ -288,6 +644,7 @@ function Viewport (editor) {
   });
 
   signals.snapChanged.add(function (dist) {
+    gridSnap = dist;
     transformControls.setTranslationSnap(dist);
   });
 
@@ -405,6 +762,33 @@ function Viewport (editor) {
     render();
   });
 
+  signals.selectionChanged.add(function () {
+    selectionTool.update();
+
+    if (selectionTool.isMultiple) {
+      transformControls.attach(selectionTool.pivot);
+    } else if (transformControls.object === selectionTool.pivot) {
+      transformControls.detach();
+
+      const object = editor.selected;
+
+      if (object !== null && object !== scene && object !== camera) {
+        transformControls.attach(object);
+      }
+    }
+
+    render();
+  });
+
+  signals.layersChanged.add(function () {
+    // Objects of hidden and locked layers can not stay selected
+    const selected = editor.selection.getSelected();
+
+    editor.selection.set(selected.filter((object) => editor.layers.isSelectable(object)));
+
+    render();
+  });
+
   signals.objectFocused.add(function (object) {
     controls.focus(object);
   });
@@ -423,6 +807,11 @@ function Viewport (editor) {
       box.setFromObject(object, true);
     }
 
+    if (selectionTool.transforms === null && editor.selection.has(object)) {
+      selectionTool.updateBoxes();
+      selectionTool.resetPivot();
+    }
+
     if (object.isPerspectiveCamera) {
       object.updateProjectionMatrix();
     }
@@ -605,6 +994,9 @@ function Viewport (editor) {
   signals.viewportShadingChanged.add(function () {
     const viewportShading = editor.viewportShading;
 
+    colliderHelper.visible = viewportShading === 'collision';
+    if (colliderHelper.visible === false) colliderHelper.clear();
+
     switch (viewportShading) {
       case 'realistic':
         if (pathtracer) pathtracer.init(scene, editor.viewportCamera);
@@ -621,11 +1013,84 @@ function Viewport (editor) {
       case 'wireframe':
         scene.overrideMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: true });
         break;
+
+      case 'collision':
+        scene.overrideMaterial = new THREE.MeshBasicMaterial({
+          color: 0x888888,
+          transparent: true,
+          opacity: 0.2,
+          depthWrite: false,
+        });
+        colliderHelper.update(scene);
+        break;
     }
 
     render();
   });
 
+  function updateColliderHelper () {
+    if (colliderHelper.visible === false) return;
+
+    colliderHelper.update(scene);
+    render();
+  }
+
+  signals.objectAdded.add(updateColliderHelper);
+  signals.objectChanged.add(updateColliderHelper);
+  signals.objectRemoved.add(updateColliderHelper);
+  signals.geometryChanged.add(updateColliderHelper);
+
+  function updateTriggerHelper () {
+    triggerHelper.update(scene);
+  }
+
+  // Adding and removing objects ends with a scene graph change, once per batch
+  signals.sceneGraphChanged.add(updateTriggerHelper);
+  signals.objectChanged.add(function (object) {
+    if (triggerHelper.isAffectedBy(object)) updateTriggerHelper();
+  });
+
+  signals.toolChanged.add(function (tool) {
+    const previousTool = editor.currentTool;
+
+    editor.currentTool = tool;
+
+    setAddPreview(tool === 'add' ? editor.currentObjectType : null);
+
+    if (previousTool === 'walls') wallTool.stop();
+    if (tool === 'walls') wallTool.start();
+
+    render();
+  });
+
+  signals.finishWalls.add(function () {
+    wallTool.finish();
+  });
+
+  signals.arrayPreviewChanged.add(function (object, matrices) {
+    arrayHelper.update(object, matrices);
+
+    render();
+  });
+
+  signals.navMeshChanged.add(function (navMesh) {
+    navMeshHelper.update(navMesh);
+
+    render();
+  });
+
+  signals.sightlinesChanged.add(function (sightlines) {
+    sightlineHelper.update(sightlines);
+
+    render();
+  });
+
+  signals.reachabilityChanged.add(function (reachability) {
+    reachabilityHelper.update(reachability);
+
+    render();
+  });
+
   //
 
   signals.windowResize.add(function () {
@@ -662,6 +1127,26 @@ function Viewport (editor) {
           break;
         }
 
+        case 'NavMeshHelper': {
+          object.visible = appearanceStates.navMesh;
+          break;
+        }
+
+        case 'SightlineHelper': {
+          object.visible = appearanceStates.sightlines;
+          break;
+        }
+
+        case 'ReachabilityHelper': {
+          object.visible = appearanceStates.reachability;
+          break;
+        }
+
+        case 'TriggerHelper': {
+          object.visible = appearanceStates.triggerLinks;
+          break;
+        }
+
         default: {
           // not a helper, skip.
         }
@@ -712,6 +1197,12 @@ function Viewport (editor) {
       needsUpdate = true;
     }
 
+    // Play Test
+
+    if (playTest.update(delta) === true) {
+      needsUpdate = true;
+    }
+
     if (renderer.xr.isPresenting === true) {
       needsUpdate = true;
     }
@@ -763,6 +1254,9 @@ function Viewport (editor) {
     startTime = performance.now();
 
     renderer.setViewport(0, 0, container.dom.offsetWidth, container.dom.offsetHeight);
+
+    const hidden = editor.layers.hide();
+
     renderer.render(scene, editor.viewportCamera);
 
     if (camera === editor.viewportCamera) {
@@ -773,6 +1267,8 @@ function Viewport (editor) {
       renderer.autoClear = true;
     }
 
+    editor.layers.restore(hidden);
+
     endTime = performance.now();
     editor.signals.sceneRendered.dispatch(endTime - startTime);
   }
@@ -285,7 +285,18 @@ class UIOutliner extends UIDiv {
       scope.dom.removeChild(scope.dom.firstChild);
     }
 
-    function onClick() {
+    function onClick(event) {
+      // Shift or Ctrl clicks add the object to the selection or remove it
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+        const object = scope.scene.getObjectById(this.value);
+
+        if (object !== undefined && object !== scope.scene) {
+          scope.editor.toggleObjectSelection(object);
+        }
+
+        return;
+      }
+
       scope.setValue(this.value);
 
       const changeEvent = new Event('change', { bubbles: true, cancelable: true });
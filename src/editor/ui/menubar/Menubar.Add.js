@@ -4,6 +4,8 @@ import { UIPanel, UIRow } from '../libs/ui.js';
 
 import { AddObjectCommand } from '../../commands/AddObjectCommand.js';
 
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+
 function MenubarAdd(editor) {
   const strings = editor.strings;
 
@@ -32,6 +34,42 @@ function MenubarAdd(editor) {
   });
   options.add(option);
 
+  // Arena
+
+  const arenaSubmenuTitle = new UIRow()
+    .setTextContent(strings.getKey('menubar/add/arena'))
+    .addClass('option')
+    .addClass('submenu-title');
+  arenaSubmenuTitle.onMouseOver(function () {
+    const { top, right } = arenaSubmenuTitle.dom.getBoundingClientRect();
+    const { paddingTop } = getComputedStyle(this.dom);
+    arenaSubmenu.setLeft(right + 'px');
+    arenaSubmenu.setTop(top - parseFloat(paddingTop) + 'px');
+    arenaSubmenu.setStyle('max-height', [`calc( 100vh - ${top}px )`]);
+    arenaSubmenu.setDisplay('block');
+  });
+  arenaSubmenuTitle.onMouseOut(function () {
+    arenaSubmenu.setDisplay('none');
+  });
+  options.add(arenaSubmenuTitle);
+
+  const arenaSubmenu = new UIPanel().setPosition('fixed').addClass('options').setDisplay('none');
+  arenaSubmenuTitle.add(arenaSubmenu);
+
+  // Arena / ObjectFactory types
+
+  for (const type of Object.keys(ObjectFactory.OBJECT_TYPES)) {
+    option = new UIRow();
+    option.setClass('option');
+    option.setTextContent(strings.getKey('menubar/add/arena/' + type));
+    option.onClick(function () {
+      // Placed by clicking in the viewport (see Viewport add mode)
+      editor.currentObjectType = type;
+      editor.signals.toolChanged.dispatch('add');
+    });
+    arenaSubmenu.add(option);
+  }
+
   // Mesh
 
   const meshSubmenuTitle = new UIRow()
@@ -3,9 +3,11 @@ import { Box3, Vector3 } from 'three';
 import { UIPanel, UIRow, UIHorizontalRule, UIText } from '../libs/ui.js';
 
 import { AddObjectCommand } from '../../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
 import { RemoveObjectCommand } from '../../commands/RemoveObjectCommand.js';
 import { SetPositionCommand } from '../../commands/SetPositionCommand.js';
-import { clone } from 'three/addons/utils/SkeletonUtils.js';
+
+import { Symmetry } from '../../../game/Symmetry.js';
 
 function MenubarEdit(editor) {
   const strings = editor.strings;
@@ -94,13 +96,17 @@ function MenubarEdit(editor) {
   option.setClass('option');
   option.setTextContent(strings.getKey('menubar/edit/clone'));
   option.onClick(function () {
-    let object = editor.selected;
-
-    if (object === null || object.parent === null) return; // avoid cloning the camera or scene
+    const objects = editor.selection.getRoots(); // leaves out the camera and scene
 
-    object = clone(object);
+    if (objects.length === 1) {
+      editor.execute(new AddObjectCommand(editor, editor.cloneObject(objects[0])));
+    } else if (objects.length > 1) {
+      const clones = objects.map((object) => editor.cloneObject(object));
+      const commands = clones.map((object) => new AddObjectCommand(editor, object));
 
-    editor.execute(new AddObjectCommand(editor, object));
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Clone Objects');
+      editor.selection.set(clones);
+    }
   });
   options.add(option);
 
@@ -111,14 +117,105 @@ function MenubarEdit(editor) {
   option.setTextContent(strings.getKey('menubar/edit/delete'));
   option.add(new UIText('DEL').setClass('key'));
   option.onClick(function () {
-    const object = editor.selected;
+    const objects = editor.selection.getRoots();
+
+    if (objects.length === 1) {
+      editor.execute(new RemoveObjectCommand(editor, objects[0]));
+    } else if (objects.length > 1) {
+      const commands = objects.map((object) => new RemoveObjectCommand(editor, object));
 
-    if (object !== null && object.parent !== null) {
-      editor.execute(new RemoveObjectCommand(editor, object));
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Remove Objects');
     }
   });
   options.add(option);
 
+  // ---
+
+  options.add(new UIHorizontalRule());
+
+  // Mirror
+
+  const symmetry = editor.symmetry;
+
+  for (const mode of Object.keys(Symmetry.MODES)) {
+    option = new UIRow();
+    option.setClass('option');
+    option.setTextContent(strings.getKey('menubar/edit/mirror/' + mode));
+    option.onClick(function () {
+      symmetry.mirror(symmetry.getMirrorable(editor.selected), mode);
+    });
+    options.add(option);
+  }
+
+  // Swap Team Colors
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/edit/mirror/swapTeams'))
+    .onClick(function () {
+      symmetry.setSwapTeams(!symmetry.swapTeams);
+
+      this.toggleClass('toggle-on', symmetry.swapTeams);
+    })
+    .toggleClass('toggle-on', symmetry.swapTeams);
+
+  options.add(option);
+
+  // Live Symmetry
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/edit/mirror/live'))
+    .onClick(function () {
+      symmetry.setLive(!symmetry.live);
+
+      this.toggleClass('toggle-on', symmetry.live);
+    })
+    .toggleClass('toggle-on', symmetry.live);
+
+  options.add(option);
+
+  // ---
+
+  options.add(new UIHorizontalRule());
+
+  const config = editor.config;
+
+  // Snap to Grid
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/edit/grid'))
+    .onClick(function () {
+      const snap = !config.getKey('editor/grid/snap');
+
+      config.setKey('editor/grid/snap', snap);
+      editor.signals.snapChanged.dispatch(snap ? 1 : null);
+
+      this.toggleClass('toggle-on', snap);
+    })
+    .toggleClass('toggle-on', config.getKey('editor/grid/snap'));
+
+  options.add(option);
+
+  // Snap to Sockets
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/edit/sockets'))
+    .onClick(function () {
+      config.setKey('editor/sockets/snap', !config.getKey('editor/sockets/snap'));
+
+      this.toggleClass('toggle-on', config.getKey('editor/sockets/snap'));
+    })
+    .toggleClass('toggle-on', config.getKey('editor/sockets/snap'));
+
+  options.add(option);
+
   return container;
 }
 
@@ -1,5 +1,6 @@
 import { UIPanel, UIRow, UIHorizontalRule } from '../libs/ui.js';
 import { FileLoader } from 'three';
+import { clone } from 'three/addons/utils/SkeletonUtils.js';
 
 function MenubarFile(editor) {
   const strings = editor.strings;
@@ -241,7 +242,7 @@ function MenubarFile(editor) {
   option.setClass('option');
   option.setTextContent('GLB');
   option.onClick(async function () {
-    const scene = editor.scene;
+    const scene = getExportScene('gltf');
     const animations = getAnimations(scene);
 
     const optimizedAnimations = [];
@@ -271,7 +272,7 @@ function MenubarFile(editor) {
   option.setClass('option');
   option.setTextContent('GLTF');
   option.onClick(async function () {
-    const scene = editor.scene;
+    const scene = getExportScene('gltf');
     const animations = getAnimations(scene);
 
     const optimizedAnimations = [];
@@ -295,6 +296,33 @@ function MenubarFile(editor) {
   });
   fileExportSubmenu.add(option);
 
+  // Export Level
+
+  option = new UIRow();
+  option.setClass('option');
+  option.setTextContent('LEVEL');
+  option.onClick(function () {
+    const issues = editor.validateLevel();
+
+    if (
+      issues.some((issue) => issue.severity === 'error') &&
+      confirm(strings.getKey('prompt/file/export/levelHasErrors')) === false
+    ) {
+      return;
+    }
+
+    const serializer = editor.sceneSerializer;
+    const isExported = (object) => editor.layers.isExported(object, 'level');
+    const objects = serializer
+      .collectObjects(editor.scene)
+      .filter((object) => isExported(object.mesh));
+
+    const sections = { navmesh: editor.navMesh, ...editor.prefabs.toLevel(isExported) };
+
+    saveString(serializer.exportToJSON(objects, sections), 'level.json');
+  });
+  fileExportSubmenu.add(option);
+
   // Export OBJ
 
   option = new UIRow();
@@ -326,7 +354,7 @@ function MenubarFile(editor) {
 
     const exporter = new PLYExporter();
 
-    exporter.parse(editor.scene, function (result) {
+    exporter.parse(getExportScene('model'), function (result) {
       saveArrayBuffer(result, 'model.ply');
     });
   });
@@ -343,7 +371,7 @@ function MenubarFile(editor) {
     const exporter = new PLYExporter();
 
     exporter.parse(
-      editor.scene,
+      getExportScene('model'),
       function (result) {
         saveArrayBuffer(result, 'model-binary.ply');
       },
@@ -362,7 +390,7 @@ function MenubarFile(editor) {
 
     const exporter = new STLExporter();
 
-    saveString(exporter.parse(editor.scene), 'model.stl');
+    saveString(exporter.parse(getExportScene('model')), 'model.stl');
   });
   fileExportSubmenu.add(option);
 
@@ -376,7 +404,7 @@ function MenubarFile(editor) {
 
     const exporter = new STLExporter();
 
-    saveArrayBuffer(exporter.parse(editor.scene, { binary: true }), 'model-binary.stl');
+    saveArrayBuffer(exporter.parse(getExportScene('model'), { binary: true }), 'model-binary.stl');
   });
   fileExportSubmenu.add(option);
 
@@ -390,12 +418,19 @@ function MenubarFile(editor) {
 
     const exporter = new USDZExporter();
 
-    saveArrayBuffer(await exporter.parseAsync(editor.scene), 'model.usdz');
+    saveArrayBuffer(await exporter.parseAsync(getExportScene('model')), 'model.usdz');
   });
   fileExportSubmenu.add(option);
 
   //
 
+  /**
+   * The scene without the layers left out of an export target.
+   */
+  function getExportScene(target) {
+    return editor.layers.filterForExport(editor.scene, target, clone);
+  }
+
   function getAnimations(scene) {
     const animations = [];
 
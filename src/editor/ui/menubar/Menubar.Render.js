@@ -172,7 +172,7 @@ class RenderImageDialog {
 
       //
 
-      const json = editor.toJSON();
+      const json = editor.toJSON({ textureImages: true });
       const project = json.project;
 
       //
@@ -394,7 +394,7 @@ class RenderVideoDialog {
     renderButton.setWidth('80px');
     renderButton.onClick(async () => {
       const player = new APP.Player();
-      await player.load(editor.toJSON());
+      await player.load(editor.toJSON({ textureImages: true }));
       player.setPixelRatio(1);
       player.setSize(videoWidth.getValue(), videoHeight.getValue());
       player.setClearColor(editor.viewportColor);
@@ -23,6 +23,10 @@ function MenubarView(editor) {
     cameraHelpers: true,
     lightHelpers: true,
     skeletonHelpers: true,
+    navMesh: true,
+    sightlines: true,
+    reachability: true,
+    triggerLinks: true,
   };
 
   // Grid Helper
@@ -93,6 +97,74 @@ function MenubarView(editor) {
 
   options.add(option);
 
+  // Navigation Mesh
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/view/navMesh'))
+    .onClick(function () {
+      states.navMesh = !states.navMesh;
+
+      this.toggleClass('toggle-on', states.navMesh);
+
+      signals.showHelpersChanged.dispatch(states);
+    })
+    .toggleClass('toggle-on', states.navMesh);
+
+  options.add(option);
+
+  // Sightlines
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/view/sightlines'))
+    .onClick(function () {
+      states.sightlines = !states.sightlines;
+
+      this.toggleClass('toggle-on', states.sightlines);
+
+      signals.showHelpersChanged.dispatch(states);
+    })
+    .toggleClass('toggle-on', states.sightlines);
+
+  options.add(option);
+
+  // Reachability
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/view/reachability'))
+    .onClick(function () {
+      states.reachability = !states.reachability;
+
+      this.toggleClass('toggle-on', states.reachability);
+
+      signals.showHelpersChanged.dispatch(states);
+    })
+    .toggleClass('toggle-on', states.reachability);
+
+  options.add(option);
+
+  // Trigger Links
+
+  option = new UIRow()
+    .addClass('option')
+    .addClass('toggle')
+    .setTextContent(strings.getKey('menubar/view/triggerLinks'))
+    .onClick(function () {
+      states.triggerLinks = !states.triggerLinks;
+
+      this.toggleClass('toggle-on', states.triggerLinks);
+
+      signals.showHelpersChanged.dispatch(states);
+    })
+    .toggleClass('toggle-on', states.triggerLinks);
+
+  options.add(option);
+
   // new helpers are visible by default, the global visibility state
   // of helpers is managed in this component. every time a helper is added,
   // we request a viewport updated by firing the showHelpersChanged signal.
@@ -23,7 +23,8 @@ export class SceneTreePanel {
 
     this.editor.signals.objectAdded.add(refresh);
     this.editor.signals.objectRemoved.add(refresh);
-    this.editor.signals.objectSelected.add(refresh);
+    // Also fires when objects are added to or removed from a multi-selection
+    this.editor.signals.selectionChanged.add(refresh);
     this.editor.signals.sceneGraphChanged.add(refresh);
   }
 
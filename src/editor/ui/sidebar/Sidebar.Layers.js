@@ -0,0 +1,159 @@
+import { UIButton, UICheckbox, UIDiv, UIInput, UIPanel, UIRow, UIText } from '../libs/ui.js';
+
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { LayerManager } from '../../core/LayerManager.js';
+
+function SidebarLayers(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+  const layers = editor.layers;
+
+  const container = new UIPanel();
+  container.setId('layers');
+
+  container.add(new UIText(strings.getKey('sidebar/layers').toUpperCase()));
+
+  // Add
+
+  const addButton = new UIButton(strings.getKey('sidebar/layers/add'));
+  addButton.setPosition('absolute').setRight('8px');
+  addButton.onClick(function () {
+    layers.add(strings.getKey('sidebar/layers/newLayer') + ' ' + layers.getLayers().length);
+  });
+  container.add(addButton);
+
+  const list = new UIDiv();
+  list.setMarginTop('20px');
+  container.add(list);
+
+  //
+
+  const counts = new Map();
+
+  function createToggle(key, layer, property) {
+    const button = new UIButton(strings.getKey('sidebar/layers/' + key));
+    button.setMarginLeft('4px');
+    button.toggleClass('selected', layer[property]);
+    button.onClick(function () {
+      layers.set(layer.id, { [property]: !layer[property] });
+    });
+
+    return button;
+  }
+
+  function createLayerRows(layer) {
+    // Name, visibility, lock and solo
+
+    const row = new UIRow();
+
+    const visible = new UICheckbox(layer.visible);
+    visible.dom.title = strings.getKey('sidebar/layers/visible');
+    visible.onChange(function () {
+      layers.set(layer.id, { visible: visible.getValue() });
+    });
+    row.add(visible);
+
+    const name = new UIInput(layer.name).setWidth('90px').setMarginLeft('4px');
+    name.onChange(function () {
+      layers.set(layer.id, { name: name.getValue() });
+    });
+    row.add(name);
+
+    const count = new UIText().setMarginLeft('4px');
+    counts.set(layer.id, count);
+    row.add(count);
+
+    row.add(createToggle('lock', layer, 'locked'));
+    row.add(createToggle('solo', layer, 'solo'));
+
+    const assign = new UIButton(strings.getKey('sidebar/layers/assign'));
+    assign.setMarginLeft('4px');
+    assign.dom.title = strings.getKey('sidebar/layers/assign/title');
+    assign.onClick(function () {
+      assignSelection(layer);
+    });
+    row.add(assign);
+
+    if (layer.id !== LayerManager.DEFAULT) {
+      const remove = new UIButton('×');
+      remove.setMarginLeft('4px');
+      remove.onClick(function () {
+        layers.remove(layer.id);
+      });
+      row.add(remove);
+    }
+
+    list.add(row);
+
+    // Exports
+
+    const exportsRow = new UIRow();
+    exportsRow.setMarginLeft('24px');
+    exportsRow.add(new UIText(strings.getKey('sidebar/layers/export')));
+
+    for (const target of LayerManager.EXPORT_TARGETS) {
+      const checkbox = new UICheckbox(layer.exports[target]).setMarginLeft('8px');
+      checkbox.onChange(function () {
+        layers.set(layer.id, { exports: { [target]: checkbox.getValue() } });
+      });
+
+      exportsRow.add(checkbox);
+      exportsRow.add(new UIText(strings.getKey('sidebar/layers/export/' + target)));
+    }
+
+    list.add(exportsRow);
+  }
+
+  /**
+   * Move the selected objects to a layer, as one undoable step.
+   */
+  function assignSelection(layer) {
+    const commands = editor.selection.getRoots().map(function (object) {
+      const userData = JSON.parse(JSON.stringify(object.userData));
+
+      // Kept for the default layer too, so children don't take their parent's layer
+      userData.layer = layer.id;
+
+      return new SetValueCommand(editor, object, 'userData', userData);
+    });
+
+    if (commands.length > 0) {
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Set Layer');
+    }
+  }
+
+  function refreshUI() {
+    list.clear();
+    counts.clear();
+
+    for (const layer of layers.getLayers()) createLayerRows(layer);
+
+    updateCounts();
+  }
+
+  /**
+   * Number of objects at the top of the scene in each layer.
+   */
+  function updateCounts() {
+    const totals = new Map();
+
+    for (const object of editor.scene.children) {
+      const id = layers.getLayer(object).id;
+      totals.set(id, (totals.get(id) || 0) + 1);
+    }
+
+    for (const [id, count] of counts) count.setValue('(' + (totals.get(id) || 0) + ')');
+  }
+
+  signals.layersChanged.add(refreshUI);
+  signals.sceneGraphChanged.add(updateCounts);
+  signals.objectChanged.add(updateCounts);
+
+  refreshUI();
+
+  return container;
+}
+
+export { SidebarLayers };
@@ -4,6 +4,7 @@ import { UIButton, UIInput, UIPanel, UIRow, UISelect, UIText, UITextArea } from
 
 import { SetMaterialCommand } from '../../commands/SetMaterialCommand.js';
 import { SetMaterialValueCommand } from '../../commands/SetMaterialValueCommand.js';
+import { SetPropertyValueCommand } from '../../commands/SetPropertyValueCommand.js';
 
 import { SidebarMaterialBooleanProperty } from './Sidebar.Material.BooleanProperty.js';
 import { SidebarMaterialColorProperty } from './Sidebar.Material.ColorProperty.js';
@@ -38,6 +39,29 @@ function SidebarMaterial(editor) {
 
   container.add(materialSlotRow);
 
+  // library material of factory objects
+
+  const materialLibraryRow = new UIRow();
+  const materialLibrary = new UISelect().setWidth('150px').setFontSize('12px');
+  materialLibrary.onChange(function () {
+    const oldValue = currentObject.userData.materialType;
+
+    editor.execute(
+      new SetPropertyValueCommand(
+        editor,
+        currentObject,
+        'materialType',
+        materialLibrary.getValue(),
+        oldValue
+      )
+    );
+  });
+
+  materialLibraryRow.add(new UIText(strings.getKey('sidebar/material/library')).setClass('Label'));
+  materialLibraryRow.add(materialLibrary);
+
+  container.add(materialLibraryRow);
+
   // type
 
   const materialClassRow = new UIRow();
@@ -878,6 +902,15 @@ function SidebarMaterial(editor) {
 
     setRowVisibility();
 
+    const materialType = currentObject.userData.materialType;
+
+    if (materialType !== undefined && editor.libraryMaterials.has(materialType)) {
+      materialLibrary.setOptions(editor.libraryMaterials.getOptions()).setValue(materialType);
+      materialLibraryRow.setDisplay('');
+    } else {
+      materialLibraryRow.setDisplay('none');
+    }
+
     try {
       materialUserData.setValue(JSON.stringify(material.userData, null, '  '));
     } catch (error) {
@@ -912,6 +945,7 @@ function SidebarMaterial(editor) {
   });
 
   signals.materialChanged.add(refreshUI);
+  signals.libraryMaterialsChanged.add(refreshUI);
 
   return container;
 }
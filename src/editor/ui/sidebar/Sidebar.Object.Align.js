@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+
+import { UIBreak, UIButton, UIDiv, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { SetPositionCommand } from '../../commands/SetPositionCommand.js';
+import { SetRotationCommand } from '../../commands/SetRotationCommand.js';
+import { SetScaleCommand } from '../../commands/SetScaleCommand.js';
+
+import { Alignment } from '../../../game/Alignment.js';
+
+function SidebarObjectAlign(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+  const selection = editor.selection;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/align')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  function createButton(key, onClick) {
+    const button = new UIButton(strings.getKey('sidebar/object/align/' + key));
+    button.setMarginRight('4px');
+    button.onClick(onClick);
+
+    return button;
+  }
+
+  // align
+
+  for (const axis of Alignment.AXES) {
+    const row = new UIRow();
+
+    row.add(
+      new UIText(strings.getKey('sidebar/object/align/axis') + ' ' + axis.toUpperCase()).setClass(
+        'Label'
+      )
+    );
+
+    for (const mode of Alignment.MODES) {
+      row.add(createButton(mode, () => align(axis, mode)));
+    }
+
+    container.add(row);
+  }
+
+  // distribute
+
+  const spacingOptions = {};
+
+  for (const spacing of Alignment.SPACINGS) {
+    spacingOptions[spacing] = strings.getKey('sidebar/object/align/spacing/' + spacing);
+  }
+
+  const spacing = new UISelect().setWidth('150px').setOptions(spacingOptions);
+  spacing.setValue('centers');
+
+  const spacingRow = new UIRow();
+  spacingRow.add(new UIText(strings.getKey('sidebar/object/align/distribute')).setClass('Label'));
+  spacingRow.add(spacing);
+  container.add(spacingRow);
+
+  const distributeRow = new UIRow();
+  distributeRow.setMarginLeft('120px');
+
+  for (const axis of Alignment.AXES) {
+    const button = new UIButton(axis.toUpperCase());
+    button.setMarginRight('4px');
+    button.onClick(() => distribute(axis));
+    distributeRow.add(button);
+  }
+
+  container.add(distributeRow);
+
+  // match
+
+  const matchRow = new UIRow();
+  matchRow.add(new UIText(strings.getKey('sidebar/object/align/match')).setClass('Label'));
+  matchRow.add(createButton('size', matchSize));
+  matchRow.add(createButton('rotation', matchRotation));
+  container.add(matchRow);
+
+  //
+
+  function getBounds(object) {
+    return new THREE.Box3().setFromObject(object);
+  }
+
+  /**
+   * Command moving an object by a world offset.
+   */
+  function moveBy(object, offset) {
+    object.updateWorldMatrix(true, false);
+
+    const position = object.getWorldPosition(new THREE.Vector3()).add(offset);
+    object.parent.worldToLocal(position);
+
+    return new SetPositionCommand(editor, object, position);
+  }
+
+  function moveAlong(objects, axis, offsets, name) {
+    const commands = [];
+
+    objects.forEach(function (object, index) {
+      if (Math.abs(offsets[index]) < 1e-6) return;
+
+      const offset = new THREE.Vector3();
+      offset[axis] = offsets[index];
+
+      commands.push(moveBy(object, offset));
+    });
+
+    execute(commands, name);
+  }
+
+  function align(axis, mode) {
+    const objects = selection.getRoots();
+
+    moveAlong(objects, axis, Alignment.align(objects.map(getBounds), axis, mode), 'Align Objects');
+  }
+
+  function distribute(axis) {
+    const objects = selection.getRoots();
+    const offsets = Alignment.distribute(objects.map(getBounds), axis, spacing.getValue());
+
+    moveAlong(objects, axis, offsets, 'Distribute Objects');
+  }
+
+  /**
+   * Scale the other selected objects to the bounds of the active one,
+   * keeping their centers in place.
+   */
+  function matchSize() {
+    const active = editor.selected;
+    const target = getBounds(active);
+    const commands = [];
+
+    for (const object of selection.getRoots()) {
+      if (object === active) continue;
+
+      const box = getBounds(object);
+
+      object.updateWorldMatrix(true, false);
+
+      const oldScale = object.scale.clone();
+      const newScale = oldScale
+        .clone()
+        .multiply(Alignment.getSizeFactors(box, target, object.matrixWorld));
+
+      // Where the center ends up at the new scale
+      object.scale.copy(newScale);
+      const center = getBounds(object).getCenter(new THREE.Vector3());
+      object.scale.copy(oldScale);
+      object.updateMatrixWorld(true);
+
+      commands.push(new SetScaleCommand(editor, object, newScale, oldScale));
+      commands.push(moveBy(object, box.getCenter(new THREE.Vector3()).sub(center)));
+    }
+
+    execute(commands, 'Match Size');
+  }
+
+  function matchRotation() {
+    const active = editor.selected;
+    const quaternion = active.getWorldQuaternion(new THREE.Quaternion());
+    const commands = [];
+
+    for (const object of selection.getRoots()) {
+      if (object === active) continue;
+
+      const parentQuaternion = object.parent.getWorldQuaternion(new THREE.Quaternion());
+      const local = parentQuaternion.invert().multiply(quaternion);
+
+      commands.push(
+        new SetRotationCommand(
+          editor,
+          object,
+          new THREE.Euler().setFromQuaternion(local, object.rotation.order)
+        )
+      );
+    }
+
+    execute(commands, 'Match Rotation');
+  }
+
+  function execute(commands, name) {
+    if (commands.length === 0) return;
+
+    editor.execute(new MultiCmdsCommand(editor, commands), name);
+  }
+
+  signals.selectionChanged.add(function (objects) {
+    container.setDisplay(objects.length > 1 ? '' : 'none');
+  });
+
+  return container;
+}
+
+export { SidebarObjectAlign };
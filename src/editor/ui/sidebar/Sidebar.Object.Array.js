@@ -0,0 +1,331 @@
+import {
+  UIBreak,
+  UIButton,
+  UIDiv,
+  UIInteger,
+  UINumber,
+  UIRow,
+  UISelect,
+  UIText,
+} from '../libs/ui.js';
+
+import { AddObjectCommand } from '../../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { RemoveObjectCommand } from '../../commands/RemoveObjectCommand.js';
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { ArrayPattern } from '../../../game/ArrayPattern.js';
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+
+function SidebarObjectArray(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+  const prefabs = editor.prefabs;
+
+  const defaults = ArrayPattern.DEFAULTS;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/array')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // settings
+
+  function createRow(key, ...elements) {
+    const row = new UIRow();
+
+    row.add(new UIText(strings.getKey('sidebar/object/array/' + key)).setClass('Label'));
+    row.add(...elements);
+
+    container.add(row);
+
+    return row;
+  }
+
+  function createVector(precision = 2, unit = '') {
+    return [0, 1, 2].map(() =>
+      new UINumber().setPrecision(precision).setUnit(unit).setWidth('50px').onChange(preview)
+    );
+  }
+
+  const modeOptions = {};
+
+  for (const mode of ArrayPattern.MODES) {
+    modeOptions[mode] = strings.getKey('sidebar/object/array/mode/' + mode);
+  }
+
+  const mode = new UISelect().setWidth('150px').setOptions(modeOptions);
+  mode.onChange(function () {
+    updateRows();
+    preview();
+  });
+
+  createRow('mode', mode);
+
+  const count = new UIInteger()
+    .setRange(1, ArrayPattern.MAX_COPIES + 1)
+    .setWidth('50px')
+    .onChange(preview);
+  const countRow = createRow('count', count);
+
+  const offset = createVector();
+  const offsetRow = createRow('offset', ...offset);
+
+  const counts = [0, 1, 2].map(() =>
+    new UIInteger()
+      .setRange(1, ArrayPattern.MAX_COPIES + 1)
+      .setWidth('50px')
+      .onChange(preview)
+  );
+  const countsRow = createRow('counts', ...counts);
+
+  const spacing = createVector();
+  const spacingRow = createRow('spacing', ...spacing);
+
+  const angle = new UINumber().setUnit('°').setWidth('50px').onChange(preview);
+  const angleRow = createRow('angle', angle);
+
+  const pivot = createVector();
+  const pivotRow = createRow('pivot', ...pivot);
+
+  const rotationStep = createVector(1, '°');
+  createRow('rotationStep', ...rotationStep);
+
+  const scaleStep = new UINumber().setPrecision(2).setStep(0.1).setWidth('50px').onChange(preview);
+  createRow('scaleStep', scaleStep);
+
+  // buttons
+
+  const buttonsRow = new UIRow();
+
+  const apply = new UIButton();
+  apply.onClick(applyArray);
+  buttonsRow.add(apply);
+
+  const remove = new UIButton(strings.getKey('sidebar/object/array/remove'));
+  remove.setMarginLeft('4px');
+  remove.onClick(removeArray);
+  buttonsRow.add(remove);
+
+  container.add(buttonsRow);
+
+  // info
+
+  const infoRow = new UIRow();
+  const info = new UIText();
+  infoRow.add(info);
+  container.add(infoRow);
+
+  //
+
+  function getSettings() {
+    const getValues = (numbers) => numbers.map((number) => number.getValue());
+
+    return {
+      mode: mode.getValue(),
+      count: count.getValue(),
+      offset: getValues(offset),
+      counts: getValues(counts),
+      spacing: getValues(spacing),
+      angle: angle.getValue(),
+      pivot: getValues(pivot),
+      rotationStep: getValues(rotationStep),
+      scaleStep: scaleStep.getValue(),
+    };
+  }
+
+  function setSettings(settings) {
+    const setValues = (numbers, values) =>
+      numbers.forEach((number, index) => number.setValue(values[index]));
+
+    mode.setValue(settings.mode);
+    count.setValue(settings.count);
+    setValues(offset, settings.offset);
+    setValues(counts, settings.counts);
+    setValues(spacing, settings.spacing);
+    angle.setValue(settings.angle);
+    setValues(pivot, settings.pivot);
+    setValues(rotationStep, settings.rotationStep);
+    scaleStep.setValue(settings.scaleStep);
+  }
+
+  function updateRows() {
+    const value = mode.getValue();
+
+    countRow.setDisplay(value === 'grid' ? 'none' : '');
+    offsetRow.setDisplay(value === 'linear' ? '' : 'none');
+    countsRow.setDisplay(value === 'grid' ? '' : 'none');
+    spacingRow.setDisplay(value === 'grid' ? '' : 'none');
+    angleRow.setDisplay(value === 'radial' ? '' : 'none');
+    pivotRow.setDisplay(value === 'radial' ? '' : 'none');
+  }
+
+  function getMatrices(object) {
+    object.updateWorldMatrix(true, false);
+
+    return new ArrayPattern(getSettings()).getMatrices(object.matrixWorld);
+  }
+
+  /**
+   * Copies of an array that are still in the scene.
+   */
+  function getCopies(object) {
+    const uuids = object.userData.array?.copies || [];
+
+    return uuids.map((uuid) => editor.objectByUuid(uuid)).filter((copy) => copy !== undefined);
+  }
+
+  function createCopy(object, matrix) {
+    let copy;
+
+    if (prefabs.isInstance(object)) {
+      const prefab = prefabs.library.get(object.userData.prefab.id);
+
+      copy = prefabs.instantiate(prefab, prefabs.getOverrides(object, prefab));
+      copy.name = object.name;
+    } else {
+      copy = editor.cloneObject(object);
+
+      // Own materials, so that editing or baking one copy leaves the others alone
+      copy.traverse(function (child) {
+        if (child.material === undefined) return;
+
+        child.material = Array.isArray(child.material)
+          ? child.material.map((material) => material.clone())
+          : child.material.clone();
+      });
+    }
+
+    matrix.decompose(copy.position, copy.quaternion, copy.scale);
+
+    if (ObjectFactory.OBJECT_TYPES[copy.userData.type] !== undefined) {
+      copy.userData.position = { x: copy.position.x, y: copy.position.y, z: copy.position.z };
+      copy.userData.rotation = { x: copy.rotation.x, y: copy.rotation.y, z: copy.rotation.z };
+      copy.userData.scale = { x: copy.scale.x, y: copy.scale.y, z: copy.scale.z };
+    }
+
+    return copy;
+  }
+
+  /**
+   * Preview the copies for the current settings.
+   */
+  function preview() {
+    const object = editor.selected;
+    const matrices = getMatrices(object);
+
+    signals.arrayPreviewChanged.dispatch(object, matrices);
+
+    info.setValue(matrices.length + ' ' + strings.getKey('sidebar/object/array/copies'));
+  }
+
+  function stopPreview() {
+    signals.arrayPreviewChanged.dispatch(null);
+  }
+
+  /**
+   * Replace the copies of the selected object with those of the current
+   * settings, as one undoable step.
+   */
+  function applyArray() {
+    const object = editor.selected;
+    const copies = getMatrices(object).map((matrix) => createCopy(object, matrix));
+
+    const userData = JSON.parse(JSON.stringify(object.userData));
+    userData.array = { ...getSettings(), copies: copies.map((copy) => copy.uuid) };
+
+    const commands = [
+      ...getCopies(object).map((copy) => new RemoveObjectCommand(editor, copy)),
+      new SetValueCommand(editor, object, 'userData', userData),
+      ...copies.map((copy) => new AddObjectCommand(editor, copy)),
+    ];
+
+    execute(commands, 'Array');
+    editor.select(object);
+  }
+
+  function removeArray() {
+    const object = editor.selected;
+
+    const userData = JSON.parse(JSON.stringify(object.userData));
+    delete userData.array;
+
+    const commands = [
+      ...getCopies(object).map((copy) => new RemoveObjectCommand(editor, copy)),
+      new SetValueCommand(editor, object, 'userData', userData),
+    ];
+
+    execute(commands, 'Remove Array');
+  }
+
+  function execute(commands, name) {
+    stopPreview();
+
+    // One scene graph update instead of one per object
+    signals.sceneGraphChanged.active = false;
+    editor.execute(new MultiCmdsCommand(editor, commands), name);
+    signals.sceneGraphChanged.active = true;
+    signals.sceneGraphChanged.dispatch();
+  }
+
+  function updateUI(object) {
+    const array = object.userData.array;
+
+    setSettings({ ...defaults, ...array });
+    updateRows();
+
+    apply.setTextContent(
+      strings.getKey(
+        array === undefined ? 'sidebar/object/array/apply' : 'sidebar/object/array/update'
+      )
+    );
+    remove.setDisplay(array === undefined ? 'none' : '');
+
+    info.setValue(
+      array === undefined
+        ? ''
+        : getCopies(object).length + ' ' + strings.getKey('sidebar/object/array/copies')
+    );
+  }
+
+  /**
+   * Factory objects and prefab instances at the top of the scene can be arrayed.
+   * Spawn points can't, as each one belongs to a player.
+   */
+  function isArrayable(object) {
+    if (object === null || object.parent !== editor.scene) return false;
+
+    const type = object.userData.type;
+
+    return (
+      (ObjectFactory.OBJECT_TYPES[type] !== undefined && type !== 'spawn_point') ||
+      prefabs.isInstance(object)
+    );
+  }
+
+  signals.objectSelected.add(function (object) {
+    stopPreview();
+
+    if (isArrayable(object)) {
+      updateUI(object);
+
+      container.setDisplay('');
+    } else {
+      container.setDisplay('none');
+    }
+  });
+
+  signals.objectChanged.add(function (object) {
+    if (object !== editor.selected || !isArrayable(object)) return;
+
+    stopPreview();
+    updateUI(object);
+  });
+
+  return container;
+}
+
+export { SidebarObjectArray };
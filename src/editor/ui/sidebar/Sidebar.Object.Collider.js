@@ -0,0 +1,94 @@
+import { UIBreak, UIDiv, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { ColliderBuilder } from '../../../game/ColliderBuilder.js';
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+
+function SidebarObjectCollider(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(
+    new UIText(strings.getKey('sidebar/object/collider')).setTextTransform('uppercase')
+  );
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // shape
+
+  const shapeRow = new UIRow();
+  const shape = new UISelect().setWidth('150px').onChange(update);
+
+  shapeRow.add(new UIText(strings.getKey('sidebar/object/collider/shape')).setClass('Label'));
+  shapeRow.add(shape);
+
+  container.add(shapeRow);
+
+  //
+
+  function update() {
+    const object = editor.selected;
+    const value = shape.getValue() === 'auto' ? undefined : shape.getValue();
+
+    if (object.userData.collider === value) return;
+
+    const userData = JSON.parse(JSON.stringify(object.userData));
+
+    if (value === undefined) {
+      delete userData.collider;
+    } else {
+      userData.collider = value;
+    }
+
+    editor.execute(new SetValueCommand(editor, object, 'userData', userData));
+  }
+
+  function updateUI(object) {
+    const type = object.userData.type;
+    const defaultShape = ObjectFactory.OBJECT_TYPES[type].collider;
+
+    const options = {
+      auto:
+        strings.getKey('sidebar/object/collider/auto') +
+        ' (' +
+        strings.getKey('sidebar/object/collider/' + defaultShape) +
+        ')',
+    };
+
+    for (const name of ColliderBuilder.getShapes(type)) {
+      options[name] = strings.getKey('sidebar/object/collider/' + name);
+    }
+
+    shape.setOptions(options);
+    shape.setValue(object.userData.collider ?? 'auto');
+  }
+
+  function isCollidable(object) {
+    return object !== null && ObjectFactory.isSolid(object.userData.type);
+  }
+
+  signals.objectSelected.add(function (object) {
+    if (isCollidable(object)) {
+      updateUI(object);
+
+      container.setDisplay('');
+    } else {
+      container.setDisplay('none');
+    }
+  });
+
+  signals.objectChanged.add(function (object) {
+    if (object !== editor.selected || !isCollidable(object)) return;
+
+    updateUI(object);
+  });
+
+  return container;
+}
+
+export { SidebarObjectCollider };
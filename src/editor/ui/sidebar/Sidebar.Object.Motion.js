@@ -0,0 +1,455 @@
+import * as THREE from 'three';
+
+import { UIBreak, UIButton, UIDiv, UINumber, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { MotionTrack } from '../../../game/MotionTrack.js';
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+
+function SidebarObjectMotion(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+  const mixer = editor.mixer;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/motion')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // add
+
+  const addMotion = new UIButton(strings.getKey('sidebar/object/motion/add'));
+  addMotion.onClick(function () {
+    edit(function (userData) {
+      userData.motion = MotionTrack.createDefault();
+    });
+  });
+  container.add(addMotion);
+
+  const settings = new UIDiv();
+  container.add(settings);
+
+  // start
+
+  const startOptions = {};
+
+  for (const start of MotionTrack.STARTS) {
+    startOptions[start] = strings.getKey('sidebar/object/motion/start/' + start);
+  }
+
+  const startRow = new UIRow();
+  const start = new UISelect().setWidth('150px').setOptions(startOptions);
+  start.onChange(function () {
+    edit(function (userData) {
+      userData.motion.start = start.getValue();
+    });
+  });
+
+  startRow.add(new UIText(strings.getKey('sidebar/object/motion/start')).setClass('Label'));
+  startRow.add(start);
+
+  settings.add(startRow);
+
+  // loop
+
+  const loopOptions = {};
+
+  for (const loop of MotionTrack.LOOPS) {
+    loopOptions[loop] = strings.getKey('sidebar/object/motion/loop/' + loop);
+  }
+
+  const loopRow = new UIRow();
+  const loop = new UISelect().setWidth('150px').setOptions(loopOptions);
+  loop.onChange(function () {
+    edit(function (userData) {
+      userData.motion.loop = loop.getValue();
+    });
+  });
+
+  loopRow.add(new UIText(strings.getKey('sidebar/object/motion/loop')).setClass('Label'));
+  loopRow.add(loop);
+
+  settings.add(loopRow);
+
+  // timeline
+
+  const timeline = new UIDiv().setId('motionTimeline');
+  timeline.dom.addEventListener('click', function (event) {
+    const rect = timeline.dom.getBoundingClientRect();
+    const fraction = THREE.MathUtils.clamp((event.clientX - rect.left) / rect.width, 0, 1);
+
+    playhead = fraction * getTimelineLength();
+    selectedKey = -1;
+
+    updateUI(editor.selected);
+    poseAt(playhead);
+  });
+  settings.add(timeline);
+
+  // buttons
+
+  const buttonsRow = new UIRow();
+
+  const addKey = new UIButton(strings.getKey('sidebar/object/motion/addKey'));
+  addKey.onClick(function () {
+    const track = new MotionTrack(editor.selected.userData.motion);
+    const { position, rotation } = track.sample(playhead);
+
+    edit(function (userData) {
+      const keyframes = userData.motion.keyframes;
+
+      keyframes.push({
+        time: round(playhead),
+        position: position.toArray().map(round),
+        rotation: rotation.toArray().slice(0, 3).map(round),
+        easing: 'linear',
+      });
+      keyframes.sort((a, b) => a.time - b.time);
+
+      selectedKey = keyframes.findIndex((keyframe) => keyframe.time === round(playhead));
+    });
+  });
+  buttonsRow.add(addKey);
+
+  const removeKey = new UIButton(strings.getKey('sidebar/object/motion/removeKey'));
+  removeKey.setMarginLeft('4px');
+  removeKey.onClick(function () {
+    const index = selectedKey;
+
+    edit(function (userData) {
+      userData.motion.keyframes.splice(index, 1);
+    });
+
+    selectedKey = -1;
+    updateUI(editor.selected);
+  });
+  buttonsRow.add(removeKey);
+
+  const preview = new UIButton(strings.getKey('sidebar/object/motion/preview'));
+  preview.setMarginLeft('4px');
+  preview.onClick(function () {
+    if (action !== null && !action.paused) {
+      stopPreview();
+    } else {
+      playPreview();
+    }
+  });
+  buttonsRow.add(preview);
+
+  const removeMotion = new UIButton(strings.getKey('sidebar/object/motion/remove'));
+  removeMotion.setMarginLeft('4px');
+  removeMotion.onClick(function () {
+    stopPreview();
+
+    edit(function (userData) {
+      delete userData.motion;
+    });
+  });
+  buttonsRow.add(removeMotion);
+
+  settings.add(buttonsRow);
+
+  // selected keyframe
+
+  const keyframe = new UIDiv();
+  settings.add(keyframe);
+
+  const timeRow = new UIRow();
+  const time = new UINumber().setPrecision(2).setRange(0, Infinity).setUnit('s').setWidth('50px');
+  time.onChange(function () {
+    const value = round(time.getValue());
+
+    edit(function (userData) {
+      const keyframes = userData.motion.keyframes;
+      const key = keyframes[selectedKey];
+
+      key.time = value;
+      keyframes.sort((a, b) => a.time - b.time);
+
+      selectedKey = keyframes.indexOf(key);
+    });
+
+    playhead = value;
+  });
+
+  timeRow.add(new UIText(strings.getKey('sidebar/object/motion/time')).setClass('Label'));
+  timeRow.add(time);
+  keyframe.add(timeRow);
+
+  const positionRow = new UIRow();
+  const position = [0, 1, 2].map(function (axis) {
+    return new UINumber()
+      .setPrecision(2)
+      .setWidth('50px')
+      .onChange(function () {
+        editKey(function (key) {
+          key.position[axis] = round(position[axis].getValue());
+        });
+      });
+  });
+
+  positionRow.add(new UIText(strings.getKey('sidebar/object/motion/position')).setClass('Label'));
+  positionRow.add(...position);
+  keyframe.add(positionRow);
+
+  const rotationRow = new UIRow();
+  const rotation = [0, 1, 2].map(function (axis) {
+    return new UINumber()
+      .setStep(10)
+      .setNudge(0.1)
+      .setUnit('°')
+      .setWidth('50px')
+      .onChange(function () {
+        editKey(function (key) {
+          key.rotation[axis] = round(rotation[axis].getValue() * THREE.MathUtils.DEG2RAD);
+        });
+      });
+  });
+
+  rotationRow.add(new UIText(strings.getKey('sidebar/object/motion/rotation')).setClass('Label'));
+  rotationRow.add(...rotation);
+  keyframe.add(rotationRow);
+
+  const easingOptions = {};
+
+  for (const easing of Object.keys(MotionTrack.EASINGS)) {
+    easingOptions[easing] = strings.getKey('sidebar/object/motion/easing/' + easing);
+  }
+
+  const easingRow = new UIRow();
+  const easing = new UISelect().setWidth('150px').setOptions(easingOptions);
+  easing.onChange(function () {
+    editKey(function (key) {
+      key.easing = easing.getValue();
+    });
+  });
+
+  easingRow.add(new UIText(strings.getKey('sidebar/object/motion/easing')).setClass('Label'));
+  easingRow.add(easing);
+  keyframe.add(easingRow);
+
+  //
+
+  let playhead = 0;
+  let selectedKey = -1;
+
+  /**
+   * Apply a change to a copy of the selected object's data as one undoable command.
+   */
+  function edit(callback) {
+    const object = editor.selected;
+    const userData = JSON.parse(JSON.stringify(object.userData));
+
+    callback(userData);
+
+    editor.execute(new SetValueCommand(editor, object, 'userData', userData));
+  }
+
+  function editKey(callback) {
+    edit(function (userData) {
+      callback(userData.motion.keyframes[selectedKey]);
+    });
+  }
+
+  function getTimelineLength() {
+    const motion = editor.selected.userData.motion;
+
+    return Math.max(1, new MotionTrack(motion).duration);
+  }
+
+  function round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  // preview
+
+  // The preview animates a translucent copy through the editor's mixer, so the
+  // object itself never moves and no edit can capture a previewed pose
+  let action = null;
+  let ghost = null;
+
+  const ghostMaterial = new THREE.MeshBasicMaterial({
+    color: 0x0088ff,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false,
+  });
+
+  function startPreview() {
+    const object = editor.selected;
+    const track = new MotionTrack(object.userData.motion);
+
+    // Follow the object's parent, since the clip is in its space
+    ghost = new THREE.Group();
+    ghost.matrixAutoUpdate = false;
+    ghost.matrix.copy(object.parent.matrixWorld);
+
+    const mesh = new THREE.Mesh(object.geometry, ghostMaterial);
+    mesh.position.copy(object.position);
+    mesh.quaternion.copy(object.quaternion);
+    mesh.scale.copy(object.scale);
+    ghost.add(mesh);
+
+    editor.sceneHelpers.add(ghost);
+
+    action = mixer.clipAction(track.createClip(object), mesh);
+    action.setLoop(track.getLoopMode(), Infinity);
+    action.clampWhenFinished = true;
+  }
+
+  function poseAt(time) {
+    if (action === null) startPreview();
+
+    action.paused = true;
+    action.play();
+    action.time = time;
+
+    mixer.update(0);
+  }
+
+  function playPreview() {
+    if (action === null) startPreview();
+
+    if (action.time >= action.getClip().duration && action.loop === THREE.LoopOnce) {
+      action.reset();
+    }
+
+    action.paused = false;
+    action.play();
+
+    preview.setTextContent(strings.getKey('sidebar/object/motion/stop'));
+  }
+
+  function stopPreview() {
+    if (action !== null) {
+      action.stop();
+      mixer.uncacheAction(action.getClip(), action.getRoot());
+      mixer.uncacheClip(action.getClip());
+
+      editor.sceneHelpers.remove(ghost);
+    }
+
+    action = null;
+    ghost = null;
+
+    preview.setTextContent(strings.getKey('sidebar/object/motion/preview'));
+  }
+
+  /**
+   * Rebuild the preview after an edit, keeping its time and playing state.
+   */
+  function refreshPreview() {
+    if (action === null) return;
+
+    const playing = !action.paused;
+    const previewTime = action.time;
+
+    stopPreview();
+
+    if (editor.selected.userData.motion === undefined) return;
+
+    poseAt(previewTime);
+    if (playing) playPreview();
+  }
+
+  //
+
+  function updateTimeline(motion) {
+    const length = getTimelineLength();
+
+    timeline.clear();
+
+    motion.keyframes.forEach(function (key, index) {
+      const marker = document.createElement('div');
+      marker.className = index === selectedKey ? 'key selected' : 'key';
+      marker.style.left = (key.time / length) * 100 + '%';
+      marker.title = key.time + 's';
+      marker.addEventListener('click', function (event) {
+        event.stopPropagation();
+
+        playhead = key.time;
+        selectedKey = index;
+
+        updateUI(editor.selected);
+        poseAt(playhead);
+      });
+
+      timeline.dom.appendChild(marker);
+    });
+
+    const line = document.createElement('div');
+    line.className = 'playhead';
+    line.style.left = (playhead / length) * 100 + '%';
+    timeline.dom.appendChild(line);
+  }
+
+  function updateUI(object) {
+    const motion = object.userData.motion;
+
+    addMotion.setDisplay(motion === undefined ? '' : 'none');
+    settings.setDisplay(motion === undefined ? 'none' : '');
+
+    if (motion === undefined) return;
+
+    start.setValue(motion.start);
+    loop.setValue(motion.loop);
+
+    if (selectedKey >= motion.keyframes.length) selectedKey = -1;
+
+    updateTimeline(motion);
+
+    const key = motion.keyframes[selectedKey];
+
+    removeKey.setDisplay(key !== undefined && motion.keyframes.length > 1 ? '' : 'none');
+    keyframe.setDisplay(key !== undefined ? '' : 'none');
+
+    if (key === undefined) return;
+
+    time.setValue(key.time);
+    position.forEach((number, axis) => number.setValue(key.position[axis]));
+    rotation.forEach((number, axis) =>
+      number.setValue(key.rotation[axis] * THREE.MathUtils.RAD2DEG)
+    );
+    easing.setValue(key.easing);
+  }
+
+  function isAnimatable(object) {
+    return object !== null && ObjectFactory.isSolid(object.userData.type);
+  }
+
+  signals.objectSelected.add(function (object) {
+    stopPreview();
+
+    playhead = 0;
+    selectedKey = -1;
+
+    if (isAnimatable(object)) {
+      updateUI(object);
+
+      container.setDisplay('');
+    } else {
+      container.setDisplay('none');
+    }
+  });
+
+  signals.objectChanged.add(function (object) {
+    if (object !== editor.selected || !isAnimatable(object)) return;
+
+    updateUI(object);
+    refreshPreview();
+  });
+
+  signals.objectRemoved.add(function (object) {
+    if (object === editor.selected) stopPreview();
+  });
+
+  signals.startPlayer.add(stopPreview);
+
+  return container;
+}
+
+export { SidebarObjectMotion };
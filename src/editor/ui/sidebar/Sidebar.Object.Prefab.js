@@ -0,0 +1,144 @@
+import { UIBreak, UIButton, UIDiv, UIRow, UIText } from '../libs/ui.js';
+
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { SetPrefabCommand } from '../../commands/SetPrefabCommand.js';
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { PrefabLibrary } from '../../../game/PrefabLibrary.js';
+
+function SidebarObjectPrefab(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+  const prefabs = editor.prefabs;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/prefab')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // name
+
+  const nameRow = new UIRow();
+  const name = new UIText();
+
+  nameRow.add(new UIText(strings.getKey('sidebar/object/prefab/name')).setClass('Label'));
+  nameRow.add(name);
+
+  container.add(nameRow);
+
+  // overrides
+
+  const overridesRow = new UIRow();
+  const overrides = new UIText();
+
+  overridesRow.add(new UIText(strings.getKey('sidebar/object/prefab/overrides')).setClass('Label'));
+  overridesRow.add(overrides);
+
+  container.add(overridesRow);
+
+  // buttons
+
+  const buttonsRow = new UIRow();
+
+  const apply = new UIButton(strings.getKey('sidebar/object/prefab/apply'));
+  apply.onClick(function () {
+    const instance = prefabs.getInstance(editor.selected);
+    const prefab = prefabs.library.get(instance.userData.prefab.id);
+    const instanceOverrides = prefabs.getOverrides(instance);
+
+    prefab.objects = prefab.objects.map((object) =>
+      PrefabLibrary.applyOverrides(object, instanceOverrides[object.id])
+    );
+
+    editor.execute(new SetPrefabCommand(editor, prefab.id, prefab), 'Apply Prefab Overrides');
+  });
+  buttonsRow.add(apply);
+
+  const revert = new UIButton(strings.getKey('sidebar/object/prefab/revert'));
+  revert.setMarginLeft('4px');
+  revert.onClick(function () {
+    const instance = prefabs.getInstance(editor.selected);
+    const prefab = prefabs.library.get(instance.userData.prefab.id);
+    const instanceOverrides = prefabs.getOverrides(instance);
+    const materials = editor.objectFactory.materials;
+
+    const commands = [];
+
+    for (const child of instance.children) {
+      const id = prefabs.getObjectId(instance, child);
+
+      if (instanceOverrides[id] === undefined) continue;
+
+      const object = prefab.objects.find((entry) => entry.id === id);
+      const userData = JSON.parse(JSON.stringify(child.userData));
+
+      for (const key of PrefabLibrary.OVERRIDES) userData[key] = object[key];
+
+      commands.push(new SetValueCommand(editor, child, 'userData', userData));
+
+      if (materials.has(userData.materialType)) {
+        commands.push(
+          new SetValueCommand(editor, child, 'material', materials.get(userData.materialType))
+        );
+      }
+    }
+
+    editor.execute(new MultiCmdsCommand(editor, commands), 'Revert Prefab Overrides');
+  });
+  buttonsRow.add(revert);
+
+  const unlink = new UIButton(strings.getKey('sidebar/object/prefab/unlink'));
+  unlink.setMarginLeft('4px');
+  unlink.onClick(function () {
+    const instance = prefabs.getInstance(editor.selected);
+    const userData = JSON.parse(JSON.stringify(instance.userData));
+
+    delete userData.prefab;
+
+    editor.execute(new SetValueCommand(editor, instance, 'userData', userData), 'Unlink Prefab');
+  });
+  buttonsRow.add(unlink);
+
+  container.add(buttonsRow);
+
+  //
+
+  function updateUI() {
+    const instance = prefabs.getInstance(editor.selected);
+
+    if (instance === null) {
+      container.setDisplay('none');
+      return;
+    }
+
+    const prefab = prefabs.library.get(instance.userData.prefab.id);
+    const count = Object.keys(prefabs.getOverrides(instance)).length;
+
+    name.setValue(prefab.name);
+    overrides.setValue(count);
+
+    apply.setDisplay(count > 0 ? '' : 'none');
+    revert.setDisplay(count > 0 ? '' : 'none');
+
+    container.setDisplay('');
+  }
+
+  signals.objectSelected.add(updateUI);
+
+  signals.objectChanged.add(function (object) {
+    if (editor.selected === null) return;
+
+    if (object === editor.selected || object === prefabs.getInstance(editor.selected)) {
+      updateUI();
+    }
+  });
+
+  signals.prefabsChanged.add(updateUI);
+
+  return container;
+}
+
+export { SidebarObjectPrefab };
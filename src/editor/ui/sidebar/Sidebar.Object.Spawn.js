@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+
+import {
+  UIBreak,
+  UICheckbox,
+  UIDiv,
+  UIInteger,
+  UINumber,
+  UIRow,
+  UISelect,
+  UIText,
+} from '../libs/ui.js';
+
+import { SetRotationCommand } from '../../commands/SetRotationCommand.js';
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+
+function SidebarObjectSpawn(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/spawn')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // team
+
+  const teamOptions = {};
+
+  for (const team of Object.keys(ObjectFactory.SPAWN_TEAMS)) {
+    teamOptions[team] = strings.getKey('sidebar/object/spawn/team/' + team);
+  }
+
+  const teamRow = new UIRow();
+  const team = new UISelect().setWidth('150px').setOptions(teamOptions).onChange(update);
+
+  teamRow.add(new UIText(strings.getKey('sidebar/object/spawn/team')).setClass('Label'));
+  teamRow.add(team);
+
+  container.add(teamRow);
+
+  // player index
+
+  const playerIndexRow = new UIRow();
+  const playerIndex = new UIInteger().setWidth('50px').setRange(0, Infinity).onChange(update);
+
+  playerIndexRow.add(
+    new UIText(strings.getKey('sidebar/object/spawn/playerIndex')).setClass('Label')
+  );
+  playerIndexRow.add(playerIndex);
+
+  container.add(playerIndexRow);
+
+  // facing
+
+  const facingRow = new UIRow();
+  const facing = new UINumber()
+    .setStep(10)
+    .setNudge(0.1)
+    .setUnit('°')
+    .setWidth('50px')
+    .onChange(update);
+
+  facingRow.add(new UIText(strings.getKey('sidebar/object/spawn/facing')).setClass('Label'));
+  facingRow.add(facing);
+
+  container.add(facingRow);
+
+  // enabled
+
+  const enabledRow = new UIRow();
+  const enabled = new UICheckbox().onChange(update);
+
+  enabledRow.add(new UIText(strings.getKey('sidebar/object/spawn/enabled')).setClass('Label'));
+  enabledRow.add(enabled);
+
+  container.add(enabledRow);
+
+  //
+
+  function update() {
+    const object = editor.selected;
+    const spawn = object.userData.spawn || {};
+
+    if (
+      spawn.team !== team.getValue() ||
+      spawn.playerIndex !== playerIndex.getValue() ||
+      (spawn.enabled !== false) !== enabled.getValue()
+    ) {
+      const userData = JSON.parse(JSON.stringify(object.userData));
+      userData.spawn = {
+        team: team.getValue(),
+        playerIndex: playerIndex.getValue(),
+        enabled: enabled.getValue(),
+      };
+
+      editor.execute(new SetValueCommand(editor, object, 'userData', userData));
+    }
+
+    const newFacing = facing.getValue() * THREE.MathUtils.DEG2RAD;
+
+    if (Math.abs(object.rotation.y - newFacing) >= 0.01) {
+      const newRotation = object.rotation.clone();
+      newRotation.y = newFacing;
+
+      editor.execute(new SetRotationCommand(editor, object, newRotation));
+    }
+  }
+
+  function updateUI(object) {
+    const spawn = object.userData.spawn || {};
+
+    team.setValue(spawn.team ?? 'neutral');
+    playerIndex.setValue(spawn.playerIndex ?? 0);
+    facing.setValue(object.rotation.y * THREE.MathUtils.RAD2DEG);
+    enabled.setValue(spawn.enabled !== false);
+  }
+
+  signals.objectSelected.add(function (object) {
+    if (object !== null && object.userData.type === 'spawn_point') {
+      updateUI(object);
+
+      container.setDisplay('');
+    } else {
+      container.setDisplay('none');
+    }
+  });
+
+  signals.objectChanged.add(function (object) {
+    if (object !== editor.selected || object.userData.type !== 'spawn_point') return;
+
+    updateUI(object);
+  });
+
+  return container;
+}
+
+export { SidebarObjectSpawn };
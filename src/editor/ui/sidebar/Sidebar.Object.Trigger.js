@@ -0,0 +1,237 @@
+import {
+  UIBreak,
+  UIButton,
+  UICheckbox,
+  UIDiv,
+  UINumber,
+  UIRow,
+  UISelect,
+  UIText,
+} from '../libs/ui.js';
+
+import { SetValueCommand } from '../../commands/SetValueCommand.js';
+
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+import { TriggerSystem } from '../../../game/TriggerSystem.js';
+
+function SidebarObjectTrigger(editor) {
+  const strings = editor.strings;
+  const signals = editor.signals;
+
+  const container = new UIDiv();
+  container.setMarginTop('20px');
+  container.setDisplay('none');
+
+  container.add(new UIText(strings.getKey('sidebar/object/trigger')).setTextTransform('uppercase'));
+  container.add(new UIBreak());
+  container.add(new UIBreak());
+
+  // once
+
+  const onceRow = new UIRow();
+  const once = new UICheckbox().onChange(function () {
+    edit(function (trigger) {
+      trigger.once = once.getValue();
+    });
+  });
+
+  onceRow.add(new UIText(strings.getKey('sidebar/object/trigger/once')).setClass('Label'));
+  onceRow.add(once);
+
+  container.add(onceRow);
+
+  // links
+
+  const linksRow = new UIRow();
+  linksRow.add(new UIText(strings.getKey('sidebar/object/trigger/links')).setClass('Label'));
+
+  const addLink = new UIButton(strings.getKey('sidebar/object/trigger/addLink'));
+  addLink.onClick(function () {
+    const target = getTargets(editor.selected, 'toggleVisibility')[0];
+
+    if (target === undefined) return;
+
+    edit(function (trigger) {
+      trigger.links.push(TriggerSystem.createLink('enter', target.uuid, 'toggleVisibility'));
+    });
+  });
+  linksRow.add(addLink);
+
+  container.add(linksRow);
+
+  const links = new UIDiv();
+  container.add(links);
+
+  //
+
+  const eventOptions = {};
+
+  for (const event of TriggerSystem.EVENTS) {
+    eventOptions[event] = strings.getKey('sidebar/object/trigger/event/' + event);
+  }
+
+  const actionOptions = {};
+
+  for (const action of Object.keys(TriggerSystem.ACTIONS)) {
+    actionOptions[action] = strings.getKey('sidebar/object/trigger/action/' + action);
+  }
+
+  /**
+   * Apply a change to a copy of the selected trigger's data as one undoable command.
+   */
+  function edit(callback) {
+    const object = editor.selected;
+    const userData = JSON.parse(JSON.stringify(object.userData));
+
+    userData.trigger = { once: false, links: [], ...userData.trigger };
+    callback(userData.trigger);
+
+    editor.execute(new SetValueCommand(editor, object, 'userData', userData));
+  }
+
+  /**
+   * Factory objects a trigger can apply an action to.
+   */
+  function getTargets(trigger, action) {
+    const targets = [];
+
+    editor.scene.traverse(function (child) {
+      if (child === trigger || ObjectFactory.OBJECT_TYPES[child.userData.type] === undefined) {
+        return;
+      }
+
+      if (TriggerSystem.canTarget(action, child)) targets.push(child);
+    });
+
+    return targets;
+  }
+
+  function createLinkRows(object, link, index) {
+    const row = new UIRow();
+
+    const event = new UISelect().setWidth('70px').setOptions(eventOptions);
+    event.setValue(link.event);
+    event.onChange(function () {
+      edit(function (trigger) {
+        trigger.links[index].event = event.getValue();
+      });
+    });
+    row.add(event);
+
+    const action = new UISelect().setWidth('100px').setMarginLeft('4px').setOptions(actionOptions);
+    action.setValue(link.action);
+    action.onChange(function () {
+      const name = action.getValue();
+      const targets = getTargets(object, name);
+
+      // Keep the target when the new action applies to it
+      const target = targets.find((target) => target.uuid === link.target) || targets[0];
+
+      edit(function (trigger) {
+        trigger.links[index] = TriggerSystem.createLink(
+          link.event,
+          target !== undefined ? target.uuid : link.target,
+          name
+        );
+      });
+    });
+    row.add(action);
+
+    const targetOptions = {};
+
+    for (const target of getTargets(object, link.action)) {
+      targetOptions[target.uuid] = target.name || target.userData.type;
+    }
+
+    const target = new UISelect().setWidth('100px').setMarginLeft('4px').setOptions(targetOptions);
+    target.setValue(link.target);
+    target.onChange(function () {
+      edit(function (trigger) {
+        trigger.links[index].target = target.getValue();
+      });
+    });
+    row.add(target);
+
+    const remove = new UIButton('×').setMarginLeft('4px');
+    remove.onClick(function () {
+      edit(function (trigger) {
+        trigger.links.splice(index, 1);
+      });
+    });
+    row.add(remove);
+
+    links.add(row);
+
+    if (link.action !== 'move') return;
+
+    // move parameters
+
+    const offsetRow = new UIRow();
+    const offset = [0, 1, 2].map(function (axis) {
+      return new UINumber(link.offset[axis])
+        .setPrecision(2)
+        .setWidth('50px')
+        .onChange(function () {
+          edit(function (trigger) {
+            trigger.links[index].offset = offset.map((number) => number.getValue());
+          });
+        });
+    });
+
+    offsetRow.add(new UIText(strings.getKey('sidebar/object/trigger/offset')).setClass('Label'));
+    offsetRow.add(...offset);
+    links.add(offsetRow);
+
+    const durationRow = new UIRow();
+    const duration = new UINumber(link.duration)
+      .setRange(0, Infinity)
+      .setUnit('s')
+      .setWidth('50px')
+      .onChange(function () {
+        edit(function (trigger) {
+          trigger.links[index].duration = duration.getValue();
+        });
+      });
+
+    durationRow.add(
+      new UIText(strings.getKey('sidebar/object/trigger/duration')).setClass('Label')
+    );
+    durationRow.add(duration);
+    links.add(durationRow);
+  }
+
+  function updateUI(object) {
+    const trigger = object.userData.trigger || {};
+
+    once.setValue(trigger.once === true);
+
+    links.clear();
+    (trigger.links || []).forEach(function (link, index) {
+      createLinkRows(object, link, index);
+    });
+  }
+
+  function isTrigger(object) {
+    return object !== null && ObjectFactory.isTrigger(object.userData.type);
+  }
+
+  signals.objectSelected.add(function (object) {
+    if (isTrigger(object)) {
+      updateUI(object);
+
+      container.setDisplay('');
+    } else {
+      container.setDisplay('none');
+    }
+  });
+
+  signals.objectChanged.add(function (object) {
+    if (object !== editor.selected || !isTrigger(object)) return;
+
+    updateUI(object);
+  });
+
+  return container;
+}
+
+export { SidebarObjectTrigger };
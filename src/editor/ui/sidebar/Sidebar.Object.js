@@ -14,6 +14,7 @@ import {
 } from '../libs/ui.js';
 import { UIBoolean } from '../libs/ui.three.js';
 
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
 import { SetUuidCommand } from '../../commands/SetUuidCommand.js';
 import { SetValueCommand } from '../../commands/SetValueCommand.js';
 import { SetPositionCommand } from '../../commands/SetPositionCommand.js';
@@ -22,7 +23,14 @@ import { SetScaleCommand } from '../../commands/SetScaleCommand.js';
 import { SetColorCommand } from '../../commands/SetColorCommand.js';
 import { SetShadowValueCommand } from '../../commands/SetShadowValueCommand.js';
 
+import { SidebarObjectAlign } from './Sidebar.Object.Align.js';
 import { SidebarObjectAnimation } from './Sidebar.Object.Animation.js';
+import { SidebarObjectArray } from './Sidebar.Object.Array.js';
+import { SidebarObjectCollider } from './Sidebar.Object.Collider.js';
+import { SidebarObjectMotion } from './Sidebar.Object.Motion.js';
+import { SidebarObjectPrefab } from './Sidebar.Object.Prefab.js';
+import { SidebarObjectSpawn } from './Sidebar.Object.Spawn.js';
+import { SidebarObjectTrigger } from './Sidebar.Object.Trigger.js';
 
 function SidebarObject(editor) {
   const strings = editor.strings;
@@ -474,19 +482,72 @@ function SidebarObject(editor) {
 
   container.add(new SidebarObjectAnimation(editor));
 
+  // Spawn Point
+
+  container.add(new SidebarObjectSpawn(editor));
+
+  // Collider
+
+  container.add(new SidebarObjectCollider(editor));
+
+  // Trigger
+
+  container.add(new SidebarObjectTrigger(editor));
+
+  // Motion
+
+  container.add(new SidebarObjectMotion(editor));
+
+  // Prefab
+
+  container.add(new SidebarObjectPrefab(editor));
+
+  // Array
+
+  container.add(new SidebarObjectArray(editor));
+
+  // Align
+
+  container.add(new SidebarObjectAlign(editor));
+
   //
 
   function update() {
     const object = editor.selected;
 
     if (object !== null) {
+      // Edits apply to all the selected objects that have the property
+      const objects = editor.selection.getSelected();
+      const commands = [];
+
+      // Transforms apply relative to each object's own, and only to objects
+      // whose parent isn't selected too, which follow their parent
+      const roots = objects.length > 1 ? editor.selection.getRoots() : [object];
+
+      function setValue(attribute, value, Command = SetValueCommand) {
+        for (const target of objects) {
+          const owner = Command === SetShadowValueCommand ? target.shadow : target;
+
+          if (owner !== undefined && owner[attribute] !== undefined) {
+            commands.push(new Command(editor, target, attribute, value));
+          }
+        }
+      }
+
       const newPosition = new THREE.Vector3(
         objectPositionX.getValue(),
         objectPositionY.getValue(),
         objectPositionZ.getValue()
       );
       if (object.position.distanceTo(newPosition) >= 0.01) {
-        editor.execute(new SetPositionCommand(editor, object, newPosition));
+        // The selected objects move together
+        const offset = newPosition.clone().sub(object.position);
+
+        for (const target of roots) {
+          commands.push(
+            new SetPositionCommand(editor, target, target.position.clone().add(offset))
+          );
+        }
       }
 
       const newRotation = new THREE.Euler(
@@ -499,7 +560,15 @@ function SidebarObject(editor) {
           .setFromEuler(object.rotation)
           .distanceTo(new THREE.Vector3().setFromEuler(newRotation)) >= 0.01
       ) {
-        editor.execute(new SetRotationCommand(editor, object, newRotation));
+        const axes = getChangedAxes(object.rotation, newRotation);
+
+        for (const target of roots) {
+          const rotation = target.rotation.clone();
+
+          for (const axis of axes) rotation[axis] += newRotation[axis] - object.rotation[axis];
+
+          commands.push(new SetRotationCommand(editor, target, rotation));
+        }
       }
 
       const newScale = new THREE.Vector3(
@@ -508,166 +577,163 @@ function SidebarObject(editor) {
         objectScaleZ.getValue()
       );
       if (object.scale.distanceTo(newScale) >= 0.01) {
-        editor.execute(new SetScaleCommand(editor, object, newScale));
+        const axes = getChangedAxes(object.scale, newScale);
+
+        for (const target of roots) {
+          const scale = target.scale.clone();
+
+          for (const axis of axes) {
+            scale[axis] =
+              object.scale[axis] !== 0
+                ? scale[axis] * (newScale[axis] / object.scale[axis])
+                : newScale[axis];
+          }
+
+          commands.push(new SetScaleCommand(editor, target, scale));
+        }
       }
 
       if (object.fov !== undefined && Math.abs(object.fov - objectFov.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'fov', objectFov.getValue()));
-        object.updateProjectionMatrix();
+        setValue('fov', objectFov.getValue());
       }
 
       if (object.left !== undefined && Math.abs(object.left - objectLeft.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'left', objectLeft.getValue()));
-        object.updateProjectionMatrix();
+        setValue('left', objectLeft.getValue());
       }
 
       if (object.right !== undefined && Math.abs(object.right - objectRight.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'right', objectRight.getValue()));
-        object.updateProjectionMatrix();
+        setValue('right', objectRight.getValue());
       }
 
       if (object.top !== undefined && Math.abs(object.top - objectTop.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'top', objectTop.getValue()));
-        object.updateProjectionMatrix();
+        setValue('top', objectTop.getValue());
       }
 
       if (
         object.bottom !== undefined &&
         Math.abs(object.bottom - objectBottom.getValue()) >= 0.01
       ) {
-        editor.execute(new SetValueCommand(editor, object, 'bottom', objectBottom.getValue()));
-        object.updateProjectionMatrix();
+        setValue('bottom', objectBottom.getValue());
       }
 
       if (object.near !== undefined && Math.abs(object.near - objectNear.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'near', objectNear.getValue()));
-        if (object.isOrthographicCamera) {
-          object.updateProjectionMatrix();
-        }
+        setValue('near', objectNear.getValue());
       }
 
       if (object.far !== undefined && Math.abs(object.far - objectFar.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'far', objectFar.getValue()));
-        if (object.isOrthographicCamera) {
-          object.updateProjectionMatrix();
-        }
+        setValue('far', objectFar.getValue());
       }
 
       if (
         object.intensity !== undefined &&
         Math.abs(object.intensity - objectIntensity.getValue()) >= 0.01
       ) {
-        editor.execute(
-          new SetValueCommand(editor, object, 'intensity', objectIntensity.getValue())
-        );
+        setValue('intensity', objectIntensity.getValue());
       }
 
       if (object.color !== undefined && object.color.getHex() !== objectColor.getHexValue()) {
-        editor.execute(new SetColorCommand(editor, object, 'color', objectColor.getHexValue()));
+        setValue('color', objectColor.getHexValue(), SetColorCommand);
       }
 
       if (
         object.groundColor !== undefined &&
         object.groundColor.getHex() !== objectGroundColor.getHexValue()
       ) {
-        editor.execute(
-          new SetColorCommand(editor, object, 'groundColor', objectGroundColor.getHexValue())
-        );
+        setValue('groundColor', objectGroundColor.getHexValue(), SetColorCommand);
       }
 
       if (
         object.distance !== undefined &&
         Math.abs(object.distance - objectDistance.getValue()) >= 0.01
       ) {
-        editor.execute(new SetValueCommand(editor, object, 'distance', objectDistance.getValue()));
+        setValue('distance', objectDistance.getValue());
       }
 
       if (object.angle !== undefined && Math.abs(object.angle - objectAngle.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'angle', objectAngle.getValue()));
+        setValue('angle', objectAngle.getValue());
       }
 
       if (
         object.penumbra !== undefined &&
         Math.abs(object.penumbra - objectPenumbra.getValue()) >= 0.01
       ) {
-        editor.execute(new SetValueCommand(editor, object, 'penumbra', objectPenumbra.getValue()));
+        setValue('penumbra', objectPenumbra.getValue());
       }
 
       if (object.decay !== undefined && Math.abs(object.decay - objectDecay.getValue()) >= 0.01) {
-        editor.execute(new SetValueCommand(editor, object, 'decay', objectDecay.getValue()));
+        setValue('decay', objectDecay.getValue());
       }
 
       if (object.visible !== objectVisible.getValue()) {
-        editor.execute(new SetValueCommand(editor, object, 'visible', objectVisible.getValue()));
+        setValue('visible', objectVisible.getValue());
       }
 
       if (object.frustumCulled !== objectFrustumCulled.getValue()) {
-        editor.execute(
-          new SetValueCommand(editor, object, 'frustumCulled', objectFrustumCulled.getValue())
-        );
+        setValue('frustumCulled', objectFrustumCulled.getValue());
       }
 
       if (object.renderOrder !== objectRenderOrder.getValue()) {
-        editor.execute(
-          new SetValueCommand(editor, object, 'renderOrder', objectRenderOrder.getValue())
-        );
+        setValue('renderOrder', objectRenderOrder.getValue());
       }
 
       if (object.castShadow !== undefined && object.castShadow !== objectCastShadow.getValue()) {
-        editor.execute(
-          new SetValueCommand(editor, object, 'castShadow', objectCastShadow.getValue())
-        );
+        setValue('castShadow', objectCastShadow.getValue());
       }
 
       if (object.receiveShadow !== objectReceiveShadow.getValue()) {
-        if (object.material !== undefined) object.material.needsUpdate = true;
-        editor.execute(
-          new SetValueCommand(editor, object, 'receiveShadow', objectReceiveShadow.getValue())
-        );
+        for (const target of objects) {
+          if (target.material !== undefined) target.material.needsUpdate = true;
+        }
+
+        setValue('receiveShadow', objectReceiveShadow.getValue());
       }
 
       if (object.shadow !== undefined) {
         if (object.shadow.intensity !== objectShadowIntensity.getValue()) {
-          editor.execute(
-            new SetShadowValueCommand(editor, object, 'intensity', objectShadowIntensity.getValue())
-          );
+          setValue('intensity', objectShadowIntensity.getValue(), SetShadowValueCommand);
         }
 
         if (object.shadow.bias !== objectShadowBias.getValue()) {
-          editor.execute(
-            new SetShadowValueCommand(editor, object, 'bias', objectShadowBias.getValue())
-          );
+          setValue('bias', objectShadowBias.getValue(), SetShadowValueCommand);
         }
 
         if (object.shadow.normalBias !== objectShadowNormalBias.getValue()) {
-          editor.execute(
-            new SetShadowValueCommand(
-              editor,
-              object,
-              'normalBias',
-              objectShadowNormalBias.getValue()
-            )
-          );
+          setValue('normalBias', objectShadowNormalBias.getValue(), SetShadowValueCommand);
         }
 
         if (object.shadow.radius !== objectShadowRadius.getValue()) {
-          editor.execute(
-            new SetShadowValueCommand(editor, object, 'radius', objectShadowRadius.getValue())
-          );
+          setValue('radius', objectShadowRadius.getValue(), SetShadowValueCommand);
         }
       }
 
       try {
         const userData = JSON.parse(objectUserData.getValue());
         if (JSON.stringify(object.userData) != JSON.stringify(userData)) {
-          editor.execute(new SetValueCommand(editor, object, 'userData', userData));
+          commands.push(new SetValueCommand(editor, object, 'userData', userData));
         }
       } catch (exception) {
         console.warn(exception);
       }
+
+      if (objects.length > 1 && commands.length > 0) {
+        editor.execute(new MultiCmdsCommand(editor, commands), 'Edit Objects');
+      } else {
+        for (const command of commands) editor.execute(command);
+      }
+
+      for (const target of objects) {
+        if (target.isCamera === true) target.updateProjectionMatrix();
+      }
     }
   }
 
+  /**
+   * Axes along which an edited vector or rotation differs from the object's.
+   */
+  function getChangedAxes(from, to) {
+    return ['x', 'y', 'z'].filter((axis) => Math.abs(from[axis] - to[axis]) >= 0.0001);
+  }
+
   function updateRows(object) {
     const properties = {
       fov: objectFovRow,
@@ -80,7 +80,7 @@ function SidebarProjectApp(editor) {
 
     //
 
-    let output = editor.toJSON();
+    let output = editor.toJSON({ textureImages: true });
     output.metadata.type = 'App';
     delete output.history;
 
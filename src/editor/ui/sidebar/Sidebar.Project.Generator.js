@@ -0,0 +1,167 @@
+import { UIButton, UIInteger, UINumber, UIPanel, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { AddObjectCommand } from '../../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { RemoveObjectCommand } from '../../commands/RemoveObjectCommand.js';
+
+import { ArenaGenerator } from '../../../game/ArenaGenerator.js';
+
+function SidebarProjectGenerator(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+
+  const defaults = ArenaGenerator.DEFAULTS;
+
+  const container = new UIPanel();
+  container.setId('generator');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/generator').toUpperCase()));
+  container.add(headerRow);
+
+  // Settings
+
+  function createRow(key, ...elements) {
+    const row = new UIRow();
+
+    row.add(new UIText(strings.getKey('sidebar/project/generator/' + key)).setClass('Label'));
+    row.add(...elements);
+
+    container.add(row);
+  }
+
+  const seed = new UIInteger(defaults.seed).setWidth('60px');
+
+  const randomSeed = new UIButton(strings.getKey('sidebar/project/generator/random'));
+  randomSeed.setMarginLeft('4px');
+  randomSeed.onClick(function () {
+    seed.setValue(Math.floor(Math.random() * 100000));
+  });
+
+  createRow('seed', seed, randomSeed);
+
+  const width = new UINumber(defaults.width).setRange(18, 300).setUnit('m').setWidth('60px');
+  const depth = new UINumber(defaults.depth).setRange(18, 300).setUnit('m').setWidth('60px');
+
+  createRow('width', width);
+  createRow('depth', depth);
+
+  function createRatio(value) {
+    return new UINumber(value).setRange(0, 1).setPrecision(2).setStep(0.1).setWidth('60px');
+  }
+
+  const density = createRatio(defaults.density);
+  const coverRatio = createRatio(defaults.coverRatio);
+
+  createRow('density', density);
+  createRow('coverRatio', coverRatio);
+
+  const heightTiers = new UIInteger(defaults.heightTiers)
+    .setRange(0, ArenaGenerator.MAX_TIERS)
+    .setWidth('60px');
+
+  createRow('heightTiers', heightTiers);
+
+  const symmetryOptions = {};
+
+  for (const symmetry of ArenaGenerator.SYMMETRIES) {
+    symmetryOptions[symmetry] = strings.getKey('sidebar/project/generator/symmetry/' + symmetry);
+  }
+
+  const symmetry = new UISelect().setWidth('150px').setOptions(symmetryOptions);
+  symmetry.setValue(defaults.symmetry);
+
+  createRow('symmetry', symmetry);
+
+  // Generate
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const generateButton = new UIButton(strings.getKey('sidebar/project/generator/generate'));
+  generateButton.onClick(generate);
+  buttonsRow.add(generateButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText().setMarginLeft('120px');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  //
+
+  /**
+   * Replace the generated objects that were not edited since with a new layout,
+   * as one undoable step. Edited ones are kept as they are.
+   */
+  function generate() {
+    const settings = {
+      seed: seed.getValue(),
+      width: width.getValue(),
+      depth: depth.getValue(),
+      density: density.getValue(),
+      coverRatio: coverRatio.getValue(),
+      heightTiers: heightTiers.getValue(),
+      symmetry: symmetry.getValue(),
+    };
+
+    const layout = new ArenaGenerator(settings).generate();
+
+    const stale = [];
+    let kept = 0;
+
+    editor.scene.traverse(function (child) {
+      if (child.userData.generated === undefined) return;
+
+      if (ArenaGenerator.getSignature(child) === child.userData.generated) {
+        stale.push(child);
+      } else {
+        kept++;
+      }
+    });
+
+    const objects = layout.map((entry) => editor.objectFactory.createFromLayout(entry));
+
+    layout.forEach(function (entry, index) {
+      if (entry.twin === undefined) return;
+
+      const object = objects[index];
+      const twin = objects[entry.twin];
+      const link = { mode: settings.symmetry, swapTeams: true };
+
+      object.userData.mirror = { twin: twin.uuid, ...link };
+      twin.userData.mirror = { twin: object.uuid, ...link };
+    });
+
+    for (const object of objects) {
+      object.userData.generated = ArenaGenerator.getSignature(object);
+    }
+
+    const commands = [
+      ...stale.map((object) => new RemoveObjectCommand(editor, object)),
+      ...objects.map((object) => new AddObjectCommand(editor, object)),
+    ];
+
+    // One scene graph update instead of one per object
+    signals.sceneGraphChanged.active = false;
+    editor.execute(new MultiCmdsCommand(editor, commands), 'Generate Arena');
+    signals.sceneGraphChanged.active = true;
+    signals.sceneGraphChanged.dispatch();
+
+    editor.deselect();
+
+    info.setValue(
+      objects.length +
+        ' ' +
+        strings.getKey('sidebar/project/generator/objects') +
+        (kept > 0 ? ', ' + kept + ' ' + strings.getKey('sidebar/project/generator/kept') : '')
+    );
+  }
+
+  return container;
+}
+
+export { SidebarProjectGenerator };
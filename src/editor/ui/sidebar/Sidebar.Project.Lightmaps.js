@@ -0,0 +1,211 @@
+import { UIButton, UIInteger, UINumber, UIPanel, UIRow, UIText } from '../libs/ui.js';
+
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { SetGeometryCommand } from '../../commands/SetGeometryCommand.js';
+import { SetMaterialCommand } from '../../commands/SetMaterialCommand.js';
+import { SetMaterialMapCommand } from '../../commands/SetMaterialMapCommand.js';
+import { SetMaterialValueCommand } from '../../commands/SetMaterialValueCommand.js';
+
+import { LightmapBaker } from '../../../game/LightmapBaker.js';
+import { MotionPlayer } from '../../../game/MotionPlayer.js';
+import { TriggerSystem } from '../../../game/TriggerSystem.js';
+
+function SidebarProjectLightmaps(editor) {
+  const strings = editor.strings;
+
+  const container = new UIPanel();
+  container.setId('lightmaps');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/lightmaps').toUpperCase()));
+  container.add(headerRow);
+
+  // Settings
+
+  function createRow(key, input) {
+    const row = new UIRow();
+
+    row.add(new UIText(strings.getKey('sidebar/project/lightmaps/' + key)).setClass('Label'));
+    row.add(input);
+
+    container.add(row);
+
+    return input;
+  }
+
+  const defaults = LightmapBaker.DEFAULTS;
+
+  const texelsPerUnit = createRow(
+    'texelsPerUnit',
+    new UINumber(defaults.texelsPerUnit).setRange(0.1, 64).setStep(0.5).setWidth('60px')
+  );
+  const maxSize = createRow(
+    'maxSize',
+    new UIInteger(defaults.maxSize).setRange(16, 2048).setWidth('60px')
+  );
+  const aoSamples = createRow(
+    'aoSamples',
+    new UIInteger(defaults.aoSamples).setRange(0, 256).setWidth('60px')
+  );
+  const aoDistance = createRow(
+    'aoDistance',
+    new UINumber(defaults.aoDistance).setRange(0.1, Infinity).setUnit('m').setWidth('60px')
+  );
+
+  // Bake/Clear
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const bakeButton = new UIButton(strings.getKey('sidebar/project/lightmaps/bake'));
+  bakeButton.onClick(bake);
+  buttonsRow.add(bakeButton);
+
+  const clearButton = new UIButton(strings.getKey('sidebar/project/lightmaps/clear'));
+  clearButton.setMarginLeft('4px');
+  clearButton.onClick(clear);
+  buttonsRow.add(clearButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText().setMarginLeft('120px');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  //
+
+  /**
+   * Objects that triggers or motions move or hide during play, with their
+   * children. Their light and shadows can't be baked.
+   */
+  function getDynamicObjects() {
+    const triggers = new TriggerSystem();
+    const motions = new MotionPlayer();
+
+    triggers.setup(editor.scene);
+    motions.setup(editor.scene);
+
+    const dynamic = new Set();
+
+    for (const target of [...triggers.getTargets(), ...motions.getTargets()]) {
+      target.traverse((child) => dynamic.add(child));
+    }
+
+    return dynamic;
+  }
+
+  function getLights() {
+    const lights = [];
+
+    editor.scene.traverseVisible(function (child) {
+      if (child.isLight && editor.layers.isVisible(child)) lights.push(child);
+    });
+
+    return lights;
+  }
+
+  async function bake() {
+    const dynamic = getDynamicObjects();
+    const occluders = editor.selector.getObstacles().filter((object) => !dynamic.has(object));
+
+    const meshes = occluders.filter(function (object) {
+      return Array.isArray(object.material) === false && 'lightMap' in object.material;
+    });
+
+    if (meshes.length === 0) {
+      alert(strings.getKey('prompt/lightmaps/nothingToBake'));
+      return;
+    }
+
+    const baker = new LightmapBaker({
+      texelsPerUnit: texelsPerUnit.getValue(),
+      maxSize: maxSize.getValue(),
+      aoSamples: aoSamples.getValue(),
+      aoDistance: aoDistance.getValue(),
+    });
+
+    const lights = getLights();
+    const commands = [];
+    const materials = [];
+
+    bakeButton.setDisabled(true);
+
+    try {
+      for (let i = 0; i < meshes.length; i++) {
+        info.setValue(
+          strings.getKey('sidebar/project/lightmaps/baking') + ' ' + i + '/' + meshes.length
+        );
+
+        // Let the panel update between objects
+        await new Promise((resolve) => setTimeout(resolve));
+
+        const mesh = meshes[i];
+        const result = baker.bake(mesh, occluders, lights);
+
+        const lightMap = LightmapBaker.createTexture(result.lightMap, result.width, result.height);
+        const aoMap = LightmapBaker.createTexture(result.aoMap, result.width, result.height);
+
+        // Clones, copies and library objects may share a material, but each
+        // mesh needs the maps that match its own uv1 layout
+        const material = mesh.material.clone();
+        materials.push(material);
+
+        commands.push(new SetGeometryCommand(editor, mesh, result.geometry));
+        commands.push(new SetMaterialCommand(editor, mesh, material));
+        commands.push(new SetMaterialMapCommand(editor, mesh, 'lightMap', lightMap));
+        commands.push(
+          new SetMaterialValueCommand(
+            editor,
+            mesh,
+            'lightMapIntensity',
+            baker.settings.lightMapIntensity
+          )
+        );
+        commands.push(new SetMaterialMapCommand(editor, mesh, 'aoMap', aoMap));
+      }
+    } catch (error) {
+      info.setValue('');
+      throw error;
+    } finally {
+      bakeButton.setDisabled(false);
+    }
+
+    editor.execute(new MultiCmdsCommand(editor, commands), 'Bake Lightmaps');
+
+    for (const material of materials) editor.addMaterial(material);
+
+    info.setValue(meshes.length + ' ' + strings.getKey('sidebar/project/lightmaps/baked'));
+  }
+
+  /**
+   * Remove the baked maps, leaving maps set by hand.
+   */
+  function clear() {
+    const commands = [];
+
+    editor.scene.traverse(function (object) {
+      const material = object.material;
+
+      if (material === undefined || Array.isArray(material)) return;
+
+      for (const mapName of ['lightMap', 'aoMap']) {
+        if (material[mapName]?.userData.baked) {
+          commands.push(new SetMaterialMapCommand(editor, object, mapName, null));
+        }
+      }
+    });
+
+    if (commands.length > 0) {
+      editor.execute(new MultiCmdsCommand(editor, commands), 'Clear Lightmaps');
+    }
+
+    info.setValue('');
+  }
+
+  return container;
+}
+
+export { SidebarProjectLightmaps };
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+import { UIButton, UIDiv, UINumber, UIPanel, UIRow, UIText } from '../libs/ui.js';
+
+import { ObjectFactory } from '../../../game/ObjectFactory.js';
+import { ReachabilityAnalyzer } from '../../../game/ReachabilityAnalyzer.js';
+
+function SidebarProjectMovement(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+
+  const container = new UIPanel();
+  container.setId('movement');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/movement').toUpperCase()));
+  container.add(headerRow);
+
+  // Stats
+
+  const stats = {};
+
+  function createStatRow(key, unit) {
+    const row = new UIRow();
+    const number = new UINumber(editor.movement[key])
+      .setRange(ReachabilityAnalyzer.MINIMUMS[key], Infinity)
+      .setStep(0.1)
+      .setNudge(0.01)
+      .setUnit(unit)
+      .setWidth('60px')
+      .onChange(function () {
+        editor.setMovement({ ...editor.movement, [key]: number.getValue() });
+      });
+
+    row.add(new UIText(strings.getKey('sidebar/project/movement/' + key)).setClass('Label'));
+    row.add(number);
+
+    container.add(row);
+
+    stats[key] = number;
+  }
+
+  createStatRow('runSpeed', 'm/s');
+  createStatRow('jumpHeight', 'm');
+  createStatRow('gravity', 'm/s²');
+  createStatRow('stepHeight', 'm');
+
+  // Analyze/Clear
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const analyzeButton = new UIButton(strings.getKey('sidebar/project/movement/analyze'));
+  analyzeButton.onClick(analyze);
+  buttonsRow.add(analyzeButton);
+
+  const clearButton = new UIButton(strings.getKey('sidebar/project/movement/clear'));
+  clearButton.setMarginLeft('4px');
+  clearButton.onClick(function () {
+    editor.setReachability(null);
+  });
+  buttonsRow.add(clearButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText().setMarginLeft('120px');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  const orphans = new UIDiv();
+  container.add(orphans);
+
+  //
+
+  function analyze() {
+    const walkable = [];
+    const spawns = [];
+
+    editor.scene.updateMatrixWorld(true);
+    editor.scene.traverseVisible(function (child) {
+      if (editor.layers.isVisible(child) === false) return;
+
+      const type = child.userData.type;
+
+      if (ObjectFactory.isWalkable(type)) walkable.push(child);
+
+      if (type === 'spawn_point' && child.userData.spawn?.enabled !== false) {
+        spawns.push(child.getWorldPosition(new THREE.Vector3()));
+      }
+    });
+
+    const analyzer = new ReachabilityAnalyzer(editor.movement);
+    const reachability = analyzer.analyze(walkable, spawns);
+
+    if (reachability === null) {
+      alert(strings.getKey('prompt/movement/noWalkable'));
+      return;
+    }
+
+    editor.setReachability(reachability);
+  }
+
+  function updateStats(movement) {
+    for (const key in stats) stats[key].setValue(movement[key]);
+  }
+
+  function updateUI(reachability) {
+    orphans.clear();
+
+    if (reachability === null) {
+      info.setValue(strings.getKey('sidebar/project/movement/notAnalyzed'));
+      return;
+    }
+
+    info.setValue(
+      reachability.orphans.length + ' ' + strings.getKey('sidebar/project/movement/orphans')
+    );
+
+    // Orphans are listed by name, click one to select it
+
+    for (const index of reachability.orphans) {
+      const object = reachability.surfaces[index].object;
+
+      const row = new UIRow().setMarginLeft('120px');
+      const name = new UIText(object.name || object.userData.type).setCursor('pointer');
+      name.onClick(function () {
+        editor.select(object);
+      });
+
+      row.add(name);
+      orphans.add(row);
+    }
+  }
+
+  signals.movementChanged.add(updateStats);
+  signals.reachabilityChanged.add(updateUI);
+
+  updateUI(editor.reachability);
+
+  return container;
+}
+
+export { SidebarProjectMovement };
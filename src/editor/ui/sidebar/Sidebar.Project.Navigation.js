@@ -0,0 +1,109 @@
+import { UIButton, UINumber, UIPanel, UIRow, UIText } from '../libs/ui.js';
+
+import { NavMeshBaker } from '../../../game/NavMeshBaker.js';
+
+function SidebarProjectNavigation(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+
+  const container = new UIPanel();
+  container.setId('navigation');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/navigation').toUpperCase()));
+  container.add(headerRow);
+
+  // Settings
+
+  function createSettingRow(key, unit, step) {
+    const row = new UIRow();
+    const number = new UINumber(NavMeshBaker.DEFAULTS[key])
+      .setRange(0.01, Infinity)
+      .setStep(step)
+      .setNudge(0.01)
+      .setUnit(unit)
+      .setWidth('60px');
+
+    row.add(new UIText(strings.getKey('sidebar/project/navigation/' + key)).setClass('Label'));
+    row.add(number);
+
+    container.add(row);
+
+    return number;
+  }
+
+  const cellSize = createSettingRow('cellSize', 'm', 0.1);
+  const agentRadius = createSettingRow('agentRadius', 'm', 0.1);
+  const agentHeight = createSettingRow('agentHeight', 'm', 0.1);
+  const maxSlope = createSettingRow('maxSlope', '°', 10).setRange(0, 89);
+  const stepHeight = createSettingRow('stepHeight', 'm', 0.1);
+
+  // Bake/Clear
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const bakeButton = new UIButton(strings.getKey('sidebar/project/navigation/bake'));
+  bakeButton.onClick(function () {
+    const baker = new NavMeshBaker({
+      cellSize: cellSize.getValue(),
+      agentRadius: agentRadius.getValue(),
+      agentHeight: agentHeight.getValue(),
+      maxSlope: maxSlope.getValue(),
+      stepHeight: stepHeight.getValue(),
+    });
+
+    const navMesh = baker.bake(editor.scene);
+
+    if (navMesh === null) {
+      alert(strings.getKey('prompt/navigation/noWalkable'));
+      return;
+    }
+
+    editor.setNavMesh(navMesh);
+  });
+  buttonsRow.add(bakeButton);
+
+  const clearButton = new UIButton(strings.getKey('sidebar/project/navigation/clear'));
+  clearButton.setMarginLeft('4px');
+  clearButton.onClick(function () {
+    editor.setNavMesh(null);
+  });
+  buttonsRow.add(clearButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText().setMarginLeft('120px');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  //
+
+  function updateUI(navMesh) {
+    if (navMesh === null) {
+      info.setValue(strings.getKey('sidebar/project/navigation/notBaked'));
+      return;
+    }
+
+    cellSize.setValue(navMesh.cellSize);
+    agentRadius.setValue(navMesh.agent.radius);
+    agentHeight.setValue(navMesh.agent.height);
+    maxSlope.setValue(navMesh.agent.maxSlope);
+    stepHeight.setValue(navMesh.agent.stepHeight);
+
+    info.setValue(
+      navMesh.polygons.length + ' ' + strings.getKey('sidebar/project/navigation/polygons')
+    );
+  }
+
+  signals.navMeshChanged.add(updateUI);
+
+  updateUI(editor.navMesh);
+
+  return container;
+}
+
+export { SidebarProjectNavigation };
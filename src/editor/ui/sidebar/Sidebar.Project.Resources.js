@@ -1,7 +1,38 @@
-import { UIPanel, UIText, UITabbedPanel, UIListbox, UIButton } from '../libs/ui.js';
-
+import {
+  UIElement,
+  UIPanel,
+  UIText,
+  UITabbedPanel,
+  UIListbox,
+  UIButton,
+  UIInput,
+  UIRow,
+  UIColor,
+  UIDiv,
+  UIInteger,
+  UINumber,
+  UISelect,
+} from '../libs/ui.js';
+
+import { AddObjectCommand } from '../../commands/AddObjectCommand.js';
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
+import { RemoveObjectCommand } from '../../commands/RemoveObjectCommand.js';
 import { SetGeometryCommand } from '../../commands/SetGeometryCommand.js';
+import { SetLibraryMaterialCommand } from '../../commands/SetLibraryMaterialCommand.js';
 import { SetMaterialCommand } from '../../commands/SetMaterialCommand.js';
+import { SetMaterialMapCommand } from '../../commands/SetMaterialMapCommand.js';
+import { SetPrefabCommand } from '../../commands/SetPrefabCommand.js';
+import { SetProceduralTextureCommand } from '../../commands/SetProceduralTextureCommand.js';
+
+import { MaterialsLibrary } from '../../../game/MaterialsLibrary.js';
+import { PrefabLibrary } from '../../../game/PrefabLibrary.js';
+import { TextureManager } from '../../../game/TextureManager.js';
+
+// Material maps a procedural texture can be assigned to
+const MAP_NAMES = ['map', 'roughnessMap', 'metalnessMap', 'bumpMap', 'normalMap', 'emissiveMap'];
+
+// Parameters measured in pixels
+const SIZE_PARAMS = ['width', 'height', 'size'];
 
 function SidebarProjectResources(editor) {
   const signals = editor.signals;
@@ -72,6 +103,142 @@ function SidebarProjectResources(editor) {
     }
   });
 
+  // Library materials
+
+  const libraryHeaderRow = new UIRow().setMarginTop('30px');
+  libraryHeaderRow.add(new UIText(strings.getKey('sidebar/project/library').toUpperCase()));
+  materialsTab.add(libraryHeaderRow);
+
+  const libraryListbox = new UIListbox();
+  libraryListbox.dom.style.height = '140px';
+  libraryListbox.dom.style.resize = 'vertical';
+  libraryListbox.dom.style.marginBottom = '10px';
+  libraryListbox.onChange(refreshLibraryEditor);
+  materialsTab.add(libraryListbox);
+
+  const libraryButtonsRow = new UIRow();
+
+  const libraryNew = new UIButton(strings.getKey('sidebar/project/library/new'));
+  libraryButtonsRow.add(libraryNew);
+
+  const libraryDuplicate = new UIButton(strings.getKey('sidebar/project/library/duplicate'));
+  libraryDuplicate.setMarginLeft('4px');
+  libraryButtonsRow.add(libraryDuplicate);
+
+  const libraryDelete = new UIButton(strings.getKey('sidebar/project/library/delete'));
+  libraryDelete.setMarginLeft('4px');
+  libraryButtonsRow.add(libraryDelete);
+
+  const libraryInfo = new UIText();
+  libraryInfo.dom.style.float = 'right';
+  libraryButtonsRow.add(libraryInfo);
+
+  materialsTab.add(libraryButtonsRow);
+
+  // Values of the selected custom material; built-in ones can only be duplicated
+
+  const libraryEditor = new UIDiv().setDisplay('none');
+  materialsTab.add(libraryEditor);
+
+  const libraryInputs = {};
+
+  function createLibraryRow(key, input) {
+    const row = new UIRow();
+
+    row.add(new UIText(strings.getKey('sidebar/project/library/' + key)).setClass('Label'));
+    row.add(input);
+    libraryEditor.add(row);
+
+    libraryInputs[key] = input;
+  }
+
+  createLibraryRow('name', new UIInput().setWidth('150px').onChange(updateLibraryMaterial));
+
+  for (const key in MaterialsLibrary.PROPERTIES) {
+    const input =
+      key === 'color' || key === 'emissive'
+        ? new UIColor()
+        : new UINumber()
+            .setRange(0, key === 'emissiveIntensity' ? Infinity : 1)
+            .setPrecision(2)
+            .setWidth('60px');
+
+    createLibraryRow(key, input.onChange(updateLibraryMaterial));
+  }
+
+  const libraryMaps = [];
+
+  for (const mapName of MaterialsLibrary.MAPS) {
+    const select = new UISelect().setWidth('150px').onChange(updateLibraryMaterial);
+
+    createLibraryRow(mapName, select);
+    libraryMaps.push(select);
+  }
+
+  libraryNew.onClick(function () {
+    const count = editor.libraryMaterials.getAll().length;
+
+    addLibraryMaterial({
+      ...MaterialsLibrary.PROPERTIES,
+      name: strings.getKey('sidebar/project/library/material') + ' ' + (count + 1),
+    });
+  });
+
+  libraryDuplicate.onClick(function () {
+    const definition = editor.libraryMaterials.get(libraryListbox.getValue());
+
+    if (definition === null) return;
+
+    addLibraryMaterial({
+      ...definition,
+      name: definition.name + ' ' + strings.getKey('sidebar/project/library/copy'),
+    });
+  });
+
+  libraryDelete.onClick(function () {
+    const id = libraryListbox.getValue();
+
+    if (editor.libraryMaterials.isBuiltIn(id) || editor.libraryMaterials.getUsers(id).length > 0) {
+      return;
+    }
+
+    editor.execute(new SetLibraryMaterialCommand(editor, id, null), 'Delete Library Material');
+  });
+
+  function addLibraryMaterial(definition) {
+    definition.id = editor.libraryMaterials.generateId();
+
+    editor.execute(
+      new SetLibraryMaterialCommand(editor, definition.id, definition),
+      'New Library Material'
+    );
+
+    libraryListbox.setValue(definition.id);
+    refreshLibraryEditor();
+  }
+
+  /**
+   * Apply the editor's values to the selected custom material.
+   */
+  function updateLibraryMaterial() {
+    const id = libraryListbox.getValue();
+
+    if (!editor.libraryMaterials.has(id) || editor.libraryMaterials.isBuiltIn(id)) return;
+
+    const definition = { id, name: libraryInputs.name.getValue() };
+
+    for (const key in MaterialsLibrary.PROPERTIES) {
+      const input = libraryInputs[key];
+      definition[key] = input instanceof UIColor ? input.getHexValue() : input.getValue();
+    }
+
+    for (const mapName of MaterialsLibrary.MAPS) {
+      definition[mapName] = libraryInputs[mapName].getValue() || null;
+    }
+
+    editor.execute(new SetLibraryMaterialCommand(editor, id, definition));
+  }
+
   container.addTab('materials', strings.getKey('sidebar/project/materials'), materialsTab);
 
   // Textures
@@ -88,8 +255,269 @@ function SidebarProjectResources(editor) {
   texturesInfo.dom.style.float = 'right';
   texturesTab.add(texturesInfo);
 
+  // Procedural textures
+
+  const proceduralHeaderRow = new UIRow().setMarginTop('30px');
+  proceduralHeaderRow.add(new UIText(strings.getKey('sidebar/project/procedural').toUpperCase()));
+  texturesTab.add(proceduralHeaderRow);
+
+  const proceduralListbox = new UIListbox();
+  proceduralListbox.dom.style.height = '100px';
+  proceduralListbox.dom.style.resize = 'vertical';
+  proceduralListbox.dom.style.marginBottom = '10px';
+  proceduralListbox.onChange(refreshProceduralEditor);
+  texturesTab.add(proceduralListbox);
+
+  const proceduralButtonsRow = new UIRow();
+
+  const proceduralNew = new UIButton(strings.getKey('sidebar/project/procedural/new'));
+  proceduralButtonsRow.add(proceduralNew);
+
+  const proceduralDelete = new UIButton(strings.getKey('sidebar/project/procedural/delete'));
+  proceduralDelete.setMarginLeft('4px');
+  proceduralButtonsRow.add(proceduralDelete);
+
+  texturesTab.add(proceduralButtonsRow);
+
+  const proceduralAssignRow = new UIRow();
+
+  const mapOptions = {};
+  for (const mapName of MAP_NAMES) {
+    mapOptions[mapName] = strings.getKey('sidebar/material/' + mapName.toLowerCase());
+  }
+
+  const proceduralMap = new UISelect().setWidth('130px').setOptions(mapOptions).setValue('map');
+  proceduralAssignRow.add(proceduralMap);
+
+  const proceduralAssign = new UIButton(strings.getKey('sidebar/project/Assign'));
+  proceduralAssign.setMarginLeft('4px');
+  proceduralAssignRow.add(proceduralAssign);
+
+  texturesTab.add(proceduralAssignRow);
+
+  // Definition of the selected procedural texture, previewed as it is edited
+
+  const proceduralEditor = new UIDiv().setDisplay('none');
+  texturesTab.add(proceduralEditor);
+
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = 96;
+  thumbnail.height = 96;
+
+  const thumbnailRow = new UIRow();
+  thumbnailRow.add(new UIElement(thumbnail).setMarginLeft('120px'));
+  proceduralEditor.add(thumbnailRow);
+
+  const proceduralNameRow = new UIRow();
+  const proceduralName = new UIInput().setWidth('150px').onChange(() => updateProcedural());
+  proceduralNameRow.add(
+    new UIText(strings.getKey('sidebar/project/procedural/name')).setClass('Label')
+  );
+  proceduralNameRow.add(proceduralName);
+  proceduralEditor.add(proceduralNameRow);
+
+  const typeOptions = {};
+  for (const type in TextureManager.GENERATORS) {
+    typeOptions[type] = strings.getKey('sidebar/project/procedural/' + type);
+  }
+
+  const proceduralTypeRow = new UIRow();
+  const proceduralType = new UISelect().setWidth('150px').setOptions(typeOptions);
+  proceduralType.onChange(function () {
+    // Parameters of another generator start from its defaults
+    updateProcedural({ ...TextureManager.GENERATORS[proceduralType.getValue()] });
+  });
+  proceduralTypeRow.add(
+    new UIText(strings.getKey('sidebar/project/procedural/type')).setClass('Label')
+  );
+  proceduralTypeRow.add(proceduralType);
+  proceduralEditor.add(proceduralTypeRow);
+
+  const proceduralParams = new UIDiv();
+  proceduralEditor.add(proceduralParams);
+
+  const proceduralInputs = {};
+  let proceduralShown = null;
+
+  proceduralNew.onClick(function () {
+    const count = editor.proceduralTextures.getAll().length;
+    const definition = {
+      id: editor.proceduralTextures.generateId(),
+      name: strings.getKey('sidebar/project/procedural') + ' ' + (count + 1),
+      type: 'grid',
+      params: { ...TextureManager.GENERATORS.grid },
+    };
+
+    editor.execute(
+      new SetProceduralTextureCommand(editor, definition.id, definition),
+      'New Procedural Texture'
+    );
+
+    proceduralListbox.setValue(definition.id);
+    refreshProceduralEditor();
+  });
+
+  proceduralDelete.onClick(function () {
+    const id = proceduralListbox.getValue();
+
+    if (!editor.proceduralTextures.has(id) || editor.proceduralTextures.isUsed(id)) return;
+
+    editor.execute(new SetProceduralTextureCommand(editor, id, null), 'Delete Procedural Texture');
+  });
+
+  proceduralAssign.onClick(function () {
+    const object = editor.selected;
+    const texture = editor.proceduralTextures.getTexture(proceduralListbox.getValue());
+    const mapName = proceduralMap.getValue();
+
+    if (object === null || texture === null) return;
+
+    const material = object.material;
+
+    if (material === undefined || Array.isArray(material) || !(mapName in material)) return;
+
+    editor.execute(new SetMaterialMapCommand(editor, object, mapName, texture));
+  });
+
+  /**
+   * Apply the editor's values to the selected procedural texture.
+   * @param {Object} [params] - Replaces the parameter inputs' values
+   */
+  function updateProcedural(params) {
+    const id = proceduralListbox.getValue();
+
+    if (!editor.proceduralTextures.has(id)) return;
+
+    if (params === undefined) {
+      params = {};
+      for (const key in proceduralInputs) params[key] = proceduralInputs[key].getValue();
+    }
+
+    const definition = {
+      id,
+      name: proceduralName.getValue(),
+      type: proceduralType.getValue(),
+      params,
+    };
+
+    editor.execute(new SetProceduralTextureCommand(editor, id, definition));
+  }
+
+  function createParamInput(key, value) {
+    if (typeof value === 'string') return new UIColor().setValue(value);
+
+    const range = SIZE_PARAMS.includes(key) ? [16, 2048] : [0, Infinity];
+
+    if (Number.isInteger(TextureManager.GENERATORS[proceduralType.getValue()][key])) {
+      return new UIInteger(value).setRange(...range);
+    }
+
+    return new UINumber(value).setRange(...range).setPrecision(2);
+  }
+
   container.addTab('textures', strings.getKey('sidebar/project/textures'), texturesTab);
 
+  // Prefabs
+
+  const prefabsTab = new UIPanel();
+  prefabsTab.dom.style.borderTop = 'none';
+
+  const prefabNameRow = new UIRow();
+  const prefabName = new UIInput().setWidth('150px');
+  prefabNameRow.add(prefabName);
+
+  const prefabsCreate = new UIButton(strings.getKey('sidebar/project/prefabs/create'));
+  prefabsCreate.setMarginLeft('4px');
+  prefabNameRow.add(prefabsCreate);
+
+  prefabsTab.add(prefabNameRow);
+
+  const prefabsListbox = new UIListbox();
+  prefabsListbox.dom.style.height = '140px';
+  prefabsListbox.dom.style.resize = 'vertical';
+  prefabsListbox.dom.style.marginBottom = '10px';
+  prefabsListbox.onChange(refreshPrefabButtons);
+  prefabsTab.add(prefabsListbox);
+
+  const prefabsPlace = new UIButton(strings.getKey('sidebar/project/prefabs/place'));
+  prefabsTab.add(prefabsPlace);
+
+  const prefabsDelete = new UIButton(strings.getKey('sidebar/project/prefabs/delete'));
+  prefabsDelete.setMarginLeft('4px');
+  prefabsTab.add(prefabsDelete);
+
+  const prefabsInfo = new UIText();
+  prefabsInfo.dom.style.float = 'right';
+  prefabsTab.add(prefabsInfo);
+
+  /**
+   * Objects of the selection that can become a prefab. Objects that already
+   * belong to an instance cannot.
+   */
+  function getPrefabSelection() {
+    const object = editor.selected;
+    const objects = [];
+
+    if (object === null || editor.prefabs.getInstance(object) !== null) return objects;
+
+    object.traverse(function (child) {
+      if (PrefabLibrary.isPrefabObject(child.userData)) objects.push(child);
+    });
+
+    return objects;
+  }
+
+  prefabsCreate.onClick(function () {
+    const object = editor.selected;
+    const objects = getPrefabSelection();
+
+    if (objects.length === 0) return;
+
+    const name =
+      prefabName.getValue().trim() ||
+      strings.getKey('sidebar/project/prefabs') + ' ' + (editor.prefabs.library.prefabs.size + 1);
+
+    // The selection is replaced by an instance with the same world placement
+    const pivot = object.getWorldPosition(object.position.clone());
+    const prefab = editor.prefabs.createPrefab(name, objects, pivot);
+
+    const instance = editor.prefabs.instantiate(prefab);
+    instance.position.copy(pivot);
+
+    editor.execute(
+      new MultiCmdsCommand(editor, [
+        new SetPrefabCommand(editor, prefab.id, prefab),
+        new RemoveObjectCommand(editor, object),
+        new AddObjectCommand(editor, instance),
+      ]),
+      'Create Prefab'
+    );
+
+    prefabName.setValue('');
+    prefabsListbox.setValue(prefab.id);
+  });
+
+  prefabsPlace.onClick(function () {
+    const prefab = editor.prefabs.library.get(prefabsListbox.getValue());
+
+    if (prefab === null) return;
+
+    editor.execute(
+      new AddObjectCommand(editor, editor.prefabs.instantiate(prefab)),
+      'Place Prefab'
+    );
+  });
+
+  prefabsDelete.onClick(function () {
+    const id = prefabsListbox.getValue();
+
+    if (!editor.prefabs.library.has(id) || editor.prefabs.getInstances(id).length > 0) return;
+
+    editor.execute(new SetPrefabCommand(editor, id, null), 'Delete Prefab');
+  });
+
+  container.addTab('prefabs', strings.getKey('sidebar/project/prefabs'), prefabsTab);
+
   container.select('geometries');
 
   // Signals
@@ -137,10 +565,150 @@ function SidebarProjectResources(editor) {
     );
   }
 
+  function refreshLibraryUI() {
+    const options = editor.libraryMaterials.getOptions();
+    const selected = libraryListbox.getValue();
+
+    libraryListbox.setItems(Object.keys(options).map((id) => ({ id, name: options[id] })));
+    if (selected in options) libraryListbox.setValue(selected);
+
+    refreshLibraryEditor();
+  }
+
+  function refreshLibraryEditor() {
+    const id = libraryListbox.getValue();
+    const definition = editor.libraryMaterials.has(id) ? editor.libraryMaterials.get(id) : null;
+    const builtIn = definition !== null && editor.libraryMaterials.isBuiltIn(id);
+    const users = definition !== null ? editor.libraryMaterials.getUsers(id).length : 0;
+
+    libraryDuplicate.setDisabled(definition === null);
+    libraryDelete.setDisabled(definition === null || builtIn || users > 0);
+    libraryInfo.setValue(
+      definition !== null ? users + ' ' + strings.getKey('sidebar/project/library/users') : ''
+    );
+    libraryEditor.setDisplay(definition === null || builtIn ? 'none' : '');
+
+    if (definition === null || builtIn) return;
+
+    // Maps take a procedural texture, or none
+    const textureOptions = { '': '' };
+
+    for (const texture of editor.proceduralTextures.getAll()) {
+      textureOptions[texture.id] = texture.name;
+    }
+
+    libraryInputs.name.setValue(definition.name);
+
+    for (const key in MaterialsLibrary.PROPERTIES) {
+      const input = libraryInputs[key];
+
+      if (input instanceof UIColor) {
+        input.setHexValue(definition[key]);
+      } else {
+        input.setValue(definition[key]);
+      }
+    }
+
+    for (const mapName of MaterialsLibrary.MAPS) {
+      libraryInputs[mapName].setOptions(textureOptions).setValue(definition[mapName] ?? '');
+    }
+  }
+
+  function refreshProceduralUI() {
+    const definitions = editor.proceduralTextures.getAll();
+    const selected = proceduralListbox.getValue();
+
+    proceduralListbox.setItems(definitions);
+    if (definitions.some((definition) => definition.id === selected)) {
+      proceduralListbox.setValue(selected);
+    }
+
+    refreshProceduralEditor();
+  }
+
+  function refreshProceduralEditor() {
+    const id = proceduralListbox.getValue();
+    const definition = editor.proceduralTextures.get(id);
+
+    proceduralAssign.setDisabled(definition === null);
+    proceduralDelete.setDisabled(definition === null || editor.proceduralTextures.isUsed(id));
+    proceduralEditor.setDisplay(definition === null ? 'none' : '');
+
+    if (definition === null) {
+      proceduralShown = null;
+      return;
+    }
+
+    proceduralName.setValue(definition.name);
+    proceduralType.setValue(definition.type);
+
+    const params = { ...TextureManager.GENERATORS[definition.type], ...definition.params };
+
+    // Rows are rebuilt for another texture or generator, and kept while editing
+    if (proceduralShown !== id + ':' + definition.type) {
+      proceduralShown = id + ':' + definition.type;
+
+      proceduralParams.clear();
+      for (const key in proceduralInputs) delete proceduralInputs[key];
+
+      for (const key in params) {
+        const row = new UIRow();
+        const input = createParamInput(key, params[key]).setWidth('60px');
+        input.onChange(() => updateProcedural());
+
+        row.add(new UIText(strings.getKey('sidebar/project/procedural/' + key)).setClass('Label'));
+        row.add(input);
+        proceduralParams.add(row);
+
+        proceduralInputs[key] = input;
+      }
+    } else {
+      for (const key in params) proceduralInputs[key].setValue(params[key]);
+    }
+
+    const image = editor.proceduralTextures.getTexture(id).image;
+    const context = thumbnail.getContext('2d');
+
+    context.clearRect(0, 0, thumbnail.width, thumbnail.height);
+    context.drawImage(image, 0, 0, thumbnail.width, thumbnail.height);
+  }
+
+  function refreshPrefabsUI() {
+    const prefabs = editor.prefabs.library.getAll();
+    const selected = prefabsListbox.getValue();
+
+    prefabsListbox.setItems(prefabs);
+    if (prefabs.some((prefab) => prefab.id === selected)) prefabsListbox.setValue(selected);
+
+    refreshPrefabButtons();
+  }
+
+  function refreshPrefabButtons() {
+    const id = prefabsListbox.getValue();
+    const prefabs = editor.prefabs.library.prefabs.size;
+
+    prefabsCreate.setDisabled(getPrefabSelection().length === 0);
+
+    if (editor.prefabs.library.has(id)) {
+      const instances = editor.prefabs.getInstances(id).length;
+
+      prefabsPlace.setDisabled(false);
+      prefabsDelete.setDisabled(instances > 0);
+      prefabsInfo.setValue(instances + ' ' + strings.getKey('sidebar/project/prefabs/instances'));
+    } else {
+      prefabsPlace.setDisabled(true);
+      prefabsDelete.setDisabled(true);
+      prefabsInfo.setValue(prefabs + ' ' + strings.getKey('sidebar/project/prefabs').toLowerCase());
+    }
+  }
+
   function refreshUI() {
     refreshGeometriesUI();
     refreshMaterialsUI();
+    refreshLibraryUI();
     refreshTexturesUI();
+    refreshProceduralUI();
+    refreshPrefabsUI();
   }
 
   let timeout;
@@ -157,8 +725,14 @@ function SidebarProjectResources(editor) {
   signals.materialAdded.add(refreshUIDelayed);
   signals.materialChanged.add(refreshUIDelayed);
   signals.materialRemoved.add(refreshUIDelayed);
+  signals.prefabsChanged.add(refreshUIDelayed);
+  signals.proceduralTexturesChanged.add(refreshProceduralUI);
+  signals.proceduralTexturesChanged.add(refreshLibraryEditor);
+  signals.libraryMaterialsChanged.add(refreshLibraryUI);
 
   signals.objectSelected.add(function (object) {
+    refreshPrefabButtons();
+
     if (object !== null) {
       const geometries = Object.values(editor.geometries);
       const materials = Object.values(editor.materials);
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+import { UIButton, UIDiv, UINumber, UIPanel, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { SightlineAnalyzer } from '../../../game/SightlineAnalyzer.js';
+
+function SidebarProjectSightlines(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+  const selector = editor.selector;
+
+  const container = new UIPanel();
+  container.setId('sightlines');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/sightlines').toUpperCase()));
+  container.add(headerRow);
+
+  // Sources
+
+  const sourcesRow = new UIRow();
+  const sources = new UISelect().setWidth('150px').setOptions({
+    spawns: strings.getKey('sidebar/project/sightlines/sources/spawns'),
+    selection: strings.getKey('sidebar/project/sightlines/sources/selection'),
+  });
+  sources.setValue('spawns');
+
+  sourcesRow.add(
+    new UIText(strings.getKey('sidebar/project/sightlines/sources')).setClass('Label')
+  );
+  sourcesRow.add(sources);
+  container.add(sourcesRow);
+
+  // Settings
+
+  function createSettingRow(key) {
+    const row = new UIRow();
+    const number = new UINumber(SightlineAnalyzer.DEFAULTS[key])
+      .setRange(0.1, Infinity)
+      .setStep(0.1)
+      .setNudge(0.01)
+      .setUnit('m')
+      .setWidth('60px');
+
+    row.add(new UIText(strings.getKey('sidebar/project/sightlines/' + key)).setClass('Label'));
+    row.add(number);
+
+    container.add(row);
+
+    return number;
+  }
+
+  const spacing = createSettingRow('spacing');
+  const eyeHeight = createSettingRow('eyeHeight');
+
+  // Analyze/Clear
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const analyzeButton = new UIButton(strings.getKey('sidebar/project/sightlines/analyze'));
+  analyzeButton.onClick(analyze);
+  buttonsRow.add(analyzeButton);
+
+  const clearButton = new UIButton(strings.getKey('sidebar/project/sightlines/clear'));
+  clearButton.setMarginLeft('4px');
+  clearButton.onClick(function () {
+    editor.setSightlines(null);
+  });
+  buttonsRow.add(clearButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText().setMarginLeft('120px');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  const exposures = new UIDiv();
+  container.add(exposures);
+
+  //
+
+  /**
+   * Spawns that are enabled and shown, or the selected objects.
+   */
+  function getSourceObjects() {
+    if (sources.getValue() === 'selection') return editor.selection.getRoots();
+
+    const spawns = [];
+
+    editor.scene.traverseVisible(function (child) {
+      if (child.userData.type !== 'spawn_point' || child.userData.spawn?.enabled === false) return;
+      if (editor.layers.isVisible(child) === false) return;
+
+      spawns.push(child);
+    });
+
+    return spawns;
+  }
+
+  function analyze() {
+    const objects = getSourceObjects();
+
+    if (objects.length === 0) {
+      alert(strings.getKey('prompt/sightlines/noSources'));
+      return;
+    }
+
+    const analyzer = new SightlineAnalyzer(
+      { spacing: spacing.getValue(), eyeHeight: eyeHeight.getValue() },
+      (raycaster, obstacles) => selector.getIntersects(raycaster, obstacles)
+    );
+
+    const sightlines = analyzer.analyze(
+      selector.getObstacles(),
+      objects.map(function (object, index) {
+        return {
+          name:
+            object.name || strings.getKey('sidebar/project/sightlines/source') + ' ' + (index + 1),
+          position: object.getWorldPosition(new THREE.Vector3()).toArray(),
+          object,
+        };
+      })
+    );
+
+    if (sightlines === null) {
+      alert(strings.getKey('prompt/sightlines/noFloor'));
+      return;
+    }
+
+    editor.setSightlines(sightlines);
+  }
+
+  function formatPercent(value) {
+    return Math.round(value * 100) + '%';
+  }
+
+  function updateUI(sightlines) {
+    exposures.clear();
+
+    if (sightlines === null) {
+      info.setValue(strings.getKey('sidebar/project/sightlines/notAnalyzed'));
+      return;
+    }
+
+    info.setValue(
+      formatPercent(sightlines.exposure) +
+        ' ' +
+        strings.getKey('sidebar/project/sightlines/exposed')
+    );
+
+    for (const source of sightlines.sources) {
+      const row = new UIRow();
+
+      row.add(new UIText(source.name).setClass('Label'));
+      row.add(new UIText(formatPercent(source.exposure)));
+
+      exposures.add(row);
+    }
+  }
+
+  signals.sightlinesChanged.add(updateUI);
+
+  updateUI(editor.sightlines);
+
+  return container;
+}
+
+export { SidebarProjectSightlines };
@@ -0,0 +1,96 @@
+import { UIButton, UICheckbox, UINumber, UIPanel, UIRow, UISelect, UIText } from '../libs/ui.js';
+
+import { WallBuilder } from '../../../game/WallBuilder.js';
+
+function SidebarProjectWalls(editor) {
+  const config = editor.config;
+  const signals = editor.signals;
+  const strings = editor.strings;
+
+  const container = new UIPanel();
+  container.setId('walls');
+
+  const headerRow = new UIRow();
+  headerRow.add(new UIText(strings.getKey('sidebar/project/walls').toUpperCase()));
+  container.add(headerRow);
+
+  // Settings, read by the wall tool when it builds
+
+  function createRow(key, ...elements) {
+    const row = new UIRow();
+
+    row.add(new UIText(strings.getKey('sidebar/project/walls/' + key)).setClass('Label'));
+    row.add(...elements);
+
+    container.add(row);
+  }
+
+  function onChange(key) {
+    return function () {
+      config.setKey('editor/walls/' + key, this.getValue());
+    };
+  }
+
+  const height = new UINumber(config.getKey('editor/walls/height'))
+    .setRange(0.5, 20)
+    .setUnit('m')
+    .setWidth('60px')
+    .onChange(onChange('height'));
+
+  const thickness = new UINumber(config.getKey('editor/walls/thickness'))
+    .setRange(0.1, 2)
+    .setPrecision(2)
+    .setStep(0.1)
+    .setUnit('m')
+    .setWidth('60px')
+    .onChange(onChange('thickness'));
+
+  createRow('height', height);
+  createRow('thickness', thickness);
+
+  const jointOptions = {};
+
+  for (const joint of WallBuilder.JOINTS) {
+    jointOptions[joint] = strings.getKey('sidebar/project/walls/joint/' + joint);
+  }
+
+  const joint = new UISelect().setWidth('150px').setOptions(jointOptions);
+  joint.setValue(config.getKey('editor/walls/joint'));
+  joint.onChange(onChange('joint'));
+
+  createRow('joint', joint);
+
+  const closed = new UICheckbox(config.getKey('editor/walls/closed')).onChange(onChange('closed'));
+
+  createRow('closed', closed);
+
+  // Draw
+
+  const buttonsRow = new UIRow();
+  buttonsRow.setMarginLeft('120px');
+
+  const drawButton = new UIButton(strings.getKey('sidebar/project/walls/draw'));
+  drawButton.onClick(function () {
+    signals.toolChanged.dispatch(editor.currentTool === 'walls' ? 'select' : 'walls');
+  });
+  buttonsRow.add(drawButton);
+
+  container.add(buttonsRow);
+
+  // Info
+
+  const infoRow = new UIRow();
+  const info = new UIText(strings.getKey('sidebar/project/walls/info')).setMarginLeft('120px');
+  info.setDisplay('none');
+  infoRow.add(info);
+  container.add(infoRow);
+
+  signals.toolChanged.add(function (tool) {
+    drawButton.toggleClass('selected', tool === 'walls');
+    info.setDisplay(tool === 'walls' ? '' : 'none');
+  });
+
+  return container;
+}
+
+export { SidebarProjectWalls };
@@ -1,8 +1,14 @@
 import { UISpan } from '../libs/ui.js';
 
 import { SidebarProjectApp } from './Sidebar.Project.App.js';
+import { SidebarProjectGenerator } from './Sidebar.Project.Generator.js';
+import { SidebarProjectLightmaps } from './Sidebar.Project.Lightmaps.js';
+import { SidebarProjectMovement } from './Sidebar.Project.Movement.js';
+import { SidebarProjectNavigation } from './Sidebar.Project.Navigation.js';
 import { SidebarProjectRenderer } from './Sidebar.Project.Renderer.js';
 import { SidebarProjectResources } from './Sidebar.Project.Resources.js';
+import { SidebarProjectSightlines } from './Sidebar.Project.Sightlines.js';
+import { SidebarProjectWalls } from './Sidebar.Project.Walls.js';
 
 function SidebarProject(editor) {
   const container = new UISpan();
@@ -11,6 +17,18 @@ function SidebarProject(editor) {
 
   container.add(new SidebarProjectApp(editor));
 
+  container.add(new SidebarProjectNavigation(editor));
+
+  container.add(new SidebarProjectSightlines(editor));
+
+  container.add(new SidebarProjectMovement(editor));
+
+  container.add(new SidebarProjectLightmaps(editor));
+
+  container.add(new SidebarProjectGenerator(editor));
+
+  container.add(new SidebarProjectWalls(editor));
+
   container.add(new SidebarProjectResources(editor));
 
   return container;
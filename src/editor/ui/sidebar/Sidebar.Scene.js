@@ -386,6 +386,8 @@ function SidebarScene(editor) {
       outliner.setValue(editor.selected.id);
     }
 
+    updateSelection();
+
     backgroundType.setValue(editor.backgroundType);
 
     switch (editor.backgroundType) {
@@ -506,6 +508,18 @@ function SidebarScene(editor) {
     }
   });
 
+  // Highlight the other selected objects too
+
+  function updateSelection() {
+    const ids = editor.selection.getSelected().map((object) => object.id);
+
+    for (const option of outliner.options) {
+      option.classList.toggle('selected', ids.includes(option.value));
+    }
+  }
+
+  signals.selectionChanged.add(updateSelection);
+
   signals.sceneBackgroundChanged.add(function () {
     if (environmentType.getValue() === 'Background') {
       onEnvironmentChanged();
@@ -1,4 +1,4 @@
-import { UIPanel, UIBreak, UIButton, UIRow, UIInput } from '../libs/ui.js';
+import { UIPanel, UIBreak, UIButton, UIRow, UIInput, UIText } from '../libs/ui.js';
 
 import { AddScriptCommand } from '../../commands/AddScriptCommand.js';
 import { SetScriptValueCommand } from '../../commands/SetScriptValueCommand.js';
@@ -19,6 +19,9 @@ function SidebarScript(editor) {
   const scriptsContainer = new UIRow();
   container.add(scriptsContainer);
 
+  // Last error of each script from the play test, shown under it
+  const errors = new Map();
+
   const newScript = new UIButton(strings.getKey('sidebar/script/new'));
   newScript.onClick(function () {
     const script = { name: '', source: 'function update( event ) {}' };
@@ -75,6 +78,12 @@ function SidebarScript(editor) {
           });
           scriptsContainer.add(remove);
 
+          if (errors.has(script)) {
+            const error = new UIText(errors.get(script)).setColor('#f66').setFontSize('12px');
+            error.setDisplay('block').setMarginTop('4px');
+            scriptsContainer.add(error);
+          }
+
           scriptsContainer.add(new UIBreak());
         })(object, scripts[i]);
       }
@@ -95,7 +104,19 @@ function SidebarScript(editor) {
 
   signals.scriptAdded.add(update);
   signals.scriptRemoved.add(update);
-  signals.scriptChanged.add(update);
+  signals.scriptChanged.add(function (script) {
+    errors.delete(script);
+    update();
+  });
+
+  signals.scriptError.add(function (error) {
+    errors.set(error.script, error.message);
+    update();
+  });
+
+  signals.startPlayer.add(function () {
+    errors.clear();
+  });
 
   return container;
 }
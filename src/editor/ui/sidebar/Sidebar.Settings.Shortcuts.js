@@ -1,5 +1,6 @@
 import { UIPanel, UIText, UIRow, UIInput } from '../libs/ui.js';
 
+import { MultiCmdsCommand } from '../../commands/MultiCmdsCommand.js';
 import { RemoveObjectCommand } from '../../commands/RemoveObjectCommand.js';
 
 function SidebarSettingsShortcuts(editor) {
@@ -76,20 +77,49 @@ function SidebarSettingsShortcuts(editor) {
     createShortcutInput(shortcuts[i]);
   }
 
+  // Keys drive the player while play testing
+
+  let isPlaying = false;
+
+  signals.startPlayer.add(function () {
+    isPlaying = true;
+  });
+
+  signals.stopPlayer.add(function () {
+    isPlaying = false;
+  });
+
   document.addEventListener('keydown', function (event) {
+    if (isPlaying) return;
+
     switch (event.key.toLowerCase()) {
+      case 'escape':
+        if (editor.currentTool === 'add' || editor.currentTool === 'walls') {
+          signals.toolChanged.dispatch('select');
+        }
+
+        break;
+
+      case 'enter':
+        if (editor.currentTool === 'walls') signals.finishWalls.dispatch();
+
+        break;
+
       case 'backspace':
         event.preventDefault(); // prevent browser back
 
       // falls through
 
       case 'delete': {
-        const object = editor.selected;
+        const objects = editor.selection.getRoots();
 
-        if (object === null) return;
+        if (objects.length === 1) {
+          editor.execute(new RemoveObjectCommand(editor, objects[0]));
+        } else if (objects.length > 1) {
+          const commands = objects.map((object) => new RemoveObjectCommand(editor, object));
 
-        const parent = object.parent;
-        if (parent !== null) editor.execute(new RemoveObjectCommand(editor, object));
+          editor.execute(new MultiCmdsCommand(editor, commands), 'Remove Objects');
+        }
 
         break;
       }
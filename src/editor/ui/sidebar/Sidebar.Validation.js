@@ -0,0 +1,108 @@
+import { UIBreak, UIButton, UIPanel, UIText } from '../libs/ui.js';
+import { UIOutliner } from '../libs/ui.three.js';
+
+function SidebarValidation(editor) {
+  const signals = editor.signals;
+  const strings = editor.strings;
+
+  const container = new UIPanel();
+  container.setBorderTop('0');
+  container.setPaddingTop('20px');
+
+  container.add(new UIText(strings.getKey('sidebar/validation').toUpperCase()));
+
+  // Validate
+
+  const validateButton = new UIButton(strings.getKey('sidebar/validation/validate'));
+  validateButton.setPosition('absolute').setRight('8px');
+  validateButton.onClick(function () {
+    editor.validateLevel();
+  });
+  container.add(validateButton);
+
+  container.add(new UIBreak(), new UIBreak());
+
+  // Summary
+
+  const summary = new UIText(strings.getKey('sidebar/validation/notRun'));
+  container.add(summary);
+
+  container.add(new UIBreak(), new UIBreak());
+
+  // Issues
+
+  let issues = [];
+
+  const outliner = new UIOutliner(editor);
+  outliner.setId('validation');
+  outliner.onChange(function () {
+    const issue = issues[outliner.getValue()];
+
+    // The object may have been removed since the last run
+    if (issue === undefined || issue.object.parent === null) return;
+
+    editor.select(issue.object);
+    editor.focus(issue.object);
+  });
+  container.add(outliner);
+
+  //
+
+  function refreshUI(results) {
+    issues = results;
+
+    const counts = { error: 0, warning: 0, info: 0 };
+    const options = [];
+
+    issues.forEach(function (issue, index) {
+      counts[issue.severity]++;
+
+      const option = document.createElement('div');
+      option.value = index;
+      option.title = issue.rule;
+
+      const severity = document.createElement('span');
+      severity.className = 'type ' + issue.severity;
+      option.appendChild(severity);
+
+      const text = document.createElement('span');
+      text.textContent =
+        ' ' + (issue.object.name || issue.object.userData.type) + ': ' + issue.message;
+      option.appendChild(text);
+
+      options.push(option);
+    });
+
+    outliner.setOptions(options);
+
+    if (issues.length === 0) {
+      summary.setValue(strings.getKey('sidebar/validation/noIssues'));
+    } else {
+      summary.setValue(
+        counts.error +
+          ' ' +
+          strings.getKey('sidebar/validation/errors') +
+          ', ' +
+          counts.warning +
+          ' ' +
+          strings.getKey('sidebar/validation/warnings') +
+          ', ' +
+          counts.info +
+          ' ' +
+          strings.getKey('sidebar/validation/info')
+      );
+    }
+  }
+
+  signals.levelValidated.add(refreshUI);
+
+  signals.editorCleared.add(function () {
+    issues = [];
+    outliner.setOptions([]);
+    summary.setValue(strings.getKey('sidebar/validation/notRun'));
+  });
+
+  return container;
+}
+
+export { SidebarValidation };
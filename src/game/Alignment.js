@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+// Bounds thinner than this have no size to match
+const MIN_SIZE = 1e-6;
+
+/**
+ * Lines up objects by their world bounding boxes: aligning their sides or
+ * centers, spreading them out evenly, and sizing them like another object.
+ *
+ * Works on boxes only and answers with world offsets and factors, so the
+ * editor can turn them into commands.
+ */
+export class Alignment {
+  static AXES = ['x', 'y', 'z'];
+
+  /**
+   * Sides of the bounds to align: the low side, the center or the high side.
+   */
+  static MODES = ['min', 'center', 'max'];
+
+  /**
+   * Even spacing between `centers`, or even `gaps` between the bounds.
+   */
+  static SPACINGS = ['centers', 'gaps'];
+
+  /**
+   * Offsets aligning boxes to the same side of their combined bounds.
+   * @param {THREE.Box3[]} boxes - World bounds
+   * @param {string} axis - One of AXES
+   * @param {string} mode - One of MODES
+   * @returns {number[]} Offset along the axis, one per box
+   */
+  static align(boxes, axis, mode) {
+    const bounds = new THREE.Box3();
+
+    for (const box of boxes) bounds.union(box);
+
+    const target = getSide(bounds, axis, mode);
+
+    return boxes.map((box) => target - getSide(box, axis, mode));
+  }
+
+  /**
+   * Offsets spreading boxes out evenly between the first and the last one
+   * along an axis, which stay where they are.
+   * @param {THREE.Box3[]} boxes - World bounds
+   * @param {string} axis - One of AXES
+   * @param {string} [spacing] - One of SPACINGS
+   * @returns {number[]} Offset along the axis, one per box
+   */
+  static distribute(boxes, axis, spacing = 'centers') {
+    const offsets = boxes.map(() => 0);
+
+    if (boxes.length < 3) return offsets;
+
+    const order = boxes
+      .map((box, index) => index)
+      .sort((a, b) => getSide(boxes[a], axis, 'center') - getSide(boxes[b], axis, 'center'));
+
+    const first = boxes[order[0]];
+    const last = boxes[order[order.length - 1]];
+    const steps = order.length - 1;
+
+    if (spacing === 'gaps') {
+      const sizes = order.map((index) => getSize(boxes[index], axis));
+      const total = sizes.reduce((sum, size) => sum + size, 0);
+      const gap = (getSide(last, axis, 'max') - getSide(first, axis, 'min') - total) / steps;
+
+      let min = getSide(first, axis, 'min');
+
+      order.forEach((index, step) => {
+        offsets[index] = min - getSide(boxes[index], axis, 'min');
+        min += sizes[step] + gap;
+      });
+    } else {
+      const start = getSide(first, axis, 'center');
+      const step = (getSide(last, axis, 'center') - start) / steps;
+
+      order.forEach((index, i) => {
+        offsets[index] = start + step * i - getSide(boxes[index], axis, 'center');
+      });
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Scale factors giving an object the size of a target along each world
+   * axis. Turned objects are matched on the local axis closest to each world
+   * axis, which is exact for quarter turns.
+   * @param {THREE.Box3} box - World bounds of the object
+   * @param {THREE.Box3} target - World bounds to match
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the object
+   * @returns {THREE.Vector3} Factors for the object's local scale
+   */
+  static getSizeFactors(box, target, matrixWorld) {
+    const size = box.getSize(new THREE.Vector3()).toArray();
+    const targetSize = target.getSize(new THREE.Vector3()).toArray();
+
+    const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    matrixWorld.extractBasis(...axes);
+
+    const factors = axes.map(function (direction) {
+      const components = direction.toArray().map(Math.abs);
+      const world = components.indexOf(Math.max(...components));
+
+      if (size[world] < MIN_SIZE || targetSize[world] < MIN_SIZE) return 1;
+
+      return targetSize[world] / size[world];
+    });
+
+    return new THREE.Vector3().fromArray(factors);
+  }
+}
+
+function getSide(box, axis, mode) {
+  const index = AXIS_INDEX[axis];
+
+  if (mode === 'min') return box.min.getComponent(index);
+  if (mode === 'max') return box.max.getComponent(index);
+
+  return (box.min.getComponent(index) + box.max.getComponent(index)) / 2;
+}
+
+function getSize(box, axis) {
+  const index = AXIS_INDEX[axis];
+
+  return box.max.getComponent(index) - box.min.getComponent(index);
+}
@@ -0,0 +1,454 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+import { Symmetry } from './Symmetry.js';
+
+// Layout grid spacing; fits a raised block, a wedge or a flight of stairs
+const CELL = 6;
+
+// Top of the floor slab, which lies on the ground
+const FLOOR_TOP = ObjectFactory.OBJECT_TYPES.platform.size.height;
+
+// Height of one raised tier, and the piece climbing to each tier
+const TIER_HEIGHT = 2;
+const TIER_ACCESS = { 1: 'wedge', 2: 'stairs' };
+
+// Team materials of the generated half, which its mirror image swaps
+const HOME_MATERIALS = { gridOrange: 'gridCyan', emissiveOrange: 'emissiveCyan' };
+
+const COVER_WEIGHTS = { box: 4, wall: 3, pillar: 2, corner: 2, cylinder: 1, arch: 1 };
+
+const DIRECTIONS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+
+/**
+ * Seeded procedural arena layouts built from the ObjectFactory palette.
+ *
+ * The footprint is split into square cells. A floor slab lying on the ground
+ * and perimeter walls are laid out first, then spawn points on the home side. Each free cell may get
+ * cover or a raised block with a wedge or stairs leading up to it. With
+ * symmetry, one half is generated and mirrored (see Symmetry), swapping team
+ * colors. The same settings always give the same layout.
+ */
+export class ArenaGenerator {
+  /**
+   * Default settings. `density` is the share of free cells that get something,
+   * `coverRatio` the share of those that get cover rather than a raised block,
+   * `heightTiers` the number of raised levels (0 to 2) and `symmetry` one of
+   * SYMMETRIES.
+   */
+  static DEFAULTS = {
+    seed: 1,
+    width: 60,
+    depth: 60,
+    density: 0.35,
+    coverRatio: 0.7,
+    heightTiers: 2,
+    symmetry: 'point',
+    spawnsPerTeam: 2,
+  };
+
+  /**
+   * `none`, or a mirror mode of Symmetry.MODES.
+   */
+  static SYMMETRIES = ['none', ...Object.keys(Symmetry.MODES)];
+
+  static MAX_TIERS = 2;
+
+  /**
+   * Fingerprint of an object's transform and data. Generated objects store it
+   * in `userData.generated`; a different fingerprint means it was edited.
+   * @param {THREE.Object3D} object
+   * @returns {string}
+   */
+  static getSignature(object) {
+    const data = { ...object.userData };
+
+    // Bookkeeping that changes without an edit
+    delete data.generated;
+    delete data.mirror;
+    delete data.layer;
+    delete data.position;
+    delete data.rotation;
+    delete data.scale;
+
+    // A matrix rather than a quaternion, which may change sign when a project is reloaded
+    const transform = new THREE.Matrix4()
+      .compose(object.position, object.quaternion, object.scale)
+      .elements.map((value) => Math.round(value * 1000) / 1000 + 0);
+
+    return JSON.stringify([transform, data]);
+  }
+
+  /**
+   * @param {Object} [settings] - Overrides for ArenaGenerator.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...ArenaGenerator.DEFAULTS, ...settings };
+  }
+
+  /**
+   * Lay out an arena.
+   * @returns {{ type: string, position: number[], rotation: number[], scale: number[],
+   *   data: Object, twin?: number }[]} Objects with world transforms and data overrides;
+   *   mirrored objects give the index of the object they mirror as `twin`
+   */
+  generate() {
+    const { seed, density, coverRatio, symmetry } = this.settings;
+    const heightTiers = THREE.MathUtils.clamp(
+      this.settings.heightTiers,
+      0,
+      ArenaGenerator.MAX_TIERS
+    );
+
+    const random = mulberry32(seed);
+    const grid = this.createGrid();
+
+    const fixed = [...this.createFloor(grid), ...this.createWalls(grid)];
+    const half = [...this.createSpawns(grid)];
+
+    for (const cell of grid.cells) {
+      if (!cell.free || !cell.home || random() >= density) continue;
+
+      if (heightTiers > 0 && random() >= coverRatio) {
+        const tier = 1 + Math.floor(random() * heightTiers);
+        const placed = this.createRaised(grid, cell, tier, random);
+
+        if (placed !== null) {
+          half.push(...placed);
+          continue;
+        }
+      }
+
+      half.push(this.createCover(cell, random));
+    }
+
+    if (symmetry === 'none') return [...fixed, ...half];
+
+    for (const entry of half) {
+      const material = entry.data.materialType ?? ObjectFactory.OBJECT_TYPES[entry.type].material;
+
+      if (HOME_MATERIALS[material] !== undefined)
+        entry.data.materialType = HOME_MATERIALS[material];
+    }
+
+    const objects = [...fixed, ...half];
+
+    half.forEach((entry, index) => {
+      objects.push({ ...mirrorEntry(entry, symmetry), twin: fixed.length + index });
+    });
+
+    return objects;
+  }
+
+  /**
+   * Cells of the footprint. With symmetry, `home` cells form the generated
+   * half; cells that are their own mirror image are never filled.
+   * @returns {{ cols: number, rows: number, cells: Object[] }}
+   */
+  createGrid() {
+    const { width, depth, symmetry } = this.settings;
+
+    const cols = Math.max(3, Math.floor(width / CELL));
+    const rows = Math.max(3, Math.floor(depth / CELL));
+    const cells = [];
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const [mirrorCol, mirrorRow] = mirrorCell(col, row, cols, rows, symmetry);
+        const index = row * cols + col;
+        const mirrorIndex = mirrorRow * cols + mirrorCol;
+
+        cells.push({
+          col,
+          row,
+          x: (col - (cols - 1) / 2) * CELL,
+          z: (row - (rows - 1) / 2) * CELL,
+          home: symmetry === 'none' || index < mirrorIndex,
+          free: symmetry === 'none' || index !== mirrorIndex,
+        });
+      }
+    }
+
+    return { cols, rows, cells };
+  }
+
+  /**
+   * A floor slab lying on the ground under the whole footprint.
+   */
+  createFloor(grid) {
+    const size = ObjectFactory.OBJECT_TYPES.platform.size;
+
+    return [
+      entry('platform', [0, FLOOR_TOP / 2, 0], 0, [
+        (grid.cols * CELL) / size.width,
+        FLOOR_TOP / size.height,
+        (grid.rows * CELL) / size.depth,
+      ]),
+    ];
+  }
+
+  /**
+   * Walls standing on the ground around the floor, one per edge cell.
+   */
+  createWalls(grid) {
+    const size = ObjectFactory.OBJECT_TYPES.wall.size;
+    const scale = [1, 1, CELL / size.depth];
+    const y = restingHeight('wall') - FLOOR_TOP;
+
+    const halfWidth = (grid.cols * CELL + size.width) / 2;
+    const halfDepth = (grid.rows * CELL + size.width) / 2;
+    const walls = [];
+
+    for (const cell of grid.cells) {
+      if (cell.row === 0) {
+        walls.push(entry('wall', [cell.x, y, -halfDepth], Math.PI / 2, scale));
+      }
+      if (cell.row === grid.rows - 1) {
+        walls.push(entry('wall', [cell.x, y, halfDepth], Math.PI / 2, scale));
+      }
+      if (cell.col === 0) {
+        walls.push(entry('wall', [-halfWidth, y, cell.z], 0, scale));
+      }
+      if (cell.col === grid.cols - 1) {
+        walls.push(entry('wall', [halfWidth, y, cell.z], 0, scale));
+      }
+    }
+
+    return walls;
+  }
+
+  /**
+   * Spawn points along the home edge, facing into the arena, each with a team
+   * colored strip in front. Without symmetry the far edge gets the other team.
+   */
+  createSpawns(grid) {
+    const { symmetry, spawnsPerTeam } = this.settings;
+
+    const alongX = symmetry === 'x';
+    const count = alongX ? grid.rows : grid.cols;
+
+    const sides = [{ team: 'cyan', material: 'emissiveCyan', edge: 0, facing: 1 }];
+
+    if (symmetry === 'none') {
+      sides.push({
+        team: 'orange',
+        material: 'emissiveOrange',
+        edge: (alongX ? grid.cols : grid.rows) - 1,
+        facing: -1,
+      });
+    }
+
+    const spawns = [];
+    const spawnHeight = restingHeight('spawn_point');
+    const stripHeight = restingHeight('emissive_strip');
+
+    for (const side of sides) {
+      for (let i = 0; i < spawnsPerTeam; i++) {
+        const lane = Math.floor(((i + 1) * count) / (spawnsPerTeam + 1));
+        const cell = grid.cells.find((cell) =>
+          alongX
+            ? cell.col === side.edge && cell.row === lane
+            : cell.row === side.edge && cell.col === lane
+        );
+
+        if (cell === undefined || !cell.free) continue;
+
+        cell.free = false;
+
+        // Local +Z is the facing direction
+        const yaw = alongX ? (side.facing * Math.PI) / 2 : side.facing > 0 ? 0 : Math.PI;
+        const forward = alongX ? [side.facing * 2, 0] : [0, side.facing * 2];
+
+        spawns.push(
+          entry('spawn_point', [cell.x, spawnHeight, cell.z], yaw, [1, 1, 1], {
+            spawn: { team: side.team, playerIndex: i, enabled: true },
+          }),
+          entry(
+            'emissive_strip',
+            [cell.x + forward[0], stripHeight, cell.z + forward[1]],
+            yaw + Math.PI / 2,
+            [1, 1, 1],
+            { materialType: side.material }
+          )
+        );
+      }
+    }
+
+    return spawns;
+  }
+
+  /**
+   * A raised block filling a cell, with a wedge or stairs in a neighbor cell
+   * leading up to it and the cell before that left open. Null when there is no
+   * room for the climb.
+   */
+  createRaised(grid, cell, tier, random) {
+    const directions = shuffle(DIRECTIONS.slice(), random);
+    const isOpen = (other) => other !== undefined && other.free && other.home;
+
+    for (const [dCol, dRow] of directions) {
+      const access = grid.cells.find(
+        (other) => other.col === cell.col - dCol && other.row === cell.row - dRow
+      );
+      const approach = grid.cells.find(
+        (other) => other.col === cell.col - 2 * dCol && other.row === cell.row - 2 * dRow
+      );
+
+      if (!isOpen(access) || !isOpen(approach)) continue;
+
+      cell.free = false;
+      access.free = false;
+      approach.free = false;
+
+      const height = tier * TIER_HEIGHT;
+      const type = TIER_ACCESS[tier];
+      const platform = ObjectFactory.OBJECT_TYPES.platform.size;
+      const length = ObjectFactory.OBJECT_TYPES[type].size.depth;
+
+      // The access piece climbs in the direction of the block and ends at its edge
+      const edge = [cell.x - (dCol * CELL) / 2, cell.z - (dRow * CELL) / 2];
+      const center = [edge[0] - (dCol * length) / 2, edge[1] - (dRow * length) / 2];
+
+      // Wedges rise along local +X, stairs along local +Z
+      const yaw = type === 'wedge' ? Math.atan2(-dRow, dCol) : Math.atan2(dCol, dRow);
+
+      return [
+        entry('platform', [cell.x, FLOOR_TOP + height / 2, cell.z], 0, [
+          CELL / platform.width,
+          height / platform.height,
+          CELL / platform.depth,
+        ]),
+        entry(type, [center[0], restingHeight(type), center[1]], yaw),
+      ];
+    }
+
+    return null;
+  }
+
+  /**
+   * A cover piece near the middle of a cell, turned by a multiple of 90°.
+   */
+  createCover(cell, random) {
+    cell.free = false;
+
+    const type = pick(COVER_WEIGHTS, random);
+    const jitter = () => Math.round((random() * 3 - 1.5) * 2) / 2;
+    const yaw = Math.floor(random() * 4) * (Math.PI / 2);
+
+    return entry(type, [cell.x + jitter(), restingHeight(type), cell.z + jitter()], yaw);
+  }
+}
+
+const restingHeights = new Map();
+
+/**
+ * Height to place an unrotated object of a type at so that it stands on the floor.
+ */
+function restingHeight(type) {
+  if (!restingHeights.has(type)) {
+    const geometry = ObjectFactory.OBJECT_TYPES[type].createGeometry();
+    geometry.computeBoundingBox();
+
+    restingHeights.set(type, FLOOR_TOP - geometry.boundingBox.min.y);
+    geometry.dispose();
+  }
+
+  return restingHeights.get(type);
+}
+
+function entry(type, position, yaw, scale = [1, 1, 1], data = {}) {
+  const base = ObjectFactory.OBJECT_TYPES[type].defaultRotation || { x: 0, y: 0, z: 0 };
+
+  return {
+    type,
+    position,
+    rotation: [base.x, base.y + yaw, base.z],
+    scale,
+    data,
+  };
+}
+
+/**
+ * Mirror image of a layout entry, with team colors swapped.
+ */
+function mirrorEntry(source, mode) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+
+  const matrix = new THREE.Matrix4().compose(
+    new THREE.Vector3().fromArray(source.position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler().fromArray(source.rotation)),
+    new THREE.Vector3().fromArray(source.scale)
+  );
+
+  Symmetry.mirrorMatrix(matrix, source.type, mode).decompose(position, quaternion, scale);
+
+  const data = Symmetry.mirrorData({ type: source.type, ...source.data }, mode, true);
+  delete data.type;
+
+  if (data.materialType === undefined) delete data.materialType;
+
+  return {
+    type: source.type,
+    position: position.toArray(),
+    rotation: new THREE.Euler().setFromQuaternion(quaternion).toArray().slice(0, 3),
+    scale: scale.toArray(),
+    data,
+  };
+}
+
+function mirrorCell(col, row, cols, rows, symmetry) {
+  switch (symmetry) {
+    case 'x':
+      return [cols - 1 - col, row];
+    case 'z':
+      return [col, rows - 1 - row];
+    case 'point':
+      return [cols - 1 - col, rows - 1 - row];
+    default:
+      return [col, row];
+  }
+}
+
+function pick(weights, random) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  let value = random() * total;
+
+  for (const [key, weight] of Object.entries(weights)) {
+    value -= weight;
+    if (value < 0) return key;
+  }
+
+  return Object.keys(weights)[0];
+}
+
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+
+  return array;
+}
+
+/**
+ * Small seeded PRNG returning floats in [0, 1).
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
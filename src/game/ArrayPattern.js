@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Copies never shrink below this scale factor
+const MIN_SCALE = 0.01;
+
+/**
+ * Parametric arrays of copies of an object: in a line, in a grid, or around a
+ * pivot. Each step may also turn and scale its copy a bit more than the last.
+ *
+ * Transforms are in world space, so a pattern can be laid out from any object
+ * and its copies added to the scene root.
+ */
+export class ArrayPattern {
+  /**
+   * Default settings. Counts include the original.
+   * - `linear`: `count` copies, each `offset` from the previous one
+   * - `grid`: `counts` copies along X, Y and Z, `spacing` apart
+   * - `radial`: `count` copies spread over `angle` degrees around the Y axis
+   *   through `pivot`, an offset from the original; over a full turn they are
+   *   spread evenly, so the last one does not land on the original
+   *
+   * `rotationStep` turns each step further, in degrees around the copy's own
+   * axes, and `scaleStep` adds to the scale factor of each step.
+   */
+  static DEFAULTS = {
+    mode: 'linear',
+    count: 3,
+    offset: [2, 0, 0],
+    counts: [3, 1, 3],
+    spacing: [2, 2, 2],
+    angle: 360,
+    pivot: [0, 0, -5],
+    rotationStep: [0, 0, 0],
+    scaleStep: 0,
+  };
+
+  static MODES = ['linear', 'grid', 'radial'];
+
+  /**
+   * Largest number of copies of a pattern.
+   */
+  static MAX_COPIES = 1000;
+
+  /**
+   * @param {Object} [settings] - Overrides for ArrayPattern.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...ArrayPattern.DEFAULTS, ...settings };
+  }
+
+  /**
+   * Transforms of the copies of an object, not including the original.
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the original
+   * @returns {THREE.Matrix4[]} World matrices, one per copy
+   */
+  getMatrices(matrixWorld) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    matrixWorld.decompose(position, quaternion, scale);
+
+    return this.getSteps()
+      .slice(1)
+      .map((step, index) => {
+        const stepPosition = position.clone().add(step.offset);
+        const stepQuaternion = quaternion.clone().premultiply(step.turn);
+
+        // The origin orbits the pivot as the copy turns
+        if (step.pivot !== undefined) {
+          const center = position.clone().add(step.pivot);
+
+          stepPosition.sub(center).applyQuaternion(step.turn).add(center);
+        }
+
+        return this.applyIncrements(stepPosition, stepQuaternion, scale, index + 1);
+      });
+  }
+
+  /**
+   * Offsets and turns of each step, the original first, up to MAX_COPIES copies.
+   */
+  getSteps() {
+    const { mode, count, offset, counts, spacing, angle, pivot } = this.settings;
+    const limit = ArrayPattern.MAX_COPIES + 1;
+    const steps = [];
+
+    if (mode === 'grid') {
+      const [countX, countY, countZ] = counts.map((value) => Math.max(1, Math.floor(value)));
+
+      for (let y = 0; y < countY; y++) {
+        for (let z = 0; z < countZ; z++) {
+          for (let x = 0; x < countX && steps.length < limit; x++) {
+            steps.push({
+              offset: new THREE.Vector3(x * spacing[0], y * spacing[1], z * spacing[2]),
+              turn: new THREE.Quaternion(),
+            });
+          }
+        }
+      }
+
+      return steps;
+    }
+
+    const total = THREE.MathUtils.clamp(Math.floor(count), 1, limit);
+
+    if (mode === 'radial') {
+      const fullTurn = Math.abs(angle) >= 360;
+      const stepAngle =
+        THREE.MathUtils.degToRad(angle) / (fullTurn ? total : Math.max(1, total - 1));
+
+      for (let i = 0; i < total; i++) {
+        steps.push({
+          offset: new THREE.Vector3(),
+          turn: new THREE.Quaternion().setFromAxisAngle(UP, stepAngle * i),
+          pivot: new THREE.Vector3().fromArray(pivot),
+        });
+      }
+
+      return steps;
+    }
+
+    for (let i = 0; i < total; i++) {
+      steps.push({
+        offset: new THREE.Vector3().fromArray(offset).multiplyScalar(i),
+        turn: new THREE.Quaternion(),
+      });
+    }
+
+    return steps;
+  }
+
+  applyIncrements(position, quaternion, scale, step) {
+    const { rotationStep, scaleStep } = this.settings;
+
+    const rotation = new THREE.Euler(
+      ...rotationStep.map((degrees) => THREE.MathUtils.degToRad(degrees * step))
+    );
+    const factor = Math.max(MIN_SCALE, 1 + scaleStep * step);
+
+    return new THREE.Matrix4().compose(
+      position,
+      quaternion.multiply(new THREE.Quaternion().setFromEuler(rotation)),
+      scale.clone().multiplyScalar(factor)
+    );
+  }
+
+  /**
+   * Settings for storing with the original.
+   * @returns {Object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.settings));
+  }
+}
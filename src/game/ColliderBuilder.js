@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+import { ObjectFactory } from './ObjectFactory.js';
+
+/**
+ * Builds physics-engine-neutral collision shapes for factory objects.
+ *
+ * Shapes are described in the object's local space:
+ * - `box`: `{ center, halfExtents }`
+ * - `cylinder`: `{ center, radius, halfHeight }`, upright along local Y
+ * - `hull`: `{ points }`, the vertices of the convex hull
+ *
+ * A `compound` collider is a list of boxes supplied by the type's `createColliders`.
+ */
+export class ColliderBuilder {
+  /**
+   * Collider kinds an object can use. `none` disables collision.
+   */
+  static SHAPES = ['box', 'cylinder', 'hull', 'compound', 'none'];
+
+  /**
+   * Colors used to draw each collider kind in the viewport.
+   */
+  static COLORS = {
+    box: 0x00ff66,
+    cylinder: 0xffcc00,
+    hull: 0xff00ff,
+    compound: 0xff6600,
+  };
+
+  /**
+   * Get the collider kinds available to an object type.
+   * @param {string} type
+   * @returns {string[]}
+   */
+  static getShapes(type) {
+    const config = ObjectFactory.OBJECT_TYPES[type];
+
+    if (config === undefined || config.marker === true) return ['none'];
+
+    return ColliderBuilder.SHAPES.filter(
+      (shape) => shape !== 'compound' || config.createColliders !== undefined
+    );
+  }
+
+  /**
+   * Resolve the collider kind of an object from its data: the per-object
+   * `collider` override when valid, otherwise the type default.
+   * @param {Object} data - Factory object data
+   * @returns {string}
+   */
+  static getShapeType(data) {
+    const shapes = ColliderBuilder.getShapes(data.type);
+
+    if (shapes.includes(data.collider)) return data.collider;
+
+    return ObjectFactory.OBJECT_TYPES[data.type]?.collider ?? 'none';
+  }
+
+  /**
+   * Build the local-space shapes of a factory mesh.
+   * @param {THREE.Mesh} mesh
+   * @returns {Object[]} Empty when the object has no collision
+   */
+  static buildShapes(mesh) {
+    const data = mesh.userData;
+    const geometry = mesh.geometry;
+
+    switch (ColliderBuilder.getShapeType(data)) {
+      case 'box': {
+        if (geometry.boundingBox === null) geometry.computeBoundingBox();
+
+        const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+
+        return [
+          {
+            type: 'box',
+            center: center.toArray(),
+            halfExtents: size.multiplyScalar(0.5).toArray(),
+          },
+        ];
+      }
+
+      case 'cylinder': {
+        if (geometry.boundingBox === null) geometry.computeBoundingBox();
+
+        const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+
+        return [
+          {
+            type: 'cylinder',
+            center: center.toArray(),
+            radius: Math.max(size.x, size.z) / 2,
+            halfHeight: size.y / 2,
+          },
+        ];
+      }
+
+      case 'hull': {
+        const position = geometry.getAttribute('position');
+        const points = [];
+
+        for (let i = 0; i < position.count; i++) {
+          points.push(new THREE.Vector3().fromBufferAttribute(position, i));
+        }
+
+        return [{ type: 'hull', points: hullPoints(points) }];
+      }
+
+      case 'compound':
+        return ObjectFactory.OBJECT_TYPES[data.type].createColliders();
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Bake a scale into local-space shapes, for engines without scaled shapes.
+   * Cylinders stay round and take the larger horizontal scale.
+   * @param {Object[]} shapes
+   * @param {THREE.Vector3} scale
+   * @returns {Object[]}
+   */
+  static scaleShapes(shapes, scale) {
+    const factor = [Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z)];
+    const scaleVector = (vector) => vector.map((value, i) => round(value * factor[i]));
+
+    return shapes.map((shape) => {
+      switch (shape.type) {
+        case 'box':
+          return {
+            ...shape,
+            center: scaleVector(shape.center),
+            halfExtents: scaleVector(shape.halfExtents),
+          };
+
+        case 'cylinder':
+          return {
+            ...shape,
+            center: scaleVector(shape.center),
+            radius: round(shape.radius * Math.max(factor[0], factor[2])),
+            halfHeight: round(shape.halfHeight * factor[1]),
+          };
+
+        case 'hull':
+          return { ...shape, points: shape.points.map(scaleVector) };
+
+        default:
+          return shape;
+      }
+    });
+  }
+
+  /**
+   * Serialize the body of a factory mesh: its world position and rotation, with
+   * the world scale baked into the shapes. Bodies of objects with keyframed motion
+   * are flagged `kinematic`; their pose is the start of the motion.
+   * @param {THREE.Mesh} mesh
+   * @param {string} id - Level object id
+   * @returns {Object|null} Null when the object has no collision
+   */
+  static serializeBody(mesh, id) {
+    const shapes = ColliderBuilder.buildShapes(mesh);
+
+    if (shapes.length === 0) return null;
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    mesh.updateMatrixWorld(true);
+    mesh.matrixWorld.decompose(position, quaternion, scale);
+
+    const body = {
+      id,
+      collider: ColliderBuilder.getShapeType(mesh.userData),
+      position: position.toArray(),
+      quaternion: quaternion.toArray(),
+      shapes: ColliderBuilder.scaleShapes(shapes, scale),
+    };
+
+    if (mesh.userData.motion !== undefined) body.kinematic = true;
+
+    return body;
+  }
+}
+
+function hullPoints(points) {
+  const hull = new ConvexHull().setFromPoints(points);
+  const unique = new Map();
+
+  for (const face of hull.faces) {
+    let edge = face.edge;
+
+    do {
+      const point = edge.head().point;
+      unique.set(point, point.toArray().map(round));
+      edge = edge.next;
+    } while (edge !== face.edge);
+  }
+
+  return [...unique.values()];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
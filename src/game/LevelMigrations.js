@@ -0,0 +1,94 @@
+import { LevelSchema } from './LevelSchema.js';
+
+/**
+ * Upgrades levels saved by older editor builds to the current format version.
+ */
+export class LevelMigrations {
+  /**
+   * Ordered migrations. Each entry upgrades a level from `version - 1` to `version`.
+   */
+  static MIGRATIONS = [
+    {
+      version: 2,
+      description: 'Add metadata header and flatten object data next to the world transform',
+      migrate(level) {
+        const objects = (level.objects || []).map((obj) => {
+          const data = { ...(obj.data || {}) };
+
+          // The world transform stored next to data is authoritative; data copies could be stale.
+          delete data.position;
+          delete data.rotation;
+          delete data.scale;
+
+          return {
+            id: String(obj.id),
+            ...data,
+            position: obj.position,
+            rotation: Array.isArray(obj.rotation) ? obj.rotation.slice(0, 3) : obj.rotation,
+            scale: obj.scale,
+          };
+        });
+
+        return {
+          metadata: { type: 'Level', version: 2 },
+          objects,
+          spawns: level.spawns || [],
+        };
+      },
+    },
+  ];
+
+  /**
+   * Get the format version of a level. Unversioned levels are version 1.
+   * @param {Object} level
+   * @returns {number}
+   */
+  static getVersion(level) {
+    return level.metadata?.version ?? 1;
+  }
+
+  /**
+   * Run every migration newer than the level's version.
+   * @param {Object} level - Parsed level, left untouched
+   * @returns {{ level: Object|null, migrated: number[], errors: { path: string, message: string }[] }}
+   */
+  static migrate(level) {
+    const version = LevelMigrations.getVersion(level);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return {
+        level: null,
+        migrated: [],
+        errors: [
+          { path: 'metadata.version', message: `invalid version ${JSON.stringify(version)}` },
+        ],
+      };
+    }
+
+    if (version > LevelSchema.VERSION) {
+      return {
+        level: null,
+        migrated: [],
+        errors: [
+          {
+            path: 'metadata.version',
+            message: `level version ${version} is newer than supported version ${LevelSchema.VERSION}`,
+          },
+        ],
+      };
+    }
+
+    let result = JSON.parse(JSON.stringify(level));
+    const migrated = [];
+
+    for (const migration of LevelMigrations.MIGRATIONS) {
+      if (migration.version > version) {
+        result = migration.migrate(result);
+        result.metadata.version = migration.version;
+        migrated.push(migration.version);
+      }
+    }
+
+    return { level: result, migrated, errors: [] };
+  }
+}
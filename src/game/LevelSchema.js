@@ -0,0 +1,323 @@
+import { ColliderBuilder } from './ColliderBuilder.js';
+import { MotionTrack } from './MotionTrack.js';
+import { ObjectFactory } from './ObjectFactory.js';
+import { TriggerSystem } from './TriggerSystem.js';
+
+const vector3 = { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 };
+const indexList = { type: 'array', items: { type: 'integer', minimum: 0 } };
+const extents = { ...vector3, items: { type: 'number', minimum: 0 } };
+
+const levelObject = {
+  type: 'object',
+  required: ['id', 'type', 'position', 'rotation', 'scale', 'materialType', 'size'],
+  properties: {
+    id: { type: 'string' },
+    type: { enum: Object.keys(ObjectFactory.OBJECT_TYPES) },
+    position: vector3,
+    rotation: vector3,
+    scale: vector3,
+    materialType: { type: 'string' },
+    size: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+    customData: { type: 'object' },
+    collider: { enum: ColliderBuilder.SHAPES },
+    trigger: {
+      type: 'object',
+      required: ['links'],
+      properties: {
+        once: { type: 'boolean' },
+        links: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['event', 'target', 'action'],
+            properties: {
+              event: { enum: TriggerSystem.EVENTS },
+              target: { type: 'string' },
+              action: { enum: Object.keys(TriggerSystem.ACTIONS) },
+              offset: vector3,
+              duration: { type: 'number', minimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    motion: {
+      type: 'object',
+      required: ['start', 'loop', 'keyframes'],
+      properties: {
+        start: { enum: MotionTrack.STARTS },
+        loop: { enum: MotionTrack.LOOPS },
+        keyframes: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['time', 'position', 'rotation'],
+            properties: {
+              time: { type: 'number', minimum: 0 },
+              position: vector3,
+              rotation: vector3,
+              easing: { enum: Object.keys(MotionTrack.EASINGS) },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const body = {
+  type: 'object',
+  required: ['id', 'collider', 'position', 'quaternion', 'shapes'],
+  properties: {
+    id: { type: 'string' },
+    collider: { enum: ColliderBuilder.SHAPES },
+    position: vector3,
+    quaternion: { ...vector3, minItems: 4, maxItems: 4 },
+    kinematic: { type: 'boolean' },
+    shapes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: ['box', 'cylinder', 'hull'] },
+          center: vector3,
+          halfExtents: extents,
+          radius: { type: 'number', minimum: 0 },
+          halfHeight: { type: 'number', minimum: 0 },
+          points: { type: 'array', minItems: 4, items: vector3 },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Documented schema and validator for the runtime level format.
+ */
+export class LevelSchema {
+  /**
+   * Current version of the level format written by SceneSerializer.
+   *
+   * Version history:
+   * 1 - Unversioned `{ objects: [{ id, data, position, rotation, scale }] }` blob.
+   * 2 - `metadata` header; object data flattened next to its world transform.
+   */
+  static VERSION = 2;
+
+  /**
+   * Schema of the current level format. Supports a small JSON Schema subset:
+   * `type`, `enum`, `minimum`, `required`, `properties`, `additionalProperties`,
+   * `items`, `minItems` and `maxItems`. Unknown properties are allowed.
+   *
+   * Optional sections such as `navmesh`, `physics` and `lightmaps`, and optional fields such as a
+   * spawn's `enabled` flag or an object's `motion`, may be absent without a version bump.
+   *
+   * Prefab instances are references: `instances` place the objects and `bodies` of an
+   * entry of `prefabs` with the instance's world transform and overrides. Expanded
+   * objects get the id `<instance id>-<prefab object id>`.
+   */
+  static SCHEMA = {
+    type: 'object',
+    required: ['metadata', 'objects', 'spawns'],
+    properties: {
+      metadata: {
+        type: 'object',
+        required: ['type', 'version'],
+        properties: {
+          type: { enum: ['Level'] },
+          version: { enum: [LevelSchema.VERSION] },
+          generator: { type: 'string' },
+        },
+      },
+      objects: { type: 'array', items: levelObject },
+      spawns: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'team', 'playerIndex', 'position', 'facing'],
+          properties: {
+            id: { type: 'string' },
+            team: { enum: Object.keys(ObjectFactory.SPAWN_TEAMS) },
+            playerIndex: { type: 'integer', minimum: 0 },
+            enabled: { type: 'boolean' },
+            position: vector3,
+            facing: { type: 'number' },
+            direction: vector3,
+          },
+        },
+      },
+      physics: {
+        type: 'object',
+        required: ['bodies'],
+        properties: {
+          bodies: { type: 'array', items: body },
+        },
+      },
+      prefabs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'objects'],
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            objects: { type: 'array', items: levelObject },
+            bodies: { type: 'array', items: body },
+          },
+        },
+      },
+      instances: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'prefab', 'position', 'rotation', 'scale'],
+          properties: {
+            id: { type: 'string' },
+            prefab: { type: 'string' },
+            position: vector3,
+            rotation: vector3,
+            scale: vector3,
+            overrides: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  materialType: { type: 'string' },
+                  customData: { type: 'object' },
+                },
+              },
+            },
+          },
+        },
+      },
+      lightmaps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'uv1'],
+          properties: {
+            id: { type: 'string' },
+            uv1: { type: 'array', items: { type: 'number' } },
+            lightMap: { type: 'string' },
+            lightMapIntensity: { type: 'number', minimum: 0 },
+            aoMap: { type: 'string' },
+          },
+        },
+      },
+      navmesh: {
+        type: 'object',
+        required: ['agent', 'cellSize', 'vertices', 'polygons', 'neighbors'],
+        properties: {
+          agent: {
+            type: 'object',
+            required: ['radius', 'height', 'maxSlope', 'stepHeight'],
+            additionalProperties: { type: 'number', minimum: 0 },
+          },
+          cellSize: { type: 'number', minimum: 0 },
+          vertices: { type: 'array', items: vector3 },
+          polygons: { type: 'array', items: { ...indexList, minItems: 3 } },
+          neighbors: { type: 'array', items: indexList },
+        },
+      },
+    },
+  };
+
+  /**
+   * Validate a level against the schema.
+   * @param {Object} level
+   * @returns {{ path: string, message: string }[]} Empty when the level is valid
+   */
+  static validate(level) {
+    const errors = [];
+    validateValue(level, LevelSchema.SCHEMA, '', errors);
+    return errors;
+  }
+
+  /**
+   * Format errors one per line, e.g. `objects[3].size.width: expected number, got string`.
+   * @param {{ path: string, message: string }[]} errors
+   * @returns {string}
+   */
+  static formatErrors(errors) {
+    return errors.map((error) => `${error.path || '(root)'}: ${error.message}`).join('\n');
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function validateValue(value, schema, path, errors) {
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    const expected = schema.enum.map((v) => JSON.stringify(v)).join(', ');
+    errors.push({ path, message: `expected one of ${expected}, got ${JSON.stringify(value)}` });
+    return;
+  }
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `expected a value >= ${schema.minimum}, got ${value}` });
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+
+      if (propertySchema !== undefined) {
+        validateValue(value[key], propertySchema, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `expected at least ${schema.minItems} items, got ${value.length}`,
+      });
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        message: `expected at most ${schema.maxItems} items, got ${value.length}`,
+      });
+    }
+
+    if (schema.items !== undefined) {
+      value.forEach((item, index) =>
+        validateValue(item, schema.items, `${path}[${index}]`, errors)
+      );
+    }
+  }
+}
+
+function joinPath(path, key) {
+  return path === '' ? key : `${path}.${key}`;
+}
@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { OBB } from 'three/examples/jsm/math/OBB.js';
+import { ColliderBuilder } from './ColliderBuilder.js';
+import { ObjectFactory } from './ObjectFactory.js';
+import { TriggerSystem } from './TriggerSystem.js';
+
+// Distances below this are treated as touching rather than gaps or overlaps
+const TOLERANCE = 0.05;
+
+/**
+ * Rule-based checks for common level mistakes, run over the factory objects
+ * of a scene. Each issue references the offending object so tools can select it.
+ */
+export class LevelValidator {
+  /**
+   * Issue severities, most severe first.
+   */
+  static SEVERITIES = ['error', 'warning', 'info'];
+
+  /**
+   * Height of the arena floor. Objects resting on it are supported.
+   */
+  static FLOOR_HEIGHT = 0;
+
+  /**
+   * Validation rules. `check` receives the collected level and returns
+   * `{ object, message }` entries; the rule id and severity are added by `validate`.
+   */
+  static RULES = [
+    {
+      id: 'missing-material',
+      severity: 'error',
+      check(level, validator) {
+        return level.entries
+          .filter((entry) => !validator.materials.has(entry.data.materialType))
+          .map((entry) => ({
+            object: entry.mesh,
+            message: `material "${entry.data.materialType}" is not in the materials library`,
+          }));
+      },
+    },
+    {
+      id: 'below-floor',
+      severity: 'error',
+      check(level) {
+        return level.entries
+          .filter((entry) => entry.bounds.min.y < LevelValidator.FLOOR_HEIGHT - TOLERANCE)
+          .map((entry) => ({
+            object: entry.mesh,
+            message: `extends ${format(LevelValidator.FLOOR_HEIGHT - entry.bounds.min.y)} below the floor`,
+          }));
+      },
+    },
+    {
+      id: 'spawn-inside-geometry',
+      severity: 'error',
+      check(level) {
+        const issues = [];
+        const { radius, height } = ObjectFactory.PLAYER_SIZE;
+
+        for (const spawn of level.spawns) {
+          // The player's bounding box, lifted off the surface the spawn stands on
+          const box = new THREE.Box3(
+            new THREE.Vector3(-radius, TOLERANCE, -radius),
+            new THREE.Vector3(radius, height, radius)
+          );
+          box.translate(spawn.mesh.getWorldPosition(new THREE.Vector3()));
+
+          const player = new OBB().fromBox3(box);
+
+          for (const entry of level.solids) {
+            // A hull's bounds, or even the hull itself, would fill the space
+            // under an arch or inside a ring, so those meshes are tested as is
+            const inside =
+              ColliderBuilder.getShapeType(entry.data) === 'hull'
+                ? intersectsMesh(box, entry.mesh)
+                : intersects([player], entry.obbs);
+
+            if (inside) {
+              issues.push({
+                object: spawn.mesh,
+                message: `player would spawn inside ${entry.mesh.name || entry.data.type}`,
+              });
+            }
+          }
+        }
+
+        return issues;
+      },
+    },
+    {
+      id: 'broken-trigger-link',
+      severity: 'warning',
+      check(level) {
+        const issues = [];
+
+        for (const entry of level.entries) {
+          for (const link of entry.data.trigger?.links || []) {
+            // Hidden objects are valid targets, e.g. a door shown by the trigger
+            const target = level.root.getObjectByProperty('uuid', link.target);
+
+            if (target === undefined) {
+              issues.push({
+                object: entry.mesh,
+                message: `${link.action} targets a missing object`,
+              });
+            } else if (!TriggerSystem.canTarget(link.action, target)) {
+              issues.push({
+                object: entry.mesh,
+                message: `${link.action} does not apply to ${target.name || target.userData.type}`,
+              });
+            }
+          }
+        }
+
+        return issues;
+      },
+    },
+    {
+      id: 'overlapping-walls',
+      severity: 'warning',
+      check(level) {
+        const walls = level.solids.filter((entry) => entry.data.type === 'wall');
+        const issues = [];
+
+        for (let i = 0; i < walls.length; i++) {
+          for (let j = i + 1; j < walls.length; j++) {
+            if (intersects(walls[i].obbs, walls[j].obbs)) {
+              issues.push({
+                object: walls[j].mesh,
+                message: `overlaps ${walls[i].mesh.name || 'another wall'}`,
+              });
+            }
+          }
+        }
+
+        return issues;
+      },
+    },
+    {
+      id: 'floating-object',
+      severity: 'warning',
+      check(level) {
+        return level.solids
+          .filter((entry) => entry.bounds.min.y > LevelValidator.FLOOR_HEIGHT + TOLERANCE)
+          .filter(
+            (entry) => !level.solids.some((other) => other !== entry && supports(other, entry))
+          )
+          .map((entry) => ({
+            object: entry.mesh,
+            message: `floats ${format(entry.bounds.min.y - LevelValidator.FLOOR_HEIGHT)} above the floor with nothing below it`,
+          }));
+      },
+    },
+  ];
+
+  /**
+   * @param {import('./MaterialsLibrary').MaterialsLibrary} materials
+   */
+  constructor(materials) {
+    this.materials = materials;
+  }
+
+  /**
+   * Run every rule over the factory objects under a root object.
+   * @param {THREE.Object3D} root
+   * @returns {{ rule: string, severity: string, message: string, object: THREE.Object3D }[]}
+   *   Issues sorted by severity
+   */
+  validate(root) {
+    const level = this.collect(root);
+    const issues = [];
+
+    for (const rule of LevelValidator.RULES) {
+      for (const issue of rule.check(level, this)) {
+        issues.push({ rule: rule.id, severity: rule.severity, ...issue });
+      }
+    }
+
+    const rank = (issue) => LevelValidator.SEVERITIES.indexOf(issue.severity);
+
+    return issues.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Gather the visible factory objects with their world bounds.
+   * @param {THREE.Object3D} root
+   * @returns {{ root: THREE.Object3D, entries: Object[], solids: Object[], spawns: Object[] }}
+   */
+  collect(root) {
+    const entries = [];
+
+    root.updateMatrixWorld(true);
+    root.traverseVisible((child) => {
+      const type = child.userData.type;
+      if (!child.isMesh || ObjectFactory.OBJECT_TYPES[type] === undefined) return;
+
+      entries.push({
+        mesh: child,
+        data: child.userData,
+        bounds: new THREE.Box3().setFromObject(child),
+        obbs: colliderBoxes(child),
+      });
+    });
+
+    return {
+      root,
+      entries,
+      solids: entries.filter((entry) => ObjectFactory.isSolid(entry.data.type)),
+      spawns: entries.filter((entry) => entry.data.type === 'spawn_point'),
+    };
+  }
+}
+
+/**
+ * Oriented boxes approximating an object's collider; hulls use the geometry bounds.
+ * They are shrunk so that objects merely touching do not count as overlapping.
+ */
+function colliderBoxes(mesh) {
+  const boxes = [];
+
+  for (const shape of ColliderBuilder.buildShapes(mesh)) {
+    const box = new THREE.Box3();
+
+    if (shape.type === 'hull') {
+      box.setFromArray(shape.points.flat());
+    } else {
+      const center = new THREE.Vector3().fromArray(shape.center);
+      const halfExtents =
+        shape.type === 'cylinder'
+          ? new THREE.Vector3(shape.radius, shape.halfHeight, shape.radius)
+          : new THREE.Vector3().fromArray(shape.halfExtents);
+
+      box.setFromCenterAndSize(center, halfExtents.multiplyScalar(2));
+    }
+
+    box.expandByScalar(-TOLERANCE / 2);
+    boxes.push(new OBB().fromBox3(box).applyMatrix4(mesh.matrixWorld));
+  }
+
+  return boxes;
+}
+
+function intersects(boxesA, boxesB) {
+  return boxesA.some((a) => boxesB.some((b) => a.intersectsOBB(b)));
+}
+
+/**
+ * Whether a world box touches the triangles of a mesh or lies inside it.
+ * Like the oriented boxes, the box is shrunk so that touching does not count.
+ */
+function intersectsMesh(box, mesh) {
+  const geometry = mesh.geometry;
+  const position = geometry.getAttribute('position');
+  const index = geometry.getIndex();
+  const count = index !== null ? index.count : position.count;
+
+  const shrunk = box.clone().expandByScalar(-TOLERANCE / 2);
+  const triangle = new THREE.Triangle();
+  const point = new THREE.Vector3();
+
+  // Inside a closed mesh, a ray from the box crosses its surface an odd number of times
+  const ray = new THREE.Ray(shrunk.getCenter(new THREE.Vector3()), new THREE.Vector3(0, 1, 0));
+  let crossings = 0;
+
+  const vertex = (i, target) =>
+    target
+      .fromBufferAttribute(position, index !== null ? index.getX(i) : i)
+      .applyMatrix4(mesh.matrixWorld);
+
+  for (let i = 0; i < count; i += 3) {
+    vertex(i, triangle.a);
+    vertex(i + 1, triangle.b);
+    vertex(i + 2, triangle.c);
+
+    if (shrunk.intersectsTriangle(triangle)) return true;
+
+    if (ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, point) !== null) {
+      crossings++;
+    }
+  }
+
+  return crossings % 2 === 1;
+}
+
+function supports(base, entry) {
+  const below = base.bounds;
+  const above = entry.bounds;
+
+  return (
+    below.max.y >= above.min.y - TOLERANCE &&
+    below.min.y < above.min.y &&
+    below.max.x > above.min.x &&
+    below.min.x < above.max.x &&
+    below.max.z > above.min.z &&
+    below.min.z < above.max.z
+  );
+}
+
+function format(distance) {
+  return `${Math.round(distance * 100) / 100}m`;
+}
@@ -0,0 +1,606 @@
+import * as THREE from 'three';
+
+// Rays start this far off the surface so they don't hit it
+const BIAS = 0.01;
+
+// Positions closer than this are the same vertex when grouping charts
+const WELD_PRECISION = 1e4;
+
+const _position = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _bitangent = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _lightPosition = new THREE.Vector3();
+const _lightTarget = new THREE.Vector3();
+const _spotDirection = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+
+/**
+ * Bakes ambient occlusion and direct light of static geometry into lightmaps,
+ * on the CPU with ray casts, so the game can render the level without
+ * shadow-casting lights.
+ *
+ * Each mesh gets a second UV set (`uv1`) of its own: triangles are grouped by
+ * the axis they face and by connectivity into charts, which are projected
+ * along that axis at a fixed texel density and packed into one texture. For
+ * every texel, AO is the share of rays over the hemisphere that escape within
+ * `aoDistance`, and direct light sums the directional, point and spot lights
+ * that reach the texel. Ambient and hemisphere lights are left to the renderer.
+ *
+ * Textures are returned as RGBA pixels with rows from v = 0 upwards, to be
+ * used with `flipY` off. Light is stored divided by `lightMapIntensity`, which
+ * the material scales it back up by.
+ */
+export class LightmapBaker {
+  /**
+   * Default bake settings. `texelsPerUnit` is reduced for meshes that would
+   * not fit in `maxSize`.
+   */
+  static DEFAULTS = {
+    texelsPerUnit: 2,
+    maxSize: 256,
+    padding: 2,
+    aoSamples: 16,
+    aoDistance: 2,
+    lightMapIntensity: 4,
+  };
+
+  /**
+   * @param {Object} [settings] - Overrides for LightmapBaker.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...LightmapBaker.DEFAULTS, ...settings };
+    this.raycaster = new THREE.Raycaster();
+  }
+
+  /**
+   * Texture for baked pixels, sampled with the second UV set and marked with
+   * `userData.baked`.
+   * @param {Uint8ClampedArray} pixels - RGBA, see bake
+   * @param {number} width
+   * @param {number} height
+   * @returns {THREE.CanvasTexture}
+   */
+  static createTexture(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+
+    return configureTexture(new THREE.CanvasTexture(canvas));
+  }
+
+  /**
+   * Apply a level's lightmap entry to a mesh created from the same object.
+   * @param {THREE.Mesh} mesh
+   * @param {Object} entry - `{ uv1, lightMap, aoMap, lightMapIntensity }`, the
+   * maps being image URLs, see SceneSerializer.serializeLightmap
+   * @param {THREE.TextureLoader} [loader]
+   * @returns {boolean} False when the entry doesn't fit the geometry
+   */
+  static apply(mesh, entry, loader = new THREE.TextureLoader()) {
+    const geometry = mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry;
+
+    if (entry.uv1.length !== geometry.getAttribute('position').count * 2) return false;
+
+    geometry.setAttribute('uv1', new THREE.Float32BufferAttribute(entry.uv1, 2));
+    mesh.geometry = geometry;
+
+    const material = mesh.material;
+
+    if (entry.lightMap !== undefined) {
+      material.lightMap = configureTexture(loader.load(entry.lightMap));
+      material.lightMapIntensity = entry.lightMapIntensity ?? 1;
+    }
+
+    if (entry.aoMap !== undefined) {
+      material.aoMap = configureTexture(loader.load(entry.aoMap));
+    }
+
+    material.needsUpdate = true;
+
+    return true;
+  }
+
+  /**
+   * Lay out a second UV set for a mesh.
+   * @param {THREE.Mesh} mesh
+   * @returns {{ geometry: THREE.BufferGeometry, width: number, height: number }}
+   * A non-indexed copy of the geometry with `uv1`, and the lightmap size
+   */
+  unwrap(mesh) {
+    const { texelsPerUnit, maxSize, padding } = this.settings;
+
+    const geometry =
+      mesh.geometry.index !== null ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+    if (geometry.getAttribute('normal') === undefined) geometry.computeVertexNormals();
+
+    // Charts are laid out in world units, so scaled objects keep the texel density
+    const scale = mesh.getWorldScale(new THREE.Vector3());
+    const position = geometry.getAttribute('position');
+    const points = [];
+
+    for (let i = 0; i < position.count; i++) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, i).multiply(scale));
+    }
+
+    const charts = getCharts(points);
+
+    let density = texelsPerUnit;
+    let layout = packCharts(charts, density, padding);
+
+    // Padding doesn't shrink with the density, so this may take a few tries
+    while (layout.size > maxSize && density > 1e-3) {
+      density *= maxSize / layout.size;
+      layout = packCharts(charts, density, padding);
+    }
+
+    const uvs = new Float32Array(position.count * 2);
+
+    for (const chart of charts) {
+      const [u, v] = chart.axes;
+      const { x, y } = layout.offsets.get(chart);
+
+      for (const triangle of chart.triangles) {
+        for (let i = triangle * 3; i < triangle * 3 + 3; i++) {
+          uvs[i * 2] = (x + (points[i].getComponent(u) - chart.min.x) * density) / layout.size;
+          uvs[i * 2 + 1] = (y + (points[i].getComponent(v) - chart.min.y) * density) / layout.size;
+        }
+      }
+    }
+
+    geometry.setAttribute('uv1', new THREE.BufferAttribute(uvs, 2));
+
+    return { geometry, width: layout.size, height: layout.size };
+  }
+
+  /**
+   * Bake the lightmaps of a mesh.
+   * @param {THREE.Mesh} mesh
+   * @param {THREE.Object3D[]} occluders - Meshes that cast shadows and occlude
+   * @param {THREE.Light[]} lights - Lights to bake; others are ignored
+   * @returns {{ geometry: THREE.BufferGeometry, width: number, height: number,
+   *   lightMap: Uint8ClampedArray, aoMap: Uint8ClampedArray }}
+   */
+  bake(mesh, occluders, lights) {
+    const { padding } = this.settings;
+    const { geometry, width, height } = this.unwrap(mesh);
+
+    mesh.updateWorldMatrix(true, false);
+
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+    const position = geometry.getAttribute('position');
+    const normal = geometry.getAttribute('normal');
+    const uv = geometry.getAttribute('uv1');
+
+    const light = new Float32Array(width * height * 3);
+    const ao = new Float32Array(width * height);
+    const filled = new Uint8Array(width * height);
+
+    const samples = getHemisphereSamples(this.settings.aoSamples);
+    const color = new THREE.Color();
+
+    const worldPositions = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const worldNormals = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const texels = [new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2()];
+    const barycoord = new THREE.Vector3();
+    const point = new THREE.Vector3();
+
+    for (let i = 0; i < position.count; i += 3) {
+      for (let j = 0; j < 3; j++) {
+        worldPositions[j].fromBufferAttribute(position, i + j).applyMatrix4(mesh.matrixWorld);
+        worldNormals[j]
+          .fromBufferAttribute(normal, i + j)
+          .applyMatrix3(normalMatrix)
+          .normalize();
+        texels[j].fromBufferAttribute(uv, i + j).multiply(new THREE.Vector2(width, height));
+      }
+
+      const minX = Math.max(0, Math.floor(Math.min(texels[0].x, texels[1].x, texels[2].x)));
+      const minY = Math.max(0, Math.floor(Math.min(texels[0].y, texels[1].y, texels[2].y)));
+      const maxX = Math.min(width - 1, Math.ceil(Math.max(texels[0].x, texels[1].x, texels[2].x)));
+      const maxY = Math.min(height - 1, Math.ceil(Math.max(texels[0].y, texels[1].y, texels[2].y)));
+
+      _a.set(texels[0].x, texels[0].y, 0);
+      _b.set(texels[1].x, texels[1].y, 0);
+      _c.set(texels[2].x, texels[2].y, 0);
+
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          const index = x + y * width;
+          if (filled[index] === 1) continue;
+
+          point.set(x + 0.5, y + 0.5, 0);
+          if (THREE.Triangle.getBarycoord(point, _a, _b, _c, barycoord) === null) continue;
+          if (barycoord.x < 0 || barycoord.y < 0 || barycoord.z < 0) continue;
+
+          _position
+            .copy(worldPositions[0])
+            .multiplyScalar(barycoord.x)
+            .addScaledVector(worldPositions[1], barycoord.y)
+            .addScaledVector(worldPositions[2], barycoord.z);
+
+          _normal
+            .copy(worldNormals[0])
+            .multiplyScalar(barycoord.x)
+            .addScaledVector(worldNormals[1], barycoord.y)
+            .addScaledVector(worldNormals[2], barycoord.z)
+            .normalize();
+
+          ao[index] = this.getOcclusion(_position, _normal, occluders, samples);
+
+          this.getDirectLight(_position, _normal, occluders, lights, color);
+          light[index * 3] = color.r;
+          light[index * 3 + 1] = color.g;
+          light[index * 3 + 2] = color.b;
+
+          filled[index] = 1;
+        }
+      }
+    }
+
+    // Bleed the charts into their padding so filtering doesn't pick up black
+    dilate(width, height, filled, padding, [light, 3], [ao, 1]);
+
+    const scale = 255 / this.settings.lightMapIntensity;
+    const lightMap = new Uint8ClampedArray(width * height * 4);
+    const aoMap = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+      lightMap.set(
+        [light[i * 3] * scale, light[i * 3 + 1] * scale, light[i * 3 + 2] * scale, 255],
+        i * 4
+      );
+      aoMap.set([ao[i] * 255, ao[i] * 255, ao[i] * 255, 255], i * 4);
+    }
+
+    return { geometry, width, height, lightMap, aoMap };
+  }
+
+  /**
+   * Share of the hemisphere over a point that is open.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} normal
+   * @param {THREE.Object3D[]} occluders
+   * @param {THREE.Vector3[]} samples - Directions around +Z
+   * @returns {number} From 0, enclosed, to 1, open
+   */
+  getOcclusion(position, normal, occluders, samples) {
+    const raycaster = this.raycaster;
+
+    if (samples.length === 0) return 1;
+
+    getBasis(normal, _tangent, _bitangent);
+    _origin.copy(position).addScaledVector(normal, BIAS);
+
+    let open = 0;
+
+    for (const sample of samples) {
+      _direction
+        .copy(_tangent)
+        .multiplyScalar(sample.x)
+        .addScaledVector(_bitangent, sample.y)
+        .addScaledVector(normal, sample.z);
+
+      raycaster.set(_origin, _direction);
+      raycaster.far = this.settings.aoDistance;
+
+      if (raycaster.intersectObjects(occluders, false).length === 0) open++;
+    }
+
+    return open / samples.length;
+  }
+
+  /**
+   * Light arriving at a point from the lights it can see, as the renderer
+   * would compute it.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} normal
+   * @param {THREE.Object3D[]} occluders
+   * @param {THREE.Light[]} lights
+   * @param {THREE.Color} target
+   * @returns {THREE.Color}
+   */
+  getDirectLight(position, normal, occluders, lights, target) {
+    const raycaster = this.raycaster;
+
+    target.setRGB(0, 0, 0);
+    _origin.copy(position).addScaledVector(normal, BIAS);
+
+    for (const light of lights) {
+      light.getWorldPosition(_lightPosition);
+
+      let intensity = light.intensity;
+      let distance = Infinity;
+
+      if (light.isDirectionalLight) {
+        light.target.getWorldPosition(_lightTarget);
+        _direction.subVectors(_lightPosition, _lightTarget).normalize();
+      } else if (light.isPointLight || light.isSpotLight) {
+        _direction.subVectors(_lightPosition, _origin);
+        distance = _direction.length();
+        _direction.divideScalar(distance);
+
+        intensity *= getDistanceAttenuation(distance, light.distance, light.decay);
+
+        if (light.isSpotLight) {
+          light.target.getWorldPosition(_lightTarget);
+          _spotDirection.subVectors(_lightPosition, _lightTarget).normalize();
+
+          const cosOuter = Math.cos(light.angle);
+          const cosInner = Math.cos(light.angle * (1 - light.penumbra));
+
+          intensity *= THREE.MathUtils.smoothstep(
+            _direction.dot(_spotDirection),
+            cosOuter,
+            cosInner
+          );
+        }
+      } else {
+        continue;
+      }
+
+      const lambert = normal.dot(_direction);
+
+      if (lambert <= 0 || intensity <= 0) continue;
+
+      raycaster.set(_origin, _direction);
+      raycaster.far = distance;
+
+      if (raycaster.intersectObjects(occluders, false).length > 0) continue;
+
+      target.r += light.color.r * intensity * lambert;
+      target.g += light.color.g * intensity * lambert;
+      target.b += light.color.b * intensity * lambert;
+    }
+
+    return target;
+  }
+}
+
+function configureTexture(texture) {
+  texture.channel = 1;
+  texture.flipY = false;
+  texture.colorSpace = THREE.NoColorSpace;
+  texture.userData.baked = true;
+
+  return texture;
+}
+
+/**
+ * Group triangles into charts facing the same axis and sharing vertices.
+ * @param {THREE.Vector3[]} points - Non-indexed positions
+ * @returns {Object[]} `{ triangles, axes, min, max }`, axes being the
+ * components the chart is projected on and min and max its 2D bounds
+ */
+function getCharts(points) {
+  const count = points.length / 3;
+  const groups = new Array(count);
+  const parents = Array.from({ length: count }, (value, index) => index);
+
+  const find = (index) => {
+    while (parents[index] !== index) index = parents[index] = parents[parents[index]];
+    return index;
+  };
+
+  // Dominant axis of each face, with its sign
+  const triangle = new THREE.Triangle();
+  const faceNormal = new THREE.Vector3();
+
+  for (let i = 0; i < count; i++) {
+    triangle.set(points[i * 3], points[i * 3 + 1], points[i * 3 + 2]).getNormal(faceNormal);
+
+    const components = faceNormal.toArray().map(Math.abs);
+    const axis = components.indexOf(Math.max(...components));
+
+    groups[i] = axis * 2 + (faceNormal.getComponent(axis) < 0 ? 1 : 0);
+  }
+
+  // Faces of the same group sharing a vertex belong to the same chart
+  const vertices = new Map();
+
+  for (let i = 0; i < points.length; i++) {
+    const face = Math.floor(i / 3);
+    const key =
+      groups[face] +
+      ':' +
+      points[i]
+        .toArray()
+        .map((value) => Math.round(value * WELD_PRECISION))
+        .join(',');
+
+    if (vertices.has(key)) {
+      parents[find(face)] = find(vertices.get(key));
+    } else {
+      vertices.set(key, face);
+    }
+  }
+
+  const charts = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const root = find(i);
+
+    if (charts.has(root) === false) {
+      const axis = Math.floor(groups[i] / 2);
+      const axes = [0, 1, 2].filter((component) => component !== axis);
+
+      charts.set(root, {
+        triangles: [],
+        axes,
+        min: new THREE.Vector2(Infinity, Infinity),
+        max: new THREE.Vector2(-Infinity, -Infinity),
+      });
+    }
+
+    const chart = charts.get(root);
+    chart.triangles.push(i);
+
+    for (let j = i * 3; j < i * 3 + 3; j++) {
+      const projected = new THREE.Vector2(
+        points[j].getComponent(chart.axes[0]),
+        points[j].getComponent(chart.axes[1])
+      );
+
+      chart.min.min(projected);
+      chart.max.max(projected);
+    }
+  }
+
+  return [...charts.values()];
+}
+
+/**
+ * Shelf-pack charts into the smallest power of two square that holds them.
+ * @param {Object[]} charts
+ * @param {number} density - Texels per world unit
+ * @param {number} padding - Texels around each chart
+ * @returns {{ size: number, offsets: Map<Object, THREE.Vector2> }}
+ */
+function packCharts(charts, density, padding) {
+  const sizes = new Map();
+  let area = 0;
+
+  for (const chart of charts) {
+    const size = chart.max.clone().sub(chart.min).multiplyScalar(density).ceil();
+    size.addScalar(padding * 2);
+
+    sizes.set(chart, size);
+    area += size.x * size.y;
+  }
+
+  const sorted = [...charts].sort((a, b) => sizes.get(b).y - sizes.get(a).y);
+  const widest = Math.max(...[...sizes.values()].map((size) => size.x));
+
+  let size = THREE.MathUtils.ceilPowerOfTwo(Math.max(Math.sqrt(area), widest, 1));
+
+  for (;;) {
+    const offsets = new Map();
+    let x = 0;
+    let y = 0;
+    let shelf = 0;
+
+    for (const chart of sorted) {
+      const chartSize = sizes.get(chart);
+
+      if (x + chartSize.x > size) {
+        x = 0;
+        y += shelf;
+        shelf = 0;
+      }
+
+      offsets.set(chart, new THREE.Vector2(x + padding, y + padding));
+
+      x += chartSize.x;
+      shelf = Math.max(shelf, chartSize.y);
+    }
+
+    if (y + shelf <= size) return { size, offsets };
+
+    size *= 2;
+  }
+}
+
+/**
+ * Directions over the +Z hemisphere, cosine weighted, from a Hammersley sequence
+ * so bakes are the same every time.
+ * @param {number} count
+ * @returns {THREE.Vector3[]}
+ */
+function getHemisphereSamples(count) {
+  const samples = [];
+
+  for (let i = 0; i < count; i++) {
+    let bits = i;
+    bits = ((bits << 16) | (bits >>> 16)) >>> 0;
+    bits = (((bits & 0x55555555) << 1) | ((bits & 0xaaaaaaaa) >>> 1)) >>> 0;
+    bits = (((bits & 0x33333333) << 2) | ((bits & 0xcccccccc) >>> 2)) >>> 0;
+    bits = (((bits & 0x0f0f0f0f) << 4) | ((bits & 0xf0f0f0f0) >>> 4)) >>> 0;
+    bits = (((bits & 0x00ff00ff) << 8) | ((bits & 0xff00ff00) >>> 8)) >>> 0;
+
+    const u = (i + 0.5) / count;
+    const v = bits / 0x100000000;
+
+    const radius = Math.sqrt(u);
+    const angle = 2 * Math.PI * v;
+
+    samples.push(
+      new THREE.Vector3(radius * Math.cos(angle), radius * Math.sin(angle), Math.sqrt(1 - u))
+    );
+  }
+
+  return samples;
+}
+
+function getBasis(normal, tangent, bitangent) {
+  tangent.set(Math.abs(normal.x) < 0.9 ? 1 : 0, Math.abs(normal.x) < 0.9 ? 0 : 1, 0);
+  tangent.cross(normal).normalize();
+  bitangent.crossVectors(normal, tangent);
+}
+
+/**
+ * Falloff of point and spot lights, as in the renderer.
+ */
+function getDistanceAttenuation(distance, cutoff, decay) {
+  let attenuation = 1 / Math.max(Math.pow(distance, decay), 0.01);
+
+  if (cutoff > 0) {
+    attenuation *= Math.pow(THREE.MathUtils.clamp(1 - Math.pow(distance / cutoff, 4), 0, 1), 2);
+  }
+
+  return attenuation;
+}
+
+/**
+ * Grow the filled texels outwards, averaging their filled neighbors.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} filled
+ * @param {number} steps
+ * @param {...Array} channels - `[values, components]`
+ */
+function dilate(width, height, filled, steps, ...channels) {
+  for (let step = 0; step < steps; step++) {
+    const grown = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = x + y * width;
+        if (filled[index] === 1) continue;
+
+        const neighbors = [];
+
+        for (const [dx, dy] of [
+          [-1, 0],
+          [1, 0],
+          [0, -1],
+          [0, 1],
+        ]) {
+          const nx = x + dx;
+          const ny = y + dy;
+
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          if (filled[nx + ny * width] === 1) neighbors.push(nx + ny * width);
+        }
+
+        if (neighbors.length > 0) grown.push([index, neighbors]);
+      }
+    }
+
+    for (const [index, neighbors] of grown) {
+      for (const [values, components] of channels) {
+        for (let c = 0; c < components; c++) {
+          let sum = 0;
+          for (const neighbor of neighbors) sum += values[neighbor * components + c];
+          values[index * components + c] = sum / neighbors.length;
+        }
+      }
+
+      filled[index] = 1;
+    }
+  }
+}
@@ -1,15 +1,72 @@
 import * as THREE from 'three';
+import { TextureManager } from './TextureManager.js';
 
 /**
  * Centralized materials library for the level editor.
  * Provides consistent, reusable materials across all editor objects.
+ *
+ * Materials reference procedural textures by id. A procedural texture is
+ * `{ id, name, type, params }`, type being one of TextureManager.GENERATORS;
+ * its texture is generated from the parameters and regenerated when they
+ * change. The built-in ones are listed in TEXTURES.
+ *
+ * Besides the built-in materials, a project can define its own. A custom
+ * material is `{ id, name, ...values }`, values being the PROPERTIES of a
+ * MeshStandardMaterial, with procedural texture ids for the MAPS.
  */
 export class MaterialsLibrary {
+  /**
+   * Procedural textures the built-in materials use.
+   */
+  static TEXTURES = [
+    {
+      id: 'gridOrange',
+      name: 'Grid Orange',
+      type: 'grid',
+      params: { color: '#ff6600', thickness: 2, divisions: 4 },
+    },
+    {
+      id: 'gridCyan',
+      name: 'Grid Cyan',
+      type: 'grid',
+      params: { color: '#00ffff', thickness: 2, divisions: 4 },
+    },
+    {
+      id: 'noiseRoughness',
+      name: 'Noise Roughness',
+      type: 'noise',
+      params: { scale: 4, intensity: 150 },
+    },
+    { id: 'hazard', name: 'Hazard', type: 'hazard', params: {} },
+  ];
+
+  /**
+   * Values a custom material defines, with their defaults.
+   */
+  static PROPERTIES = {
+    color: 0xffffff,
+    emissive: 0x000000,
+    emissiveIntensity: 1,
+    roughness: 1,
+    metalness: 0,
+    opacity: 1,
+  };
+
+  /**
+   * Maps a custom material can take a procedural texture for.
+   */
+  static MAPS = ['map', 'roughnessMap', 'metalnessMap', 'bumpMap', 'normalMap', 'emissiveMap'];
+
   /**
    * @param {import('../managers/TextureManager').TextureManager} textureManager
    */
   constructor(textureManager) {
     this.textureManager = textureManager;
+    this.textures = new Map();
+    this.custom = new Map();
+    this.materials = {};
+
+    this.resetTextures();
     this.materials = this.createMaterials();
   }
 
@@ -19,20 +76,12 @@ export class MaterialsLibrary {
    */
   createMaterials() {
     // Common textures
-    const gridOrange = this.textureManager.createGridTexture({
-      color: '#ff6600',
-      thickness: 2,
-      divisions: 4,
-    });
-    const gridCyan = this.textureManager.createGridTexture({
-      color: '#00ffff',
-      thickness: 2,
-      divisions: 4,
-    });
-    const noiseRoughness = this.textureManager.createNoiseTexture({ scale: 4, intensity: 150 });
+    const gridOrange = this.getTexture('gridOrange');
+    const gridCyan = this.getTexture('gridCyan');
+    const noiseRoughness = this.getTexture('noiseRoughness');
 
     // Hazard texture
-    const hazardMap = this.textureManager.createHazardTexture();
+    const hazardMap = this.getTexture('hazard');
 
     return {
       // Basic Materials
@@ -116,6 +165,16 @@ export class MaterialsLibrary {
         metalness: 1.0,
         envMapIntensity: 1.0,
       }),
+
+      // Editor-only volumes, hidden while playing
+      trigger: new THREE.MeshStandardMaterial({
+        color: 0x00ff88,
+        emissive: 0x00ff88,
+        emissiveIntensity: 0.3,
+        transparent: true,
+        opacity: 0.25,
+        depthWrite: false,
+      }),
     };
   }
 
@@ -154,4 +213,249 @@ export class MaterialsLibrary {
   getNames() {
     return Object.keys(this.materials);
   }
+
+  /**
+   * Check if a material is one of the built-in ones.
+   * @param {string} name - Material name
+   * @returns {boolean}
+   */
+  isBuiltIn(name) {
+    return this.has(name) && !this.custom.has(name);
+  }
+
+  /**
+   * Get the name a material is shown with: its own for custom materials, its
+   * id for built-in ones.
+   * @param {string} name - Material name
+   * @returns {string}
+   */
+  getLabel(name) {
+    return this.custom.has(name) ? this.custom.get(name).name : name;
+  }
+
+  /**
+   * Get the definition of a material. Built-in materials are described the
+   * way a custom material would be, for duplicating them.
+   * @param {string} name - Material name
+   * @returns {Object|null} `{ id, name, ...values }`
+   */
+  getMaterialDefinition(name) {
+    if (this.custom.has(name)) return JSON.parse(JSON.stringify(this.custom.get(name)));
+
+    const material = this.getReference(name);
+
+    if (material === null) return null;
+
+    const definition = { id: name, name };
+
+    for (const property in MaterialsLibrary.PROPERTIES) {
+      const value = material[property];
+      definition[property] = value.isColor ? value.getHex() : value;
+    }
+
+    for (const mapName of MaterialsLibrary.MAPS) {
+      definition[mapName] = material[mapName]?.userData.procedural ?? null;
+    }
+
+    return definition;
+  }
+
+  /**
+   * Get copies of all custom material definitions, in the order they were added.
+   * @returns {Object[]}
+   */
+  getMaterialDefinitions() {
+    return [...this.custom.keys()].map((id) => this.getMaterialDefinition(id));
+  }
+
+  /**
+   * Add a custom material, or replace the one with the same id. Objects keep
+   * their clones of the old material; see applyValues to update them.
+   * @param {Object} definition - `{ id, name, ...values }`
+   */
+  setMaterial(definition) {
+    if (this.isBuiltIn(definition.id)) return;
+
+    definition = { ...MaterialsLibrary.PROPERTIES, ...JSON.parse(JSON.stringify(definition)) };
+
+    for (const mapName of MaterialsLibrary.MAPS) {
+      definition[mapName] = definition[mapName] ?? null;
+    }
+
+    const material = new THREE.MeshStandardMaterial({ name: definition.name });
+    this.applyValues(material, definition);
+
+    this.materials[definition.id]?.dispose();
+    this.materials[definition.id] = material;
+    this.custom.set(definition.id, definition);
+  }
+
+  /**
+   * Copy the values of a material definition onto a material. Keys missing
+   * from the values are left as they are.
+   * @param {THREE.Material} material
+   * @param {Object} values - PROPERTIES and MAPS values, maps as texture ids
+   */
+  applyValues(material, values) {
+    for (const property in MaterialsLibrary.PROPERTIES) {
+      if (!(property in values)) continue;
+
+      if (material[property]?.isColor) {
+        material[property].setHex(values[property]);
+      } else {
+        material[property] = values[property];
+      }
+    }
+
+    if ('opacity' in values) material.transparent = values.opacity < 1;
+
+    for (const mapName of MaterialsLibrary.MAPS) {
+      if (!(mapName in values)) continue;
+
+      material[mapName] = values[mapName] !== null ? this.getTexture(values[mapName]) : null;
+    }
+
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Remove a custom material.
+   * @param {string} name - Material name
+   */
+  removeMaterial(name) {
+    if (!this.custom.has(name)) return;
+
+    this.materials[name].dispose();
+    delete this.materials[name];
+    this.custom.delete(name);
+  }
+
+  /**
+   * Remove all custom materials.
+   */
+  resetMaterials() {
+    for (const name of [...this.custom.keys()]) this.removeMaterial(name);
+  }
+
+  /**
+   * Get the generated texture of a procedural texture.
+   * @param {string} id
+   * @returns {THREE.Texture|null}
+   */
+  getTexture(id) {
+    const entry = this.textures.get(id);
+    return entry ? entry.texture : null;
+  }
+
+  /**
+   * Get a copy of a procedural texture's definition.
+   * @param {string} id
+   * @returns {Object|null} `{ id, name, type, params }`
+   */
+  getTextureDefinition(id) {
+    const entry = this.textures.get(id);
+    return entry ? JSON.parse(JSON.stringify(entry.definition)) : null;
+  }
+
+  /**
+   * Get copies of all procedural texture definitions, in the order they were added.
+   * @returns {Object[]}
+   */
+  getTextureDefinitions() {
+    return [...this.textures.keys()].map((id) => this.getTextureDefinition(id));
+  }
+
+  /**
+   * Check if a procedural texture exists.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  hasTexture(id) {
+    return this.textures.has(id);
+  }
+
+  /**
+   * Add a procedural texture, or replace the one with the same id. The
+   * library's materials that used the old texture get the new one.
+   * @param {Object} definition - `{ id, name, type, params }`
+   * @returns {THREE.Texture|null} The replaced texture, to be swapped out
+   * wherever else it is used
+   */
+  setTexture(definition) {
+    definition = JSON.parse(JSON.stringify(definition));
+
+    const generated = this.textureManager.generate(definition.type, definition.params);
+
+    if (generated === null) return null;
+
+    // Each procedural texture gets its own texture, sharing the generated image
+    const texture = generated.clone();
+    texture.name = definition.name;
+    texture.userData.procedural = definition.id;
+
+    const previous = this.textures.get(definition.id);
+
+    this.textures.set(definition.id, {
+      definition,
+      texture,
+      hash: TextureManager.hash(definition.type, definition.params),
+    });
+
+    return this.release(previous, texture);
+  }
+
+  /**
+   * Remove a procedural texture. The library's materials that used it lose it.
+   * @param {string} id
+   * @returns {THREE.Texture|null} The removed texture
+   */
+  removeTexture(id) {
+    const previous = this.textures.get(id);
+
+    this.textures.delete(id);
+
+    return this.release(previous, null);
+  }
+
+  /**
+   * Go back to the built-in procedural textures.
+   */
+  resetTextures() {
+    for (const id of this.textures.keys()) {
+      if (!MaterialsLibrary.TEXTURES.some((definition) => definition.id === id)) {
+        this.removeTexture(id);
+      }
+    }
+
+    for (const definition of MaterialsLibrary.TEXTURES) this.setTexture(definition);
+  }
+
+  /**
+   * Swap a replaced procedural texture for its successor in the maps of the
+   * library's materials, and drop its generated image from the cache once no
+   * procedural texture uses it.
+   * @param {Object|undefined} previous - Entry of the replaced texture
+   * @param {THREE.Texture|null} texture
+   * @returns {THREE.Texture|null} The replaced texture
+   */
+  release(previous, texture) {
+    if (previous === undefined) return null;
+
+    for (const material of Object.values(this.materials)) {
+      for (const property in material) {
+        if (material[property] === previous.texture) {
+          material[property] = texture;
+          material.needsUpdate = true;
+        }
+      }
+    }
+
+    if ([...this.textures.values()].every((entry) => entry.hash !== previous.hash)) {
+      this.textureManager.remove(previous.hash);
+    }
+
+    previous.texture.dispose();
+
+    return previous.texture;
+  }
 }
@@ -0,0 +1,70 @@
+import { MotionTrack } from './MotionTrack.js';
+
+/**
+ * Runtime for keyframed motion (see MotionTrack): plays the motion of every
+ * object under a root, starting `auto` tracks right away and `trigger` tracks
+ * when `start` is called for them.
+ */
+export class MotionPlayer {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Collect the objects with motion under a root object.
+   * @param {THREE.Object3D} root
+   */
+  setup(root) {
+    this.entries.clear();
+
+    root.traverse((child) => {
+      const motion = child.userData.motion;
+
+      if (motion === undefined || motion.keyframes.length === 0) return;
+
+      this.entries.set(child, {
+        track: new MotionTrack(motion),
+        position: child.position.clone(),
+        quaternion: child.quaternion.clone(),
+        elapsed: 0,
+        playing: motion.start !== 'trigger',
+      });
+    });
+  }
+
+  /**
+   * Objects that may move.
+   * @returns {Set<THREE.Object3D>}
+   */
+  getTargets() {
+    return new Set(this.entries.keys());
+  }
+
+  /**
+   * Start an object's motion from the beginning.
+   * @param {THREE.Object3D} object
+   */
+  start(object) {
+    const entry = this.entries.get(object);
+
+    if (entry === undefined) return;
+
+    entry.elapsed = 0;
+    entry.playing = true;
+  }
+
+  /**
+   * Advance every playing motion.
+   * @param {number} delta - Seconds since the last update
+   */
+  update(delta) {
+    for (const [object, entry] of this.entries) {
+      if (!entry.playing) continue;
+
+      entry.elapsed += delta;
+
+      const time = entry.track.getLocalTime(entry.elapsed);
+      entry.track.apply(object, time, entry.position, entry.quaternion);
+    }
+  }
+}
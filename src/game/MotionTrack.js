@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// Samples per second when baking a track into an AnimationClip
+const CLIP_FPS = 30;
+
+/**
+ * Keyframed motion of a level object, e.g. an elevator or a sliding door.
+ * Stored in `userData.motion`:
+ *
+ * `{ start, loop, keyframes: [{ time, position, rotation, easing }] }`
+ *
+ * Keyframe `position` and `rotation` (XYZ Euler, radians) are offsets from the
+ * object's own transform, so moving the object moves its whole path. `easing`
+ * shapes the segment arriving at a keyframe.
+ */
+export class MotionTrack {
+  /**
+   * Easing curves, mapping segment progress 0..1 to 0..1.
+   */
+  static EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+    step: (t) => (t < 1 ? 0 : 1),
+  };
+
+  /**
+   * What happens at the last keyframe: stop, jump back to the first, or play backwards.
+   */
+  static LOOPS = ['once', 'loop', 'pingPong'];
+
+  /**
+   * When the motion starts: with the level, or when a trigger starts it.
+   */
+  static STARTS = ['auto', 'trigger'];
+
+  /**
+   * Motion data for a new track: rise 3 units over 2 seconds and back.
+   * @returns {Object}
+   */
+  static createDefault() {
+    return {
+      start: 'auto',
+      loop: 'pingPong',
+      keyframes: [
+        { time: 0, position: [0, 0, 0], rotation: [0, 0, 0], easing: 'linear' },
+        { time: 2, position: [0, 3, 0], rotation: [0, 0, 0], easing: 'easeInOut' },
+      ],
+    };
+  }
+
+  /**
+   * @param {Object} motion - Motion data
+   */
+  constructor(motion) {
+    this.motion = motion;
+    this.keyframes = motion.keyframes.slice().sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Time of the last keyframe.
+   * @returns {number}
+   */
+  get duration() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+  }
+
+  /**
+   * Time within the track after playing for a while, following the loop mode.
+   * @param {number} elapsed - Seconds since the motion started
+   * @returns {number}
+   */
+  getLocalTime(elapsed) {
+    const duration = this.duration;
+
+    if (duration <= 0) return 0;
+
+    switch (this.motion.loop) {
+      case 'loop':
+        return elapsed % duration;
+
+      case 'pingPong': {
+        const time = elapsed % (duration * 2);
+        return time <= duration ? time : duration * 2 - time;
+      }
+
+      default:
+        return Math.min(elapsed, duration);
+    }
+  }
+
+  /**
+   * Offsets at a track time.
+   * @param {number} time - Seconds, between 0 and `duration`
+   * @returns {{ position: THREE.Vector3, rotation: THREE.Euler }}
+   */
+  sample(time) {
+    const keyframes = this.keyframes;
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Euler();
+
+    if (keyframes.length === 0) return { position, rotation };
+
+    let next = keyframes.findIndex((keyframe) => keyframe.time > time);
+    if (next === -1) next = keyframes.length - 1;
+
+    const from = keyframes[Math.max(0, next - 1)];
+    const to = keyframes[next];
+
+    const span = to.time - from.time;
+    const progress = span > 0 ? THREE.MathUtils.clamp((time - from.time) / span, 0, 1) : 1;
+    const t = (MotionTrack.EASINGS[to.easing] || MotionTrack.EASINGS.linear)(progress);
+
+    position.fromArray(from.position).lerp(new THREE.Vector3().fromArray(to.position), t);
+    rotation.set(
+      THREE.MathUtils.lerp(from.rotation[0], to.rotation[0], t),
+      THREE.MathUtils.lerp(from.rotation[1], to.rotation[1], t),
+      THREE.MathUtils.lerp(from.rotation[2], to.rotation[2], t)
+    );
+
+    return { position, rotation };
+  }
+
+  /**
+   * Pose an object at a track time, relative to a base transform.
+   * @param {THREE.Object3D} object
+   * @param {number} time
+   * @param {THREE.Vector3} basePosition
+   * @param {THREE.Quaternion} baseQuaternion
+   */
+  apply(object, time, basePosition, baseQuaternion) {
+    const { position, rotation } = this.sample(time);
+
+    object.position.copy(basePosition).add(position);
+    object.quaternion.copy(baseQuaternion).multiply(new THREE.Quaternion().setFromEuler(rotation));
+  }
+
+  /**
+   * Bake the track into a clip for previewing with an AnimationMixer. Easing is
+   * sampled, and the clip covers one pass; use `getLoopMode` for the action.
+   * @param {THREE.Object3D} object - Provides the base transform
+   * @returns {THREE.AnimationClip}
+   */
+  createClip(object) {
+    const times = new Set(this.keyframes.map((keyframe) => keyframe.time));
+    const steps = Math.ceil(this.duration * CLIP_FPS);
+
+    for (let i = 0; i <= steps; i++) times.add(Math.min(this.duration, i / CLIP_FPS));
+
+    const sorted = [...times].sort((a, b) => a - b);
+    const positions = [];
+    const quaternions = [];
+
+    const pose = new THREE.Object3D();
+
+    for (const time of sorted) {
+      this.apply(pose, time, object.position, object.quaternion);
+
+      positions.push(...pose.position.toArray());
+      quaternions.push(...pose.quaternion.toArray());
+    }
+
+    return new THREE.AnimationClip('motion', this.duration, [
+      new THREE.VectorKeyframeTrack('.position', sorted, positions),
+      new THREE.QuaternionKeyframeTrack('.quaternion', sorted, quaternions),
+    ]);
+  }
+
+  /**
+   * AnimationMixer loop mode matching the track's loop setting.
+   * @returns {number}
+   */
+  getLoopMode() {
+    switch (this.motion.loop) {
+      case 'loop':
+        return THREE.LoopRepeat;
+      case 'pingPong':
+        return THREE.LoopPingPong;
+      default:
+        return THREE.LoopOnce;
+    }
+  }
+}
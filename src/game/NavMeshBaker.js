@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+/**
+ * Bakes a polygon navigation mesh from the walkable surfaces of an arena.
+ *
+ * The walkable types are voxelized into a heightfield by casting rays down
+ * each grid column, cells without head room or on steep faces are dropped,
+ * the walkable area is eroded by the agent radius and the remaining cells are
+ * merged into planar quads with their neighbor lists.
+ */
+export class NavMeshBaker {
+  /**
+   * Default bake settings. Distances are in world units, `maxSlope` in degrees.
+   */
+  static DEFAULTS = {
+    cellSize: 0.25,
+    agentRadius: ObjectFactory.PLAYER_SIZE.radius,
+    agentHeight: ObjectFactory.PLAYER_SIZE.height,
+    maxSlope: 45,
+    stepHeight: 0.5,
+  };
+
+  /**
+   * @param {Object} [settings] - Overrides for NavMeshBaker.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...NavMeshBaker.DEFAULTS, ...settings };
+    this.raycaster = new THREE.Raycaster();
+  }
+
+  /**
+   * Bake a navmesh from the factory objects under a root object.
+   * @param {THREE.Object3D} root
+   * @returns {Object|null} Navmesh data, or null when there is nothing walkable
+   */
+  bake(root) {
+    const walkable = [];
+    const obstacles = [];
+
+    root.updateMatrixWorld(true);
+    root.traverseVisible((child) => {
+      if (!child.isMesh || !ObjectFactory.isSolid(child.userData.type)) return;
+
+      obstacles.push(child);
+
+      if (ObjectFactory.isWalkable(child.userData.type)) {
+        walkable.push(child);
+      }
+    });
+
+    if (walkable.length === 0) return null;
+
+    const heightfield = this.buildHeightfield(walkable, obstacles);
+
+    this.connectCells(heightfield);
+    this.erodeCells(heightfield);
+
+    return this.buildPolygons(heightfield);
+  }
+
+  /**
+   * Sample walkable spans for every grid column over the walkable objects.
+   * @param {THREE.Mesh[]} walkable
+   * @param {THREE.Mesh[]} obstacles
+   * @returns {Object}
+   */
+  buildHeightfield(walkable, obstacles) {
+    const { cellSize, agentHeight, maxSlope } = this.settings;
+
+    const bounds = new THREE.Box3();
+    walkable.forEach((mesh) => bounds.expandByObject(mesh));
+
+    const top = new THREE.Box3();
+    obstacles.forEach((mesh) => top.expandByObject(mesh));
+
+    const width = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / cellSize));
+    const depth = Math.max(1, Math.ceil((bounds.max.z - bounds.min.z) / cellSize));
+
+    const walkableSet = new Set(walkable);
+    const minNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlope));
+
+    const down = new THREE.Vector3(0, -1, 0);
+    const up = new THREE.Vector3(0, 1, 0);
+    const origin = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    const cells = [];
+    const columns = new Array(width * depth);
+
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        const column = [];
+        columns[x + z * width] = column;
+
+        origin.set(
+          bounds.min.x + (x + 0.5) * cellSize,
+          top.max.y + 1,
+          bounds.min.z + (z + 0.5) * cellSize
+        );
+
+        this.raycaster.set(origin, down);
+        this.raycaster.far = Infinity;
+
+        for (const hit of this.raycaster.intersectObjects(obstacles, false)) {
+          if (!walkableSet.has(hit.object) || hit.face === null) continue;
+
+          normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+          if (normal.y < minNormalY) continue;
+
+          // Coplanar faces and shared edges report the same surface more than once
+          const y = hit.point.y;
+          if (column.some((cell) => Math.abs(cells[cell].y - y) < 0.01)) continue;
+
+          // Head room: anything within agent height above the surface blocks the cell
+          this.raycaster.set(origin.clone().setY(y + 0.01), up);
+          this.raycaster.far = agentHeight - 0.01;
+          const blocked = this.raycaster.intersectObjects(obstacles, false).length > 0;
+
+          this.raycaster.set(origin, down);
+          this.raycaster.far = Infinity;
+
+          if (blocked) continue;
+
+          column.push(cells.length);
+          cells.push({ x, z, y, neighbors: [-1, -1, -1, -1] });
+        }
+      }
+    }
+
+    return { bounds, width, depth, cells, columns };
+  }
+
+  /**
+   * Link each cell to the closest span in the four neighboring columns that is
+   * within step height.
+   * @param {Object} heightfield
+   */
+  connectCells(heightfield) {
+    const { width, depth, cells, columns } = heightfield;
+    const { stepHeight } = this.settings;
+
+    cells.forEach((cell) => {
+      DIRECTIONS.forEach(([dx, dz], dir) => {
+        const nx = cell.x + dx;
+        const nz = cell.z + dz;
+
+        cell.neighbors[dir] = -1;
+
+        if (nx < 0 || nz < 0 || nx >= width || nz >= depth) return;
+
+        let best = -1;
+        let bestDelta = stepHeight;
+
+        for (const index of columns[nx + nz * width]) {
+          const delta = Math.abs(cells[index].y - cell.y);
+
+          if (delta <= bestDelta) {
+            best = index;
+            bestDelta = delta;
+          }
+        }
+
+        cell.neighbors[dir] = best;
+      });
+    });
+  }
+
+  /**
+   * Remove cells closer to the edge of the walkable area than the agent radius.
+   * @param {Object} heightfield
+   */
+  erodeCells(heightfield) {
+    const { cells, columns } = heightfield;
+    const { cellSize, agentRadius } = this.settings;
+
+    const distance = new Array(cells.length).fill(Infinity);
+    const queue = [];
+
+    cells.forEach((cell, index) => {
+      if (cell.neighbors.includes(-1)) {
+        distance[index] = 0;
+        queue.push(index);
+      }
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+      const index = queue[i];
+
+      for (const neighbor of cells[index].neighbors) {
+        if (neighbor !== -1 && distance[neighbor] === Infinity) {
+          distance[neighbor] = distance[index] + 1;
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    // A cell's center is half a cell further from the edge than its border
+    const removed = cells.map((cell, index) => (distance[index] + 0.5) * cellSize < agentRadius);
+
+    const remap = [];
+    const kept = [];
+
+    cells.forEach((cell, index) => {
+      remap[index] = removed[index] ? -1 : kept.length;
+      if (!removed[index]) kept.push(cell);
+    });
+
+    kept.forEach((cell) => {
+      cell.neighbors = cell.neighbors.map((neighbor) => (neighbor === -1 ? -1 : remap[neighbor]));
+    });
+
+    for (let i = 0; i < columns.length; i++) {
+      columns[i] = columns[i].map((index) => remap[index]).filter((index) => index !== -1);
+    }
+
+    heightfield.cells = kept;
+  }
+
+  /**
+   * Greedily merge connected cells lying on a common plane into quads.
+   * @param {Object} heightfield
+   * @returns {Object} Navmesh data
+   */
+  buildPolygons(heightfield) {
+    const { bounds, cells } = heightfield;
+    const { cellSize } = this.settings;
+    const tolerance = 0.02;
+
+    const owner = new Array(cells.length).fill(-1);
+    const vertices = [];
+    const vertexIndex = new Map();
+    const polygons = [];
+
+    const addVertex = (x, y, z) => {
+      const vertex = [round(x), round(y), round(z)];
+      const key = vertex.join(',');
+
+      if (!vertexIndex.has(key)) {
+        vertexIndex.set(key, vertices.length);
+        vertices.push(vertex);
+      }
+
+      return vertexIndex.get(key);
+    };
+
+    const maxRise = Math.tan(THREE.MathUtils.degToRad(this.settings.maxSlope)) * cellSize;
+
+    const east = (index) => (index === -1 ? -1 : cells[index].neighbors[2]);
+    const south = (index) => (index === -1 ? -1 : cells[index].neighbors[1]);
+    const fits = (index, y) =>
+      index !== -1 && owner[index] === -1 && Math.abs(cells[index].y - y) <= tolerance;
+
+    // Rise per cell towards a free neighbor; stair risers are steps, not slopes
+    const slopeTo = (start, index) => {
+      if (index === -1 || owner[index] !== -1) return 0;
+
+      const rise = cells[index].y - start.y;
+      return Math.abs(rise) <= maxRise ? rise : 0;
+    };
+
+    // Cells are stored row by row, so the first free cell is always a top-left corner
+    cells.forEach((start, startIndex) => {
+      if (owner[startIndex] !== -1) return;
+
+      const polygon = polygons.length;
+      const slopeX = slopeTo(start, east(startIndex));
+      const slopeZ = slopeTo(start, south(startIndex));
+
+      const heightAt = (i, j) => start.y + i * slopeX + j * slopeZ;
+
+      // Grow the first row east
+      const row = [startIndex];
+      for (let next = east(startIndex); fits(next, heightAt(row.length, 0)); next = east(next)) {
+        row.push(next);
+      }
+
+      // Grow south while the whole next row fits the plane
+      const rows = [row];
+      for (;;) {
+        const previous = rows[rows.length - 1];
+        const j = rows.length;
+        const candidate = [];
+
+        for (let i = 0; i < previous.length; i++) {
+          const below = south(previous[i]);
+
+          if (!fits(below, heightAt(i, j)) || (i > 0 && east(candidate[i - 1]) !== below)) break;
+
+          candidate.push(below);
+        }
+
+        if (candidate.length !== previous.length) break;
+
+        rows.push(candidate);
+      }
+
+      rows.forEach((cellsInRow) => cellsInRow.forEach((index) => (owner[index] = polygon)));
+
+      const w = row.length;
+      const h = rows.length;
+      const x0 = bounds.min.x + start.x * cellSize;
+      const z0 = bounds.min.z + start.z * cellSize;
+      const x1 = x0 + w * cellSize;
+      const z1 = z0 + h * cellSize;
+
+      // Corner heights extrapolate the plane from the cell centers to the cell borders
+      polygons.push({
+        indices: [
+          addVertex(x0, heightAt(-0.5, -0.5), z0),
+          addVertex(x0, heightAt(-0.5, h - 0.5), z1),
+          addVertex(x1, heightAt(w - 0.5, h - 0.5), z1),
+          addVertex(x1, heightAt(w - 0.5, -0.5), z0),
+        ],
+        cells: rows.flat(),
+      });
+    });
+
+    const neighbors = polygons.map((polygon, index) => {
+      const adjacent = new Set();
+
+      for (const cell of polygon.cells) {
+        for (const neighbor of cells[cell].neighbors) {
+          if (neighbor !== -1 && owner[neighbor] !== index) adjacent.add(owner[neighbor]);
+        }
+      }
+
+      return [...adjacent].sort((a, b) => a - b);
+    });
+
+    const { agentRadius, agentHeight, maxSlope, stepHeight } = this.settings;
+
+    return {
+      agent: { radius: agentRadius, height: agentHeight, maxSlope, stepHeight },
+      cellSize,
+      vertices,
+      polygons: polygons.map((polygon) => polygon.indices),
+      neighbors,
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
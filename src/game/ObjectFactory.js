@@ -1,6 +1,29 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 
+/**
+ * Boxes making up the stairs, centered on the bounds of the whole flight.
+ * @returns {{ center: number[], size: number[] }[]}
+ */
+function stairSteps() {
+  const steps = 8;
+  const width = 4;
+  const height = 4;
+  const depth = 6;
+
+  const stepHeight = height / steps;
+  const stepDepth = depth / steps;
+
+  return Array.from({ length: steps }, (_, i) => ({
+    center: [
+      0,
+      i * stepHeight + stepHeight / 2 - height / 2,
+      i * stepDepth - depth / 2 + stepDepth / 2,
+    ],
+    size: [width, stepHeight, stepDepth],
+  }));
+}
+
 /**
  * Factory for creating editor objects with consistent geometry and materials.
  */
@@ -14,6 +37,16 @@ export class ObjectFactory {
 
   /**
    * Object type configurations defining geometry, material, and Y offset.
+   * `walkable` types can be stood on by players and bots, and `sloped` ones
+   * climb from the bottom of their bounds to the top; `marker` types are
+   * gameplay markers with no collision, and `trigger` types are invisible volumes
+   * firing events (see TriggerSystem). `collider` is the default collision
+   * shape (see ColliderBuilder); `compound` types provide `createColliders`.
+   * `mirror` names a local reflection the shape is symmetric under, used when
+   * mirroring objects (see Symmetry); it defaults to `x`.
+   * `sockets` are named connection points in object space, each with a
+   * `position`, an outward `direction` and a `kind` (see Sockets).
+   * `defaultData` is deep-copied into the object data on creation.
    */
   static OBJECT_TYPES = {
     // ─ BASICS ─────────────────────────────────────────────────────────────
@@ -22,24 +55,28 @@ export class ObjectFactory {
       material: 'obstacle',
       size: { width: 2, height: 2, depth: 2 },
       yOffset: 1,
+      collider: 'box',
     },
     cylinder: {
       createGeometry: () => new THREE.CylinderGeometry(1, 1, 3, 32),
       material: 'obstacle',
       size: { radius: 1, height: 3 },
       yOffset: 1.5,
+      collider: 'cylinder',
     },
     cone: {
       createGeometry: () => new THREE.CylinderGeometry(0, 1, 2, 32),
       material: 'obstacle',
       size: { radius: 1, height: 2 },
       yOffset: 1,
+      collider: 'hull',
     },
     ring: {
       createGeometry: () => new THREE.TorusGeometry(1, 0.3, 16, 32),
       material: 'emissiveCyan',
       size: { radius: 1, tube: 0.3 },
       yOffset: 1.3,
+      collider: 'hull',
       defaultRotation: { x: Math.PI / 2, y: 0, z: 0 },
     },
 
@@ -49,12 +86,26 @@ export class ObjectFactory {
       material: 'platform',
       size: { width: 5, height: 0.5, depth: 5 },
       yOffset: 0.25,
+      collider: 'box',
+      walkable: true,
+      sockets: [
+        { name: '+x', kind: 'platform', position: [2.5, 0, 0], direction: [1, 0, 0] },
+        { name: '-x', kind: 'platform', position: [-2.5, 0, 0], direction: [-1, 0, 0] },
+        { name: '+z', kind: 'platform', position: [0, 0, 2.5], direction: [0, 0, 1] },
+        { name: '-z', kind: 'platform', position: [0, 0, -2.5], direction: [0, 0, -1] },
+      ],
     },
     wall: {
       createGeometry: () => new THREE.BoxGeometry(0.3, 3, 5),
       material: 'wall',
       size: { width: 0.3, height: 3, depth: 5 },
       yOffset: 1.5,
+      collider: 'box',
+      // Wall sockets sit at the bottom of the end faces
+      sockets: [
+        { name: '+z', kind: 'wall', position: [0, -1.5, 2.5], direction: [0, 0, 1] },
+        { name: '-z', kind: 'wall', position: [0, -1.5, -2.5], direction: [0, 0, -1] },
+      ],
     },
     corner: {
       createGeometry: () => {
@@ -75,12 +126,26 @@ export class ObjectFactory {
       material: 'wall',
       size: { width: 3, height: 3, depth: 3 },
       yOffset: 1.5,
+      collider: 'hull',
+      mirror: 'diagonal',
+      sockets: [
+        { name: '+x', kind: 'wall', position: [1.5, 1.5, 1.35], direction: [1, 0, 0] },
+        { name: '-z', kind: 'wall', position: [-1.35, 1.5, -1.5], direction: [0, 0, -1] },
+      ],
     },
     pillar: {
       createGeometry: () => new THREE.CylinderGeometry(0.6, 0.6, 4, 8),
       material: 'scifiWall',
       size: { radius: 0.6, height: 4 },
       yOffset: 2,
+      collider: 'cylinder',
+      // Just inside the octagon, so that walls meet its faces without a gap
+      sockets: [
+        { name: '+x', kind: 'wall', position: [0.55, -2, 0], direction: [1, 0, 0] },
+        { name: '-x', kind: 'wall', position: [-0.55, -2, 0], direction: [-1, 0, 0] },
+        { name: '+z', kind: 'wall', position: [0, -2, 0.55], direction: [0, 0, 1] },
+        { name: '-z', kind: 'wall', position: [0, -2, -0.55], direction: [0, 0, -1] },
+      ],
     },
     arch: {
       createGeometry: () => {
@@ -100,6 +165,7 @@ export class ObjectFactory {
       material: 'wall',
       size: { width: 5, height: 2.5, depth: 0.5 },
       yOffset: 0, // Base is at 0
+      collider: 'hull',
     },
 
     // ─ MOVEMENT ───────────────────────────────────────────────────────────
@@ -108,6 +174,9 @@ export class ObjectFactory {
       material: 'platform',
       size: { width: 4, height: 0.3, depth: 6 },
       yOffset: 0.9,
+      collider: 'box',
+      walkable: true,
+      sloped: true,
       defaultRotation: { x: Math.PI / 12, y: 0, z: 0 },
     },
     wedge: {
@@ -125,45 +194,30 @@ export class ObjectFactory {
       material: 'gridOrange',
       size: { width: 4, height: 2, depth: 4 },
       yOffset: 0,
+      collider: 'hull',
+      walkable: true,
+      sloped: true,
+      mirror: 'z',
     },
     stairs: {
-      createGeometry: () => {
-        const steps = 8;
-        const width = 4;
-        const height = 4;
-        const depth = 6;
-
-        const geometries = [];
-        const stepHeight = height / steps;
-        const stepDepth = depth / steps;
-
-        for (let i = 0; i < steps; i++) {
-          const box = new THREE.BoxGeometry(width, stepHeight, stepDepth);
-          // Position: Centered X, Stacked Y, Staggered Z
-          // BufferGeometry positions are centered.
-          // We need to translate each box so they form stairs.
-
-          // Y: Bottom of box needs to be at previous height.
-          // Center Y = (i * stepHeight) + (stepHeight / 2)
-          // But we want the whole object centered at (0, height/2, 0) eventually or (0,0,0) locally?
-          // Let's build it from (0,0,0) as bottom-center-back
-
-          // Let's assume the pivot is center of the bounding box of the whole stairs.
-          // Whole stairs: W=4, H=4, D=6. Center is (0, 2, 0) relative to bottom-center.
-
-          const y = i * stepHeight + stepHeight / 2 - height / 2;
-          const z = i * stepDepth - depth / 2 + stepDepth / 2;
-
-          box.translate(0, y, z);
-          geometries.push(box);
-        }
-
-        const merged = BufferGeometryUtils.mergeGeometries(geometries);
-        return merged;
-      },
+      createGeometry: () =>
+        BufferGeometryUtils.mergeGeometries(
+          stairSteps().map(({ center, size }) =>
+            new THREE.BoxGeometry(...size).translate(...center)
+          )
+        ),
+      createColliders: () =>
+        stairSteps().map(({ center, size }) => ({
+          type: 'box',
+          center,
+          halfExtents: size.map((extent) => extent / 2),
+        })),
       material: 'gridCyan',
       size: { width: 4, height: 4, depth: 6 },
       yOffset: 0,
+      collider: 'compound',
+      walkable: true,
+      sloped: true,
     },
 
     // ─ DECORATIVE ─────────────────────────────────────────────────────────
@@ -172,9 +226,96 @@ export class ObjectFactory {
       material: 'emissiveCyan',
       size: { width: 0.2, height: 0.1, depth: 3 },
       yOffset: 0.05,
+      collider: 'box',
+    },
+
+    // ─ GAMEPLAY ───────────────────────────────────────────────────────────
+    spawn_point: {
+      createGeometry: () => new THREE.CylinderGeometry(0.5, 0.5, 0.05, 24),
+      material: 'metalTrim',
+      size: { radius: 0.5, height: 0.05 },
+      yOffset: 0.025,
+      marker: true,
+      defaultData: {
+        spawn: { team: 'neutral', playerIndex: 0, enabled: true },
+      },
+    },
+    trigger_box: {
+      createGeometry: () => new THREE.BoxGeometry(2, 2, 2),
+      material: 'trigger',
+      size: { width: 2, height: 2, depth: 2 },
+      yOffset: 1,
+      marker: true,
+      trigger: true,
+      defaultData: {
+        trigger: { once: false, links: [] },
+      },
+    },
+    trigger_sphere: {
+      createGeometry: () => new THREE.SphereGeometry(1, 24, 16),
+      material: 'trigger',
+      size: { radius: 1 },
+      yOffset: 1,
+      marker: true,
+      trigger: true,
+      defaultData: {
+        trigger: { once: false, links: [] },
+      },
     },
   };
 
+  /**
+   * Player collision capsule used by gameplay helpers and tools.
+   */
+  static PLAYER_SIZE = { radius: 0.4, height: 1.8 };
+
+  /**
+   * Spawn teams and the color used to draw them in the viewport.
+   */
+  static SPAWN_TEAMS = {
+    neutral: 0xffffff,
+    cyan: 0x00ffff,
+    orange: 0xff6600,
+  };
+
+  /**
+   * Check whether players can stand on an object type.
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isWalkable(type) {
+    return ObjectFactory.OBJECT_TYPES[type]?.walkable === true;
+  }
+
+  /**
+   * Check whether a walkable object type rises from one end to the other,
+   * like ramps and stairs.
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isSloped(type) {
+    return ObjectFactory.OBJECT_TYPES[type]?.sloped === true;
+  }
+
+  /**
+   * Check whether an object type is level geometry (not a gameplay marker).
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isSolid(type) {
+    const config = ObjectFactory.OBJECT_TYPES[type];
+    return config !== undefined && config.marker !== true;
+  }
+
+  /**
+   * Check whether an object type is a trigger volume.
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static isTrigger(type) {
+    return ObjectFactory.OBJECT_TYPES[type]?.trigger === true;
+  }
+
   /**
    * Get Y offset for an object type (for placement on grid).
    * @param {string} type
@@ -198,8 +339,8 @@ export class ObjectFactory {
     const material = this.materials.get(config.material);
 
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
+    mesh.castShadow = config.trigger !== true;
+    mesh.receiveShadow = config.trigger !== true;
     mesh.position.copy(position);
 
     // Apply default rotation if defined
@@ -221,6 +362,10 @@ export class ObjectFactory {
       customData: {},
     };
 
+    if (config.defaultData) {
+      Object.assign(data, JSON.parse(JSON.stringify(config.defaultData)));
+    }
+
     return {
       id: id || this.generateId(),
       mesh,
@@ -253,6 +398,36 @@ export class ObjectFactory {
     return newObj;
   }
 
+  /**
+   * Create the mesh of an object laid out by ArenaGenerator or WallBuilder,
+   * with its object data as userData.
+   * @param {{ type: string, position: number[], rotation: number[], scale: number[],
+   *   data: Object }} entry
+   * @returns {THREE.Mesh}
+   */
+  createFromLayout(entry) {
+    const result = this.create(entry.type, new THREE.Vector3().fromArray(entry.position));
+
+    const mesh = result.mesh;
+    const data = Object.assign(result.data, JSON.parse(JSON.stringify(entry.data ?? {})));
+
+    mesh.name = `Object_${result.id}`;
+    mesh.rotation.fromArray(entry.rotation);
+    mesh.scale.fromArray(entry.scale);
+
+    data.rotation = { x: mesh.rotation.x, y: mesh.rotation.y, z: mesh.rotation.z };
+    data.scale = { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z };
+
+    // The layout may pick another material than the type's
+    if (this.materials.has(data.materialType)) {
+      mesh.material = this.materials.get(data.materialType);
+    }
+
+    mesh.userData = data;
+
+    return mesh;
+  }
+
   /**
    * Generate unique object ID.
    * @returns {string}
@@ -0,0 +1,372 @@
+import * as THREE from 'three';
+import { Capsule } from 'three/examples/jsm/math/Capsule.js';
+import { Octree } from 'three/examples/jsm/math/Octree.js';
+import { ColliderBuilder } from './ColliderBuilder.js';
+import { ObjectFactory } from './ObjectFactory.js';
+
+// Collision is resolved in several sub-steps per frame so fast falls don't tunnel
+const STEPS_PER_FRAME = 5;
+
+// Contacts with a steeper normal than this are walls, not floor
+const MIN_FLOOR_NORMAL_Y = 0.5;
+
+/**
+ * First-person capsule character controller colliding against level geometry.
+ */
+export class PlayerController {
+  /**
+   * Default movement settings. Distances are in world units, speeds per second.
+   */
+  static DEFAULTS = {
+    runSpeed: 6,
+    jumpHeight: 1.2,
+    gravity: 20,
+    stepHeight: 0.5,
+    eyeHeight: 1.6,
+    killHeight: -50,
+  };
+
+  /**
+   * @param {Object} [settings] - Overrides for PlayerController.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...PlayerController.DEFAULTS, ...settings };
+
+    const { radius, height } = ObjectFactory.PLAYER_SIZE;
+
+    this.capsule = new Capsule(
+      new THREE.Vector3(0, radius, 0),
+      new THREE.Vector3(0, height - radius, 0),
+      radius
+    );
+
+    this.octree = new Octree();
+    this.bodies = [];
+    this.velocity = new THREE.Vector3();
+    this.onFloor = false;
+    this.ground = null;
+
+    this.yaw = 0;
+    this.pitch = 0;
+
+    this.spawnPosition = new THREE.Vector3();
+    this.spawnYaw = 0;
+  }
+
+  /**
+   * Build the collision world from the meshes under a root object. Factory objects
+   * whose collider is `none` (including gameplay markers) are skipped.
+   *
+   * Dynamic objects may move or be shown and hidden while playing, e.g. by
+   * triggers; they keep their own collision data and are followed every frame.
+   * Other objects are baked into a static octree, so only visible ones count.
+   * @param {THREE.Object3D} root
+   * @param {Set<THREE.Object3D>} [dynamic] - Objects that may move or change visibility
+   */
+  setWorld(root, dynamic = new Set()) {
+    this.octree = new Octree();
+    this.bodies = [];
+    this.ground = null;
+
+    root.updateMatrixWorld(true);
+    root.traverse((child) => {
+      if (!child.isMesh) return;
+
+      const type = child.userData.type;
+      if (type !== undefined && ColliderBuilder.getShapeType(child.userData) === 'none') return;
+
+      if (dynamic.has(child)) {
+        // Triangles are kept in the object's frame with its scale applied, so
+        // the capsule only needs a rigid transform to be tested against them
+        const scale = new THREE.Vector3();
+        child.matrixWorld.decompose(new THREE.Vector3(), new THREE.Quaternion(), scale);
+
+        const body = { object: child, octree: new Octree(), matrix: new THREE.Matrix4() };
+
+        addTriangles(body.octree, child.geometry, new THREE.Matrix4().makeScale(...scale));
+        body.octree.build();
+        rigidMatrix(child, body.matrix);
+
+        this.bodies.push(body);
+      } else if (isVisible(child)) {
+        addTriangles(this.octree, child.geometry, child.matrixWorld);
+      }
+    });
+
+    this.octree.build();
+  }
+
+  /**
+   * Place the player with its feet at a position, looking along a yaw angle.
+   * @param {THREE.Vector3} position
+   * @param {number} yaw - Radians, 0 looks along -Z like a default camera
+   */
+  spawn(position, yaw) {
+    const { radius, height } = ObjectFactory.PLAYER_SIZE;
+
+    this.spawnPosition.copy(position);
+    this.spawnYaw = yaw;
+
+    this.capsule.start.set(position.x, position.y + radius, position.z);
+    this.capsule.end.set(position.x, position.y + height - radius, position.z);
+
+    this.velocity.set(0, 0, 0);
+    this.onFloor = false;
+    this.ground = null;
+    this.yaw = yaw;
+    this.pitch = 0;
+  }
+
+  /**
+   * Turn the view, e.g. from mouse movement.
+   * @param {number} deltaYaw - Radians
+   * @param {number} deltaPitch - Radians
+   */
+  look(deltaYaw, deltaPitch) {
+    this.yaw += deltaYaw;
+    this.pitch = THREE.MathUtils.clamp(this.pitch + deltaPitch, -Math.PI / 2, Math.PI / 2);
+  }
+
+  /**
+   * Advance the simulation.
+   * @param {number} delta - Seconds since the last update
+   * @param {{ forward: boolean, backward: boolean, left: boolean, right: boolean, jump: boolean }} input
+   */
+  update(delta, input) {
+    const stepDelta = Math.min(0.05, delta) / STEPS_PER_FRAME;
+
+    this.followBodies();
+
+    for (let i = 0; i < STEPS_PER_FRAME; i++) {
+      this.step(stepDelta, input);
+    }
+
+    if (this.capsule.start.y < this.settings.killHeight) {
+      this.spawn(this.spawnPosition, this.spawnYaw);
+    }
+  }
+
+  /**
+   * One fixed sub-step: apply input and gravity, then move.
+   */
+  step(delta, input) {
+    const { runSpeed, jumpHeight, gravity } = this.settings;
+
+    const wish = new THREE.Vector3(
+      Number(input.right) - Number(input.left),
+      0,
+      Number(input.backward) - Number(input.forward)
+    );
+
+    if (wish.lengthSq() > 0) {
+      wish
+        .normalize()
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw)
+        .multiplyScalar(runSpeed);
+    }
+
+    if (this.onFloor) {
+      this.velocity.x = wish.x;
+      this.velocity.z = wish.z;
+
+      if (input.jump) {
+        this.velocity.y = Math.sqrt(2 * gravity * jumpHeight);
+        this.onFloor = false;
+      }
+    } else {
+      // Limited air control
+      const control = Math.min(1, delta * 2);
+
+      this.velocity.x += (wish.x - this.velocity.x) * control;
+      this.velocity.z += (wish.z - this.velocity.z) * control;
+    }
+
+    // Applied on the floor too, so the capsule keeps pressing on it and stays grounded
+    this.velocity.y -= gravity * delta;
+
+    this.move(this.velocity.clone().multiplyScalar(delta));
+  }
+
+  /**
+   * Move the capsule by an offset, sliding along walls and climbing steps.
+   * @param {THREE.Vector3} offset
+   */
+  move(offset) {
+    const wasOnFloor = this.onFloor;
+    const start = this.capsule.clone();
+
+    this.capsule.translate(offset);
+
+    const blocked = this.collide();
+
+    // Climb steps up to step height instead of stopping against them
+    if (blocked && wasOnFloor && this.settings.stepHeight > 0) {
+      const stepped = start.clone();
+      stepped.translate(new THREE.Vector3(offset.x, this.settings.stepHeight, offset.z));
+
+      if (this.octree.capsuleIntersect(stepped) === false && this.land(stepped)) {
+        this.capsule.copy(stepped);
+        this.velocity.y = 0;
+        this.onFloor = true;
+      }
+    }
+  }
+
+  /**
+   * Lower a capsule in small increments, up to step height, until it rests on
+   * something. Step edges count as support so the capsule can roll onto them.
+   * @param {Capsule} capsule - Moved in place
+   * @returns {boolean} Whether it found support
+   */
+  land(capsule) {
+    const increment = new THREE.Vector3(0, -capsule.radius / 4, 0);
+
+    for (let drop = 0; drop < this.settings.stepHeight; drop -= increment.y) {
+      capsule.translate(increment);
+
+      const result = this.octree.capsuleIntersect(capsule);
+
+      if (result !== false) {
+        capsule.translate(result.normal.multiplyScalar(result.depth));
+        return result.normal.y > 0;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Carry the player along with the dynamic body it stands on, and remember
+   * where every body is for the next frame.
+   */
+  followBodies() {
+    for (const body of this.bodies) {
+      const matrix = rigidMatrix(body.object, new THREE.Matrix4());
+
+      if (body === this.ground && this.onFloor) {
+        const feet = this.capsule.start.clone();
+        const moved = feet.clone().applyMatrix4(body.matrix.clone().invert()).applyMatrix4(matrix);
+
+        this.capsule.translate(moved.sub(feet));
+      }
+
+      body.matrix.copy(matrix);
+    }
+  }
+
+  /**
+   * Push the capsule out of the level and update the floor contact. Contacts are
+   * resolved one triangle at a time so a floor and a wall touched together are
+   * told apart.
+   * @returns {boolean} Whether a wall was hit
+   */
+  collide() {
+    let floor = false;
+    let wall = false;
+
+    const resolve = (result, body) => {
+      if (result.normal.y >= MIN_FLOOR_NORMAL_Y) {
+        floor = true;
+        this.ground = body;
+        this.velocity.y = Math.max(0, this.velocity.y);
+      } else {
+        wall = wall || result.normal.y > -MIN_FLOOR_NORMAL_Y;
+
+        const speed = result.normal.dot(this.velocity);
+        if (speed < 0) this.velocity.addScaledVector(result.normal, -speed);
+      }
+
+      this.capsule.translate(result.normal.multiplyScalar(result.depth));
+    };
+
+    const triangles = [];
+    this.octree.getCapsuleTriangles(this.capsule, triangles);
+
+    for (const triangle of triangles) {
+      const result = this.octree.triangleCapsuleIntersect(this.capsule, triangle);
+      if (result !== false) resolve(result, null);
+    }
+
+    for (const body of this.bodies) {
+      if (!isVisible(body.object)) continue;
+
+      const matrix = rigidMatrix(body.object, new THREE.Matrix4());
+      const inverse = matrix.clone().invert();
+      const rotation = new THREE.Quaternion().setFromRotationMatrix(matrix);
+
+      const local = this.capsule.clone();
+      local.start.applyMatrix4(inverse);
+      local.end.applyMatrix4(inverse);
+
+      const bodyTriangles = [];
+      body.octree.getCapsuleTriangles(local, bodyTriangles);
+
+      for (const triangle of bodyTriangles) {
+        const result = body.octree.triangleCapsuleIntersect(local, triangle);
+        if (result === false) continue;
+
+        local.translate(result.normal.clone().multiplyScalar(result.depth));
+
+        result.normal.applyQuaternion(rotation);
+        resolve(result, body);
+      }
+    }
+
+    this.onFloor = floor;
+    if (!floor) this.ground = null;
+
+    return wall;
+  }
+
+  /**
+   * Move a camera to the player's eyes.
+   * @param {THREE.Camera} camera
+   */
+  applyToCamera(camera) {
+    const { radius } = ObjectFactory.PLAYER_SIZE;
+
+    camera.position.set(
+      this.capsule.start.x,
+      this.capsule.start.y - radius + this.settings.eyeHeight,
+      this.capsule.start.z
+    );
+    camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+  }
+}
+
+function addTriangles(octree, sourceGeometry, matrix) {
+  const triangle = new THREE.Triangle();
+  const geometry = sourceGeometry.index !== null ? sourceGeometry.toNonIndexed() : sourceGeometry;
+  const position = geometry.getAttribute('position');
+
+  for (let i = 0; i < position.count; i += 3) {
+    triangle.a.fromBufferAttribute(position, i).applyMatrix4(matrix);
+    triangle.b.fromBufferAttribute(position, i + 1).applyMatrix4(matrix);
+    triangle.c.fromBufferAttribute(position, i + 2).applyMatrix4(matrix);
+
+    octree.addTriangle(triangle.clone());
+  }
+
+  if (geometry !== sourceGeometry) geometry.dispose();
+}
+
+/**
+ * World position and rotation of an object, without its scale.
+ */
+function rigidMatrix(object, target) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+
+  object.updateWorldMatrix(true, false);
+  object.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+
+  return target.compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+}
+
+function isVisible(object) {
+  for (let current = object; current !== null; current = current.parent) {
+    if (current.visible === false) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,143 @@
+import { ObjectFactory } from './ObjectFactory.js';
+
+/**
+ * Named groups of factory objects that are placed as linked instances.
+ *
+ * A prefab is `{ id, name, objects }`, where `objects` are level objects (see
+ * LevelSchema) placed relative to the prefab origin. Their ids are local to the
+ * prefab, and trigger links inside a prefab target these local ids.
+ *
+ * Instances refer to a prefab by id and keep their own transform plus
+ * overrides, by prefab object id: `{ [objectId]: { materialType, customData } }`.
+ */
+export class PrefabLibrary {
+  /**
+   * Object fields an instance may override.
+   */
+  static OVERRIDES = ['materialType', 'customData'];
+
+  constructor() {
+    this.prefabs = new Map();
+  }
+
+  /**
+   * Add a prefab, or replace the prefab with the same id.
+   * @param {Object} prefab
+   */
+  add(prefab) {
+    this.prefabs.set(prefab.id, JSON.parse(JSON.stringify(prefab)));
+  }
+
+  /**
+   * Get a copy of a prefab.
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const prefab = this.prefabs.get(id);
+
+    return prefab === undefined ? null : JSON.parse(JSON.stringify(prefab));
+  }
+
+  /**
+   * Check if a prefab exists.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.prefabs.has(id);
+  }
+
+  /**
+   * Remove a prefab.
+   * @param {string} id
+   */
+  remove(id) {
+    this.prefabs.delete(id);
+  }
+
+  /**
+   * Remove all prefabs.
+   */
+  clear() {
+    this.prefabs.clear();
+  }
+
+  /**
+   * Get copies of all prefabs, in the order they were added.
+   * @returns {Object[]}
+   */
+  getAll() {
+    return [...this.prefabs.keys()].map((id) => this.get(id));
+  }
+
+  /**
+   * Generate unique prefab ID.
+   * @returns {string}
+   */
+  generateId() {
+    return 'prefab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Check if an object can be part of a prefab: factory objects other than spawn
+   * points, which are unique per level.
+   * @param {Object} data - Object data (userData)
+   * @returns {boolean}
+   */
+  static isPrefabObject(data) {
+    return ObjectFactory.OBJECT_TYPES[data.type] !== undefined && data.type !== 'spawn_point';
+  }
+
+  /**
+   * Fields of an instance object that differ from its prefab object.
+   * @param {Object} object - Prefab object
+   * @param {Object} data - Object data of the instance object
+   * @returns {Object|null} Overridden fields, or null when there are none
+   */
+  static getOverrides(object, data) {
+    const overrides = {};
+
+    for (const key of PrefabLibrary.OVERRIDES) {
+      if (data[key] !== undefined && JSON.stringify(data[key]) !== JSON.stringify(object[key])) {
+        overrides[key] = JSON.parse(JSON.stringify(data[key]));
+      }
+    }
+
+    return Object.keys(overrides).length > 0 ? overrides : null;
+  }
+
+  /**
+   * Prefab object with an instance's overrides applied.
+   * @param {Object} object - Prefab object
+   * @param {Object} [overrides] - Overridden fields of this object
+   * @returns {Object}
+   */
+  static applyOverrides(object, overrides = {}) {
+    const result = JSON.parse(JSON.stringify(object));
+
+    for (const key of PrefabLibrary.OVERRIDES) {
+      if (overrides[key] !== undefined) result[key] = JSON.parse(JSON.stringify(overrides[key]));
+    }
+
+    return result;
+  }
+
+  /**
+   * Serialize all prefabs for a project file.
+   * @returns {Object[]}
+   */
+  toJSON() {
+    return this.getAll();
+  }
+
+  /**
+   * Replace all prefabs with those of a project file.
+   * @param {Object[]} prefabs
+   */
+  fromJSON(prefabs) {
+    this.clear();
+
+    for (const prefab of prefabs) this.add(prefab);
+  }
+}
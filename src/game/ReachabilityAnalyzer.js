@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+import { PlayerController } from './PlayerController.js';
+
+// Surfaces closer than this, horizontally, touch
+const TOUCH_DISTANCE = 0.1;
+
+// Spawns this far above a surface still stand on it
+const SPAWN_TOLERANCE = 0.1;
+
+/**
+ * Works out which walkable surfaces players can get onto from which, given
+ * their movement stats, and which ones nobody can reach from a spawn.
+ *
+ * Each walkable object is reduced to the top of its world bounds. Flat
+ * surfaces sit at the top; sloped ones (ramps, stairs) can be stood on at any
+ * height of their bounds. Between two surfaces a player can walk (touching,
+ * within step height), drop down or jump, covering as much ground in the air
+ * as a jump at run speed allows. This is a best case: players start and land
+ * on the closest edges at the most favorable height, and anything in between
+ * is ignored.
+ */
+export class ReachabilityAnalyzer {
+  /**
+   * Movement stats the analysis uses, the player's by default.
+   */
+  static DEFAULTS = {
+    runSpeed: PlayerController.DEFAULTS.runSpeed,
+    jumpHeight: PlayerController.DEFAULTS.jumpHeight,
+    gravity: PlayerController.DEFAULTS.gravity,
+    stepHeight: PlayerController.DEFAULTS.stepHeight,
+  };
+
+  /**
+   * Lowest values of the movement stats. Without gravity a jump never lands,
+   * and without speed or height it goes nowhere.
+   */
+  static MINIMUMS = {
+    runSpeed: 0.1,
+    jumpHeight: 0.1,
+    gravity: 0.1,
+    stepHeight: 0,
+  };
+
+  /**
+   * Kinds of link between surfaces.
+   */
+  static LINKS = ['walk', 'drop', 'jump'];
+
+  /**
+   * @param {Object} [settings] - Overrides for ReachabilityAnalyzer.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...ReachabilityAnalyzer.DEFAULTS, ...settings };
+  }
+
+  /**
+   * Analyze the reachability of walkable objects.
+   * @param {THREE.Object3D[]} objects - Walkable objects
+   * @param {THREE.Vector3[]} spawns - Where players start; without any, they
+   * start on the lowest surfaces
+   * @returns {Object|null} `{ surfaces, links, orphans }`, or null when there
+   * is nothing walkable
+   */
+  analyze(objects, spawns = []) {
+    const surfaces = objects
+      .map((object) => this.getSurface(object))
+      .filter((surface) => surface !== null);
+
+    if (surfaces.length === 0) return null;
+
+    const links = [];
+
+    surfaces.forEach((from, i) => {
+      surfaces.forEach((to, j) => {
+        if (i === j) return;
+
+        const link = this.getLink(from, to);
+        if (link !== null) links.push({ from: i, to: j, ...link });
+      });
+    });
+
+    // Flood from the starting surfaces along the links
+
+    const starts = this.getStarts(surfaces, spawns);
+    const queue = [...starts];
+
+    for (const index of starts) surfaces[index].reachable = true;
+
+    while (queue.length > 0) {
+      const index = queue.shift();
+
+      for (const link of links) {
+        if (link.from !== index || surfaces[link.to].reachable) continue;
+
+        surfaces[link.to].reachable = true;
+        queue.push(link.to);
+      }
+    }
+
+    const orphans = [];
+
+    surfaces.forEach((surface, index) => {
+      if (surface.reachable === false) orphans.push(index);
+    });
+
+    return { surfaces, links, orphans };
+  }
+
+  /**
+   * Walkable top of an object.
+   * @param {THREE.Object3D} object
+   * @returns {Object|null} `{ object, box, low, high, reachable }`
+   */
+  getSurface(object) {
+    const box = new THREE.Box3().setFromObject(object);
+
+    if (box.isEmpty()) return null;
+
+    const low = ObjectFactory.isSloped(object.userData.type) ? box.min.y : box.max.y;
+
+    return { object, box, low, high: box.max.y, reachable: false };
+  }
+
+  /**
+   * How a player gets from one surface onto another, if at all.
+   * @param {Object} from - See getSurface
+   * @param {Object} to
+   * @returns {Object|null} `{ type, start, end }`, type being one of LINKS and
+   * start and end the points the player leaves and lands on
+   */
+  getLink(from, to) {
+    const { stepHeight, jumpHeight } = this.settings;
+
+    const start = new THREE.Vector3(0, from.high, 0);
+    const end = new THREE.Vector3(0, THREE.MathUtils.clamp(from.high, to.low, to.high), 0);
+
+    for (const axis of ['x', 'z']) {
+      const a = from.box;
+      const b = to.box;
+
+      if (a.max[axis] < b.min[axis]) {
+        start[axis] = a.max[axis];
+        end[axis] = b.min[axis];
+      } else if (b.max[axis] < a.min[axis]) {
+        start[axis] = a.min[axis];
+        end[axis] = b.max[axis];
+      } else {
+        start[axis] = end[axis] =
+          (Math.max(a.min[axis], b.min[axis]) + Math.min(a.max[axis], b.max[axis])) / 2;
+      }
+    }
+
+    const gap = Math.hypot(end.x - start.x, end.z - start.z);
+    const rise = end.y - start.y;
+
+    let type = null;
+
+    if (gap <= TOUCH_DISTANCE && Math.abs(rise) <= stepHeight) {
+      type = 'walk';
+    } else if (rise <= jumpHeight && gap <= this.getReach(rise)) {
+      type = rise < -stepHeight ? 'drop' : 'jump';
+    }
+
+    return type !== null ? { type, start: start.toArray(), end: end.toArray() } : null;
+  }
+
+  /**
+   * Horizontal distance a running jump covers before landing at a height.
+   * @param {number} rise - Landing height above the take-off, negative below it
+   * @returns {number}
+   */
+  getReach(rise) {
+    const { runSpeed, jumpHeight, gravity } = this.settings;
+
+    if (rise > jumpHeight || gravity <= 0) return 0;
+
+    // Jump speed reaching jumpHeight, and the time until falling back to the rise
+    const speed = Math.sqrt(2 * gravity * jumpHeight);
+    const time = (speed + Math.sqrt(speed * speed - 2 * gravity * rise)) / gravity;
+
+    return runSpeed * time;
+  }
+
+  /**
+   * Surfaces the players start on: the highest one under each spawn, or the
+   * lowest ones without spawns.
+   * @param {Object[]} surfaces
+   * @param {THREE.Vector3[]} spawns
+   * @returns {number[]}
+   */
+  getStarts(surfaces, spawns) {
+    const starts = new Set();
+
+    for (const spawn of spawns) {
+      let best = -1;
+
+      surfaces.forEach((surface, index) => {
+        const { box } = surface;
+
+        if (spawn.x < box.min.x || spawn.x > box.max.x) return;
+        if (spawn.z < box.min.z || spawn.z > box.max.z) return;
+        if (surface.low > spawn.y + SPAWN_TOLERANCE) return;
+
+        if (best === -1 || surface.high > surfaces[best].high) best = index;
+      });
+
+      if (best !== -1) starts.add(best);
+    }
+
+    if (spawns.length === 0) {
+      const lowest = Math.min(...surfaces.map((surface) => surface.low));
+
+      surfaces.forEach((surface, index) => {
+        if (surface.low <= lowest + this.settings.stepHeight) starts.add(index);
+      });
+    }
+
+    return [...starts];
+  }
+}
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { ColliderBuilder } from './ColliderBuilder.js';
+import { LevelMigrations } from './LevelMigrations.js';
+import { LevelSchema } from './LevelSchema.js';
+import { ObjectFactory } from './ObjectFactory.js';
+import { PrefabLibrary } from './PrefabLibrary.js';
 
 /**
  * Handles scene serialization and state formatting.
@@ -26,43 +31,330 @@ export class SceneSerializer {
   }
 
   /**
-   * Serialize array of editor objects to state.
+   * Collect editor objects created by the ObjectFactory under a root object.
+   * The prefab objects of instances are left out, see collectInstances.
+   * @param {THREE.Object3D} root
+   * @returns {Object[]}
+   */
+  collectObjects(root) {
+    const objects = [];
+
+    const visit = (object, instance) => {
+      if (
+        ObjectFactory.OBJECT_TYPES[object.userData.type] !== undefined &&
+        !(instance && PrefabLibrary.isPrefabObject(object.userData))
+      ) {
+        objects.push({ id: object.uuid, mesh: object, data: object.userData });
+      }
+
+      for (const child of object.children) visit(child, object.userData.prefab !== undefined);
+    };
+
+    visit(root, false);
+
+    return objects;
+  }
+
+  /**
+   * Collect prefab instances under a root object. An instance is an object whose
+   * `userData.prefab` is `{ id, overrides }`, see PrefabLibrary.
+   * @param {THREE.Object3D} root
+   * @returns {Object[]}
+   */
+  collectInstances(root) {
+    const instances = [];
+
+    root.traverse((child) => {
+      if (child.userData.prefab !== undefined) {
+        instances.push({ id: child.uuid, mesh: child, data: child.userData.prefab });
+      }
+    });
+
+    return instances;
+  }
+
+  /**
+   * Serialize array of editor objects to a level in the current format (see LevelSchema).
+   * Spawn points are written to a separate `spawns` list, the collision shapes of
+   * the other objects to `physics.bodies` and their baked maps to `lightmaps`.
    * @param {Object[]} objects
+   * @param {Object} [sections] - Optional level sections, e.g. `{ navmesh, prefabs, instances }`;
+   *   null entries are skipped
+   * @returns {Object}
+   */
+  serializeObjects(objects, sections = {}) {
+    const state = {
+      metadata: { type: 'Level', version: LevelSchema.VERSION, generator: 'SceneSerializer' },
+      objects: [],
+      spawns: [],
+      physics: { bodies: [] },
+    };
+
+    for (const [key, section] of Object.entries(sections)) {
+      if (section !== null && section !== undefined) {
+        state[key] = this.deepClone(section);
+      }
+    }
+
+    const lightmaps = [];
+
+    for (const obj of objects) {
+      if (obj.data.type === 'spawn_point') {
+        state.spawns.push(this.serializeSpawn(obj));
+      } else {
+        state.objects.push(this.serializeObject(obj));
+
+        const body = ColliderBuilder.serializeBody(obj.mesh, obj.id);
+        if (body !== null) state.physics.bodies.push(body);
+
+        const lightmap = this.serializeLightmap(obj);
+        if (lightmap !== null) lightmaps.push(lightmap);
+      }
+    }
+
+    if (lightmaps.length > 0) state.lightmaps = lightmaps;
+
+    return state;
+  }
+
+  /**
+   * Serialize a single editor object with its world transform, or its transform
+   * relative to `parent` when given.
+   * @param {Object} obj
+   * @param {THREE.Object3D|null} [parent]
    * @returns {Object}
    */
-  serializeObjects(objects) {
+  serializeObject(obj, parent = null) {
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    // Ensure matrices are up to date, including those of the parents
+    obj.mesh.updateWorldMatrix(true, true);
+
+    const matrix = obj.mesh.matrixWorld.clone();
+
+    if (parent !== null) {
+      parent.updateWorldMatrix(true, false);
+      matrix.premultiply(parent.matrixWorld.clone().invert());
+    }
+
+    matrix.decompose(position, rotation, scale);
+    const eulerRotation = new THREE.Euler().setFromQuaternion(rotation);
+
+    const data = JSON.parse(JSON.stringify(obj.data));
+    delete data.position;
+    delete data.rotation;
+    delete data.scale;
+    delete data.mirror; // editor-only link between mirrored twins
+    delete data.array; // editor-only settings of a parametric array
+    delete data.layer; // editor-only layer, see LayerManager
+
     return {
-      objects: objects.map((obj) => {
-        const position = new THREE.Vector3();
-        const rotation = new THREE.Quaternion();
-        const scale = new THREE.Vector3();
-
-        // Ensure matrix is up to date
-        obj.mesh.updateMatrixWorld(true);
-        obj.mesh.matrixWorld.decompose(position, rotation, scale);
-        const eulerRotation = new THREE.Euler().setFromQuaternion(rotation);
-
-        return {
-          id: obj.id,
-          data: JSON.parse(JSON.stringify(obj.data)),
-          position: position.toArray(),
-          rotation: [eulerRotation.x, eulerRotation.y, eulerRotation.z],
-          scale: scale.toArray(),
-        };
-      }),
+      id: obj.id,
+      ...data,
+      position: position.toArray(),
+      rotation: [eulerRotation.x, eulerRotation.y, eulerRotation.z],
+      scale: scale.toArray(),
+    };
+  }
+
+  /**
+   * Serialize the baked maps of an object (see LightmapBaker) with the second UV
+   * set of its geometry, which is non-indexed once baked.
+   * @param {Object} obj
+   * @returns {Object|null} Null when the object has no baked maps
+   */
+  serializeLightmap(obj) {
+    const { geometry, material } = obj.mesh;
+    const uv1 = geometry?.getAttribute('uv1');
+
+    if (uv1 === undefined || Array.isArray(material)) return null;
+    if (!material.lightMap && !material.aoMap) return null;
+
+    const entry = {
+      id: obj.id,
+      uv1: Array.from(uv1.array, (value) => Math.round(value * 1e5) / 1e5),
+    };
+
+    if (material.lightMap) {
+      entry.lightMap = THREE.ImageUtils.getDataURL(material.lightMap.image);
+      entry.lightMapIntensity = material.lightMapIntensity;
+    }
+
+    if (material.aoMap) {
+      entry.aoMap = THREE.ImageUtils.getDataURL(material.aoMap.image);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Serialize a prefab instance as a reference with its world transform.
+   * @param {Object} obj - Instance from collectInstances
+   * @returns {Object}
+   */
+  serializeInstance(obj) {
+    const { position, rotation, scale } = this.serializeObject({
+      id: obj.id,
+      mesh: obj.mesh,
+      data: {},
+    });
+
+    return {
+      id: obj.id,
+      prefab: obj.data.id,
+      position,
+      rotation,
+      scale,
+      overrides: this.deepClone(obj.data.overrides || {}),
+    };
+  }
+
+  /**
+   * Serialize a prefab with the collision shapes of its objects in prefab space.
+   * @param {Object} prefab - Prefab, see PrefabLibrary
+   * @param {import('./ObjectFactory').ObjectFactory} objectFactory
+   * @returns {Object}
+   */
+  serializePrefab(prefab, objectFactory) {
+    const bodies = [];
+
+    for (const entry of prefab.objects) {
+      const obj = this.deserializeObject(entry, objectFactory);
+      obj.mesh.userData = obj.data;
+
+      const body = ColliderBuilder.serializeBody(obj.mesh, obj.id);
+      if (body !== null) bodies.push(body);
+    }
+
+    return { ...this.deepClone(prefab), bodies };
+  }
+
+  /**
+   * Serialize a spawn point. Facing is the world yaw in degrees of the local +Z axis.
+   * @param {Object} obj
+   * @returns {Object}
+   */
+  serializeSpawn(obj) {
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+
+    obj.mesh.updateMatrixWorld(true);
+    obj.mesh.getWorldPosition(position);
+    obj.mesh.getWorldQuaternion(rotation);
+
+    const direction = new THREE.Vector3(0, 0, 1).applyQuaternion(rotation);
+    direction.y = 0;
+    direction.normalize();
+
+    const spawn = obj.data.spawn || {};
+
+    return {
+      id: obj.id,
+      team: spawn.team ?? 'neutral',
+      playerIndex: spawn.playerIndex ?? 0,
+      enabled: spawn.enabled ?? true,
+      position: position.toArray(),
+      facing: THREE.MathUtils.radToDeg(Math.atan2(direction.x, direction.z)),
+      direction: direction.toArray(),
     };
   }
 
   /**
    * Export scene to JSON string.
    * @param {Object[]} objects
+   * @param {Object} [sections] - Optional level sections, see serializeObjects
    * @returns {string}
    */
-  exportToJSON(objects) {
-    const state = this.serializeObjects(objects);
+  exportToJSON(objects, sections) {
+    const state = this.serializeObjects(objects, sections);
     return JSON.stringify(state, null, 2);
   }
 
+  /**
+   * Upgrade a parsed level to the current format and validate it.
+   * @param {Object} state - Parsed level JSON of any supported version
+   * @returns {{ level: Object|null, migrated: number[], errors: { path: string, message: string }[] }}
+   */
+  parseLevel(state) {
+    if (state === null || typeof state !== 'object' || Array.isArray(state)) {
+      return { level: null, migrated: [], errors: [{ path: '', message: 'expected object' }] };
+    }
+
+    const { level, migrated, errors } = LevelMigrations.migrate(state);
+
+    if (errors.length > 0) {
+      return { level: null, migrated, errors };
+    }
+
+    const validationErrors = LevelSchema.validate(level);
+
+    return {
+      level: validationErrors.length > 0 ? null : level,
+      migrated,
+      errors: validationErrors,
+    };
+  }
+
+  /**
+   * Create an editor object from a level object.
+   * @param {Object} entry - Level object, e.g. an entry of `objects` or of a prefab
+   * @param {import('./ObjectFactory').ObjectFactory} objectFactory
+   * @returns {{ id: string, mesh: THREE.Mesh, data: Object }}
+   */
+  deserializeObject(entry, objectFactory) {
+    const { id, position, rotation, scale, ...data } = entry;
+    const obj = objectFactory.create(data.type, new THREE.Vector3().fromArray(position), id);
+
+    obj.mesh.rotation.fromArray(rotation);
+    obj.mesh.scale.fromArray(scale);
+
+    if (objectFactory.materials.has(data.materialType)) {
+      obj.mesh.material = objectFactory.materials.get(data.materialType);
+    }
+
+    obj.data = {
+      ...obj.data,
+      ...data,
+      position: { x: position[0], y: position[1], z: position[2] },
+      rotation: { x: rotation[0], y: rotation[1], z: rotation[2] },
+      scale: { x: scale[0], y: scale[1], z: scale[2] },
+    };
+
+    return obj;
+  }
+
+  /**
+   * Create editor objects from a validated level.
+   * @param {Object} level - Level in the current format
+   * @param {import('./ObjectFactory').ObjectFactory} objectFactory
+   * @returns {Object[]}
+   */
+  deserializeObjects(level, objectFactory) {
+    const objects = level.objects.map((entry) => this.deserializeObject(entry, objectFactory));
+
+    for (const spawn of level.spawns) {
+      const obj = objectFactory.create(
+        'spawn_point',
+        new THREE.Vector3().fromArray(spawn.position),
+        spawn.id
+      );
+
+      obj.mesh.rotation.y = THREE.MathUtils.degToRad(spawn.facing);
+      obj.data.rotation.y = obj.mesh.rotation.y;
+      obj.data.spawn = {
+        team: spawn.team,
+        playerIndex: spawn.playerIndex,
+        enabled: spawn.enabled ?? true,
+      };
+
+      objects.push(obj);
+    }
+
+    return objects;
+  }
+
   /**
    * Parse JSON string to state.
    * @param {string} jsonString
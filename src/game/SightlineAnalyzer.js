@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { PlayerController } from './PlayerController.js';
+
+// Floors steeper than this are not sampled
+const MIN_FLOOR_NORMAL_Y = 0.7;
+
+// Rays stop this short of their target so the floor under it doesn't block them
+const EPSILON = 0.01;
+
+/**
+ * Works out which parts of an arena can be seen from a set of vantage points,
+ * such as spawns.
+ *
+ * The floor is sampled on a grid by casting rays down each column. Every
+ * sample with head room is a standing player, and a sight ray is cast from
+ * each source's eye to the sample's eye: the sample is exposed to the source
+ * when nothing is in between. Both ends sit at player eye height.
+ */
+export class SightlineAnalyzer {
+  /**
+   * Default analysis settings, in world units.
+   */
+  static DEFAULTS = {
+    spacing: 1,
+    eyeHeight: PlayerController.DEFAULTS.eyeHeight,
+  };
+
+  /**
+   * @param {Object} [settings] - Overrides for SightlineAnalyzer.DEFAULTS
+   * @param {Function} [intersect] - Casts a raycaster against a list of
+   * objects and returns the hits sorted by distance, like `Selector.getIntersects`
+   */
+  constructor(settings = {}, intersect = defaultIntersect) {
+    this.settings = { ...SightlineAnalyzer.DEFAULTS, ...settings };
+    this.intersect = intersect;
+    this.raycaster = new THREE.Raycaster();
+  }
+
+  /**
+   * Analyze the exposure of the floor to the sources.
+   * @param {THREE.Object3D[]} obstacles - Meshes that make up the floor and block sight
+   * @param {Object[]} sources - `{ name, position, object }`; the eye is placed
+   * above the floor under `position`, and hits on `object` are ignored
+   * @returns {Object|null} `{ spacing, eyeHeight, samples, sources, exposure }`,
+   * or null when there is no floor
+   */
+  analyze(obstacles, sources) {
+    const { spacing, eyeHeight } = this.settings;
+
+    const samples = this.sampleFloor(obstacles);
+
+    if (samples.length === 0) return null;
+
+    const eye = new THREE.Vector3();
+    const seen = new Uint8Array(samples.length);
+
+    const results = sources.map((source) => {
+      const origin = this.getEyePosition(source, obstacles);
+      let visible = 0;
+
+      samples.forEach((sample, index) => {
+        eye.fromArray(sample.position).setY(sample.position[1] + eyeHeight);
+
+        if (this.isVisible(origin, eye, obstacles, source.object)) {
+          sample.count++;
+          seen[index] = 1;
+          visible++;
+        }
+      });
+
+      return {
+        name: source.name,
+        eye: origin.toArray(),
+        visible,
+        exposure: visible / samples.length,
+      };
+    });
+
+    return {
+      spacing,
+      eyeHeight,
+      samples,
+      sources: results,
+      exposure: seen.reduce((sum, value) => sum + value, 0) / samples.length,
+    };
+  }
+
+  /**
+   * Standing points on a grid over the obstacles: every upward facing
+   * surface with room for a player's eyes above it.
+   * @param {THREE.Object3D[]} obstacles
+   * @returns {Object[]} `{ position, count }`, count being zero
+   */
+  sampleFloor(obstacles) {
+    const { spacing, eyeHeight } = this.settings;
+    const raycaster = this.raycaster;
+
+    const bounds = new THREE.Box3();
+    obstacles.forEach((object) => bounds.expandByObject(object));
+
+    if (bounds.isEmpty()) return [];
+
+    const width = Math.max(1, Math.round((bounds.max.x - bounds.min.x) / spacing));
+    const depth = Math.max(1, Math.round((bounds.max.z - bounds.min.z) / spacing));
+
+    const down = new THREE.Vector3(0, -1, 0);
+    const up = new THREE.Vector3(0, 1, 0);
+    const origin = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    const samples = [];
+
+    for (let z = 0; z < depth; z++) {
+      for (let x = 0; x < width; x++) {
+        origin.set(
+          bounds.min.x + (x + 0.5) * spacing,
+          bounds.max.y + 1,
+          bounds.min.z + (z + 0.5) * spacing
+        );
+
+        raycaster.set(origin, down);
+        raycaster.far = Infinity;
+
+        const floors = [];
+
+        for (const hit of this.intersect(raycaster, obstacles)) {
+          if (hit.face === null || hit.face === undefined) continue;
+
+          normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+          if (normal.y < MIN_FLOOR_NORMAL_Y) continue;
+
+          // Coplanar faces and shared edges report the same surface more than once
+          const y = hit.point.y;
+          if (floors.some((floor) => Math.abs(floor - y) < EPSILON)) continue;
+
+          floors.push(y);
+        }
+
+        for (const y of floors) {
+          raycaster.set(origin.clone().setY(y + EPSILON), up);
+          raycaster.far = eyeHeight - EPSILON;
+
+          if (this.intersect(raycaster, obstacles).length > 0) continue;
+
+          samples.push({ position: [origin.x, y, origin.z], count: 0 });
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  /**
+   * Eye of a player standing on the floor under a source, or straight above
+   * it when there is no floor.
+   * @param {Object} source
+   * @param {THREE.Object3D[]} obstacles
+   * @returns {THREE.Vector3}
+   */
+  getEyePosition(source, obstacles) {
+    const raycaster = this.raycaster;
+    const position = new THREE.Vector3().fromArray(source.position);
+
+    raycaster.set(position.clone().setY(position.y + EPSILON), new THREE.Vector3(0, -1, 0));
+    raycaster.far = Infinity;
+
+    const hit = this.intersect(raycaster, obstacles).find(
+      (intersection) => isPartOf(intersection.object, source.object) === false
+    );
+
+    if (hit !== undefined) position.y = hit.point.y;
+
+    return position.setY(position.y + this.settings.eyeHeight);
+  }
+
+  /**
+   * Whether nothing but the source itself is in between two points.
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @param {THREE.Object3D[]} obstacles
+   * @param {THREE.Object3D} [ignore]
+   * @returns {boolean}
+   */
+  isVisible(from, to, obstacles, ignore) {
+    const raycaster = this.raycaster;
+    const direction = to.clone().sub(from);
+    const distance = direction.length();
+
+    if (distance < EPSILON) return true;
+
+    raycaster.set(from, direction.divideScalar(distance));
+    raycaster.far = distance - EPSILON;
+
+    return this.intersect(raycaster, obstacles).every((hit) => isPartOf(hit.object, ignore));
+  }
+}
+
+function defaultIntersect(raycaster, objects) {
+  return raycaster.intersectObjects(objects, false);
+}
+
+function isPartOf(object, root) {
+  if (root === undefined || root === null) return false;
+
+  for (let current = object; current !== null; current = current.parent) {
+    if (current === root) return true;
+  }
+
+  return false;
+}
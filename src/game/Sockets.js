@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Connection sockets of modular pieces (see the `sockets` option of
+ * ObjectFactory.OBJECT_TYPES). Two sockets of the same kind connect when they
+ * are at the same point and face each other, so pieces line up edge to edge.
+ *
+ * Snapping only turns pieces around the Y axis, which keeps them upright.
+ */
+export class Sockets {
+  /**
+   * Distance in meters within which a socket snaps to another.
+   */
+  static SNAP_DISTANCE = 1;
+
+  /**
+   * Meters a snap may be farther away per radian it turns the piece, so that
+   * a connection without turning wins over a closer one with it.
+   */
+  static TURN_COST = 0.25;
+
+  /**
+   * Check if an object type has sockets.
+   * @param {string} type - Object type
+   * @returns {boolean}
+   */
+  static hasSockets(type) {
+    return (ObjectFactory.OBJECT_TYPES[type]?.sockets?.length ?? 0) > 0;
+  }
+
+  /**
+   * Sockets of an object type placed by a world matrix.
+   * @param {string} type - Object type
+   * @param {THREE.Matrix4} matrixWorld
+   * @returns {Object[]} `{ name, kind, position, direction }` in world space
+   */
+  static getSockets(type, matrixWorld) {
+    const sockets = ObjectFactory.OBJECT_TYPES[type]?.sockets || [];
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrixWorld);
+
+    return sockets.map((socket) => ({
+      name: socket.name,
+      kind: socket.kind,
+      position: new THREE.Vector3().fromArray(socket.position).applyMatrix4(matrixWorld),
+      direction: new THREE.Vector3()
+        .fromArray(socket.direction)
+        .applyMatrix3(normalMatrix)
+        .normalize(),
+    }));
+  }
+
+  /**
+   * Find the best connection of a piece to the sockets of other objects.
+   * @param {string} type - Object type of the piece
+   * @param {THREE.Matrix4} matrixWorld - Current world matrix of the piece
+   * @param {THREE.Object3D[]} targets - Objects to connect to
+   * @param {number} [maxDistance]
+   * @returns {Object|null} `{ matrix, socket, target, targetSocket }`, where
+   *   `matrix` is the snapped world matrix of the piece and `targetSocket` is
+   *   the world socket it connects to, or null when nothing is in reach
+   */
+  static findSnap(type, matrixWorld, targets, maxDistance = Sockets.SNAP_DISTANCE) {
+    const sockets = Sockets.getSockets(type, matrixWorld);
+
+    if (sockets.length === 0) return null;
+
+    let best = null;
+
+    for (const target of targets) {
+      for (const targetSocket of Sockets.getSockets(target.userData.type, target.matrixWorld)) {
+        for (const socket of sockets) {
+          if (socket.kind !== targetSocket.kind) continue;
+
+          const distance = socket.position.distanceTo(targetSocket.position);
+
+          if (distance > maxDistance) continue;
+
+          const turn = getTurn(socket.direction, targetSocket.direction.clone().negate());
+
+          if (turn === null) continue;
+
+          const cost = distance + Math.abs(turn) * Sockets.TURN_COST;
+
+          if (best === null || cost < best.cost) {
+            best = { cost, turn, socket, target, targetSocket };
+          }
+        }
+      }
+    }
+
+    if (best === null) return null;
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+
+    matrixWorld.decompose(position, quaternion, scale);
+
+    // Turn the piece around its origin, then move its socket onto the target
+    const rotation = new THREE.Quaternion().setFromAxisAngle(UP, best.turn);
+    const offset = best.socket.position.clone().sub(position).applyQuaternion(rotation);
+
+    position.copy(best.targetSocket.position).sub(offset);
+    quaternion.premultiply(rotation);
+
+    return {
+      matrix: new THREE.Matrix4().compose(position, quaternion, scale),
+      socket: best.socket.name,
+      target: best.target,
+      targetSocket: best.targetSocket,
+    };
+  }
+}
+
+/**
+ * Angle around the Y axis that turns one direction into another.
+ * @param {THREE.Vector3} from - Normalized direction
+ * @param {THREE.Vector3} to - Normalized direction
+ * @returns {number|null} Angle in radians, or null when no such turn exists
+ */
+function getTurn(from, to) {
+  if (Math.abs(from.y - to.y) > 1e-3) return null;
+
+  // Vertical directions only match themselves
+  if (Math.hypot(from.x, from.z) < 1e-6) return 0;
+
+  const angle = Math.atan2(to.x, to.z) - Math.atan2(from.x, from.z);
+
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+
+/**
+ * Local reflections under which a shape looks the same, by name (see the
+ * `mirror` option of ObjectFactory.OBJECT_TYPES).
+ */
+const LOCAL_REFLECTIONS = {
+  x: new THREE.Matrix4().makeScale(-1, 1, 1),
+  z: new THREE.Matrix4().makeScale(1, 1, -1),
+  // Swaps the arms of an L lying in the XZ plane
+  diagonal: new THREE.Matrix4().set(0, 0, -1, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 0, 1),
+};
+
+const IDENTITY = new THREE.Matrix4();
+
+/**
+ * Mirrors factory objects for symmetric arenas. The arena center is the world
+ * origin: `x` reflects across the YZ plane, `z` across the XY plane and `point`
+ * turns objects half a turn around the Y axis.
+ *
+ * A reflected transform would flip the geometry inside out, so objects are
+ * also reflected in their own space by a symmetry of their shape. The result
+ * keeps a positive scale, and asymmetric shapes such as wedges and corners
+ * face the mirrored way.
+ */
+export class Symmetry {
+  /**
+   * World reflection of each mirror mode, as XYZ scale factors.
+   */
+  static MODES = {
+    x: [-1, 1, 1],
+    z: [1, 1, -1],
+    point: [-1, 1, -1],
+  };
+
+  /**
+   * Team-colored materials and their counterpart on the other team.
+   */
+  static TEAM_MATERIALS = {
+    emissiveCyan: 'emissiveOrange',
+    emissiveOrange: 'emissiveCyan',
+    gridCyan: 'gridOrange',
+    gridOrange: 'gridCyan',
+  };
+
+  /**
+   * Spawn teams and their counterpart.
+   */
+  static TEAMS = {
+    cyan: 'orange',
+    orange: 'cyan',
+  };
+
+  /**
+   * World reflection of a mirror mode.
+   * @param {string} mode - A key of MODES
+   * @returns {THREE.Matrix4}
+   */
+  static getReflection(mode) {
+    return new THREE.Matrix4().makeScale(...Symmetry.MODES[mode]);
+  }
+
+  /**
+   * Reflection applied in an object's own space so that the mirrored transform
+   * has no negative scale. Identity for modes that do not reflect.
+   * @param {string} type - Object type
+   * @param {string} mode
+   * @returns {THREE.Matrix4}
+   */
+  static getLocalReflection(type, mode) {
+    if (Symmetry.getReflection(mode).determinant() > 0) return IDENTITY.clone();
+
+    const name = ObjectFactory.OBJECT_TYPES[type]?.mirror ?? 'x';
+
+    return LOCAL_REFLECTIONS[name].clone();
+  }
+
+  /**
+   * World matrix of an object's mirror image.
+   * @param {THREE.Matrix4} matrixWorld - World matrix of the object
+   * @param {string} type - Object type
+   * @param {string} mode
+   * @returns {THREE.Matrix4}
+   */
+  static mirrorMatrix(matrixWorld, type, mode) {
+    return Symmetry.getReflection(mode)
+      .multiply(matrixWorld)
+      .multiply(Symmetry.getLocalReflection(type, mode));
+  }
+
+  /**
+   * Object data of an object's mirror image: keyframed motion and trigger move
+   * offsets are reflected, and with `swapTeams` team materials and spawn teams
+   * are swapped. Trigger link targets are left as they are.
+   * @param {Object} data - Object data (userData)
+   * @param {string} mode
+   * @param {boolean} [swapTeams=false]
+   * @returns {Object}
+   */
+  static mirrorData(data, mode, swapTeams = false) {
+    const mirrored = JSON.parse(JSON.stringify(data));
+    const reflection = Symmetry.MODES[mode];
+    const local = Symmetry.getLocalReflection(data.type, mode);
+
+    if (swapTeams) {
+      mirrored.materialType = Symmetry.TEAM_MATERIALS[data.materialType] ?? data.materialType;
+
+      if (mirrored.spawn !== undefined) {
+        mirrored.spawn.team = Symmetry.TEAMS[data.spawn.team] ?? data.spawn.team;
+      }
+    }
+
+    for (const keyframe of mirrored.motion?.keyframes || []) {
+      keyframe.position = keyframe.position.map((value, axis) => value * reflection[axis]);
+      keyframe.rotation = reflectRotation(keyframe.rotation, local);
+    }
+
+    for (const link of mirrored.trigger?.links || []) {
+      if (link.offset !== undefined) {
+        link.offset = link.offset.map((value, axis) => value * reflection[axis]);
+      }
+    }
+
+    return mirrored;
+  }
+}
+
+/**
+ * Rotation offset seen through a local reflection, as XYZ Euler angles.
+ */
+function reflectRotation(rotation, reflection) {
+  const matrix = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(...rotation));
+  matrix.premultiply(reflection).multiply(reflection);
+
+  return new THREE.Euler()
+    .setFromRotationMatrix(matrix)
+    .toArray()
+    .slice(0, 3)
+    .map((value) => Math.round(value * 1000) / 1000);
+}
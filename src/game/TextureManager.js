@@ -3,14 +3,58 @@ import * as THREE from 'three';
 /**
  * TextureManager - Handles procedural texture generation and loading.
  * Provides high-quality procedural maps for materials without external assets.
+ *
+ * Generators are deterministic: the same parameters, seed included, always
+ * give the same pixels. Their textures are cached by a hash of the parameters,
+ * so asking twice returns the same texture.
  */
 export class TextureManager {
+  /**
+   * Default parameters of each generator.
+   */
+  static GENERATORS = {
+    grid: {
+      width: 1024,
+      height: 1024,
+      color: '#ffffff',
+      bgColor: '#000000',
+      thickness: 2,
+      divisions: 10,
+      seed: 0,
+    },
+    noise: { width: 512, height: 512, scale: 4, octaves: 4, intensity: 255, seed: 0 },
+    hazard: { size: 512, stripeWidth: 64, grunge: 50, seed: 0 },
+    normal: { width: 512, height: 512, scale: 4, octaves: 4, strength: 1, seed: 0 },
+  };
+
   constructor(renderer) {
     this.renderer = renderer;
     this.textures = new Map();
     this.loader = new THREE.TextureLoader();
   }
 
+  /**
+   * Cache id for a generator and its parameters, defaults filled in.
+   * @param {string} type - One of GENERATORS
+   * @param {Object} params
+   * @returns {string}
+   */
+  static hash(type, params) {
+    const merged = { ...TextureManager.GENERATORS[type], ...params };
+    const keys = Object.keys(merged).sort();
+    const json = JSON.stringify(keys.map((key) => [key, merged[key]]));
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return type + '_' + (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   /**
    * Get a cached texture or create/load it.
    * @param {string} id - Unique identifier for the texture
@@ -31,7 +75,42 @@ export class TextureManager {
   }
 
   /**
-   * Create a high-quality grid texture.
+   * Remove a texture from the cache and dispose of it.
+   * @param {string} id
+   */
+  remove(id) {
+    const texture = this.textures.get(id);
+
+    if (texture !== undefined) {
+      texture.dispose();
+      this.textures.delete(id);
+    }
+  }
+
+  /**
+   * Create a texture with one of the generators.
+   * @param {string} type - One of GENERATORS
+   * @param {Object} [params] - Overrides for the generator's defaults
+   * @returns {THREE.CanvasTexture|null} Null for an unknown generator
+   */
+  generate(type, params = {}) {
+    switch (type) {
+      case 'grid':
+        return this.createGridTexture(params);
+      case 'noise':
+        return this.createNoiseTexture(params);
+      case 'hazard':
+        return this.createHazardTexture(params);
+      case 'normal':
+        return this.createNormalMap(params);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create a high-quality grid texture. Grid lines involve no randomness; the
+   * seed is accepted like every other generator's and only keys the cache.
    * @param {Object} options
    * @param {number} [options.width=1024]
    * @param {number} [options.height=1024]
@@ -39,217 +118,353 @@ export class TextureManager {
    * @param {string} [options.bgColor='#000000']
    * @param {number} [options.thickness=2]
    * @param {number} [options.divisions=10]
+   * @param {number} [options.seed=0]
    * @returns {THREE.CanvasTexture}
    */
-  createGridTexture({
-    width = 1024,
-    height = 1024,
-    color = '#ffffff',
-    bgColor = '#000000',
-    thickness = 2,
-    divisions = 10,
-  } = {}) {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-
-    // Background
-    ctx.fillStyle = bgColor;
-    ctx.fillRect(0, 0, width, height);
-
-    // Grid lines
-    ctx.strokeStyle = color;
-    ctx.lineWidth = thickness;
-
-    const stepX = width / divisions;
-    const stepY = height / divisions;
-
-    ctx.beginPath();
-
-    // Vertical lines
-    for (let i = 0; i <= divisions; i++) {
-      const x = i * stepX;
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-    }
+  createGridTexture(options = {}) {
+    const params = { ...TextureManager.GENERATORS.grid, ...options };
 
-    // Horizontal lines
-    for (let i = 0; i <= divisions; i++) {
-      const y = i * stepY;
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-    }
+    return this.get(TextureManager.hash('grid', params), () => {
+      const { width, height, color, bgColor, thickness, divisions } = params;
 
-    ctx.stroke();
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
 
-    // Add border for seamless tiling
-    ctx.lineWidth = thickness * 2;
-    ctx.strokeRect(0, 0, width, height);
+      // Background
+      ctx.fillStyle = bgColor;
+      ctx.fillRect(0, 0, width, height);
 
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    texture.anisotropy = this.renderer.capabilities
-      ? this.renderer.capabilities.getMaxAnisotropy()
-      : 1;
+      // Grid lines
+      ctx.strokeStyle = color;
+      ctx.lineWidth = thickness;
 
-    return texture;
+      const stepX = width / divisions;
+      const stepY = height / divisions;
+
+      ctx.beginPath();
+
+      // Vertical lines
+      for (let i = 0; i <= divisions; i++) {
+        const x = i * stepX;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+      }
+
+      // Horizontal lines
+      for (let i = 0; i <= divisions; i++) {
+        const y = i * stepY;
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+      }
+
+      ctx.stroke();
+
+      // Add border for seamless tiling
+      ctx.lineWidth = thickness * 2;
+      ctx.strokeRect(0, 0, width, height);
+
+      return this.createCanvasTexture(canvas);
+    });
   }
 
   /**
-   * Create a Perlin-like noise texture (simple implementation).
+   * Create a tiling fractal Perlin noise texture.
    * Good for roughness or bump maps / concrete.
    * @param {Object} options
    * @param {number} [options.width=512]
-   * @param {number} [options.scale=4]
+   * @param {number} [options.height=512]
+   * @param {number} [options.scale=4] - Noise cells across the texture
+   * @param {number} [options.octaves=4] - Layers of finer detail
+   * @param {number} [options.intensity=255] - Brightest value
+   * @param {number} [options.seed=0]
    * @returns {THREE.CanvasTexture}
    */
-  createNoiseTexture({ width = 512, height = 512, scale = 1, intensity = 255 } = {}) {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-
-    const idata = ctx.createImageData(width, height);
-    const buffer32 = new Uint32Array(idata.data.buffer);
-
-    for (let i = 0; i < buffer32.length; i++) {
-      const v = Math.random() * intensity;
-      buffer32[i] = (255 << 24) | (v << 16) | (v << 8) | v;
-    }
+  createNoiseTexture(options = {}) {
+    const params = { ...TextureManager.GENERATORS.noise, ...options };
 
-    ctx.putImageData(idata, 0, 0);
+    return this.get(TextureManager.hash('noise', params), () => {
+      const { width, height, intensity } = params;
 
-    // Blur for "cloudy" look if scale > 1 (simulated by drawing scaled up)
-    if (scale > 1) {
-      const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = width / scale;
-      tempCanvas.height = height / scale;
-      const tempCtx = tempCanvas.getContext('2d');
-      tempCtx.drawImage(canvas, 0, 0, tempCanvas.width, tempCanvas.height);
+      const values = createHeightField(params);
 
-      ctx.imageSmoothingEnabled = true;
-      ctx.drawImage(tempCanvas, 0, 0, width, height);
-    }
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
 
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
+      const idata = ctx.createImageData(width, height);
+      const data = idata.data;
 
-    return texture;
+      for (let i = 0; i < values.length; i++) {
+        const v = values[i] * intensity;
+
+        data[i * 4] = v;
+        data[i * 4 + 1] = v;
+        data[i * 4 + 2] = v;
+        data[i * 4 + 3] = 255;
+      }
+
+      ctx.putImageData(idata, 0, 0);
+
+      return this.createCanvasTexture(canvas);
+    });
   }
 
   /**
-   * Create a normal map from a height map texture (source canvas).
-   * @param {HTMLCanvasElement} sourceCanvas
-   * @param {number} strength
+   * Create a normal map from a tiling fractal Perlin noise height field.
+   * @param {Object} options
+   * @param {number} [options.width=512]
+   * @param {number} [options.height=512]
+   * @param {number} [options.scale=4] - Noise cells across the texture
+   * @param {number} [options.octaves=4] - Layers of finer detail
+   * @param {number} [options.strength=1] - Steepness of the bumps
+   * @param {number} [options.seed=0]
    * @returns {THREE.CanvasTexture}
    */
-  createNormalMap(sourceCanvas, strength = 1.0) {
-    const width = sourceCanvas.width;
-    const height = sourceCanvas.height;
-
-    const ctx = sourceCanvas.getContext('2d');
-    const imgData = ctx.getImageData(0, 0, width, height);
-    const data = imgData.data;
-
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const outCtx = canvas.getContext('2d');
-    const outImgData = outCtx.createImageData(width, height);
-    const outData = outImgData.data;
-
-    const getVal = (x, y) => {
-      x = (x + width) % width;
-      y = (y + height) % height;
-      const idx = (y * width + x) * 4;
-      return data[idx] / 255.0; // Greyscale value 0-1
-    };
+  createNormalMap(options = {}) {
+    const params = { ...TextureManager.GENERATORS.normal, ...options };
 
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = (y * width + x) * 4;
-
-        // Sobel filter
-        const tl = getVal(x - 1, y - 1);
-        const t = getVal(x, y - 1);
-        const tr = getVal(x + 1, y - 1);
-        const l = getVal(x - 1, y);
-        const r = getVal(x + 1, y);
-        const bl = getVal(x - 1, y + 1);
-        const b = getVal(x, y + 1);
-        const br = getVal(x + 1, y + 1);
-
-        const dX = tr + 2 * r + br - (tl + 2 * l + bl);
-        const dY = bl + 2 * b + br - (tl + 2 * t + tr);
-        const dZ = 1.0 / strength;
-
-        const vec = new THREE.Vector3(dX, dY, dZ).normalize();
-
-        outData[idx] = (vec.x * 0.5 + 0.5) * 255;
-        outData[idx + 1] = (vec.y * 0.5 + 0.5) * 255;
-        outData[idx + 2] = (vec.z * 0.5 + 0.5) * 255;
-        outData[idx + 3] = 255;
-      }
-    }
+    return this.get(TextureManager.hash('normal', params), () => {
+      const { width, height, strength } = params;
 
-    outCtx.putImageData(outImgData, 0, 0);
+      const values = createHeightField(params);
 
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const outCtx = canvas.getContext('2d');
+      const outImgData = outCtx.createImageData(width, height);
+      const outData = outImgData.data;
+
+      const getVal = (x, y) => {
+        x = (x + width) % width;
+        y = (y + height) % height;
+        return values[y * width + x];
+      };
+
+      const vec = new THREE.Vector3();
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const idx = (y * width + x) * 4;
+
+          // Sobel filter
+          const tl = getVal(x - 1, y - 1);
+          const t = getVal(x, y - 1);
+          const tr = getVal(x + 1, y - 1);
+          const l = getVal(x - 1, y);
+          const r = getVal(x + 1, y);
+          const bl = getVal(x - 1, y + 1);
+          const b = getVal(x, y + 1);
+          const br = getVal(x + 1, y + 1);
+
+          const dX = tr + 2 * r + br - (tl + 2 * l + bl);
+          const dY = bl + 2 * b + br - (tl + 2 * t + tr);
+          const dZ = 1.0 / strength;
+
+          vec.set(dX, dY, dZ).normalize();
+
+          outData[idx] = (vec.x * 0.5 + 0.5) * 255;
+          outData[idx + 1] = (vec.y * 0.5 + 0.5) * 255;
+          outData[idx + 2] = (vec.z * 0.5 + 0.5) * 255;
+          outData[idx + 3] = 255;
+        }
+      }
 
-    return texture;
+      outCtx.putImageData(outImgData, 0, 0);
+
+      return this.createCanvasTexture(canvas);
+    });
   }
 
   /**
-   * Generate a cautionary hazard stripe texture.
+   * Generate a cautionary hazard stripe texture, darkened by noise grunge.
+   * @param {Object} options
+   * @param {number} [options.size=512]
+   * @param {number} [options.stripeWidth=64]
+   * @param {number} [options.grunge=50] - Brightest value of the grunge noise
+   * @param {number} [options.seed=0]
+   * @returns {THREE.CanvasTexture}
    */
-  createHazardTexture() {
-    return this.get('hazard_albedo', () => {
-      const width = 512;
-      const height = 512;
+  createHazardTexture(options = {}) {
+    const params = { ...TextureManager.GENERATORS.hazard, ...options };
+
+    return this.get(TextureManager.hash('hazard', params), () => {
+      const { size, stripeWidth, grunge, seed } = params;
+
+      const yellow = [0xff, 0xd7, 0x00];
+      const black = [0x10, 0x10, 0x10];
+
+      const noise = createHeightField({ width: size, height: size, scale: 8, octaves: 4, seed });
+
       const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
+      canvas.width = size;
+      canvas.height = size;
       const ctx = canvas.getContext('2d');
 
-      ctx.fillStyle = '#FFD700'; // Yellow
-      ctx.fillRect(0, 0, width, height);
+      const idata = ctx.createImageData(size, size);
+      const data = idata.data;
 
-      ctx.fillStyle = '#101010'; // Black
-      const stripeWidth = 64;
-
-      // Draw diagonal stripes
-      for (let i = -height; i < width + height; i += stripeWidth * 2) {
-        ctx.beginPath();
-        ctx.moveTo(i, 0);
-        ctx.lineTo(i + stripeWidth, 0);
-        ctx.lineTo(i + stripeWidth - height, height);
-        ctx.lineTo(i - height, height);
-        ctx.fill();
-      }
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const i = y * size + x;
 
-      // Add grunge
-      const noise = this.createNoiseTexture({ width: 512, height: 512, scale: 2, intensity: 50 });
-      ctx.globalCompositeOperation = 'multiply';
-      ctx.drawImage(noise.image, 0, 0);
+          // Diagonal stripes, antialiased with 2x2 samples per pixel
+          let covered = 0;
 
-      const texture = new THREE.CanvasTexture(canvas);
-      texture.wrapS = THREE.RepeatWrapping;
-      texture.wrapT = THREE.RepeatWrapping;
-      texture.anisotropy = this.renderer.capabilities
-        ? this.renderer.capabilities.getMaxAnisotropy()
-        : 1;
+          for (const [sx, sy] of STRIPE_SAMPLES) {
+            const d = (x + sx + y + sy) % (stripeWidth * 2);
+            if (d < stripeWidth) covered += 0.25;
+          }
 
-      return texture;
+          // Multiply by the grunge
+          const shade = (noise[i] * grunge) / 255;
+
+          for (let c = 0; c < 3; c++) {
+            const color = black[c] * covered + yellow[c] * (1 - covered);
+            data[i * 4 + c] = color * shade;
+          }
+
+          data[i * 4 + 3] = 255;
+        }
+      }
+
+      ctx.putImageData(idata, 0, 0);
+
+      return this.createCanvasTexture(canvas);
     });
   }
 
+  /**
+   * Repeating texture over a generated canvas.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {THREE.CanvasTexture}
+   */
+  createCanvasTexture(canvas) {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.anisotropy = this.renderer.capabilities
+      ? this.renderer.capabilities.getMaxAnisotropy()
+      : 1;
+
+    return texture;
+  }
+
   dispose() {
     this.textures.forEach((t) => t.dispose());
     this.textures.clear();
   }
 }
+
+// Sub-pixel offsets the hazard stripes are sampled at
+const STRIPE_SAMPLES = [
+  [0.25, 0.25],
+  [0.75, 0.25],
+  [0.25, 0.75],
+  [0.75, 0.75],
+];
+
+// Unit gradients of the Perlin lattice
+const GRADIENTS = Array.from({ length: 8 }, (_, i) => [
+  Math.cos((i * Math.PI) / 4),
+  Math.sin((i * Math.PI) / 4),
+]);
+
+/**
+ * Tiling fractal Perlin noise over a width × height grid, row by row, in
+ * [0, 1]. The lattice repeats every `scale` cells, and every octave doubles
+ * the cells and halves the amplitude of the previous one.
+ */
+function createHeightField({ width, height, scale, octaves, seed }) {
+  const noise = createPerlin(mulberry32(seed));
+  const values = new Float32Array(width * height);
+
+  const period = Math.max(1, Math.round(scale));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let amplitude = 1;
+      let total = 0;
+      let frequency = period;
+
+      for (let octave = 0; octave < Math.max(1, octaves); octave++) {
+        sum += amplitude * noise((x / width) * frequency, (y / height) * frequency, frequency);
+        total += amplitude;
+
+        amplitude /= 2;
+        frequency *= 2;
+      }
+
+      values[y * width + x] = THREE.MathUtils.clamp((sum / total) * 0.5 + 0.5, 0, 1);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 2D gradient noise with a permutation shuffled by a PRNG. The returned
+ * function gives values in about [-1, 1] and repeats every `period` units.
+ */
+function createPerlin(random) {
+  const permutation = Array.from({ length: 256 }, (_, i) => i);
+
+  for (let i = permutation.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+
+  const gradient = (ix, iy) => GRADIENTS[permutation[(permutation[ix & 255] + iy) & 255] & 7];
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  return function (x, y, period) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const ix0 = x0 % period;
+    const iy0 = y0 % period;
+    const ix1 = (ix0 + 1) % period;
+    const iy1 = (iy0 + 1) % period;
+
+    const dot = (ix, iy, dx, dy) => {
+      const g = gradient(ix, iy);
+      return g[0] * dx + g[1] * dy;
+    };
+
+    const u = fade(fx);
+    const v = fade(fy);
+
+    const top = THREE.MathUtils.lerp(dot(ix0, iy0, fx, fy), dot(ix1, iy0, fx - 1, fy), u);
+    const bottom = THREE.MathUtils.lerp(
+      dot(ix0, iy1, fx, fy - 1),
+      dot(ix1, iy1, fx - 1, fy - 1),
+      u
+    );
+
+    // Unit gradients keep 2D Perlin noise within ±√½
+    return THREE.MathUtils.lerp(top, bottom, v) * Math.SQRT2;
+  };
+}
+
+/**
+ * Small seeded PRNG returning floats in [0, 1).
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
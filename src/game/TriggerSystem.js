@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+
+/**
+ * Runtime for trigger volumes. Triggers store their links in
+ * `userData.trigger = { once, links: [{ event, target, action, ...params }] }`,
+ * where `target` is the uuid of another object; the same data is exported with
+ * the level so the game can replay it.
+ */
+export class TriggerSystem {
+  /**
+   * Events a link can fire on.
+   */
+  static EVENTS = ['enter', 'exit'];
+
+  /**
+   * Link actions. `params` are the defaults stored on new links; `accepts`
+   * limits the objects an action applies to.
+   */
+  static ACTIONS = {
+    toggleVisibility: {
+      apply(target) {
+        target.visible = !target.visible;
+      },
+    },
+    show: {
+      apply(target) {
+        target.visible = true;
+      },
+    },
+    hide: {
+      apply(target) {
+        target.visible = false;
+      },
+    },
+    move: {
+      params: { offset: [0, 3, 0], duration: 1 },
+      apply(target, link, system) {
+        system.toggleMove(target, link);
+      },
+    },
+    startMotion: {
+      accepts: (object) => object.userData.motion !== undefined,
+      apply(target, link, system) {
+        if (system.onStartMotion !== null) system.onStartMotion(target);
+      },
+    },
+    enableSpawn: {
+      accepts: (object) => object.userData.type === 'spawn_point',
+      apply(target, link, system) {
+        system.setSpawnEnabled(target, true);
+      },
+    },
+    disableSpawn: {
+      accepts: (object) => object.userData.type === 'spawn_point',
+      apply(target, link, system) {
+        system.setSpawnEnabled(target, false);
+      },
+    },
+  };
+
+  /**
+   * Create a link with the default parameters of its action.
+   * @param {string} event - One of TriggerSystem.EVENTS
+   * @param {string} target - Target object uuid
+   * @param {string} action - Key of TriggerSystem.ACTIONS
+   * @returns {Object}
+   */
+  static createLink(event, target, action) {
+    const params = TriggerSystem.ACTIONS[action].params || {};
+
+    return { event, target, action, ...JSON.parse(JSON.stringify(params)) };
+  }
+
+  /**
+   * Check whether an action can be applied to an object.
+   * @param {string} action
+   * @param {THREE.Object3D} object
+   * @returns {boolean}
+   */
+  static canTarget(action, object) {
+    const accepts = TriggerSystem.ACTIONS[action]?.accepts;
+    return accepts === undefined || accepts(object);
+  }
+
+  constructor() {
+    this.triggers = [];
+    this.moves = new Map();
+    this.spawns = new Map();
+
+    // Called with the spawn point when an action enables one
+    this.onSpawnEnabled = null;
+
+    // Called with the object when an action starts its keyframed motion
+    this.onStartMotion = null;
+  }
+
+  /**
+   * Collect the triggers under a root object and resolve their targets.
+   * @param {THREE.Object3D} root
+   */
+  setup(root) {
+    this.triggers = [];
+    this.moves.clear();
+    this.spawns.clear();
+
+    root.traverse((child) => {
+      if (child.isMesh && ObjectFactory.isTrigger(child.userData.type)) {
+        this.triggers.push({ mesh: child, inside: false, fired: false });
+      }
+
+      if (child.userData.type === 'spawn_point') {
+        this.spawns.set(child, child.userData.spawn?.enabled !== false);
+      }
+    });
+
+    for (const trigger of this.triggers) {
+      trigger.links = (trigger.mesh.userData.trigger?.links || [])
+        .map((link) => ({ ...link, object: root.getObjectByProperty('uuid', link.target) }))
+        .filter((link) => link.object !== undefined && TriggerSystem.ACTIONS[link.action]);
+    }
+  }
+
+  /**
+   * Objects that triggers may move or show and hide.
+   * @returns {Set<THREE.Object3D>}
+   */
+  getTargets() {
+    const targets = new Set();
+
+    for (const trigger of this.triggers) {
+      for (const link of trigger.links) targets.add(link.object);
+    }
+
+    return targets;
+  }
+
+  /**
+   * Fire enter and exit events for the player and advance moving targets.
+   * @param {number} delta - Seconds since the last update
+   * @param {THREE.Vector3[]} points - Points of the player's body, e.g. feet and head
+   */
+  update(delta, points) {
+    for (const trigger of this.triggers) {
+      const inside = this.contains(trigger.mesh, points);
+
+      if (inside !== trigger.inside) {
+        trigger.inside = inside;
+        this.fire(trigger, inside ? 'enter' : 'exit');
+      }
+    }
+
+    for (const [object, move] of this.moves) {
+      const step = move.duration > 0 ? delta / move.duration : 1;
+
+      move.progress = THREE.MathUtils.clamp(move.progress + move.direction * step, 0, 1);
+
+      const t = THREE.MathUtils.smoothstep(move.progress, 0, 1);
+      object.position.copy(move.from).addScaledVector(move.offset, t);
+    }
+  }
+
+  fire(trigger, event) {
+    const once = trigger.mesh.userData.trigger?.once === true;
+
+    if (once && trigger.fired) return;
+
+    let fired = false;
+
+    for (const link of trigger.links) {
+      if (link.event !== event) continue;
+
+      TriggerSystem.ACTIONS[link.action].apply(link.object, link, this);
+      fired = true;
+    }
+
+    trigger.fired = trigger.fired || fired;
+  }
+
+  /**
+   * Start moving a target by the link's offset, or back if it already moved.
+   */
+  toggleMove(object, link) {
+    let move = this.moves.get(object);
+
+    if (move === undefined) {
+      move = { from: object.position.clone(), progress: 0, direction: -1 };
+      this.moves.set(object, move);
+    }
+
+    // Offsets are in world units; convert them to the parent's space
+    const offset = new THREE.Vector3().fromArray(link.offset || [0, 0, 0]);
+
+    if (object.parent !== null) {
+      const rotation = object.parent.getWorldQuaternion(new THREE.Quaternion());
+      offset.applyQuaternion(rotation.invert());
+    }
+
+    move.offset = offset;
+    move.duration = link.duration ?? 1;
+    move.direction = -move.direction;
+  }
+
+  setSpawnEnabled(spawn, enabled) {
+    this.spawns.set(spawn, enabled);
+
+    if (enabled && this.onSpawnEnabled !== null) this.onSpawnEnabled(spawn);
+  }
+
+  contains(mesh, points) {
+    const geometry = mesh.geometry;
+
+    mesh.updateWorldMatrix(true, false);
+    const inverse = mesh.matrixWorld.clone().invert();
+
+    if (geometry.boundingBox === null) geometry.computeBoundingBox();
+    if (geometry.boundingSphere === null) geometry.computeBoundingSphere();
+
+    const volume =
+      mesh.userData.type === 'trigger_sphere' ? geometry.boundingSphere : geometry.boundingBox;
+
+    return points.some((point) => volume.containsPoint(point.clone().applyMatrix4(inverse)));
+  }
+}
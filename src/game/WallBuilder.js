@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+import { ObjectFactory } from './ObjectFactory.js';
+
+const WALL = ObjectFactory.OBJECT_TYPES.wall.size;
+const PILLAR = ObjectFactory.OBJECT_TYPES.pillar.size;
+const CORNER = ObjectFactory.OBJECT_TYPES.corner.size;
+
+// Corner geometry: the L's inner joint in object space, where its arm centerlines
+// meet, the length of each arm from there, and the height of its bottom
+const CORNER_JOINT = [-1.35, 1.35];
+const CORNER_ARM = 2.85;
+const CORNER_BOTTOM = 1.5;
+
+// Walls end just inside a pillar's faces (see the pillar sockets)
+const PILLAR_INSET = 0.55;
+
+// Turns within this many radians of a right angle get a corner piece
+const RIGHT_ANGLE_TOLERANCE = 0.02;
+
+// Shorter wall segments are left out
+const MIN_LENGTH = 0.05;
+
+/**
+ * Lays out runs of walls along a polyline on the ground, with a joint piece
+ * wherever two walls meet. Walls are scaled to the run's height, thickness and
+ * segment lengths.
+ *
+ * Corner pieces only fit right angle turns between walls long enough for their
+ * arms; other joints get a pillar.
+ */
+export class WallBuilder {
+  /**
+   * Default settings. `joint` is one of JOINTS, and `closed` connects the last
+   * point back to the first.
+   */
+  static DEFAULTS = {
+    height: WALL.height,
+    thickness: WALL.width,
+    joint: 'pillar',
+    closed: false,
+  };
+
+  static JOINTS = ['pillar', 'corner'];
+
+  /**
+   * @param {Object} [settings] - Overrides for WallBuilder.DEFAULTS
+   */
+  constructor(settings = {}) {
+    this.settings = { ...WallBuilder.DEFAULTS, ...settings };
+  }
+
+  /**
+   * Lay out walls and joints.
+   * @param {number[][]} points - Polyline points `[x, y, z]`; walls stand on them
+   * @returns {{ type: string, position: number[], rotation: number[], scale: number[],
+   *   data: Object }[]} Objects with world transforms, in the same form as
+   *   ArenaGenerator layouts
+   */
+  build(points) {
+    const path = removeDuplicates(points.map((point) => new THREE.Vector3().fromArray(point)));
+
+    // A loop may end on its first point
+    if (path.length > 3 && path[path.length - 1].distanceTo(path[0]) <= MIN_LENGTH) path.pop();
+
+    const closed = this.settings.closed && path.length > 2;
+
+    if (path.length < 2) return [];
+
+    const count = closed ? path.length : path.length - 1;
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+      const start = path[i];
+      const end = path[(i + 1) % path.length];
+
+      segments.push({
+        start,
+        end,
+        direction: end.clone().sub(start).setY(0).normalize(),
+        length: Math.hypot(end.x - start.x, end.z - start.z),
+        trimStart: 0,
+        trimEnd: 0,
+      });
+    }
+
+    const objects = [];
+
+    // Joints between consecutive segments
+    const joints = closed ? count : count - 1;
+
+    for (let i = 0; i < joints; i++) {
+      const incoming = segments[i];
+      const outgoing = segments[(i + 1) % count];
+
+      const joint = this.createJoint(incoming, outgoing);
+
+      incoming.trimEnd = joint.trim;
+      outgoing.trimStart = joint.trim;
+
+      objects.push(joint.object);
+    }
+
+    for (const segment of segments) {
+      const wall = this.createWall(segment);
+
+      if (wall !== null) objects.push(wall);
+    }
+
+    return objects;
+  }
+
+  /**
+   * Wall along a segment, shortened by the joints at its ends.
+   */
+  createWall(segment) {
+    const { height, thickness } = this.settings;
+    const { start, end, direction, trimStart, trimEnd } = segment;
+
+    const length = segment.length - trimStart - trimEnd;
+
+    if (length < MIN_LENGTH) return null;
+
+    const center = start
+      .clone()
+      .addScaledVector(direction, trimStart + length / 2)
+      .setY(Math.min(start.y, end.y) + height / 2);
+
+    return entry('wall', center.toArray(), Math.atan2(direction.x, direction.z), [
+      thickness / WALL.width,
+      height / WALL.height,
+      length / WALL.depth,
+    ]);
+  }
+
+  /**
+   * Joint piece where one segment ends and the next starts, and how much the
+   * walls of both are shortened by it.
+   * @returns {{ object: Object, trim: number }}
+   */
+  createJoint(incoming, outgoing) {
+    const { height, thickness, joint } = this.settings;
+    const point = incoming.end;
+
+    if (joint === 'corner') {
+      const corner = this.createCorner(incoming, outgoing);
+
+      if (corner !== null) return corner;
+    }
+
+    const radius = thickness / WALL.width;
+
+    return {
+      object: entry('pillar', [point.x, point.y + height / 2, point.z], 0, [
+        radius,
+        height / PILLAR.height,
+        radius,
+      ]),
+      trim: PILLAR_INSET * radius,
+    };
+  }
+
+  /**
+   * Corner piece at a right angle turn, or null when the turn or the walls
+   * next to it do not fit one.
+   */
+  createCorner(incoming, outgoing) {
+    const { height, thickness } = this.settings;
+
+    const scale = thickness / WALL.width;
+    const arm = CORNER_ARM * scale;
+
+    const turn = incoming.direction.angleTo(outgoing.direction);
+
+    if (Math.abs(turn - Math.PI / 2) > RIGHT_ANGLE_TOLERANCE) return null;
+    if (incoming.length < arm * 2 || outgoing.length < arm * 2) return null;
+
+    // The arms run along local +X and -Z; turn them onto the walls, whichever
+    // way round keeps the piece unmirrored
+    const back = incoming.direction.clone().negate();
+    const arms = new THREE.Vector3(0, 1, 0).dot(
+      new THREE.Vector3().crossVectors(outgoing.direction, back)
+    );
+    const along = arms > 0 ? outgoing.direction : back;
+    const yaw = Math.atan2(-along.z, along.x);
+
+    const joint = new THREE.Vector3(CORNER_JOINT[0] * scale, 0, CORNER_JOINT[1] * scale);
+    joint.applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+
+    const point = incoming.end;
+    const scaleY = height / CORNER.height;
+
+    return {
+      object: entry(
+        'corner',
+        [point.x - joint.x, point.y - CORNER_BOTTOM * scaleY, point.z - joint.z],
+        yaw,
+        [scale, scaleY, scale]
+      ),
+      trim: arm,
+    };
+  }
+}
+
+/**
+ * Points without consecutive duplicates, which would give zero length walls.
+ */
+function removeDuplicates(points) {
+  return points.filter(
+    (point, index) => index === 0 || point.distanceTo(points[index - 1]) > MIN_LENGTH
+  );
+}
+
+function entry(type, position, yaw, scale) {
+  return {
+    type,
+    position,
+    rotation: [0, yaw, 0],
+    scale,
+    data: {},
+  };
+}
@@ -1,5 +1,24 @@
+export { Alignment } from './Alignment.js';
+export { ArenaGenerator } from './ArenaGenerator.js';
+export { ArrayPattern } from './ArrayPattern.js';
+export { ColliderBuilder } from './ColliderBuilder.js';
+export { LevelMigrations } from './LevelMigrations.js';
+export { LevelSchema } from './LevelSchema.js';
+export { LevelValidator } from './LevelValidator.js';
+export { LightmapBaker } from './LightmapBaker.js';
 export { MaterialsLibrary } from './MaterialsLibrary.js';
+export { MotionPlayer } from './MotionPlayer.js';
+export { MotionTrack } from './MotionTrack.js';
+export { NavMeshBaker } from './NavMeshBaker.js';
 export { ObjectFactory } from './ObjectFactory.js';
+export { PlayerController } from './PlayerController.js';
+export { PrefabLibrary } from './PrefabLibrary.js';
 export { SceneSerializer } from './SceneSerializer.js';
+export { SightlineAnalyzer } from './SightlineAnalyzer.js';
+export { Sockets } from './Sockets.js';
 export { PropertyUpdater } from './PropertyUpdater.js';
+export { ReachabilityAnalyzer } from './ReachabilityAnalyzer.js';
+export { Symmetry } from './Symmetry.js';
 export { TextureManager } from './TextureManager.js';
+export { TriggerSystem } from './TriggerSystem.js';
+export { WallBuilder } from './WallBuilder.js';
@@ -38,16 +38,26 @@ document.body.appendChild(sidebar.dom);
 
   // Initialize Game Systems
   // We attach these to the editor instance so Commands can access them
-  const { MaterialsLibrary, ObjectFactory, PropertyUpdater, TextureManager } =
-    await import('./game/index.js');
+  const {
+    LevelValidator,
+    MaterialsLibrary,
+    ObjectFactory,
+    PropertyUpdater,
+    SceneSerializer,
+    TextureManager,
+  } = await import('./game/index.js');
 
   const textureManager = new TextureManager(renderer);
   const materialsLib = new MaterialsLibrary(textureManager);
-  const objFactory = new ObjectFactory(materialsLib); // eslint-disable-line no-unused-vars
-  const propertyUpdater = new PropertyUpdater(materialsLib); // eslint-disable-line no-unused-vars
-  // editor.propertyUpdater = new PropertyUpdater(editor.materials); // LevelEditor.js used this
-  // However, SetPropertyValueCommand uses editor.propertyUpdater.
-  editor.propertyUpdater = new PropertyUpdater(editor.materials);
+  editor.objectFactory = new ObjectFactory(materialsLib);
+  editor.sceneSerializer = new SceneSerializer();
+  editor.levelValidator = new LevelValidator(materialsLib);
+  // SetPropertyValueCommand uses editor.propertyUpdater
+  editor.propertyUpdater = new PropertyUpdater(materialsLib);
+
+  // The library's procedural textures and materials can be listed from now on
+  editor.signals.proceduralTexturesChanged.dispatch();
+  editor.signals.libraryMaterialsChanged.dispatch();
 
   // Initial Scene Setup (if needed) or Just let the editor handle it.
   // LevelEditor.js had a specialized loadSceneCallback, but standard Editor uses editor.fromJSON
@@ -101,6 +111,9 @@ document.body.appendChild(sidebar.dom);
     signals.sceneGraphChanged.add(saveState);
     signals.scriptChanged.add(saveState);
     signals.historyChanged.add(saveState);
+    signals.navMeshChanged.add(saveState);
+    signals.layersChanged.add(saveState);
+    signals.movementChanged.add(saveState);
   });
 
   animate();